@@ -8,6 +8,43 @@
 const { createClient } = require('@supabase/supabase-js');
 const OpenAI = require('openai');
 
+// Extracted memories this close (cosine) to one the user marked wrong are dropped
+const BLOCK_SIMILARITY = 0.9;
+
+// Pinned memories ride along with every recall, on top of the semantic matches
+const PINNED_RECALL_LIMIT = 5;
+
+// Everything a user sees about a memory - never the embedding
+const MEMORY_COLUMNS = 'id, memory_type, content, confidence, importance, emotional_weight, context_tags, '
+  + 'is_active, is_pinned, deactivated_reason, created_at, updated_at, last_accessed_at';
+
+// Supabase hands pgvector columns back as '[0.1,0.2,...]' strings
+function parseEmbedding(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return value;
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+function normalizeContent(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Literal match inside an ILIKE pattern
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
 class EllieMemorySystem {
   constructor(supabaseUrl, supabaseKey, openaiKey) {
     // Validate credentials
@@ -97,7 +134,7 @@ Example:
         ],
         temperature: 0.2,
         response_format: { type: "json_object" }
-      });
+      }, { signal: context.signal });
 
       const extracted = JSON.parse(response.choices[0].message.content);
 
@@ -124,7 +161,7 @@ Example:
 
     } catch (error) {
       console.error('❌ Memory extraction error:', error.message);
-      return null;
+      throw error; // The job queue retries with backoff
     }
   }
 
@@ -136,12 +173,16 @@ Example:
     if (!this.enabled) return;
 
     const memoryTypes = ['facts', 'preferences', 'emotions', 'events', 'plans'];
+    const blocks = await this.loadMemoryBlocks(userId);
     let storedCount = 0;
 
     for (const type of memoryTypes) {
       const memoryArray = memories[type] || [];
 
       for (const memory of memoryArray) {
+        // The job queue aborts a run that took too long - stop before the next write
+        context.signal?.throwIfAborted();
+
         // Only store high-confidence memories
         if (memory.confidence < 0.5) {
           console.log(`⏭️ Skipping low-confidence memory: ${memory.content}`);
@@ -157,6 +198,12 @@ Example:
             continue;
           }
 
+          // The user said this one is wrong - don't learn it again
+          if (this.isBlocked(blocks, memory.content, embedding)) {
+            console.log(`🚫 Skipping memory the user marked wrong: ${memory.content}`);
+            continue;
+          }
+
           // Check for duplicate memory (avoid storing same thing twice)
           const { data: existingMemory } = await this.supabase
             .from('user_memories')
@@ -265,20 +312,24 @@ Example:
         return [];
       }
 
-      if (!memories || memories.length === 0) {
+      const pinned = await this.getPinnedMemories(userId);
+
+      if ((!memories || memories.length === 0) && pinned.length === 0) {
         console.log('ℹ️ No memories found for this message');
         return [];
       }
 
-      // Sort by importance and limit
-      const sortedMemories = memories
-        .filter(m => m.importance >= minImportance)
+      // Sort by importance and limit; pinned memories always make the cut
+      const pinnedIds = new Set(pinned.map(m => m.id));
+      const matched = (memories || [])
+        .filter(m => m.importance >= minImportance && !pinnedIds.has(m.id))
         .sort((a, b) => {
           const scoreA = (a.similarity || 0.5) * a.importance;
           const scoreB = (b.similarity || 0.5) * b.importance;
           return scoreB - scoreA;
         })
-        .slice(0, limit);
+        .slice(0, Math.max(0, limit - pinned.length));
+      const sortedMemories = [...pinned, ...matched];
 
       // Update last accessed timestamp (access_count removed - would need RPC function)
       const memoryIds = sortedMemories.map(m => m.id);
@@ -295,8 +346,8 @@ Example:
 
       console.log(`✅ Recalled ${sortedMemories.length} relevant memories`);
       sortedMemories.forEach(m => {
-        const similarity = m.similarity ? (m.similarity * 100).toFixed(0) : '??';
-        console.log(`   📌 [${m.memory_type}] ${m.content} (${similarity}% match)`);
+        const similarity = m.is_pinned ? 'pinned' : m.similarity ? `${(m.similarity * 100).toFixed(0)}% match` : '??% match';
+        console.log(`   📌 [${m.memory_type}] ${m.content} (${similarity})`);
       });
 
       return sortedMemories;
@@ -366,6 +417,252 @@ Example:
       return null;
     }
   }
+
+  // ============================================================
+  // 📌 PINS & BLOCKS (used by store / recall)
+  // ============================================================
+
+  async getPinnedMemories(userId, limit = PINNED_RECALL_LIMIT) {
+    const { data, error } = await this.supabase
+      .from('user_memories')
+      .select('id, memory_type, content, confidence, importance, emotional_weight, context_tags, is_pinned, created_at')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .eq('is_pinned', true)
+      .order('importance', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('❌ Pinned memory lookup error:', error.message);
+      return [];
+    }
+    return data || [];
+  }
+
+  // Throws on failure: storing without the blocks could re-learn a corrected fact
+  async loadMemoryBlocks(userId) {
+    const { data, error } = await this.supabase
+      .from('user_memory_blocks')
+      .select('content, embedding')
+      .eq('user_id', userId);
+
+    if (error) throw new Error(`Memory block lookup failed: ${error.message}`);
+    return (data || []).map(b => ({ key: normalizeContent(b.content), embedding: parseEmbedding(b.embedding) }));
+  }
+
+  isBlocked(blocks, content, embedding) {
+    const key = normalizeContent(content);
+    return blocks.some(b => b.key === key || cosineSimilarity(b.embedding, embedding) >= BLOCK_SIMILARITY);
+  }
+
+  // ============================================================
+  // ✏️ USER MEMORY MANAGEMENT (view, correct, pin, forget)
+  // ============================================================
+
+  /**
+   * One page of the user's memories, newest first.
+   * @param {object} [filters]
+   * @param {string} [filters.type] - fact | preference | emotion | event | plan | ...
+   * @param {string} [filters.status] - active (default) | inactive | all
+   * @param {boolean} [filters.pinned] - Only pinned memories
+   */
+  async listMemories(userId, { type = null, status = 'active', pinned = false, limit = 50, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('user_memories')
+      .select(MEMORY_COLUMNS, { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (type) query = query.eq('memory_type', type);
+    if (status === 'active') query = query.eq('is_active', true);
+    if (status === 'inactive') query = query.eq('is_active', false);
+    if (pinned) query = query.eq('is_pinned', true);
+
+    const { data, count, error } = await query
+      .order('is_pinned', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { memories: data || [], total: count || 0 };
+  }
+
+  async getMemory(userId, memoryId, columns = MEMORY_COLUMNS) {
+    const { data, error } = await this.supabase
+      .from('user_memories')
+      .select(columns)
+      .eq('user_id', userId)
+      .eq('id', memoryId)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+  }
+
+  async updateOwnMemory(userId, memoryId, fields) {
+    const { data, error } = await this.supabase
+      .from('user_memories')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id', memoryId)
+      .select(MEMORY_COLUMNS);
+
+    if (error) throw error;
+    return data && data.length ? data[0] : null;
+  }
+
+  /**
+   * Replace a memory's content with the user's correction (re-embedded so recall follows it).
+   * @returns {Promise<object|null>} The updated memory, or null if it isn't theirs
+   */
+  async editMemory(userId, memoryId, content) {
+    const existing = await this.getMemory(userId, memoryId, 'id');
+    if (!existing) return null;
+
+    const embedding = await this.generateEmbedding(content);
+    if (!embedding) throw new Error('Could not generate an embedding for the corrected memory');
+
+    // The user's own words are as confident as it gets
+    return this.updateOwnMemory(userId, memoryId, { content, embedding, confidence: 1 });
+  }
+
+  /**
+   * Deactivate a memory and block the same fact from being extracted again.
+   * @returns {Promise<object|null>} The deactivated memory, or null if it isn't theirs
+   */
+  async markMemoryWrong(userId, memoryId) {
+    const existing = await this.getMemory(userId, memoryId, 'id, memory_type, content, embedding');
+    if (!existing) return null;
+
+    const { data: blocked, error: lookupError } = await this.supabase
+      .from('user_memory_blocks')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('source_memory_id', memoryId)
+      .limit(1);
+    if (lookupError) throw lookupError;
+
+    if (!blocked || blocked.length === 0) {
+      const embedding = parseEmbedding(existing.embedding) || await this.generateEmbedding(existing.content);
+      const { error } = await this.supabase
+        .from('user_memory_blocks')
+        .insert({
+          user_id: userId,
+          memory_type: existing.memory_type,
+          content: existing.content,
+          embedding,
+          source_memory_id: memoryId
+        });
+      if (error) throw error;
+    }
+
+    console.log(`🚫 Memory ${memoryId} marked wrong by ${userId}: ${existing.content}`);
+    return this.updateOwnMemory(userId, memoryId, { is_active: false, is_pinned: false, deactivated_reason: 'wrong' });
+  }
+
+  /**
+   * Pin or unpin an active memory.
+   * @returns {Promise<object|null>} The memory, or null if it isn't theirs or isn't active
+   */
+  async setMemoryPinned(userId, memoryId, pinned) {
+    const existing = await this.getMemory(userId, memoryId, 'id, is_active');
+    if (!existing || !existing.is_active) return null;
+    return this.updateOwnMemory(userId, memoryId, { is_pinned: !!pinned });
+  }
+
+  /**
+   * Delete memories matching every given filter. Pinned ones are kept unless includePinned.
+   * @param {object} filters
+   * @param {string} [filters.from] - ISO date, inclusive
+   * @param {string} [filters.to] - ISO date, inclusive
+   * @param {string} [filters.topic] - Case-insensitive text the content must contain
+   * @param {string} [filters.type] - Memory type
+   * @returns {Promise<number>} How many memories were forgotten
+   */
+  async forgetMemories(userId, { from = null, to = null, topic = null, type = null, includePinned = false } = {}) {
+    if (!from && !to && !topic && !type) {
+      throw new Error('forgetMemories needs at least one filter');
+    }
+
+    let query = this.supabase
+      .from('user_memories')
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (topic) query = query.ilike('content', `%${escapeLike(topic)}%`);
+    if (type) query = query.eq('memory_type', type);
+    if (!includePinned) query = query.or('is_pinned.is.null,is_pinned.eq.false');
+
+    const { count, error } = await query;
+    if (error) throw error;
+
+    console.log(`🧹 Forgot ${count || 0} memories for ${userId}`, { from, to, topic, type });
+    return count || 0;
+  }
+
+  // ============================================================
+  // 📦 UTILITY: EXPORT ALL MEMORIES (data export requests)
+  // ============================================================
+
+  async exportMemories(userId, pageSize = 1000) {
+    if (!this.enabled) return [];
+
+    const memories = [];
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await this.supabase
+        .from('user_memories')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+
+      // Embeddings are derived vectors, not something the user wrote - leave them out
+      for (const { embedding, ...memory } of data) memories.push(memory);
+      if (data.length < pageSize) break;
+    }
+
+    return memories;
+  }
+
+  // Facts the user told us are wrong (kept so they aren't extracted again)
+  async exportMemoryBlocks(userId) {
+    if (!this.enabled) return [];
+
+    const { data, error } = await this.supabase
+      .from('user_memory_blocks')
+      .select('id, memory_type, content, source_memory_id, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // ============================================================
+  // 🗑️ UTILITY: DELETE ALL MEMORIES (account deletion)
+  // ============================================================
+
+  async deleteAllMemories(userId) {
+    if (!this.enabled) return { memories: 0, blocks: 0 };
+
+    const { count: blocks, error: blockError } = await this.supabase
+      .from('user_memory_blocks')
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (blockError) throw blockError;
+
+    const { count, error } = await this.supabase
+      .from('user_memories')
+      .delete({ count: 'exact' })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return { memories: count || 0, blocks: blocks || 0 };
+  }
 }
 
 module.exports = EllieMemorySystem;
\ No newline at end of file
@@ -0,0 +1,353 @@
+// ============================================================
+// 🔞 AGE ASSURANCE - DOB attestation, verification, the adult-feature gate
+// ============================================================
+// Adult features (the NSFW LLM route, explicit and position photos) need
+// users.age_verified_at (migration 0013). Getting there takes two steps:
+//   1. attest - the user states their date of birth, at signup or in
+//               settings. Every statement is kept in age_attestations;
+//               one under minimumAge locks adult features for the account.
+//      An underage date of birth at signup creates no account; it is kept
+//      against an HMAC of the email and a device cookie, and either one
+//      refuses the next signup (migration 0017).
+//   2. verify - a verifier (./providers) checks the latest adult
+//               attestation. The first check that passes sets
+//               age_verified_at, and the date of birth can't change after.
+// Everything else only asks isAgeVerified(pool, userId), which fails closed.
+//
+//   AGE_VERIFIER=mock   (the only verifier so far - see ./providers/mock.js)
+//   AGE_MINIMUM=18
+// The mock trusts the attested date of birth, so with NODE_ENV=production it
+// is only used when AGE_ALLOW_MOCK_VERIFIER=true; otherwise production gets
+// ./providers/none.js and every check fails until a real verifier is set.
+// ============================================================
+
+const crypto = require('crypto');
+const { createMockVerifier } = require('./providers/mock');
+const { createUnconfiguredVerifier } = require('./providers/none');
+
+const DOB_FORMAT = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_AGE = 120;
+
+// Added to the system prompt when an unverified user steers towards adult content
+const AGE_GATE_PROMPT = `
+
+🔞 AGE NOT VERIFIED: This user hasn't verified that they are an adult yet, so keep this reply non-explicit - no sexual detail, and no explicit photo is being sent.
+Tease or deflect playfully instead of refusing like a robot, and mention once that they can unlock that side of you by verifying their age in settings. Don't lecture.`;
+
+function ageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Age in whole years on a given day.
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {Date} [on]
+ * @returns {number}
+ * @throws {Error} code AGE_BAD_DOB when it isn't a real date in the past
+ */
+function ageOn(dateOfBirth, on = new Date()) {
+  const match = DOB_FORMAT.exec(String(dateOfBirth || '').trim());
+  if (!match) throw ageError('AGE_BAD_DOB', 'dateOfBirth must be YYYY-MM-DD');
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const dob = new Date(Date.UTC(year, month - 1, day));
+  if (dob.getUTCMonth() !== month - 1 || dob.getUTCDate() !== day) {
+    throw ageError('AGE_BAD_DOB', 'dateOfBirth is not a real date');
+  }
+
+  let age = on.getUTCFullYear() - year;
+  if (on.getUTCMonth() < month - 1 || (on.getUTCMonth() === month - 1 && on.getUTCDate() < day)) age--;
+  if (dob > on || age > MAX_AGE) throw ageError('AGE_BAD_DOB', 'dateOfBirth is out of range');
+  return age;
+}
+
+/**
+ * Whether adult features are unlocked for the user. False for guests and when the lookup fails.
+ * @returns {Promise<boolean>}
+ */
+async function isAgeVerified(pool, userId) {
+  if (!userId || userId === 'guest') return false;
+  try {
+    const { rows } = await pool.query(`SELECT age_verified_at FROM users WHERE user_id = $1`, [userId]);
+    return !!rows[0]?.age_verified_at;
+  } catch (error) {
+    console.error(`❌ [age] Verification lookup failed for ${userId}:`, error.message);
+    return false;
+  }
+}
+
+class AgeAssuranceService {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {object} options.verifier - See ./providers/mock.js for the interface
+   * @param {number} [options.minimumAge]
+   * @param {string} [options.secret] - Keys the email HMAC of refused signups
+   */
+  constructor({ pool, verifier, minimumAge = 18, secret = 'dev-secret-change-me' }) {
+    this.pool = pool;
+    this.verifier = verifier;
+    this.minimumAge = minimumAge;
+    this.secret = secret;
+  }
+
+  emailHash(email) {
+    return crypto.createHmac('sha256', this.secret).update(`email:${String(email).trim().toLowerCase()}`).digest('hex');
+  }
+
+  /**
+   * Whether an earlier signup from this email or device was refused as underage.
+   * @param {object} signup
+   * @param {string} signup.email
+   * @param {string|null} [signup.deviceId]
+   * @returns {Promise<boolean>}
+   */
+  async isSignupLocked({ email, deviceId = null }) {
+    const { rows } = await this.pool.query(
+      `SELECT 1 FROM age_attestations
+       WHERE outcome = 'underage' AND (email_hash = $1 OR device_id = $2)
+       LIMIT 1`,
+      [this.emailHash(email), deviceId]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Keep an underage date of birth given at signup. No account is created, so the
+   * row is tied to the email and device (and to the account, if the email has one).
+   * @param {object} signup - { email, deviceId, dateOfBirth, ip?, userAgent? }
+   * @returns {Promise<number>} The attestation id
+   */
+  async refuseSignup({ email, deviceId, dateOfBirth, ip = null, userAgent = null }) {
+    const age = ageOn(dateOfBirth);
+    const { rows: [row] } = await this.pool.query(
+      `INSERT INTO age_attestations (user_id, email_hash, device_id, date_of_birth, age, outcome, source, ip, user_agent)
+       VALUES ((SELECT user_id FROM users WHERE email = $1), $2, $3, $4, $5, 'underage', 'signup', $6, $7)
+       RETURNING id`,
+      [String(email).trim().toLowerCase(), this.emailHash(email), deviceId, dateOfBirth.trim(), age, ip,
+        userAgent ? String(userAgent).slice(0, 300) : null]
+    );
+    console.warn(`🔞 [age] Signup refused: date of birth under ${this.minimumAge} - email and device locked`);
+    return Number(row.id);
+  }
+
+  isVerified(userId) {
+    return isAgeVerified(this.pool, userId);
+  }
+
+  /**
+   * Where the user stands. Polls a pending check first unless refresh is false.
+   * @returns {Promise<object>} { verified, verifiedAt, locked, minimumAge, attestation, verification }
+   */
+  async getStatus(userId, { refresh = true } = {}) {
+    if (refresh) {
+      await this.refreshVerification(userId).catch((error) => {
+        console.error(`❌ [age] Could not refresh the check for ${userId}:`, error.message);
+      });
+    }
+
+    const [user, attestation, locked, verification] = await Promise.all([
+      this.pool.query(`SELECT age_verified_at FROM users WHERE user_id = $1`, [userId]),
+      this.pool.query(
+        `SELECT id, TO_CHAR(date_of_birth, 'YYYY-MM-DD') AS date_of_birth, outcome, source, created_at
+         FROM age_attestations WHERE user_id = $1 ORDER BY id DESC LIMIT 1`,
+        [userId]
+      ),
+      this.pool.query(`SELECT 1 FROM age_attestations WHERE user_id = $1 AND outcome = 'underage' LIMIT 1`, [userId]),
+      this.pool.query(
+        `SELECT id, provider, reference, status, failure_reason, url, created_at, completed_at
+         FROM age_verifications WHERE user_id = $1 ORDER BY id DESC LIMIT 1`,
+        [userId]
+      ),
+    ]);
+
+    const verifiedAt = user.rows[0]?.age_verified_at || null;
+    const a = attestation.rows[0];
+    const v = verification.rows[0];
+    return {
+      verified: !!verifiedAt,
+      verifiedAt,
+      locked: locked.rows.length > 0,
+      minimumAge: this.minimumAge,
+      attestation: a ? { id: Number(a.id), dateOfBirth: a.date_of_birth, outcome: a.outcome, source: a.source, attestedAt: a.created_at } : null,
+      verification: v ? {
+        id: Number(v.id), provider: v.provider, reference: v.reference, status: v.status,
+        reason: v.failure_reason, url: v.url, startedAt: v.created_at, completedAt: v.completed_at,
+      } : null,
+    };
+  }
+
+  /**
+   * Record the user's date of birth.
+   * @param {string} userId
+   * @param {object} statement
+   * @param {string} statement.dateOfBirth - YYYY-MM-DD
+   * @param {string} [statement.source] - signup | settings
+   * @param {string|null} [statement.ip]
+   * @param {string|null} [statement.userAgent]
+   * @returns {Promise<{ attestationId: number, outcome: string, age: number }>}
+   * @throws {Error} code AGE_BAD_DOB, AGE_ALREADY_VERIFIED or AGE_LOCKED
+   */
+  async attest(userId, { dateOfBirth, source = 'settings', ip = null, userAgent = null }) {
+    const age = ageOn(dateOfBirth);
+    const outcome = age >= this.minimumAge ? 'adult' : 'underage';
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`age:${userId}`]);
+
+      const { rows: [user] } = await client.query(`SELECT age_verified_at FROM users WHERE user_id = $1`, [userId]);
+      if (user?.age_verified_at) {
+        throw ageError('AGE_ALREADY_VERIFIED', 'Your age is already verified; the date of birth can no longer change');
+      }
+      const { rows: underage } = await client.query(
+        `SELECT 1 FROM age_attestations WHERE user_id = $1 AND outcome = 'underage' LIMIT 1`,
+        [userId]
+      );
+      if (underage.length) {
+        throw ageError('AGE_LOCKED', 'An earlier date of birth was under the minimum age; contact support');
+      }
+
+      const { rows: [row] } = await client.query(
+        `INSERT INTO age_attestations (user_id, date_of_birth, age, outcome, source, ip, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [userId, dateOfBirth.trim(), age, outcome, source, ip, userAgent ? String(userAgent).slice(0, 300) : null]
+      );
+
+      await client.query('COMMIT');
+      if (outcome === 'underage') {
+        console.warn(`🔞 [age] ${userId} attested an age under ${this.minimumAge} - adult features locked`);
+      } else {
+        console.log(`🔞 [age] ${userId} attested their date of birth (${source})`);
+      }
+      return { attestationId: Number(row.id), outcome, age };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start a check of the latest attestation with the verifier (or keep the one still pending).
+   * @param {string} userId
+   * @param {object} [options]
+   * @param {string|null} [options.returnUrl] - Where a redirect-based provider sends the user back to
+   * @returns {Promise<object>} The status, see getStatus()
+   * @throws {Error} code AGE_ALREADY_VERIFIED, AGE_LOCKED, AGE_NOT_ATTESTED or AGE_VERIFIER_FAILED
+   */
+  async startVerification(userId, { returnUrl = null } = {}) {
+    const status = await this.getStatus(userId);
+    if (status.verified) throw ageError('AGE_ALREADY_VERIFIED', 'Your age is already verified');
+    if (status.locked) throw ageError('AGE_LOCKED', 'Adult features are locked for this account; contact support');
+    if (status.attestation?.outcome !== 'adult') throw ageError('AGE_NOT_ATTESTED', 'Confirm your date of birth first');
+    if (status.verification?.status === 'pending') return status;
+
+    let check;
+    try {
+      check = await this.verifier.start({ userId, dateOfBirth: status.attestation.dateOfBirth, returnUrl });
+    } catch (error) {
+      throw ageError('AGE_VERIFIER_FAILED', `${this.verifier.name}: ${error.message}`);
+    }
+
+    const { rows: [row] } = await this.pool.query(
+      `INSERT INTO age_verifications (user_id, attestation_id, provider, reference, url)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [userId, status.attestation.id, this.verifier.name, check.reference, check.url || null]
+    );
+    console.log(`🔞 [age] ${this.verifier.name} check started for ${userId}`);
+
+    if (check.status !== 'pending') await this.completeVerification(row.id, check);
+    return this.getStatus(userId, { refresh: false });
+  }
+
+  /** Poll the verifier for the user's pending check, if any */
+  async refreshVerification(userId) {
+    const { rows: [pending] } = await this.pool.query(
+      `SELECT id, reference FROM age_verifications
+       WHERE user_id = $1 AND provider = $2 AND status = 'pending'
+       ORDER BY id DESC LIMIT 1`,
+      [userId, this.verifier.name]
+    );
+    if (!pending) return;
+
+    const result = await this.verifier.check(pending.reference);
+    if (result.status !== 'pending') await this.completeVerification(pending.id, result);
+  }
+
+  /**
+   * Record a check's result; a pass unlocks adult features. A check that is
+   * no longer pending is left alone, so a late or repeated result is harmless.
+   * @param {number} verificationId
+   * @param {{ status: 'verified'|'failed', reason?: string|null }} result
+   */
+  async completeVerification(verificationId, { status, reason = null }) {
+    const { rows: [row] } = await this.pool.query(
+      `UPDATE age_verifications
+       SET status = $2, failure_reason = $3, completed_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING user_id`,
+      [verificationId, status === 'verified' ? 'verified' : 'failed', status === 'verified' ? null : reason || 'FAILED']
+    );
+    if (!row) return;
+
+    if (status === 'verified') {
+      await this.pool.query(
+        `UPDATE users SET age_verified_at = COALESCE(age_verified_at, NOW()), updated_at = NOW() WHERE user_id = $1`,
+        [row.user_id]
+      );
+      console.log(`🔞 [age] ${row.user_id} verified - adult features unlocked`);
+    } else {
+      console.log(`🔞 [age] Check ${verificationId} for ${row.user_id} failed: ${reason || 'FAILED'}`);
+    }
+  }
+
+  /** Every attestation and check for one user, newest first (admin audit) */
+  async auditTrail(userId) {
+    const [attestations, verifications] = await Promise.all([
+      this.pool.query(
+        `SELECT id, TO_CHAR(date_of_birth, 'YYYY-MM-DD') AS date_of_birth, age, outcome, source, ip, user_agent, created_at
+         FROM age_attestations WHERE user_id = $1 ORDER BY id DESC`,
+        [userId]
+      ),
+      this.pool.query(`SELECT * FROM age_verifications WHERE user_id = $1 ORDER BY id DESC`, [userId]),
+    ]);
+    return { attestations: attestations.rows, verifications: verifications.rows };
+  }
+}
+
+/** The verifier named by AGE_VERIFIER; fails closed in production unless the mock is explicitly allowed */
+function createAgeVerifier(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  const kind = (env.AGE_VERIFIER || (production ? 'none' : 'mock')).toLowerCase();
+  if (kind === 'none') return createUnconfiguredVerifier();
+  if (kind === 'mock') {
+    if (production && env.AGE_ALLOW_MOCK_VERIFIER !== 'true') return createUnconfiguredVerifier();
+    return createMockVerifier({ outcome: env.AGE_MOCK_OUTCOME || null, minimumAge: Number(env.AGE_MINIMUM || 18) });
+  }
+  throw new Error(`Unknown AGE_VERIFIER "${kind}" (available: mock, none)`);
+}
+
+function createDefaultAgeAssurance({ pool, env = process.env, secret = env.SESSION_SECRET }) {
+  return new AgeAssuranceService({
+    pool,
+    verifier: createAgeVerifier(env),
+    minimumAge: Number(env.AGE_MINIMUM || 18),
+    secret,
+  });
+}
+
+module.exports = {
+  AgeAssuranceService,
+  createDefaultAgeAssurance,
+  createAgeVerifier,
+  isAgeVerified,
+  ageOn,
+  AGE_GATE_PROMPT,
+};
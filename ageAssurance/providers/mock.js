@@ -0,0 +1,55 @@
+// ============================================================
+// 🧪 MOCK AGE VERIFIER - local stand-in for a verification provider
+// ============================================================
+// Every verifier has the same shape, so a real one (document / face
+// estimation providers) drops in without touching ../index.js:
+//
+//   name, configured
+//   start({ userId, dateOfBirth, returnUrl }) -> { reference, status, url }
+//   check(reference)                          -> { status, reason }
+//
+// status is pending | verified | failed. Redirect-based providers answer
+// start() with pending and a url for the user; check() is polled until the
+// result is in. This one decides on the spot from the attested date of
+// birth, so it proves nothing - it exists for development and the offline
+// run. AGE_MOCK_OUTCOME=verified|failed|pending forces a result.
+// ============================================================
+
+const crypto = require('crypto');
+
+const OUTCOMES = ['verified', 'failed', 'pending'];
+
+/**
+ * @param {object} [options]
+ * @param {string|null} [options.outcome] - Force every check to this status
+ * @param {number} [options.minimumAge]
+ */
+function createMockVerifier({ outcome = null, minimumAge = 18 } = {}) {
+  if (outcome && !OUTCOMES.includes(outcome)) {
+    throw new Error(`AGE_MOCK_OUTCOME must be one of ${OUTCOMES.join(', ')}`);
+  }
+  const checks = new Map();
+
+  return {
+    name: 'mock',
+    configured: true,
+
+    async start({ dateOfBirth }) {
+      const reference = `mock_${crypto.randomUUID()}`;
+      let result = { status: outcome || 'verified', reason: null };
+      if (!outcome) {
+        const cutoff = new Date();
+        cutoff.setUTCFullYear(cutoff.getUTCFullYear() - minimumAge);
+        if (new Date(dateOfBirth) > cutoff) result = { status: 'failed', reason: 'UNDER_MINIMUM_AGE' };
+      }
+      checks.set(reference, result);
+      return { reference, status: result.status, url: null };
+    },
+
+    async check(reference) {
+      return checks.get(reference) || { status: 'failed', reason: 'UNKNOWN_REFERENCE' };
+    },
+  };
+}
+
+module.exports = { createMockVerifier };
@@ -0,0 +1,28 @@
+// ============================================================
+// 🚫 NO AGE VERIFIER - what production gets until a real provider is set
+// ============================================================
+// Same shape as ./mock.js, but every check fails with
+// VERIFIER_NOT_CONFIGURED, so age_verified_at is never set and adult
+// features stay locked. Attestations are still recorded.
+// ============================================================
+
+const crypto = require('crypto');
+
+const NOT_CONFIGURED = { status: 'failed', reason: 'VERIFIER_NOT_CONFIGURED' };
+
+function createUnconfiguredVerifier() {
+  return {
+    name: 'none',
+    configured: false,
+
+    async start() {
+      return { reference: `none_${crypto.randomUUID()}`, ...NOT_CONFIGURED, url: null };
+    },
+
+    async check() {
+      return NOT_CONFIGURED;
+    },
+  };
+}
+
+module.exports = { createUnconfiguredVerifier };
@@ -0,0 +1,198 @@
+// authz.js - Route authorization policies
+// Binds /:userId-style routes to the session user, with admin-key override
+// for cross-user access, and audits the route table so no user-scoped route
+// can be registered without a policy, and only admin routes may act on a
+// user id the client supplies.
+
+const crypto = require('crypto');
+
+// Route params that identify a user or a user-owned row
+const USER_SCOPED_PARAMS = ['userId', 'messageId', 'promiseId', 'jobId', 'memoryId', 'callId'];
+
+const POLICIES = {
+  ADMIN: 'admin',                 // x-admin-key only
+  AUTHENTICATED: 'authenticated', // any logged-in user, acting on themselves via req.userId
+  OWNER_OR_ADMIN: 'owner_or_admin', // :userId (or row owner) must be the session user, or admin key
+  SIGNED_LINK: 'signed_link',     // no session; a short-lived signed token names the user and row
+  OPTIONAL_SESSION: 'optional_session', // visitors without a session get a default answer; acts only on req.userId
+};
+
+// Handler source that acts on the session user, or on a user id taken from the request
+const READS_SESSION_USER = /\breq\.userId\b/;
+const READS_CLIENT_USER_ID = [
+  /\breq\.(?:body|query)\??\.user_?[iI]d\b/,                 // req.body.userId, req.query?.user_id
+  /\{[^{};]*\buserId\b[^{};]*\}\s*=\s*req\.(?:body|query)\b/, // const { userId } = req.body
+];
+
+// Tag a middleware with the policy it enforces so auditRoutePolicies() can see it
+function withPolicy(policy, middleware) {
+  middleware.authzPolicy = policy;
+  return middleware;
+}
+
+// ============================================================
+// ADMIN KEY
+// ============================================================
+
+function hasAdminKey(req) {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.headers['x-admin-key'];
+  if (!expected || typeof provided !== 'string') return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ============================================================
+// DENIAL LOGGING
+// ============================================================
+
+function logDenied(req, reason, target = null) {
+  console.warn(
+    `🚫 [authz] DENIED ${req.method} ${req.originalUrl.split('?')[0]} - ${reason}` +
+    ` (session user: ${req.userId || 'none'}, target: ${target || 'n/a'}, ip: ${req.ip})`
+  );
+}
+
+// ============================================================
+// MIDDLEWARE
+// ============================================================
+
+/**
+ * Marks a route that also answers visitors without a session (language, name,
+ * onboarding state). It passes every request through; the handler must fall
+ * back to a default when req.userId is null and never read a user id from the request.
+ */
+const optionalSession = withPolicy(POLICIES.OPTIONAL_SESSION, (_req, _res, next) => next());
+
+/**
+ * Only the session user may act on /:userId, unless the request carries the admin key.
+ * @param {string} param - Route param holding the target user id
+ */
+function requireOwnerOrAdmin(param = 'userId') {
+  return withPolicy(POLICIES.OWNER_OR_ADMIN, (req, res, next) => {
+    const targetUserId = req.params[param];
+
+    if (hasAdminKey(req)) return next();
+
+    if (!req.userId) {
+      logDenied(req, 'not logged in', targetUserId);
+      return res.status(401).json({ error: 'NOT_LOGGED_IN', message: 'Please log in first.' });
+    }
+
+    if (String(targetUserId) !== String(req.userId)) {
+      logDenied(req, 'cross-user access without admin key', targetUserId);
+      return res.status(403).json({ error: 'FORBIDDEN' });
+    }
+
+    next();
+  });
+}
+
+/**
+ * Same rule for routes addressed by a row id (/api/messages/:messageId/read):
+ * the row's user_id must be the session user, unless the request carries the admin key.
+ * @param {object} pool - pg pool
+ * @param {object} options
+ * @param {string} options.table - Table holding the row
+ * @param {string} options.param - Route param holding the row id
+ * @param {string} [options.ownerColumn] - Column with the owning user id
+ */
+function requireRowOwnerOrAdmin(pool, { table, param, ownerColumn = 'user_id' }) {
+  return withPolicy(POLICIES.OWNER_OR_ADMIN, async (req, res, next) => {
+    if (hasAdminKey(req)) return next();
+
+    if (!req.userId) {
+      logDenied(req, 'not logged in', `${table}#${req.params[param]}`);
+      return res.status(401).json({ error: 'NOT_LOGGED_IN', message: 'Please log in first.' });
+    }
+
+    const rowId = parseInt(req.params[param], 10);
+    if (!Number.isInteger(rowId)) {
+      return res.status(400).json({ error: 'E_BAD_INPUT', message: `Invalid ${param}` });
+    }
+
+    try {
+      const { rows } = await pool.query(`SELECT ${ownerColumn} AS owner FROM ${table} WHERE id = $1`, [rowId]);
+
+      // Same response for "missing" and "someone else's" so ids can't be probed
+      if (!rows.length || String(rows[0].owner) !== String(req.userId)) {
+        if (rows.length) logDenied(req, `row owned by another user`, `${table}#${rowId}`);
+        return res.status(404).json({ error: 'NOT_FOUND' });
+      }
+
+      next();
+    } catch (error) {
+      console.error(`[authz] ownership lookup failed for ${table}#${rowId}:`, error.message);
+      return res.status(500).json({ error: 'AUTHZ_LOOKUP_FAILED' });
+    }
+  });
+}
+
+// ============================================================
+// ROUTE TABLE AUDIT
+// ============================================================
+
+/**
+ * Walk every route registered on an Express app (including routes on mounted
+ * routers) and report:
+ *  - user-scoped routes (any param in USER_SCOPED_PARAMS, or a handler that
+ *    reads req.userId) that have no tagged policy middleware
+ *  - non-admin routes whose handler takes a user id from req.body / req.query,
+ *    which would let a caller act on someone else's data
+ * Handlers are checked by their source text, so the helpers they call are not.
+ * @returns {{ routes: Array<{method, path, userScoped, clientUserId, policies}>, violations: Array<string> }}
+ */
+function auditRoutePolicies(app) {
+  const routes = [];
+  const violations = [];
+
+  const visit = (stack) => {
+    for (const layer of stack) {
+      // Routers are mounted without a path prefix, so their route paths are already absolute
+      if (!layer.route) {
+        if (layer.name === 'router' && layer.handle && Array.isArray(layer.handle.stack)) visit(layer.handle.stack);
+        continue;
+      }
+
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      const methods = Object.keys(layer.route.methods).map(m => m.toUpperCase());
+      const handlers = layer.route.stack.map(l => l.handle).filter(Boolean);
+      const policies = handlers.map(h => h.authzPolicy).filter(Boolean);
+      const source = handlers.filter(h => !h.authzPolicy).map(h => Function.prototype.toString.call(h)).join('\n');
+
+      const readsSessionUser = READS_SESSION_USER.test(source);
+      const clientUserId = READS_CLIENT_USER_ID.some(re => re.test(source));
+
+      for (const routePath of paths) {
+        if (typeof routePath !== 'string') continue;
+
+        const userScoped = readsSessionUser || USER_SCOPED_PARAMS.some(param => routePath.includes(`:${param}`));
+        for (const method of methods) {
+          routes.push({ method, path: routePath, userScoped, clientUserId, policies });
+          if (userScoped && policies.length === 0) {
+            violations.push(`${method} ${routePath} (user-scoped, no policy)`);
+          } else if (clientUserId && !policies.includes(POLICIES.ADMIN)) {
+            violations.push(`${method} ${routePath} (user id from body/query without the admin policy)`);
+          }
+        }
+      }
+    }
+  };
+
+  visit(app._router?.stack || []);
+  return { routes, violations };
+}
+
+module.exports = {
+  POLICIES,
+  USER_SCOPED_PARAMS,
+  withPolicy,
+  hasAdminKey,
+  logDenied,
+  optionalSession,
+  requireOwnerOrAdmin,
+  requireRowOwnerOrAdmin,
+  auditRoutePolicies,
+};
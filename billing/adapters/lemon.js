@@ -0,0 +1,102 @@
+// ============================================================
+// 🍋 LEMON SQUEEZY ADAPTER
+// ============================================================
+// Webhooks are raw JSON signed with HMAC-SHA256 (X-Signature header).
+// Tiers come from variant ids: LEMON_VARIANT_STARTER / _PLUS / _PREMIUM.
+
+const crypto = require('crypto');
+
+// Lemon subscription status -> normalized status
+const STATUS_MAP = {
+  active: 'active',
+  paid: 'active',
+  on_trial: 'trialing',
+  past_due: 'past_due',
+  unpaid: 'expired',
+  paused: 'cancelled',
+  cancelled: 'cancelled',
+  expired: 'expired',
+};
+
+const PAID = ['active', 'trialing', 'past_due'];
+
+// Events whose status decides between granting and revoking access
+const SUBSCRIPTION_STATE_EVENTS = [
+  'subscription_created',
+  'subscription_updated',
+  'subscription_resumed',
+  'subscription_unpaused',
+  'subscription_paused',
+];
+
+function createLemonAdapter({ signingSecret, variants = {} } = {}) {
+  // variant id -> tier key
+  const tierByVariant = {};
+  for (const [tier, variantId] of Object.entries(variants)) {
+    if (variantId) tierByVariant[String(variantId)] = tier;
+  }
+
+  return {
+    provider: 'lemon',
+    accountColumns: ['lemon_customer_id', 'lemon_subscription_id'],
+
+    isConfigured() {
+      return Boolean(signingSecret);
+    },
+
+    verifySignature(delivery) {
+      const sigHeader = delivery.headers["x-signature"] || delivery.headers["x-lemon-signature"] || "";
+      const expected = crypto.createHmac("sha256", signingSecret).update(delivery.body).digest("hex");
+      const a = Buffer.from(sigHeader);
+      const b = Buffer.from(expected);
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    },
+
+    // Lemon sends no event id - the service dedupes on a hash of the body
+    eventId() {
+      return null;
+    },
+
+    parseEvent(delivery) {
+      const evt = JSON.parse(delivery.body.toString("utf8"));
+      const attrs = evt?.data?.attributes || {};
+      const type = evt?.meta?.event_name || evt?.event || 'unknown';
+      const status = STATUS_MAP[String(attrs.status || "").toLowerCase()] || null;
+
+      let action = 'ignore';
+      if (SUBSCRIPTION_STATE_EVENTS.includes(type)) {
+        action = PAID.includes(status) ? 'activate' : 'revoke';
+      } else if (type === 'subscription_cancelled' || type === 'subscription_expired') {
+        action = 'revoke';
+      } else if (type === 'subscription_payment_success') {
+        action = 'renew';
+      }
+
+      const email = attrs.user_email || attrs.email || evt?.meta?.custom_data?.email || null;
+
+      return {
+        provider: 'lemon',
+        eventId: null,
+        type,
+        action,
+        status: action === 'renew' ? 'active' : status,
+        email: email ? email.toLowerCase() : null,
+        userId: null,
+        productRef: attrs.variant_id ? String(attrs.variant_id) : null,
+        periodEnd: attrs.renews_at || attrs.ends_at || null,
+        amount: null,
+        currency: null,
+        account: type.startsWith('subscription_') && !type.startsWith('subscription_payment')
+          ? { lemon_customer_id: attrs.customer_id || null, lemon_subscription_id: evt?.data?.id || null }
+          : {},
+        metadata: {},
+      };
+    },
+
+    mapToTier(event) {
+      return (event.productRef && tierByVariant[event.productRef]) || null;
+    },
+  };
+}
+
+module.exports = { createLemonAdapter };
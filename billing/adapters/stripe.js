@@ -0,0 +1,58 @@
+// ============================================================
+// 💳 STRIPE ADAPTER (one-off gift purchases)
+// ============================================================
+// Stripe only sells gifts today, so its events are 'purchase' actions with
+// no tier. The caller fulfils the purchase from event.metadata.
+
+function createStripeAdapter({ stripe, webhookSecret } = {}) {
+  return {
+    provider: 'stripe',
+    accountColumns: [],
+
+    isConfigured() {
+      return Boolean(stripe);
+    },
+
+    verifySignature(delivery) {
+      try {
+        stripe.webhooks.constructEvent(delivery.body, delivery.headers['stripe-signature'], webhookSecret);
+        return true;
+      } catch (error) {
+        console.warn(`[stripe] Signature check failed: ${error.message}`);
+        return false;
+      }
+    },
+
+    eventId(delivery) {
+      return JSON.parse(delivery.body.toString('utf8')).id || null;
+    },
+
+    parseEvent(delivery) {
+      const event = JSON.parse(delivery.body.toString('utf8'));
+      const object = event?.data?.object || {};
+      const isPurchase = event?.type === 'payment_intent.succeeded';
+
+      return {
+        provider: 'stripe',
+        eventId: event?.id || null,
+        type: event?.type || 'unknown',
+        action: isPurchase ? 'purchase' : 'ignore',
+        status: null,
+        email: null,
+        userId: object.metadata?.userId || null,
+        productRef: object.metadata?.giftId || null,
+        periodEnd: null,
+        amount: typeof object.amount_received === 'number' ? object.amount_received / 100 : null,
+        currency: object.currency || null,
+        account: {},
+        metadata: { ...(object.metadata || {}), paymentIntentId: object.id || null },
+      };
+    },
+
+    mapToTier() {
+      return null;
+    },
+  };
+}
+
+module.exports = { createStripeAdapter };
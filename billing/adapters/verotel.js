@@ -0,0 +1,88 @@
+// ============================================================
+// 🔞 VEROTEL FLEXPAY ADAPTER
+// ============================================================
+// Postbacks arrive as GET query params (POST bodies are redirected to the
+// GET handler), signed with sha256 over the sorted params. The buyer's email
+// rides along in custom1. FlexPay plans don't carry a tier of their own -
+// VEROTEL_TIER picks one; without it a Verotel subscription grants paid
+// chat access with no voice minutes.
+
+const crypto = require('crypto');
+
+/**
+ * Verotel signature
+ * Format: sha256(signatureKey:param1=value1:param2=value2:...)
+ * Parameters sorted alphabetically by name, signature and email excluded
+ */
+function verotelSignature(signatureKey, params) {
+  const { signature, email, ...rest } = params;
+  const sortedKeys = Object.keys(rest).sort();
+
+  const parts = [signatureKey];
+  for (const key of sortedKeys) {
+    if (rest[key] !== undefined && rest[key] !== null && rest[key] !== '') {
+      parts.push(`${key}=${rest[key]}`);
+    }
+  }
+  return crypto.createHash('sha256').update(parts.join(':'), 'utf8').digest('hex');
+}
+
+const ACTIONS = {
+  initial: 'activate',
+  rebill: 'renew',
+  cancel: 'revoke',
+  expiry: 'revoke',
+};
+
+function createVerotelAdapter({ signatureKey, tier = null } = {}) {
+  return {
+    provider: 'verotel',
+    accountColumns: ['verotel_sale_id', 'verotel_subscription_expires'],
+
+    isConfigured() {
+      return Boolean(signatureKey);
+    },
+
+    verifySignature(delivery) {
+      const provided = delivery.query.signature;
+      if (!provided) return false;
+      return String(provided).toLowerCase() === verotelSignature(signatureKey, delivery.query);
+    },
+
+    // Chargebacks and credits reuse the sale's transactionID, so the event name is part of the id
+    eventId(delivery) {
+      const { event, transactionID } = delivery.query;
+      return transactionID ? `${event}:${transactionID}` : null;
+    },
+
+    parseEvent(delivery) {
+      const { event, saleID, transactionID, custom1, nextChargeOn, expiresOn, priceAmount, priceCurrency } = delivery.query;
+      const action = ACTIONS[event] || 'ignore';
+      const periodEnd = nextChargeOn || expiresOn || null;
+
+      return {
+        provider: 'verotel',
+        eventId: transactionID || null,
+        type: event || 'unknown',
+        action,
+        status: action === 'revoke' ? 'cancelled' : action === 'ignore' ? null : 'active',
+        email: custom1 ? custom1.toLowerCase() : null,
+        userId: null,
+        productRef: null,
+        periodEnd,
+        amount: priceAmount ? Number(priceAmount) : null,
+        currency: priceCurrency || null,
+        account: action === 'activate' || action === 'renew'
+          ? { verotel_sale_id: saleID || null, verotel_subscription_expires: periodEnd }
+          : {},
+        metadata: { saleID: saleID || null },
+      };
+    },
+
+    mapToTier() {
+      return tier;
+    },
+  };
+}
+
+module.exports = { createVerotelAdapter, verotelSignature };
@@ -0,0 +1,259 @@
+// ============================================================
+// ⏱️ CALL METER - live voice-minute billing for real-time calls
+// ============================================================
+// One CallMeter per /ws/phone call. Minutes are charged to
+// users.voice_minutes_used as each minute of the call begins (the same
+// round-up as trackVoiceUsage), never past the user's limit, so a call
+// ends when the next minute can't be paid for. Every call gets a
+// voice_call_usage row (migration 0009) with its length, the minutes
+// charged and what each vendor was used for, for reconciliation.
+// ============================================================
+
+// Rough list prices (USD) for the cost estimate on each usage row; vendor invoices are the truth
+const PROVIDER_RATES = {
+  deepgram:      { perMinute: 0.0043 },
+  deepgram_live: { perMinute: 0.0077 }, // streamed audio, billed while the caller has the line
+  whisper:       { perMinute: 0.006 },
+  elevenlabs:    { per1kChars: 0.18 },
+  hume:          { per1kChars: 0.15 },
+  cartesia:      { per1kChars: 0.065 },
+  openai:        { per1kChars: 0.015 },
+};
+
+function estimateCost(providerUsage, rates) {
+  let total = 0;
+  for (const [provider, usage] of Object.entries(providerUsage)) {
+    const rate = rates[provider];
+    if (!rate) continue;
+    if (rate.perMinute) total += (usage.seconds || 0) / 60 * rate.perMinute;
+    if (rate.per1kChars) total += (usage.characters || 0) / 1000 * rate.per1kChars;
+  }
+  return Math.round(total * 10000) / 10000;
+}
+
+class CallMeter {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {string} options.userId
+   * @param {string} options.tier - Tier at call start (recorded on the usage row)
+   * @param {number} options.tierMinutes - Tier allowance, used when users.voice_minutes_limit is 0 (as getUserTierLimits does)
+   * @param {string} [options.channel] - Usage row channel
+   * @param {number} [options.warnSeconds] - onWarning fires once when this much call time is left
+   * @param {number} [options.tickMs] - How often the meter checks the clock
+   * @param {function} [options.onWarning] - ({ secondsLeft, minutesUsed, minutesLimit }) => void
+   * @param {function} [options.onExhausted] - ({ minutesUsed, minutesLimit }) => void; the caller ends the call
+   * @param {object} [options.clock] - { setInterval, clearInterval }
+   * @param {function} [options.now] - ms timestamp
+   * @param {object} [options.rates] - Provider rates for the cost estimate (default PROVIDER_RATES)
+   */
+  constructor({
+    pool,
+    userId,
+    tier,
+    tierMinutes,
+    channel = 'phone',
+    warnSeconds = 60,
+    tickMs = 5000,
+    onWarning = () => {},
+    onExhausted = () => {},
+    clock = { setInterval, clearInterval },
+    now = Date.now,
+    rates = PROVIDER_RATES,
+  }) {
+    this.pool = pool;
+    this.userId = userId;
+    this.tier = tier;
+    this.tierMinutes = tierMinutes;
+    this.channel = channel;
+    this.warnSeconds = warnSeconds;
+    this.tickMs = tickMs;
+    this.onWarning = onWarning;
+    this.onExhausted = onExhausted;
+    this.clock = clock;
+    this.now = now;
+    this.rates = rates;
+
+    this.callId = null;
+    this.startedAt = null;
+    this.minutesCharged = 0;
+    this.minutesUsed = 0;
+    this.minutesLimit = 0;
+    this.providerUsage = {};
+    this.turns = 0;
+    this.warned = false;
+    this.ended = false;
+    this.endReason = null;
+    this.timer = null;
+    this.ticking = null;
+    this.starting = false;
+  }
+
+  /**
+   * Open the usage row, charge the first minute and start ticking.
+   * @returns {Promise<boolean>} false if not even one minute could be charged, or the
+   *   meter was stopped while starting (call must not start)
+   */
+  async start() {
+    if (this.ended) return false;
+    this.starting = true;
+    try {
+      this.startedAt = this.now();
+      const { rows } = await this.pool.query(
+        `INSERT INTO voice_call_usage (user_id, channel, tier, started_at)
+         VALUES ($1, $2, $3, to_timestamp($4 / 1000.0))
+         RETURNING id`,
+        [this.userId, this.channel, this.tier, this.startedAt]
+      );
+      this.callId = rows[0].id;
+
+      if (!this.ended) await this.charge(1);
+      // stop() came while we were starting: close the row, never arm the timer
+      if (this.ended) {
+        await this.save({ endReason: this.endReason });
+        console.log(`⏱️ [call-meter] Call ${this.callId} ended (${this.endReason}) while starting: ${this.minutesCharged} min charged`);
+        return false;
+      }
+      if (this.minutesCharged < 1) {
+        await this.finish('no_minutes');
+        return false;
+      }
+
+      this.timer = this.clock.setInterval(() => {
+        // One tick at a time; a slow DB just skips beats
+        if (this.ticking) return;
+        this.ticking = this.tick()
+          .catch(err => console.error(`[call-meter] Tick failed for call ${this.callId}:`, err.message))
+          .finally(() => { this.ticking = null; });
+      }, this.tickMs);
+
+      console.log(`⏱️ [call-meter] Call ${this.callId} started for ${this.userId} (${this.minutesLimit - this.minutesUsed} min left)`);
+      return true;
+    } finally {
+      this.starting = false;
+    }
+  }
+
+  elapsedSeconds() {
+    return Math.max(0, (this.now() - this.startedAt) / 1000);
+  }
+
+  // Call time left: the unused part of the minute already paid for, plus whole minutes still available
+  secondsLeft() {
+    const paidUntil = this.minutesCharged * 60 - this.elapsedSeconds();
+    return Math.max(0, paidUntil + Math.max(0, this.minutesLimit - this.minutesUsed) * 60);
+  }
+
+  async tick() {
+    if (this.ended) return;
+
+    const due = Math.max(1, Math.ceil(this.elapsedSeconds() / 60));
+    if (due > this.minutesCharged) {
+      await this.charge(due - this.minutesCharged);
+      if (this.minutesCharged < due) {
+        console.log(`⏱️ [call-meter] Call ${this.callId} out of minutes (${this.minutesUsed}/${this.minutesLimit})`);
+        await this.finish('minutes_exhausted');
+        this.onExhausted({ minutesUsed: this.minutesUsed, minutesLimit: this.minutesLimit });
+        return;
+      }
+      await this.save();
+    }
+
+    const secondsLeft = this.secondsLeft();
+    if (secondsLeft <= this.warnSeconds && !this.warned) {
+      this.warned = true;
+      this.onWarning({ secondsLeft: Math.floor(secondsLeft), minutesUsed: this.minutesUsed, minutesLimit: this.minutesLimit });
+    } else if (secondsLeft > this.warnSeconds) {
+      this.warned = false; // minutes were added mid-call
+    }
+  }
+
+  // Charge up to `minutes`, capped at what the user has left. Locks the row so parallel calls can't overspend.
+  async charge(minutes) {
+    const { rows } = await this.pool.query(
+      `WITH current AS (
+         SELECT voice_minutes_used AS used,
+                COALESCE(NULLIF(voice_minutes_limit, 0), $3::int) AS minutes_limit
+         FROM users WHERE user_id = $1
+         FOR UPDATE
+       )
+       UPDATE users u
+       SET voice_minutes_used = u.voice_minutes_used + LEAST($2::int, GREATEST(c.minutes_limit - c.used, 0)),
+           updated_at = NOW()
+       FROM current c
+       WHERE u.user_id = $1
+       RETURNING LEAST($2::int, GREATEST(c.minutes_limit - c.used, 0)) AS granted,
+                 u.voice_minutes_used AS used, c.minutes_limit`,
+      [this.userId, minutes, this.tierMinutes]
+    );
+    if (!rows.length) return 0;
+
+    const granted = Number(rows[0].granted);
+    this.minutesCharged += granted;
+    this.minutesUsed = Number(rows[0].used);
+    this.minutesLimit = Number(rows[0].minutes_limit);
+    return granted;
+  }
+
+  recordStt(provider, seconds) {
+    const usage = this.providerUsage[provider] || (this.providerUsage[provider] = {});
+    usage.seconds = Math.round(((usage.seconds || 0) + seconds) * 100) / 100;
+  }
+
+  recordTts(provider, characters) {
+    const usage = this.providerUsage[provider] || (this.providerUsage[provider] = {});
+    usage.characters = (usage.characters || 0) + characters;
+  }
+
+  recordTurn() {
+    this.turns++;
+  }
+
+  async save({ endReason = null } = {}) {
+    await this.pool.query(
+      `UPDATE voice_call_usage
+       SET seconds = $2, minutes_charged = $3, provider_usage = $4, estimated_cost_usd = $5, turns = $6,
+           end_reason = COALESCE($7, end_reason),
+           ended_at = CASE WHEN $7::text IS NULL THEN ended_at ELSE NOW() END
+       WHERE id = $1`,
+      [
+        this.callId, Math.round(this.elapsedSeconds()), this.minutesCharged,
+        JSON.stringify(this.providerUsage), estimateCost(this.providerUsage, this.rates), this.turns, endReason,
+      ]
+    );
+  }
+
+  /**
+   * End metering (idempotent) and close the usage row. A call never gets
+   * charged past its last started minute or the user's limit.
+   */
+  async stop(endReason = 'hangup') {
+    if (this.ended) return;
+    if (this.starting || this.callId === null) {
+      // Not started yet: start() sees this and closes the row itself
+      this.ended = true;
+      this.endReason = endReason;
+      return;
+    }
+    if (this.timer) this.clock.clearInterval(this.timer);
+    if (this.ticking) await this.ticking;
+    if (this.ended) return; // that tick ran out of minutes and closed the row
+    await this.finish(endReason);
+  }
+
+  async finish(endReason) {
+    this.ended = true;
+    this.endReason = endReason;
+    if (this.timer) this.clock.clearInterval(this.timer);
+
+    const due = Math.max(1, Math.ceil(this.elapsedSeconds() / 60));
+    if (endReason === 'hangup' && due > this.minutesCharged) {
+      await this.charge(due - this.minutesCharged);
+    }
+
+    await this.save({ endReason });
+    console.log(`⏱️ [call-meter] Call ${this.callId} ended (${endReason}): ${Math.round(this.elapsedSeconds())}s, ${this.minutesCharged} min charged`);
+  }
+}
+
+module.exports = { CallMeter, PROVIDER_RATES, estimateCost };
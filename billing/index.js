@@ -0,0 +1,470 @@
+// ============================================================
+// 💳 BILLING
+// ============================================================
+// One adapter per payment processor under ./adapters, all sharing the
+// isConfigured / verifySignature / eventId / parseEvent / mapToTier interface.
+// BillingService stores every verified webhook raw in webhook_events (deduped
+// on provider + event id, replayable by an admin), turns it into a normalized
+// event in the billing_events ledger and changes access only through
+// applyEntitlement(), so a new processor is just a new adapter.
+// ============================================================
+
+const crypto = require('crypto');
+const { TIERS, PAID_STATUSES } = require('./tiers');
+const { createLemonAdapter } = require('./adapters/lemon');
+const { createVerotelAdapter } = require('./adapters/verotel');
+const { createStripeAdapter } = require('./adapters/stripe');
+
+/**
+ * @typedef {object} BillingEvent - What every adapter's parseEvent() returns
+ * @property {string} provider
+ * @property {string|null} eventId - Provider's id for the event, when it sends one
+ * @property {string} type - Provider's own event name
+ * @property {string} action - activate | renew | revoke | purchase | ignore
+ * @property {string|null} status - active | trialing | past_due | cancelled | expired
+ * @property {string|null} email
+ * @property {string|null} userId
+ * @property {string|null} productRef - Provider product / variant id (mapToTier input)
+ * @property {string|null} periodEnd
+ * @property {number|null} amount
+ * @property {string|null} currency
+ * @property {object} account - users columns linking the account to the provider (adapter.accountColumns)
+ * @property {object} metadata - Provider details the caller needs (e.g. the gift id)
+ */
+
+// Processed webhook_events rows are kept this long to catch provider retries
+const WEBHOOK_RETENTION_DAYS = 30;
+
+// A delivery left in 'processing' this long (crash mid-way) can be claimed again
+const STUCK_PROCESSING_MINUTES = 10;
+
+// What adapters read: the raw body bytes, the query string and the (lower-case) headers.
+// Stored as-is in webhook_events so a replay sees exactly what arrived.
+// A body some parser already turned into an object has lost the signed bytes - that is a
+// mounting bug (route registered after express.json()), never an empty delivery.
+function deliveryFromRequest(req) {
+  if (req.body !== undefined && !Buffer.isBuffer(req.body) && typeof req.body !== 'string') {
+    throw billingError('BILLING_BODY_PARSED', 'Webhook body was already parsed - mount the route before express.json() and read it raw');
+  }
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body || '', 'utf8');
+  return { body, query: { ...req.query }, headers: req.headers };
+}
+
+// Dedupe key for providers that send no event id: identical redeliveries hash the same
+function deliveryDigest(delivery) {
+  const query = Object.keys(delivery.query).sort().map(k => `${k}=${delivery.query[k]}`).join('&');
+  return `sha256:${crypto.createHash('sha256').update(delivery.body).update('\n').update(query).digest('hex')}`;
+}
+
+function billingError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class BillingService {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {Array<object>} [options.adapters] - One per provider
+   * @param {function} [options.onActivated] - async (userId) when a user goes from unpaid to paid
+   * @param {function} [options.onPurchase] - async (event, userId) fulfils a one-off purchase
+   * @param {function} [options.isErasedEmail] - async (email) true if that account was erased
+   */
+  constructor({ pool, adapters = [], onActivated = null, onPurchase = null, isErasedEmail = async () => false }) {
+    this.pool = pool;
+    this.onActivated = onActivated;
+    this.onPurchase = onPurchase;
+    this.isErasedEmail = isErasedEmail;
+    this.adapters = new Map();
+    for (const adapter of adapters) this.register(adapter);
+  }
+
+  register(adapter) {
+    if (!adapter || !adapter.provider || typeof adapter.parseEvent !== 'function') {
+      throw new Error('Billing adapter must have a provider and a parseEvent() function');
+    }
+    this.adapters.set(adapter.provider, adapter);
+    return this;
+  }
+
+  get(provider) {
+    const adapter = this.adapters.get(provider);
+    if (!adapter) throw new Error(`Unknown billing provider: ${provider}`);
+    return adapter;
+  }
+
+  // Every users column any adapter may write - applyEntitlement() refuses others
+  accountColumns() {
+    return new Set([...this.adapters.values()].flatMap(a => a.accountColumns || []));
+  }
+
+  // ============================================================
+  // 📥 WEBHOOKS
+  // ============================================================
+
+  /**
+   * Verify a provider webhook, store it raw in webhook_events, then process it.
+   * A delivery already processed (or being processed) comes back as a duplicate
+   * without touching anything; one that failed before is processed again.
+   * Throws error.code BILLING_NOT_CONFIGURED / BILLING_BAD_SIGNATURE before
+   * anything is written; the caller maps those to the provider's expected response.
+   * BILLING_BODY_PARSED means the route was mounted after a body parser.
+   * @returns {Promise<{ duplicate: boolean, webhookEventId: number, event?: BillingEvent, userId?: string|null, outcome: string }>}
+   */
+  async handleWebhook(provider, req) {
+    const adapter = this.get(provider);
+    if (!adapter.isConfigured()) {
+      throw billingError('BILLING_NOT_CONFIGURED', `${provider} billing is not configured`);
+    }
+
+    const delivery = deliveryFromRequest(req);
+    if (!adapter.verifySignature(delivery)) {
+      throw billingError('BILLING_BAD_SIGNATURE', `${provider} webhook signature is invalid`);
+    }
+
+    const eventId = adapter.eventId(delivery) || deliveryDigest(delivery);
+    const webhookEventId = await this.receive(provider, eventId, delivery);
+
+    if (!(await this.claim(webhookEventId))) {
+      console.log(`💳 [billing] ${provider} ${eventId} already handled - duplicate delivery ignored`);
+      return { duplicate: true, webhookEventId, outcome: 'duplicate' };
+    }
+    return this.process(webhookEventId, adapter, delivery);
+  }
+
+  /**
+   * Process a stored webhook again (admin). Only failed deliveries, or ones
+   * stuck in processing, can be replayed - a processed one would apply twice.
+   */
+  async replay(webhookEventId) {
+    const { rows } = await this.pool.query(
+      `SELECT id, provider, payload, query FROM webhook_events WHERE id = $1`,
+      [webhookEventId]
+    );
+    if (!rows.length) throw billingError('WEBHOOK_NOT_FOUND', `No webhook event ${webhookEventId}`);
+
+    const row = rows[0];
+    const adapter = this.get(row.provider);
+    if (!(await this.claim(row.id))) {
+      throw billingError('WEBHOOK_NOT_REPLAYABLE', `Webhook event ${row.id} is not failed or stuck`);
+    }
+
+    console.log(`🔁 [billing] Replaying ${row.provider} webhook #${row.id}`);
+    return this.process(row.id, adapter, { body: row.payload || Buffer.alloc(0), query: row.query || {}, headers: {} });
+  }
+
+  async listWebhookEvents({ status = null, provider = null, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT id, provider, event_id, status, attempts, duplicates, user_id, last_error,
+              received_at, updated_at, processed_at
+       FROM webhook_events
+       WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::text IS NULL OR provider = $2)
+       ORDER BY received_at DESC
+       LIMIT $3`,
+      [status, provider, limit]
+    );
+    return rows;
+  }
+
+  // Processed deliveries are kept long enough to catch provider retries (days), then dropped
+  async purgeWebhookEvents(days = WEBHOOK_RETENTION_DAYS) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM webhook_events
+       WHERE status = 'processed' AND processed_at < NOW() - ($1 || ' days')::INTERVAL`,
+      [String(days)]
+    );
+    if (rowCount) console.log(`🧹 [billing] Purged ${rowCount} processed webhook events`);
+    return rowCount;
+  }
+
+  // Store the delivery; a redelivery of the same event only bumps its counter
+  async receive(provider, eventId, delivery) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO webhook_events (provider, event_id, payload, query)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, event_id)
+       DO UPDATE SET duplicates = webhook_events.duplicates + 1, updated_at = webhook_events.updated_at
+       RETURNING id`,
+      [provider, eventId, delivery.body, JSON.stringify(delivery.query)]
+    );
+    return rows[0].id;
+  }
+
+  // received / failed / stuck -> processing. Only one caller can win.
+  async claim(webhookEventId) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE webhook_events
+       SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+       WHERE id = $1
+         AND (status IN ('received', 'failed')
+              OR (status = 'processing' AND updated_at < NOW() - ($2 || ' minutes')::INTERVAL))`,
+      [webhookEventId, String(STUCK_PROCESSING_MINUTES)]
+    );
+    return rowCount > 0;
+  }
+
+  async process(webhookEventId, adapter, delivery) {
+    let event = null;
+    let ledgerId = null;
+
+    try {
+      event = adapter.parseEvent(delivery);
+      event.tier = adapter.mapToTier(event);
+      ledgerId = await this.recordEvent(event, webhookEventId);
+
+      const userId = await this.resolveUser(event);
+      let outcome;
+
+      if (!userId) {
+        outcome = 'unmatched';
+      } else if (event.action === 'activate' || event.action === 'renew' || event.action === 'revoke') {
+        await this.applyEntitlement(userId, event.action === 'revoke' ? 'none' : event.tier, {
+          status: event.status || (event.action === 'revoke' ? 'cancelled' : 'active'),
+          endsAt: event.periodEnd,
+          newCycle: event.action === 'renew',
+          source: `${event.provider}:${event.type}`,
+        }, { account: event.account });
+        outcome = 'applied';
+      } else if (event.action === 'purchase' && this.onPurchase) {
+        await this.onPurchase(event, userId);
+        outcome = 'applied';
+      } else {
+        outcome = event.action === 'purchase' ? 'recorded' : 'ignored';
+      }
+
+      await this.finishEvent(ledgerId, { outcome, userId });
+      await this.pool.query(
+        `UPDATE webhook_events
+         SET status = 'processed', user_id = $2, last_error = NULL, processed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [webhookEventId, userId]
+      );
+
+      console.log(`💳 [billing] ${event.provider} ${event.type} → ${event.action} (${outcome}${event.tier ? `, tier=${event.tier}` : ''})`);
+      return { duplicate: false, webhookEventId, event, userId, outcome };
+    } catch (error) {
+      if (ledgerId) await this.finishEvent(ledgerId, { outcome: 'failed', error: error.message }).catch(() => {});
+      await this.pool.query(
+        `UPDATE webhook_events SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+        [webhookEventId, String(error.message).substring(0, 500)]
+      ).catch(() => {});
+      throw error;
+    }
+  }
+
+  // One ledger row per stored webhook - a retry or replay updates it in place
+  async recordEvent(event, webhookEventId) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO billing_events
+         (webhook_event_id, provider, provider_event_id, event_type, action, status, user_id, tier,
+          product_ref, amount, currency, period_end)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (webhook_event_id)
+       DO UPDATE SET outcome = 'received', error = NULL, processed_at = NULL
+       RETURNING id`,
+      [
+        webhookEventId, event.provider, event.eventId, event.type, event.action, event.status,
+        event.userId, event.tier, event.productRef, event.amount, event.currency, event.periodEnd,
+      ]
+    );
+    return rows[0].id;
+  }
+
+  async finishEvent(ledgerId, { outcome, userId = null, error = null }) {
+    await this.pool.query(
+      `UPDATE billing_events
+       SET outcome = $2, user_id = COALESCE(user_id, $3), error = $4, processed_at = NOW()
+       WHERE id = $1`,
+      [ledgerId, outcome, userId, error ? String(error).substring(0, 500) : null]
+    );
+  }
+
+  /**
+   * Who an event is for. A payment from an email we haven't seen yet creates
+   * the account (same as a first login), so the entitlement is waiting for them -
+   * unless that email's account was erased: a rebill the customer never
+   * cancelled must not bring it back.
+   */
+  async resolveUser(event) {
+    if (event.userId) return event.userId;
+    if (!event.email) return null;
+
+    const existing = async () => {
+      const { rows } = await this.pool.query(
+        `SELECT user_id FROM users WHERE LOWER(email) = LOWER($1) LIMIT 1`,
+        [event.email]
+      );
+      return rows[0]?.user_id || null;
+    };
+
+    if (event.action === 'activate' || event.action === 'renew') {
+      if (await this.isErasedEmail(event.email)) {
+        const userId = await existing(); // they signed up again since
+        if (!userId) console.warn(`🪦 [billing] ${event.provider} ${event.type} for an erased account - not recreating it`);
+        return userId;
+      }
+      const { rows } = await this.pool.query(
+        `INSERT INTO users (email, user_id) VALUES ($1, $2)
+         ON CONFLICT (email) DO UPDATE SET
+           updated_at = NOW(),
+           user_id = COALESCE(users.user_id, EXCLUDED.user_id)
+         RETURNING user_id`,
+        [event.email, crypto.randomUUID()]
+      );
+      return rows[0].user_id;
+    }
+
+    return existing();
+  }
+
+  // ============================================================
+  // 🎟️ ENTITLEMENT - the only writer of paid / tier / minutes
+  // ============================================================
+
+  /**
+   * Grant, renew or revoke a user's subscription.
+   * A paid status grants `tier` (null keeps the current one); anything else revokes to 'none'.
+   * A new tier, a fresh activation, `newCycle` or explicit `minutes` start a new billing cycle.
+   * @param {string} userId
+   * @param {string|null} tier - Key of TIERS
+   * @param {object} [period]
+   * @param {string} [period.status] - Normalized status (default 'active')
+   * @param {string} [period.endsAt] - Current period end, mirrored into subscriptions
+   * @param {boolean} [period.newCycle] - Renewal: reset minutes used
+   * @param {number} [period.minutes] - Override the tier's monthly minutes
+   * @param {string} [period.source] - For the log line
+   * @param {object} [options]
+   * @param {object} [options.account] - Provider columns to store on users
+   */
+  async applyEntitlement(userId, tier, period = {}, { account = {} } = {}) {
+    const { status = 'active', endsAt = null, newCycle = false, minutes = null, source = 'manual' } = period;
+    if (tier && !TIERS[tier]) throw new Error(`Invalid tier: ${tier}`);
+
+    const allowed = this.accountColumns();
+    const accountFields = Object.entries(account)
+      .filter(([column, value]) => allowed.has(column) && value !== null && value !== undefined);
+
+    const paid = PAID_STATUSES.includes(status);
+    const client = await this.pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT email, paid, subscription_tier FROM users WHERE user_id = $1 FOR UPDATE`,
+        [userId]
+      );
+      if (!rows.length) throw new Error(`No user ${userId}`);
+      const current = rows[0];
+      const currentTier = current.subscription_tier || 'none';
+
+      if (paid) {
+        const nextTier = tier || currentTier;
+        const startCycle = nextTier !== currentTier || !current.paid || newCycle || minutes !== null;
+        const setLimit = nextTier !== currentTier || !current.paid || minutes !== null;
+        const limit = minutes !== null ? minutes : TIERS[nextTier].monthlyMinutes;
+
+        await client.query(
+          `UPDATE users
+           SET paid = TRUE,
+               subscription_tier = $2,
+               subscription_status = $3,
+               voice_minutes_limit = CASE WHEN $4 THEN $5 ELSE voice_minutes_limit END,
+               voice_minutes_used = CASE WHEN $6 THEN 0 ELSE voice_minutes_used END,
+               billing_cycle_start = CASE WHEN $6 THEN NOW() ELSE billing_cycle_start END,
+               updated_at = NOW()
+           WHERE user_id = $1`,
+          [userId, nextTier, status, setLimit, limit, startCycle]
+        );
+        result = { userId, tier: nextTier, status, paid, cycleReset: startCycle, activated: !current.paid };
+      } else {
+        await client.query(
+          `UPDATE users
+           SET paid = FALSE,
+               subscription_tier = 'none',
+               subscription_status = $2,
+               voice_minutes_limit = 0,
+               updated_at = NOW()
+           WHERE user_id = $1`,
+          [userId, status]
+        );
+        result = { userId, tier: 'none', status, paid, cycleReset: false, activated: false };
+      }
+
+      if (accountFields.length) {
+        const sets = accountFields.map(([column], i) => `${column} = $${i + 2}`).join(', ');
+        await client.query(
+          `UPDATE users SET ${sets}, updated_at = NOW() WHERE user_id = $1`,
+          [userId, ...accountFields.map(([, value]) => value)]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO subscriptions (email, status, current_period_end, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (email)
+         DO UPDATE SET status = EXCLUDED.status,
+                       current_period_end = COALESCE(EXCLUDED.current_period_end, subscriptions.current_period_end),
+                       updated_at = NOW()`,
+        [current.email.toLowerCase(), status, endsAt]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[tier] ${source}: ${userId} → ${result.tier} (${status}${result.cycleReset ? ', new cycle' : ''})`);
+
+    // Perks for new subscribers - the entitlement is already committed either way
+    if (result.activated && this.onActivated) {
+      await Promise.resolve(this.onActivated(userId))
+        .catch(error => console.error(`[billing] onActivated failed for ${userId}:`, error.message));
+    }
+    return result;
+  }
+}
+
+/**
+ * Lemon Squeezy, Verotel and Stripe with settings from the environment.
+ * @param {object} options
+ * @param {object} options.pool - pg pool
+ * @param {object} [options.stripe] - Stripe client (gift purchases), null when not configured
+ * @param {string} [options.verotelSignatureKey]
+ * @param {function} [options.onActivated] - See BillingService
+ * @param {function} [options.onPurchase] - See BillingService
+ * @param {object} [options.env]
+ */
+function createDefaultBilling({ pool, stripe = null, verotelSignatureKey, onActivated = null, onPurchase = null, isErasedEmail, env = process.env }) {
+  const verotelTier = TIERS[env.VEROTEL_TIER] ? env.VEROTEL_TIER : null;
+  if (env.VEROTEL_TIER && !verotelTier) {
+    console.warn(`⚠️ [billing] VEROTEL_TIER "${env.VEROTEL_TIER}" is not a tier - Verotel grants paid access only`);
+  }
+
+  return new BillingService({
+    pool,
+    onActivated,
+    onPurchase,
+    isErasedEmail,
+    adapters: [
+      createLemonAdapter({
+        signingSecret: env.LEMON_SIGNING_SECRET,
+        variants: {
+          starter: env.LEMON_VARIANT_STARTER,
+          plus: env.LEMON_VARIANT_PLUS,
+          premium: env.LEMON_VARIANT_PREMIUM,
+        },
+      }),
+      createVerotelAdapter({ signatureKey: verotelSignatureKey || env.VEROTEL_SIGNATURE_KEY, tier: verotelTier }),
+      createStripeAdapter({ stripe, webhookSecret: env.STRIPE_GIFT_WEBHOOK_SECRET }),
+    ],
+  });
+}
+
+module.exports = { BillingService, createDefaultBilling, TIERS, PAID_STATUSES };
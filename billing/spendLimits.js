@@ -0,0 +1,369 @@
+// ============================================================
+// 🛑 SPENDING LIMITS - user-set caps on one-off purchases
+// ============================================================
+// Users cap what they spend on gifts per calendar day, week (Monday
+// start) and month, in server time. Every purchase is reserved in
+// spend_ledger (migration 0011) BEFORE its Stripe payment intent is
+// created, under a per-user lock, so two checkouts racing each
+// other can't both slip under a cap. A reservation counts against the
+// caps while it is pending (up to holdMinutes) and for good once the
+// payment succeeds.
+//
+// Cooling-off: when on, anything that loosens the limits (raising or
+// removing a cap, switching cooling-off off) only applies after
+// coolingOffHours; tightening always applies at once and cancels a
+// pending raise of the same limit. Subscriptions are not covered - they
+// are billed by Verotel, not through payment intents, and extra call
+// minutes are only granted by admins (nothing sells them yet).
+// ============================================================
+
+const CAP_FIELDS = {
+  dailyCap:   { period: 'day' },
+  weeklyCap:  { period: 'week' },
+  monthlyCap: { period: 'month' },
+};
+
+const PURCHASE_KINDS = ['gift'];
+const MAX_CAP = 10000;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const cents = (amount) => Math.round(Number(amount) * 100);
+const dollars = (value) => (value === null || value === undefined ? null : cents(value) / 100);
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'SPEND_LIMIT_INVALID';
+  return error;
+}
+
+// null (no cap) or a dollar amount between 0 and MAX_CAP
+function parseCap(value, field) {
+  if (value === null) return null;
+  const cap = Number(value);
+  if (typeof value === 'boolean' || value === '' || !Number.isFinite(cap) || cap < 0 || cap > MAX_CAP) {
+    throw invalid(`${field} must be null or a number between 0 and ${MAX_CAP}`);
+  }
+  return cents(cap) / 100;
+}
+
+// Does moving a cap from `from` to `to` loosen it? (null = no cap)
+const isRaise = (from, to) => (to === null ? from !== null : from !== null && to > from);
+
+class SpendLimits {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {number} [options.coolingOffHours] - How long a loosened limit waits when cooling-off is on
+   * @param {number} [options.holdMinutes] - How long an unpaid reservation keeps counting against the caps
+   */
+  constructor({ pool, coolingOffHours = 24, holdMinutes = 60 }) {
+    this.pool = pool;
+    this.coolingOffHours = coolingOffHours;
+    this.holdMinutes = holdMinutes;
+  }
+
+  // ============================================================
+  // LIMITS
+  // ============================================================
+
+  /**
+   * The user's limits (pending changes that have come due are applied first).
+   * @returns {Promise<{ dailyCap: number|null, weeklyCap: number|null, monthlyCap: number|null,
+   *   coolingOff: boolean, pending: object|null, pendingEffectiveAt: Date|null }>}
+   */
+  async getLimits(userId, db = this.pool) {
+    const { rows } = await db.query(
+      `UPDATE spend_limits
+       SET daily_cap = CASE WHEN pending_changes ? 'dailyCap' THEN (pending_changes->>'dailyCap')::NUMERIC ELSE daily_cap END,
+           weekly_cap = CASE WHEN pending_changes ? 'weeklyCap' THEN (pending_changes->>'weeklyCap')::NUMERIC ELSE weekly_cap END,
+           monthly_cap = CASE WHEN pending_changes ? 'monthlyCap' THEN (pending_changes->>'monthlyCap')::NUMERIC ELSE monthly_cap END,
+           cooling_off = CASE WHEN pending_changes ? 'coolingOff' THEN (pending_changes->>'coolingOff')::BOOLEAN ELSE cooling_off END,
+           pending_changes = NULL,
+           pending_effective_at = NULL,
+           updated_at = NOW()
+       WHERE user_id = $1 AND pending_effective_at <= NOW()
+       RETURNING *`,
+      [userId]
+    );
+    if (rows.length) {
+      console.log(`🛑 [spend] Applied ${userId}'s limit change after cooling-off`);
+      return this.toLimits(rows[0]);
+    }
+
+    const { rows: current } = await db.query(`SELECT * FROM spend_limits WHERE user_id = $1`, [userId]);
+    return this.toLimits(current[0] || null);
+  }
+
+  toLimits(row) {
+    return {
+      dailyCap: dollars(row?.daily_cap),
+      weeklyCap: dollars(row?.weekly_cap),
+      monthlyCap: dollars(row?.monthly_cap),
+      coolingOff: !!row?.cooling_off,
+      pending: row?.pending_changes || null,
+      pendingEffectiveAt: row?.pending_effective_at || null,
+    };
+  }
+
+  /**
+   * Change some of the user's limits; fields left out stay as they are.
+   * @param {string} userId
+   * @param {object} changes - { dailyCap?, weeklyCap?, monthlyCap? (number|null), coolingOff? (boolean) }
+   * @returns {Promise<object>} The limits now in force (pending shows what is still waiting)
+   * @throws {Error} code SPEND_LIMIT_INVALID for a bad value
+   */
+  async setLimits(userId, changes = {}) {
+    const requested = {};
+    for (const field of Object.keys(CAP_FIELDS)) {
+      if (changes[field] !== undefined) requested[field] = parseCap(changes[field], field);
+    }
+    if (changes.coolingOff !== undefined) {
+      if (typeof changes.coolingOff !== 'boolean') throw invalid('coolingOff must be true or false');
+      requested.coolingOff = changes.coolingOff;
+    }
+    if (!Object.keys(requested).length) throw invalid('Nothing to change');
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`spend:${userId}`]);
+
+      const current = await this.getLimits(userId, client);
+      const apply = {};
+      const pending = { ...(current.pending || {}) };
+      let deferred = false;
+
+      for (const [field, value] of Object.entries(requested)) {
+        const loosens = field === 'coolingOff'
+          ? current.coolingOff && !value
+          : isRaise(current[field], value);
+
+        if (loosens && current.coolingOff) {
+          pending[field] = value;
+          deferred = true;
+        } else {
+          apply[field] = value;
+          delete pending[field];
+        }
+      }
+
+      const next = { ...current, ...apply };
+      const hasPending = Object.keys(pending).length > 0;
+      const { rows } = await client.query(
+        `INSERT INTO spend_limits (user_id, daily_cap, weekly_cap, monthly_cap, cooling_off, pending_changes, pending_effective_at)
+         VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $6::JSONB IS NULL THEN NULL ELSE NOW() + ($7 || ' hours')::INTERVAL END)
+         ON CONFLICT (user_id) DO UPDATE
+         SET daily_cap = $2, weekly_cap = $3, monthly_cap = $4, cooling_off = $5, pending_changes = $6,
+             pending_effective_at = CASE
+               WHEN $6::JSONB IS NULL THEN NULL
+               WHEN $8 THEN NOW() + ($7 || ' hours')::INTERVAL
+               ELSE spend_limits.pending_effective_at
+             END,
+             updated_at = NOW()
+         RETURNING *`,
+        [
+          userId, next.dailyCap, next.weeklyCap, next.monthlyCap, next.coolingOff,
+          hasPending ? JSON.stringify(pending) : null, String(this.coolingOffHours), deferred,
+        ]
+      );
+
+      await client.query('COMMIT');
+      console.log(`🛑 [spend] ${userId} updated limits${deferred ? ` (loosening waits ${this.coolingOffHours}h)` : ''}`);
+      return this.toLimits(rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================================
+  // PURCHASES
+  // ============================================================
+
+  /**
+   * What has counted against the caps in the current day / week / month.
+   * @returns {Promise<{ day: number, week: number, month: number }>}
+   */
+  async currentSpend(userId, db = this.pool) {
+    const { rows } = await db.query(
+      `SELECT COALESCE(SUM(amount) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) AS day,
+              COALESCE(SUM(amount) FILTER (WHERE created_at >= date_trunc('week', NOW())), 0) AS week,
+              COALESCE(SUM(amount) FILTER (WHERE created_at >= date_trunc('month', NOW())), 0) AS month
+       FROM spend_ledger
+       WHERE user_id = $1
+         AND created_at >= LEAST(date_trunc('week', NOW()), date_trunc('month', NOW()))
+         AND (status = 'completed'
+              OR (status = 'pending' AND created_at > NOW() - ($2 || ' minutes')::INTERVAL))`,
+      [userId, String(this.holdMinutes)]
+    );
+    return { day: dollars(rows[0].day), week: dollars(rows[0].week), month: dollars(rows[0].month) };
+  }
+
+  /**
+   * Check a purchase against the user's caps and hold its amount.
+   * @param {string} userId
+   * @param {object} purchase
+   * @param {number} purchase.amount - USD
+   * @param {string} purchase.kind - gift
+   * @param {string} [purchase.description]
+   * @returns {Promise<number>} spend_ledger id of the reservation
+   * @throws {Error} code SPEND_LIMIT_REACHED (with period, cap, spent, resetsAt) when a cap would be passed
+   */
+  async reserve(userId, { amount, kind, description = null }) {
+    if (!PURCHASE_KINDS.includes(kind)) throw invalid(`Unknown purchase kind ${kind}`);
+    if (!(Number(amount) > 0)) throw invalid('amount must be positive');
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`spend:${userId}`]);
+
+      const limits = await this.getLimits(userId, client);
+      const spent = await this.currentSpend(userId, client);
+
+      for (const [field, { period }] of Object.entries(CAP_FIELDS)) {
+        const cap = limits[field];
+        if (cap === null || cents(spent[period]) + cents(amount) <= cents(cap)) continue;
+
+        const { rows } = await client.query(`SELECT date_trunc($1, NOW()) + ('1 ' || $1)::INTERVAL AS resets_at`, [period]);
+        const error = new Error(`This purchase would pass your ${period === 'day' ? 'daily' : `${period}ly`} spending limit`);
+        error.code = 'SPEND_LIMIT_REACHED';
+        Object.assign(error, { period, cap, spent: spent[period], resetsAt: rows[0].resets_at });
+        throw error;
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO spend_ledger (user_id, kind, amount, description)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [userId, kind, cents(amount) / 100, description]
+      );
+      await client.query('COMMIT');
+      return rows[0].id;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Link a reservation to its payment (the Stripe payment intent id) */
+  async attach(ledgerId, reference) {
+    await this.pool.query(`UPDATE spend_ledger SET reference = $2 WHERE id = $1`, [ledgerId, reference]);
+  }
+
+  /** Give back a reservation whose payment never happened */
+  async release(ledgerId) {
+    await this.pool.query(
+      `UPDATE spend_ledger SET status = 'released' WHERE id = $1 AND status = 'pending'`,
+      [ledgerId]
+    );
+  }
+
+  /**
+   * Mark a purchase paid. Takes the payment reference or the ledger id; a replay is a no-op.
+   * @returns {Promise<boolean>} Whether a row changed
+   */
+  async complete({ reference = null, ledgerId = null }) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE spend_ledger
+       SET status = 'completed', completed_at = NOW()
+       WHERE ${reference ? 'reference' : 'id'} = $1 AND status <> 'completed'`,
+      [reference || ledgerId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+   * Create a Stripe payment intent inside the user's limits. Use this for
+   * every one-off purchase instead of calling stripe.paymentIntents.create.
+   * @param {object} stripe - Stripe client
+   * @param {object} purchase - { userId, amount (USD), kind, description, metadata }
+   * @returns {Promise<object>} The payment intent
+   * @throws {Error} code SPEND_LIMIT_REACHED when a cap would be passed
+   */
+  async createPaymentIntent(stripe, { userId, amount, kind, description = null, metadata = {} }) {
+    const ledgerId = await this.reserve(userId, { amount, kind, description });
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: cents(amount),
+        currency: 'usd',
+        metadata: { ...metadata, userId: String(userId), spendLedgerId: String(ledgerId) },
+      });
+      await this.attach(ledgerId, paymentIntent.id);
+      return paymentIntent;
+    } catch (error) {
+      await this.release(ledgerId).catch(() => {});
+      throw error;
+    }
+  }
+
+  // ============================================================
+  // SUMMARY
+  // ============================================================
+
+  /**
+   * Completed spend in one calendar month, with the current limits and what is left under them.
+   * @param {string} userId
+   * @param {string} [month] - YYYY-MM (default: this month)
+   * @throws {Error} code SPEND_LIMIT_INVALID for a malformed month
+   */
+  async summary(userId, month = null) {
+    if (month !== null && (typeof month !== 'string' || !MONTH_REGEX.test(month))) {
+      throw invalid('month must be YYYY-MM');
+    }
+
+    // The month's bounds are worked out in SQL so they match created_at's clock
+    const monthRange = `WITH m AS (
+      SELECT COALESCE(to_date($2, 'YYYY-MM')::TIMESTAMP, date_trunc('month', NOW())::TIMESTAMP) AS start
+    )`;
+    const inMonth = `user_id = $1 AND status = 'completed'
+      AND created_at >= (SELECT start FROM m) AND created_at < (SELECT start FROM m) + INTERVAL '1 month'`;
+
+    const { rows: [{ month: label }] } = await this.pool.query(
+      `SELECT to_char(COALESCE(to_date($1, 'YYYY-MM')::TIMESTAMP, NOW()), 'YYYY-MM') AS month`,
+      [month]
+    );
+    const { rows } = await this.pool.query(
+      `${monthRange}
+       SELECT kind, COUNT(*)::INTEGER AS purchases, SUM(amount) AS total
+       FROM spend_ledger WHERE ${inMonth}
+       GROUP BY kind`,
+      [userId, month]
+    );
+    const { rows: days } = await this.pool.query(
+      `${monthRange}
+       SELECT to_char(created_at, 'YYYY-MM-DD') AS date, SUM(amount) AS total
+       FROM spend_ledger WHERE ${inMonth}
+       GROUP BY 1 ORDER BY 1`,
+      [userId, month]
+    );
+
+    const byKind = Object.fromEntries(PURCHASE_KINDS.map((kind) => [kind, { purchases: 0, total: 0 }]));
+    for (const row of rows) byKind[row.kind] = { purchases: row.purchases, total: dollars(row.total) };
+
+    const limits = await this.getLimits(userId);
+    const spent = await this.currentSpend(userId);
+    const remaining = {};
+    for (const [field, { period }] of Object.entries(CAP_FIELDS)) {
+      remaining[period] = limits[field] === null ? null : Math.max(0, cents(limits[field]) - cents(spent[period])) / 100;
+    }
+
+    return {
+      month: label,
+      currency: 'usd',
+      total: Object.values(byKind).reduce((sum, { total }) => sum + cents(total), 0) / 100,
+      purchases: Object.values(byKind).reduce((sum, { purchases }) => sum + purchases, 0),
+      byKind,
+      byDay: days.map(({ date, total }) => ({ date, total: dollars(total) })),
+      limits,
+      spent,
+      remaining,
+    };
+  }
+}
+
+module.exports = { SpendLimits, PURCHASE_KINDS };
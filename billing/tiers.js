@@ -0,0 +1,35 @@
+// ============================================================
+// 💳 SUBSCRIPTION TIERS
+// ============================================================
+// Provider-neutral. Each adapter in ./adapters maps its own product /
+// variant / plan ids onto these keys (mapToTier), so tier limits and
+// prices live in one place no matter who took the payment.
+// ============================================================
+
+const TIERS = {
+  none: {
+    name: "Free",
+    monthlyMinutes: 0,
+    price: 0,
+  },
+  starter: {
+    name: "Girlfriend Starter",
+    monthlyMinutes: 20,
+    price: 14.99,
+  },
+  plus: {
+    name: "Girlfriend Plus",
+    monthlyMinutes: 100,
+    price: 27.99,
+  },
+  premium: {
+    name: "Girlfriend Premium",
+    monthlyMinutes: 250,
+    price: 69.99,
+  },
+};
+
+// Normalized subscription statuses that keep paid access
+const PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+module.exports = { TIERS, PAID_STATUSES };
@@ -0,0 +1,46 @@
+// ============================================================
+// 🎙️ CALL RECORDER - consented call audio, turn by turn
+// ============================================================
+// Holds a call's audio in memory as mono PCM16: each caller utterance
+// (as the VAD cut it) followed by Ellie's reply as it was sent. Pauses
+// between turns are not kept, so the file plays as a tight back-and-forth
+// rather than in wall-clock time. Recording stops at maxSeconds.
+// ============================================================
+
+const { pcm16ToWav } = require('../tts/audio');
+
+class CallRecorder {
+  /**
+   * @param {object} options
+   * @param {number} options.sampleRate - Rate of everything appended
+   * @param {number} [options.maxSeconds] - Audio past this is dropped (and truncated is set)
+   */
+  constructor({ sampleRate, maxSeconds = 900 }) {
+    this.sampleRate = sampleRate;
+    this.maxBytes = Math.floor(maxSeconds * sampleRate) * 2;
+    this.chunks = [];
+    this.bytes = 0;
+    this.truncated = false;
+  }
+
+  get seconds() {
+    return this.bytes / (2 * this.sampleRate);
+  }
+
+  append(pcm) {
+    if (!pcm?.length || this.truncated) return;
+    const room = this.maxBytes - this.bytes;
+    const take = pcm.length <= room ? pcm : pcm.subarray(0, room - (room % 2));
+    if (take.length) {
+      this.chunks.push(Buffer.from(take));
+      this.bytes += take.length;
+    }
+    if (take.length < pcm.length) this.truncated = true;
+  }
+
+  toWav() {
+    return pcm16ToWav(Buffer.concat(this.chunks, this.bytes), this.sampleRate);
+  }
+}
+
+module.exports = { CallRecorder };
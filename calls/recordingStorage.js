@@ -0,0 +1,163 @@
+// ============================================================
+// 🗄️ RECORDING STORAGE - where consented call audio is kept
+// ============================================================
+// Two backends behind the same { name, put, get, remove } interface:
+//
+//   local - files under RECORDINGS_DIR (default ./recordings). Fine for a
+//           single instance with a persistent disk.
+//   s3    - any S3-compatible bucket (AWS, R2, Supabase Storage, MinIO),
+//           path-style requests signed with AWS Signature V4.
+//
+//   RECORDING_STORAGE=local|s3|off   (default local)
+//   RECORDING_S3_ENDPOINT, RECORDING_S3_BUCKET, RECORDING_S3_REGION,
+//   RECORDING_S3_ACCESS_KEY_ID, RECORDING_S3_SECRET_ACCESS_KEY
+//
+// Keys look like "calls/<sessionId>.wav"; get() resolves null for a
+// missing object.
+// ============================================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const SAFE_KEY = /^[A-Za-z0-9_.-]+(\/[A-Za-z0-9_.-]+)*$/;
+
+function checkKey(key) {
+  if (!SAFE_KEY.test(key) || key.split('/').includes('..')) throw new Error(`Invalid recording key: ${key}`);
+  return key;
+}
+
+function createLocalStorage({ dir }) {
+  const fileFor = (key) => path.join(dir, checkKey(key));
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return { key, bytes: body.length };
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+// ============================================================
+// S3 (Signature V4)
+// ============================================================
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Sign a path-style S3 request. Only host, x-amz-content-sha256 and x-amz-date
+ * are signed, which is all S3 requires.
+ * @returns {object} headers to send
+ */
+function signS3Request({ method, url, region, accessKeyId, secretAccessKey, body = '', now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); // 20260101T000000Z
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+function createS3Storage({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, timeoutMs = 30000 }) {
+  const base = endpoint.replace(/\/+$/, '');
+
+  async function request(method, key, { body, headers = {} } = {}) {
+    const url = new URL(`${base}/${encodeURIComponent(bucket)}/${checkKey(key).split('/').map(encodeURIComponent).join('/')}`);
+    const response = await fetch(url, {
+      method,
+      headers: { ...headers, ...signS3Request({ method, url, region, accessKeyId, secretAccessKey, body }) },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok && !(method === 'GET' && response.status === 404) && !(method === 'DELETE' && response.status === 404)) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`S3 ${method} ${key} failed: ${response.status} - ${errorText.substring(0, 300)}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType = 'audio/wav') {
+      await request('PUT', key, { body, headers: { 'Content-Type': contentType } });
+      return { key, bytes: body.length };
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(key) {
+      await request('DELETE', key);
+    },
+  };
+}
+
+/**
+ * Recording storage from the environment.
+ * @returns {object|null} null when recording is turned off or the S3 settings are incomplete
+ */
+function createRecordingStorage(env = process.env) {
+  const kind = (env.RECORDING_STORAGE || 'local').toLowerCase();
+
+  if (kind === 'off') return null;
+
+  if (kind === 's3') {
+    const options = {
+      endpoint: env.RECORDING_S3_ENDPOINT,
+      bucket: env.RECORDING_S3_BUCKET,
+      region: env.RECORDING_S3_REGION || 'us-east-1',
+      accessKeyId: env.RECORDING_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.RECORDING_S3_SECRET_ACCESS_KEY,
+    };
+    if (!options.endpoint || !options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      console.error('⚠️ RECORDING_STORAGE=s3 but the RECORDING_S3_* settings are incomplete - call recording is off');
+      return null;
+    }
+    return createS3Storage(options);
+  }
+
+  if (kind !== 'local') console.error(`⚠️ Unknown RECORDING_STORAGE "${kind}", using local disk`);
+  return createLocalStorage({ dir: env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings') });
+}
+
+module.exports = { createRecordingStorage, createLocalStorage, createS3Storage, signS3Request };
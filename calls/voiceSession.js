@@ -0,0 +1,281 @@
+// ============================================================
+// 📞 VOICE SESSIONS - call history and transcripts (migration 0010)
+// ============================================================
+// One VoiceSession per /ws/phone call. It opens the voice_sessions row
+// at hello, adds a voice_session_turns row for every exchange (what the
+// caller said, what Ellie said - or the part heard before a barge-in -
+// which STT/TTS providers served it and the turn's latency marks) and
+// closes the row when the call ends, saving the recording if the caller
+// opted in. Writes are queued per call, so a turn finishing after the
+// hangup still lands after the session row it belongs to.
+// ============================================================
+
+const { CallRecorder } = require('./recorder');
+
+const SESSION_COLUMNS = `id, user_id, call_usage_id, channel, language, started_at, ended_at, duration_seconds,
+  end_reason, turns, interrupted_turns, avg_first_audio_ms, stt_providers, tts_providers,
+  recording_consent, recording_status, recording_storage, recording_bytes, recording_seconds`;
+
+class VoiceSession {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {string} options.userId
+   * @param {object} [options.storage] - Recording storage (see ./recordingStorage.js); calls aren't recorded without it
+   * @param {string} [options.channel]
+   * @param {number} [options.maxRecordingSeconds]
+   */
+  constructor({ pool, userId, storage = null, channel = 'phone', maxRecordingSeconds = 900 }) {
+    this.pool = pool;
+    this.userId = userId;
+    this.storage = storage;
+    this.channel = channel;
+    this.maxRecordingSeconds = maxRecordingSeconds;
+
+    this.id = null;
+    this.recorder = null;
+    this.turns = 0;
+    this.interruptedTurns = 0;
+    this.firstAudioMs = [];
+    this.sttProviders = {};
+    this.ttsProviders = {};
+    this.ended = false;
+    this.tail = Promise.resolve();
+  }
+
+  /** Whether this call's audio is being recorded (the caller opted in and storage is configured). */
+  get recording() {
+    return this.recorder !== null;
+  }
+
+  /**
+   * Open the session row.
+   * @param {object} options
+   * @param {number} [options.callUsageId] - voice_call_usage row of the same call
+   * @param {string} [options.language]
+   * @param {number} options.sampleRate - Rate of the call audio (for the recording)
+   * @param {boolean} [options.recording] - The caller consented to this call being recorded
+   */
+  async start({ callUsageId = null, language = null, sampleRate, recording = false }) {
+    const record = recording && !!this.storage;
+    const { rows } = await this.pool.query(
+      `INSERT INTO voice_sessions (user_id, call_usage_id, channel, language, recording_consent, recording_status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [this.userId, callUsageId, this.channel, language, recording, record ? 'recording' : 'none']
+    );
+    this.id = rows[0].id;
+    if (record) this.recorder = new CallRecorder({ sampleRate, maxSeconds: this.maxRecordingSeconds });
+    console.log(`📞 [voice-session] Call ${this.id} started for ${this.userId}${record ? ' (recording)' : ''}`);
+    return this;
+  }
+
+  /** Append call audio (caller utterances and Ellie's replies, in order) to the recording, if any. */
+  recordAudio(pcm) {
+    if (this.recorder) this.recorder.append(pcm);
+  }
+
+  // Session writes run one after another, in the order they were made
+  enqueue(write) {
+    const result = this.tail.then(write);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Add one exchange to the transcript.
+   * @param {object} turn
+   * @param {string} turn.userText
+   * @param {string|null} turn.replyText - What the caller heard
+   * @param {boolean} [turn.interrupted] - The caller barged in (or hung up) before the reply finished
+   * @param {string} [turn.sttProvider]
+   * @param {Array<string>} [turn.ttsProviders] - Provider per voiced sentence
+   * @param {object} [turn.marks] - Latency marks (ms since the utterance ended)
+   * @returns {Promise<number|null>} turn row id (null if the write failed)
+   */
+  recordTurn({ userText, replyText, interrupted = false, sttProvider = null, ttsProviders = [], marks = null }) {
+    const index = this.turns++;
+    if (interrupted) this.interruptedTurns++;
+    if (sttProvider) this.sttProviders[sttProvider] = (this.sttProviders[sttProvider] || 0) + 1;
+    for (const provider of ttsProviders) this.ttsProviders[provider] = (this.ttsProviders[provider] || 0) + 1;
+    const firstAudioMs = Number.isFinite(marks?.firstAudioMs) ? marks.firstAudioMs : null;
+    if (firstAudioMs !== null) this.firstAudioMs.push(firstAudioMs);
+
+    return this.enqueue(async () => {
+      const { rows } = await this.pool.query(
+        `INSERT INTO voice_session_turns
+           (session_id, user_id, turn_index, user_text, reply_text, interrupted, stt_provider, tts_providers, first_audio_ms, marks)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        [this.id, this.userId, index, userText, replyText, interrupted, sttProvider,
+          JSON.stringify(ttsProviders), firstAudioMs, marks ? JSON.stringify(marks) : null]
+      );
+      await this.saveTotals();
+      return rows[0].id;
+    }).catch(err => {
+      console.error(`[voice-session] ⚠️ Failed to save turn ${index} of call ${this.id}:`, err.message);
+      return null;
+    });
+  }
+
+  /** The caller talked over a reply that had already finished generating: keep only what they heard. */
+  markInterrupted(turnId, heardText) {
+    this.interruptedTurns++;
+    return this.enqueue(async () => {
+      const id = await turnId;
+      if (!id) return;
+      await this.pool.query(
+        `UPDATE voice_session_turns SET reply_text = $2, interrupted = TRUE WHERE id = $1`,
+        [id, heardText || null]
+      );
+      await this.saveTotals();
+    }).catch(err => console.error(`[voice-session] ⚠️ Failed to mark turn interrupted in call ${this.id}:`, err.message));
+  }
+
+  async saveTotals() {
+    const avg = this.firstAudioMs.length
+      ? Math.round(this.firstAudioMs.reduce((sum, ms) => sum + ms, 0) / this.firstAudioMs.length)
+      : null;
+    await this.pool.query(
+      `UPDATE voice_sessions
+       SET turns = $2, interrupted_turns = $3, avg_first_audio_ms = $4, stt_providers = $5, tts_providers = $6
+       WHERE id = $1`,
+      [this.id, this.turns, this.interruptedTurns, avg, JSON.stringify(this.sttProviders), JSON.stringify(this.ttsProviders)]
+    );
+  }
+
+  /** Close the session row (idempotent) and save the recording. */
+  finish(endReason = 'hangup') {
+    if (this.ended || this.id === null) return this.tail;
+    this.ended = true;
+
+    return this.enqueue(async () => {
+      const recording = this.recorder ? await this.saveRecording() : null;
+      await this.saveTotals();
+      await this.pool.query(
+        `UPDATE voice_sessions
+         SET ended_at = NOW(),
+             duration_seconds = GREATEST(0, ROUND(EXTRACT(EPOCH FROM (NOW() - started_at))))::int,
+             end_reason = $2,
+             recording_status = COALESCE($3, recording_status),
+             recording_storage = $4, recording_key = $5, recording_bytes = $6, recording_seconds = $7
+         WHERE id = $1`,
+        [this.id, endReason, recording?.status || null, recording?.storage || null, recording?.key || null,
+          recording?.bytes ?? null, recording?.seconds ?? null]
+      );
+      this.recorder = null; // release the audio
+      console.log(`📞 [voice-session] Call ${this.id} ended (${endReason}): ${this.turns} turn(s)${recording ? `, recording ${recording.status}` : ''}`);
+    }).catch(err => console.error(`[voice-session] ⚠️ Failed to close call ${this.id}:`, err.message));
+  }
+
+  async saveRecording() {
+    if (!this.recorder.bytes) return { status: 'none' };
+    const key = `calls/${this.id}.wav`;
+    const seconds = Math.round(this.recorder.seconds * 100) / 100;
+    try {
+      const { bytes } = await this.storage.put(key, this.recorder.toWav(), 'audio/wav');
+      if (this.recorder.truncated) console.warn(`[voice-session] ⚠️ Recording of call ${this.id} stopped at ${this.maxRecordingSeconds}s`);
+      return { status: 'saved', storage: this.storage.name, key, bytes, seconds };
+    } catch (error) {
+      console.error(`[voice-session] ⚠️ Failed to store recording of call ${this.id}:`, error.message);
+      return { status: 'failed' };
+    }
+  }
+}
+
+// ============================================================
+// 📜 CALL HISTORY
+// ============================================================
+
+/**
+ * A user's calls, newest first.
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {number} [options.before] - Only calls with a smaller id (cursor from the previous page)
+ */
+async function listCalls(pool, userId, { limit = 20, before = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM voice_sessions
+     WHERE user_id = $1 AND ($2::bigint IS NULL OR id < $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [userId, before, limit]
+  );
+  return rows;
+}
+
+/** One call, scoped to its owner unless userId is null (admin). */
+async function getCall(pool, callId, { userId = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${SESSION_COLUMNS}, recording_key
+     FROM voice_sessions
+     WHERE id = $1 AND ($2::text IS NULL OR user_id = $2)`,
+    [callId, userId]
+  );
+  return rows[0] || null;
+}
+
+async function getCallTurns(pool, callId) {
+  const { rows } = await pool.query(
+    `SELECT id, turn_index, user_text, reply_text, interrupted, stt_provider, tts_providers, first_audio_ms, marks, created_at
+     FROM voice_session_turns
+     WHERE session_id = $1
+     ORDER BY turn_index ASC`,
+    [callId]
+  );
+  return rows;
+}
+
+/** Drop a call's stored audio; the transcript stays. */
+async function deleteRecording(pool, storage, call) {
+  if (call.recording_key && storage) await storage.remove(call.recording_key);
+  await pool.query(
+    `UPDATE voice_sessions
+     SET recording_status = 'deleted', recording_key = NULL, recording_bytes = NULL, recording_seconds = NULL
+     WHERE id = $1`,
+    [call.id]
+  );
+}
+
+/**
+ * Storage keys of every recording a user has (account deletion). Read them
+ * before the rows are erased, remove them once the erasure has committed.
+ * Throws if there is audio to remove but no storage to remove it from.
+ * @returns {Promise<string[]>}
+ */
+async function listUserRecordingKeys(pool, storage, userId) {
+  let rows;
+  try {
+    ({ rows } = await pool.query(
+      `SELECT recording_key FROM voice_sessions WHERE user_id = $1 AND recording_key IS NOT NULL`,
+      [userId]
+    ));
+  } catch (error) {
+    if (error.code === '42P01') return []; // migration 0010 not applied
+    throw error;
+  }
+  if (rows.length && !storage) throw new Error('Recording storage is not configured - cannot delete stored recordings');
+  return rows.map(row => row.recording_key);
+}
+
+/**
+ * Remove stored recordings by key. Keeps going past a failed key.
+ * @returns {Promise<{ removed: number, failed: string[] }>}
+ */
+async function removeRecordings(storage, keys) {
+  const failed = [];
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`❌ [recording] Could not remove ${key}:`, error.message);
+      failed.push(key);
+    }
+  }
+  return { removed: keys.length - failed.length, failed };
+}
+
+module.exports = {
+  VoiceSession, listCalls, getCall, getCallTurns, deleteRecording, listUserRecordingKeys, removeRecordings,
+};
@@ -0,0 +1,59 @@
+// db.js - Postgres pool (Supabase transaction pooler friendly)
+// Used by server.js and scripts/migrate.js; tests build their own pool and
+// hand it to createApp().
+
+const { Pool } = require('pg');
+
+/**
+ * Build the shared pool from a DATABASE_URL.
+ * SSL is on unless the host is local (sslmode=require forces it back on).
+ * @param {string} rawDbUrl
+ * @returns {Pool}
+ */
+function createPool(rawDbUrl = process.env.DATABASE_URL) {
+  if (!rawDbUrl) {
+    throw new Error('Missing DATABASE_URL (use Supabase Transaction Pooler URI, port 6543)');
+  }
+
+  let pgConfig;
+  try {
+    const u = new URL(rawDbUrl);
+    pgConfig = {
+      host: u.hostname,
+      port: Number(u.port || 6543),
+      user: decodeURIComponent(u.username || "postgres"),
+      password: decodeURIComponent(u.password || ""),
+      database: u.pathname.replace(/^\//, "") || "postgres",
+      // ⚡ PERFORMANCE OPTIMIZATIONS FOR SUPABASE/NEON
+      max: 10,                      // Allow up to 20 concurrent DB connections
+      min: 1,                       // Keep 2 connections warm
+      idleTimeoutMillis: 60000,     // Close idle connections after 30s
+      connectionTimeoutMillis: 30000, // Wait up to 15s to connect
+      query_timeout: 30000,         // Kill slow queries after 20s
+      statement_timeout: 30000,     // Server-side query timeout
+      keepAlive: true,              // Keep connections alive
+      keepAliveInitialDelayMillis: 30000,  // Keepalive every 10s
+      allowExitOnIdle: false        // Keep pool alive
+    };
+    const sslmode = u.searchParams.get("sslmode");
+    if (!/localhost|127\.0\.0\.1/.test(pgConfig.host) || sslmode === "require") {
+      pgConfig.ssl = { rejectUnauthorized: false };
+    }
+  } catch (e) {
+    console.error("❌ Invalid DATABASE_URL. Raw value:", rawDbUrl);
+    throw e;
+  }
+  console.log(`🗄️ DB host/port: ${pgConfig.host}:${pgConfig.port} (SSL ${pgConfig.ssl ? "on" : "off"})`);
+
+  const pool = new Pool(pgConfig);
+
+  // Handle pool errors - prevents crashes from dropped connections
+  pool.on('error', (err) => {
+    console.error('❌ Unexpected database pool error:', err.message);
+    // Don't crash - pool will automatically create new connections
+  });
+
+  return pool;
+}
+
+module.exports = { createPool };
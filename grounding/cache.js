@@ -0,0 +1,48 @@
+// ============================================================
+// ⏳ SEARCH RESULT CACHE
+// ============================================================
+// In-memory, per process. Entries expire after their own TTL (weather
+// goes stale faster than who the president is); past maxEntries the
+// oldest entry is dropped.
+// ============================================================
+
+class TtlCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries]
+   * @param {function} [options.now] - () => ms timestamp
+   */
+  constructor({ maxEntries = 500, now = () => Date.now() } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key); // re-inserting moves it to the newest end
+    this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { TtlCache };
@@ -0,0 +1,150 @@
+// ============================================================
+// 🧭 FRESHNESS CLASSIFIER - does this message need current information?
+// ============================================================
+// Cheap regex pass over every chat message. Returns null for ordinary
+// conversation (almost everything), otherwise the topic, a search query
+// built from the message and how fresh results must be. Messages about
+// Ellie herself ("how was your day today") never trigger a lookup, and
+// the search topics only count inside a question or an explicit lookup:
+// "I got a great score on my exam" is news to Ellie, not a search, and
+// only that clause is ever sent to the search API.
+//
+// Topics:
+//   datetime      - answered from the server clock, no search
+//   weather       - needs a place; without one Ellie asks instead of guessing
+//   sports        - scores, results, standings
+//   markets       - prices, rates
+//   office_holder - who currently holds an office (president, PM, CEO...)
+//   news          - headlines, "what happened with..."
+// ============================================================
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Checked in order; the first match wins. asked: only matched inside a question
+const TOPICS = [
+  {
+    topic: 'datetime',
+    pattern: /\b(what('?s| is) (the |today'?s )?date|what day is (it|today)|what('?s| is) today|today'?s date|what year is it|what time is it)\b/i,
+  },
+  {
+    topic: 'weather',
+    asked: true,
+    pattern: /\b(weather|forecast|temperature (in|outside)|is it (going to |gonna )?(rain|snow)(ing)?\b)/i,
+    freshness: 'pd',
+    ttlMs: 30 * MINUTE,
+  },
+  {
+    topic: 'sports',
+    asked: true,
+    pattern: /\b(scores?|who won|who'?s winning|standings|playoffs?|world cup|super bowl|champions league|premier league|nba|nfl|mlb|nhl|formula 1|f1|grand prix)\b/i,
+    freshness: 'pd',
+    ttlMs: 10 * MINUTE,
+  },
+  {
+    topic: 'markets',
+    asked: true,
+    pattern: /\b(stock price|share price|price of|bitcoin|btc|ethereum|exchange rate|nasdaq|dow jones|s&p 500)\b/i,
+    freshness: 'pd',
+    ttlMs: 5 * MINUTE,
+  },
+  {
+    topic: 'office_holder',
+    asked: true,
+    pattern: /\b(who('?s| is) (the )?(current |new )?(president|prime minister|chancellor|ceo|pope|king|queen|mayor|governor)|forseti|presidente|presidenten)\b/i,
+    freshness: 'pm',
+    ttlMs: 12 * HOUR,
+  },
+  {
+    topic: 'news',
+    asked: true,
+    pattern: /\b(news|headlines?|breaking|latest on|what('?s| is) happening (in|with)|what happened (in|with|to|at)|any updates? on|election results?)\b/i,
+    freshness: 'pd',
+    ttlMs: 15 * MINUTE,
+  },
+];
+
+// Questions about Ellie, not the world ("are you watching the game?"), checked per clause
+const ABOUT_ELLIE = /\b(your|yours|you'?re|are you|were you|did you|have you|do you (like|love|want|feel|think|miss|watch|follow))\b/i;
+// ...unless they explicitly ask her to look something up
+const EXPLICIT_LOOKUP = /\b(look (it )?up|google|search (for|up)|check online)\b/i;
+// A clause that opens like a question even without the "?" ("whats the latest on...")
+const QUESTION_START = /^\s*(?:(?:hey|hi|so|ok(?:ay)?|and|but|ellie|babe|baby)\b[\s,]*)*((?:what|who|when|where|which|how)(?:'?s)?|is|are|will|did|does|should|any)\b/i;
+
+/** The clauses of a message that ask something ("I got the job! who's hiring?" -> ["who's hiring?"]). */
+function askedClauses(message) {
+  return message
+    .split(/(?<=[?!.;,])\s+|\n+/)
+    .filter((clause) => /\?/.test(clause) || QUESTION_START.test(clause) || EXPLICIT_LOOKUP.test(clause));
+}
+
+const FILLER = [
+  /^\s*(hey|hi|hello|yo|ok(ay)?|so|um+|uh+)\b[\s,!.]*/i,
+  /\b(ellie|babe|baby|honey|hun|love)\b/gi,
+  /\b(do|can|could|would) you (know|tell me|check|look up|find out|google|search( for)?)\b/gi,
+  /\b(please|pls|plz|lol|lmao|haha+)\b/gi,
+];
+
+const MAX_QUERY_WORDS = 12;
+
+/** Turn a chat message into a search query: no greetings, pet names, emoji or punctuation. */
+function buildQuery(text) {
+  let query = String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]/gu, ' ');
+  for (const pattern of FILLER) query = query.replace(pattern, ' ');
+  query = query.replace(/[?!.,;:"“”()]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return query.split(' ').slice(0, MAX_QUERY_WORDS).join(' ');
+}
+
+// "weather in Reykjavik tomorrow" -> "Reykjavik"
+function weatherPlace(query) {
+  const match = query.match(/\b(?:in|for|at)\s+([^\s].*)$/i);
+  if (!match) return null;
+  const place = match[1]
+    .replace(/\b(today|tomorrow|tonight|this (week|weekend|morning|afternoon|evening)|right now|now|like)\b/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!place || /^(there|here|the city|your (city|area))$/i.test(place)) return null;
+  return place.split(' ').slice(0, 4).join(' ');
+}
+
+/**
+ * @param {string} text - The user's message
+ * @returns {{ topic: string, query: string|null, freshness?: string, ttlMs?: number, missing?: string }|null}
+ *   null when no current information is needed. query is null for datetime
+ *   (no search) and when something needed for the search is missing (missing says what).
+ */
+function classifyFreshQuery(text) {
+  const message = String(text || '').trim();
+  if (message.length < 4) return null;
+
+  const asked = askedClauses(message).filter((clause) => !ABOUT_ELLIE.test(clause) || EXPLICIT_LOOKUP.test(clause));
+  let match = null;
+  let clause = message;
+  for (const topic of TOPICS) {
+    const found = topic.asked ? asked.find((c) => topic.pattern.test(c)) : topic.pattern.test(message) && message;
+    if (found) {
+      match = topic;
+      clause = found;
+      break;
+    }
+  }
+  if (!match) return null;
+
+  if (match.topic === 'datetime') return { topic: 'datetime', query: null };
+
+  // Only the question is searched, never the rest of what the user said
+  const query = buildQuery(clause);
+  if (!query) return null;
+
+  if (match.topic === 'weather') {
+    const place = weatherPlace(query);
+    if (!place) return { topic: 'weather', query: null, missing: 'place' };
+    return { topic: 'weather', query: `weather forecast ${place}`, freshness: match.freshness, ttlMs: match.ttlMs };
+  }
+
+  return { topic: match.topic, query, freshness: match.freshness, ttlMs: match.ttlMs };
+}
+
+module.exports = { classifyFreshQuery, buildQuery, TOPICS };
@@ -0,0 +1,133 @@
+// ============================================================
+// 📰 FRESH FACTS - real-time grounding for chat replies
+// ============================================================
+// Ellie's model knows nothing after its training cutoff. When a message
+// asks about something current (./classifier.js), the question is turned
+// into a search, the results are cached for a topic-specific TTL
+// (./cache.js) and the top snippets go into the system prompt with their
+// sources, as { label, fact, source } facts. Search backends share the
+// name / configured / search() interface (see ./providers/brave.js), so a
+// fixture server or an in-process fake can stand in for the real API.
+// ============================================================
+
+const { classifyFreshQuery } = require('./classifier');
+const { TtlCache } = require('./cache');
+const { createBraveSearch } = require('./providers/brave');
+
+const TOPIC_NAMES = {
+  weather: 'the weather',
+  sports: 'a sports result',
+  markets: 'a price or market',
+  office_holder: 'who currently holds an office',
+  news: 'current news',
+};
+
+const notice = (fact) => ({ label: 'realtime_notice', fact, source: null });
+
+class FreshFactsService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.search] - Search provider ({ name, configured, search(query, options) })
+   * @param {number} [options.maxResults] - Snippets injected per message
+   * @param {number} [options.timeoutMs] - Search timeout; the reply doesn't wait longer than this
+   * @param {function} [options.now] - () => ms timestamp (dates and cache expiry)
+   */
+  constructor({ search = null, maxResults = 3, timeoutMs = 2500, now = () => Date.now() } = {}) {
+    this.search = search;
+    this.maxResults = maxResults;
+    this.timeoutMs = timeoutMs;
+    this.now = now;
+    this.cache = new TtlCache({ now });
+  }
+
+  get enabled() {
+    return !!this.search?.configured;
+  }
+
+  /**
+   * Facts to ground a reply to this message in; [] when it needs none. Never throws.
+   * @param {string} text
+   * @returns {Promise<Array<{ label: string, fact: string, source: string|null }>>}
+   */
+  async getFreshFacts(text) {
+    const need = classifyFreshQuery(text);
+    if (!need) return [];
+
+    if (need.topic === 'datetime') return [this.dateFact()];
+
+    if (need.missing === 'place') {
+      return [notice("User asked about the weather without saying where. Don't make up a forecast - ask where they mean, or keep it vague.")];
+    }
+
+    if (!this.enabled) {
+      return [notice(`User asked about ${TOPIC_NAMES[need.topic]}. Live web is disabled. Do NOT guess; say your info might be out of date.`)];
+    }
+
+    const key = `${need.topic}:${need.query.toLowerCase()}`;
+    let results = this.cache.get(key);
+    const cached = results !== undefined;
+    if (!cached) {
+      try {
+        results = await this.search.search(need.query, { count: 5, freshness: need.freshness, timeoutMs: this.timeoutMs });
+      } catch (error) {
+        console.warn(`⚠️ [grounding] ${this.search.name} search failed for "${need.query}": ${error.message}`);
+        return [notice(`User asked about ${TOPIC_NAMES[need.topic]}, but the live lookup failed. Do NOT guess; say you're not sure right now.`)];
+      }
+      if (results.length) this.cache.set(key, results, need.ttlMs);
+    }
+    console.log(`📰 [grounding] ${need.topic}: "${need.query}" -> ${results.length} result(s)${cached ? ' (cached)' : ''}`);
+
+    if (!results.length) {
+      return [notice(`User asked about ${TOPIC_NAMES[need.topic]} and a live search found nothing. Do NOT guess.`)];
+    }
+
+    return [
+      {
+        label: 'instruction',
+        fact: "Use the search snippets below as fresh ground truth. If they conflict, prefer the most recent one. Answer naturally, in character - you can say where you saw it (\"saw on BBC...\") but never paste links.",
+        source: null,
+      },
+      ...results.slice(0, this.maxResults).map(({ title, snippet, age }, i) => ({
+        label: 'search_snippet',
+        fact: [title, snippet].filter(Boolean).join(' - ') + (age ? ` (${age})` : ''),
+        source: results[i].url,
+      })),
+    ];
+  }
+
+  dateFact() {
+    const now = new Date(this.now());
+    const date = now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+    const time = now.toISOString().slice(11, 16);
+    return {
+      label: 'current_date',
+      fact: `Right now it is ${date}, ${time} UTC. You don't know the user's time zone - if the exact time matters, ask.`,
+      source: null,
+    };
+  }
+}
+
+/**
+ * The system prompt block for a set of fresh facts ('' when there are none).
+ * Snippets are numbered with their source so the model can tell them apart.
+ */
+function formatFreshFacts(facts = []) {
+  if (!facts.length) return '';
+  let n = 0;
+  const lines = facts.map((f) => (f.label === 'search_snippet'
+    ? `[${++n}] ${f.fact}${f.source ? ` (source: ${f.source})` : ''}`
+    : `- ${f.fact}`));
+  return `\n\n📰 FRESH FACTS (real-time, looked up for this message):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {object} [env]
+ */
+function createDefaultGrounding(env = process.env) {
+  return new FreshFactsService({
+    search: createBraveSearch(env),
+    timeoutMs: Number(env.GROUNDING_TIMEOUT_MS || 2500),
+  });
+}
+
+module.exports = { FreshFactsService, formatFreshFacts, createDefaultGrounding };
@@ -0,0 +1,67 @@
+// ============================================================
+// 🔎 BRAVE SEARCH PROVIDER
+// ============================================================
+// Web (and, when Brave adds them, news) results for a query, trimmed to
+// { title, snippet, url, age }. BRAVE_SEARCH_ENDPOINT points it at any
+// server speaking the same API (the offline fixture server does).
+// ============================================================
+
+const BRAVE_SEARCH_ENDPOINT = "https://api.search.brave.com/res/v1/web/search";
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// Brave marks matched words with <strong>; the prompt wants plain text
+function plain(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function createBraveSearch(env = process.env) {
+  const apiKey = env.BRAVE_API_KEY;
+  const endpoint = env.BRAVE_SEARCH_ENDPOINT || BRAVE_SEARCH_ENDPOINT;
+
+  return {
+    name: 'brave',
+    configured: !!apiKey,
+
+    /**
+     * @param {string} query
+     * @param {object} [options]
+     * @param {number} [options.count]
+     * @param {string} [options.freshness] - pd | pw | pm | py (past day / week / month / year)
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<Array<{ title: string, snippet: string, url: string|null, age: string|null }>>}
+     */
+    async search(query, { count = 5, freshness, timeoutMs = 2500 } = {}) {
+      const url = new URL(endpoint);
+      url.searchParams.set('q', query);
+      url.searchParams.set('count', String(count));
+      url.searchParams.set('text_decorations', 'false');
+      if (freshness) url.searchParams.set('freshness', freshness);
+
+      const response = await fetch(url, {
+        headers: { 'Accept': 'application/json', 'X-Subscription-Token': apiKey },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Brave search error: ${response.status} - ${errorText.substring(0, 300)}`);
+      }
+
+      const data = await response.json();
+      const seen = new Set();
+      const results = [];
+      for (const item of [...(data?.news?.results || []), ...(data?.web?.results || [])]) {
+        if (!item?.title || seen.has(item.url)) continue;
+        seen.add(item.url);
+        results.push({ title: plain(item.title), snippet: plain(item.description), url: item.url || null, age: item.age || null });
+      }
+      return results.slice(0, count);
+    },
+  };
+}
+
+module.exports = { createBraveSearch };
@@ -0,0 +1,402 @@
+// ============================================================
+// 📦 DURABLE JOB QUEUE (Postgres)
+// ============================================================
+// Background work that must survive a deploy or crash (memory extraction,
+// promise detection, ...) is stored in job_queue (migration 0005) and claimed
+// with SELECT ... FOR UPDATE SKIP LOCKED, so any number of workers - in this
+// process or another instance - can pull from it without double-processing.
+//
+// - Failed jobs retry with exponential backoff; after maxAttempts they move
+//   to job_dead_letters with their last error.
+// - At most `concurrency` jobs run at once per process, across all users.
+// - One user's jobs run one at a time, oldest first (best effort: two
+//   instances claiming at the same instant can still overlap).
+// - A job running longer than leaseMs is aborted through its AbortSignal. It
+//   stays 'running' until the handler returns, then retries like any failure,
+//   so a retry never overlaps the attempt it replaces.
+// - A job still 'running' after reclaimAfterMs belongs to a worker that died
+//   mid-job; every worker checks for those each leaseMs and requeues them.
+// ============================================================
+
+const os = require('os');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Finished jobs are kept this long for the status endpoint, then purged
+const DONE_RETENTION_HOURS = 24;
+
+function formatError(error) {
+  return String(error?.message || error).substring(0, 500);
+}
+
+class JobQueue {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {object} [options.clock] - { setTimeout, clearTimeout } (the app's job clock)
+   * @param {number} [options.concurrency] - Jobs running at once in this process
+   * @param {number} [options.pollMs] - How often an idle worker checks for due jobs
+   * @param {number} [options.baseBackoffMs] - First retry delay (doubles per attempt)
+   * @param {number} [options.maxBackoffMs]
+   * @param {number} [options.leaseMs] - Max run time; longer-running jobs are aborted
+   * @param {number} [options.reclaimAfterMs] - Run time after which a job counts as lost and is requeued (default 2x leaseMs)
+   */
+  constructor({
+    pool,
+    clock = { setTimeout, clearTimeout },
+    concurrency = 3,
+    pollMs = 1000,
+    baseBackoffMs = 5000,
+    maxBackoffMs = 10 * 60 * 1000,
+    leaseMs = 2 * 60 * 1000,
+    reclaimAfterMs = 2 * leaseMs,
+  }) {
+    this.pool = pool;
+    this.clock = clock;
+    this.concurrency = concurrency;
+    this.pollMs = pollMs;
+    this.baseBackoffMs = baseBackoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.leaseMs = leaseMs;
+    this.reclaimAfterMs = reclaimAfterMs;
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.active = 0;
+    this.running = false;
+    this.draining = false;
+    this.pollTimer = null;
+    this.reclaimTimer = null;
+    this.inFlight = new Set(); // ids of jobs this process is running (never reclaimed by it)
+  }
+
+  /**
+   * Register the function that runs one job type.
+   * @param {string} type - e.g. 'memory.extract'
+   * @param {Function} handler - async ({ id, userId, payload, attempts, signal }) => void, throw to retry.
+   *   `signal` aborts when the job runs past leaseMs; pass it on to slow calls and stop when it fires
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts]
+   */
+  register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    this.handlers.set(type, { handler, maxAttempts });
+    return this;
+  }
+
+  // ============================================================
+  // PRODUCING
+  // ============================================================
+
+  /**
+   * Persist a job. It runs as soon as a worker is free (or once the worker
+   * starts - enqueueing works before start() and while the worker is stopped).
+   * @returns {Promise<number>} job id
+   */
+  async enqueue(type, { userId = null, payload = {}, delayMs = 0 } = {}) {
+    const registered = this.handlers.get(type);
+    if (!registered) throw new Error(`No handler registered for job type "${type}"`);
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO job_queue (job_type, user_id, payload, max_attempts, run_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 || ' milliseconds')::INTERVAL)
+       RETURNING id`,
+      [type, userId, JSON.stringify(payload), registered.maxAttempts, String(delayMs)]
+    );
+
+    console.log(`📦 Job ${rows[0].id} queued (${type}${userId ? ` for ${userId}` : ''})`);
+    if (this.running) setImmediate(() => this.drain());
+    return rows[0].id;
+  }
+
+  // ============================================================
+  // WORKER
+  // ============================================================
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`⚙️ Job queue worker started (${this.workerId}, concurrency ${this.concurrency})`);
+    this.reclaimLoop().finally(() => this.drain());
+  }
+
+  // Stops claiming new jobs; in-flight jobs finish on their own
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      this.clock.clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.reclaimTimer) {
+      this.clock.clearTimeout(this.reclaimTimer);
+      this.reclaimTimer = null;
+    }
+  }
+
+  // Requeue jobs lost by dead workers now, then every leaseMs while running
+  async reclaimLoop() {
+    this.reclaimTimer = null;
+    if (!this.running) return;
+    try {
+      if (await this.reclaimStale()) this.drain();
+    } catch (err) {
+      console.error('Job queue reclaim error:', err.message);
+    }
+    if (this.running) this.reclaimTimer = this.clock.setTimeout(() => this.reclaimLoop(), this.leaseMs);
+  }
+
+  schedulePoll() {
+    if (!this.running || this.pollTimer) return;
+    this.pollTimer = this.clock.setTimeout(() => {
+      this.pollTimer = null;
+      this.drain();
+    }, this.pollMs);
+  }
+
+  // Claim due jobs until every worker slot is busy or nothing is due
+  async drain() {
+    if (!this.running || this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.running && this.active < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.active++;
+        this.runJob(job).finally(() => {
+          this.active--;
+          this.drain();
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue claim error:', error.message);
+    } finally {
+      this.draining = false;
+      this.schedulePoll();
+    }
+  }
+
+  async claim() {
+    const types = [...this.handlers.keys()];
+    if (!types.length) return null;
+
+    const { rows } = await this.pool.query(
+      `UPDATE job_queue
+       SET status = 'running', attempts = attempts + 1, locked_by = $2,
+           started_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT j.id FROM job_queue j
+         WHERE j.status = 'pending'
+           AND j.run_at <= NOW()
+           AND j.job_type = ANY($1)
+           AND (j.user_id IS NULL OR NOT EXISTS (
+             SELECT 1 FROM job_queue r WHERE r.user_id = j.user_id AND r.status = 'running'
+           ))
+         ORDER BY j.run_at ASC, j.id ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, job_type, user_id, payload, attempts, max_attempts, created_at`,
+      [types, this.workerId]
+    );
+    return rows[0] || null;
+  }
+
+  async runJob(job) {
+    const startedAt = Date.now();
+    const { handler } = this.handlers.get(job.job_type);
+    const controller = new AbortController();
+    this.inFlight.add(job.id);
+
+    // Past the lease the handler is asked to stop, but the job is only released
+    // (retried) once it has actually returned - never while it may still be writing
+    const timer = this.clock.setTimeout(() => {
+      console.warn(`⏱️ Job ${job.id} (${job.job_type}) ran past ${this.leaseMs}ms - aborting`);
+      controller.abort(new Error(`Timed out after ${this.leaseMs}ms`));
+    }, this.leaseMs);
+
+    try {
+      try {
+        await handler({ id: job.id, userId: job.user_id, payload: job.payload, attempts: job.attempts, signal: controller.signal });
+      } catch (error) {
+        throw controller.signal.aborted ? controller.signal.reason : error;
+      }
+
+      await this.pool.query(
+        `UPDATE job_queue SET status = 'done', locked_by = NULL, last_error = NULL,
+                completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [job.id]
+      );
+      console.log(`✅ Job ${job.id} (${job.job_type}) done in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      await this.fail(job, error).catch(err => console.error(`❌ Could not record failure of job ${job.id}:`, err.message));
+    } finally {
+      this.clock.clearTimeout(timer);
+      this.inFlight.delete(job.id);
+    }
+  }
+
+  backoffMs(attempts) {
+    return Math.min(this.maxBackoffMs, this.baseBackoffMs * 2 ** (attempts - 1));
+  }
+
+  async fail(job, error) {
+    const message = formatError(error);
+
+    if (job.attempts < job.max_attempts) {
+      const delay = this.backoffMs(job.attempts);
+      await this.pool.query(
+        `UPDATE job_queue
+         SET status = 'pending', locked_by = NULL, last_error = $2, updated_at = NOW(),
+             run_at = NOW() + ($3 || ' milliseconds')::INTERVAL
+         WHERE id = $1`,
+        [job.id, message, String(delay)]
+      );
+      console.warn(`⚠️ Job ${job.id} (${job.job_type}) failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+      return;
+    }
+
+    // Out of attempts - move it to the dead-letter table in one transaction
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO job_dead_letters (job_id, job_type, user_id, payload, attempts, last_error, created_at)
+         SELECT id, job_type, user_id, payload, attempts, $2, created_at FROM job_queue WHERE id = $1`,
+        [job.id, message]
+      );
+      await client.query(`DELETE FROM job_queue WHERE id = $1`, [job.id]);
+      await client.query('COMMIT');
+    } catch (txError) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw txError;
+    } finally {
+      client.release();
+    }
+    console.error(`❌ Job ${job.id} (${job.job_type}) dead-lettered after ${job.attempts} attempts: ${message}`);
+  }
+
+  // ============================================================
+  // MAINTENANCE
+  // ============================================================
+
+  // Jobs still 'running' past reclaimAfterMs belong to a worker that died mid-job
+  // (this process's own in-flight jobs are left alone, however long they take)
+  async reclaimStale() {
+    const { rowCount } = await this.pool.query(
+      `UPDATE job_queue SET status = 'pending', locked_by = NULL, updated_at = NOW(),
+              last_error = COALESCE(last_error, 'worker lost (lease expired)')
+       WHERE status = 'running' AND started_at < NOW() - ($1 || ' milliseconds')::INTERVAL
+         AND NOT (id = ANY($2::bigint[]))`,
+      [String(this.reclaimAfterMs), [...this.inFlight]]
+    );
+    if (rowCount) console.log(`♻️ Reclaimed ${rowCount} job(s) from lost workers`);
+    return rowCount;
+  }
+
+  async purgeFinished(retentionHours = DONE_RETENTION_HOURS) {
+    const { rowCount } = await this.pool.query(
+      `DELETE FROM job_queue WHERE status = 'done' AND completed_at < NOW() - ($1 || ' hours')::INTERVAL`,
+      [String(retentionHours)]
+    );
+    if (rowCount) console.log(`🧹 Purged ${rowCount} finished job(s)`);
+    return rowCount;
+  }
+
+  /**
+   * Drop a user's queued jobs and wait for any running one to finish
+   * (account deletion must not race a job that re-inserts their data).
+   */
+  async purgeUser(userId, timeoutMs = 15000) {
+    const { rowCount: dropped } = await this.pool.query(
+      `DELETE FROM job_queue WHERE user_id = $1 AND status IN ('pending', 'done')`,
+      [userId]
+    );
+
+    const deadline = Date.now() + timeoutMs;
+    let stillProcessing = true;
+    while (Date.now() < deadline) {
+      const { rows } = await this.pool.query(
+        `SELECT 1 FROM job_queue WHERE user_id = $1 AND status = 'running' LIMIT 1`,
+        [userId]
+      );
+      stillProcessing = rows.length > 0;
+      if (!stillProcessing) break;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    return { dropped, stillProcessing };
+  }
+
+  // ============================================================
+  // STATUS
+  // ============================================================
+
+  /**
+   * Queue-wide counts from the database (every instance, not just this process).
+   * @param {string[]} [types] - Limit to these job types
+   */
+  async getStatus(types = null) {
+    const { rows: [counts] } = await this.pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+         COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0)::int AS retrying,
+         COUNT(*) FILTER (WHERE status = 'running')::int AS running,
+         COUNT(DISTINCT user_id) FILTER (WHERE status = 'running')::int AS active_users,
+         COUNT(DISTINCT user_id) FILTER (WHERE status = 'pending')::int AS users_with_pending,
+         COUNT(*) FILTER (WHERE status = 'done')::int AS done,
+         AVG(EXTRACT(EPOCH FROM (completed_at - started_at)) * 1000) FILTER (WHERE status = 'done') AS avg_ms
+       FROM job_queue
+       WHERE ($1::text[] IS NULL OR job_type = ANY($1))`,
+      [types]
+    );
+    const { rows: [dead] } = await this.pool.query(
+      `SELECT COUNT(*)::int AS dead_letters FROM job_dead_letters
+       WHERE failed_at > NOW() - ($2 || ' hours')::INTERVAL
+         AND ($1::text[] IS NULL OR job_type = ANY($1))`,
+      [types, String(DONE_RETENTION_HOURS)]
+    );
+
+    return {
+      pending: counts.pending,
+      retrying: counts.retrying,
+      running: counts.running,
+      activeUsers: counts.active_users,
+      usersWithPending: counts.users_with_pending,
+      done: counts.done,
+      deadLetters: dead.dead_letters,
+      averageProcessingMs: counts.avg_ms === null ? null : Math.round(Number(counts.avg_ms)),
+      windowHours: DONE_RETENTION_HOURS,
+      workers: { concurrency: this.concurrency, activeHere: this.active, running: this.running },
+    };
+  }
+
+  /** One user's queued work; position counts due jobs (any user) ahead of their oldest. */
+  async getUserStatus(userId, types = null) {
+    const { rows: [row] } = await this.pool.query(
+      `WITH mine AS (
+         SELECT * FROM job_queue
+         WHERE user_id = $1 AND ($2::text[] IS NULL OR job_type = ANY($2))
+       )
+       SELECT
+         (SELECT COUNT(*)::int FROM mine WHERE status = 'pending') AS pending,
+         (SELECT COUNT(*)::int FROM mine WHERE status = 'running') AS running,
+         (SELECT MIN(run_at) FROM mine WHERE status = 'pending') AS next_run_at,
+         (SELECT COUNT(*)::int FROM job_queue q
+            WHERE q.status = 'pending'
+              AND ($2::text[] IS NULL OR q.job_type = ANY($2))
+              AND q.run_at < (SELECT MIN(run_at) FROM mine WHERE status = 'pending')) AS ahead`,
+      [userId, types]
+    );
+
+    return {
+      userId,
+      queueSize: row.pending,
+      processing: row.running > 0,
+      position: row.pending > 0 ? row.ahead + 1 : 0,
+      nextRunAt: row.next_run_at,
+    };
+  }
+}
+
+module.exports = { JobQueue };
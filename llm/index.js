@@ -0,0 +1,94 @@
+// ============================================================
+// 🧩 LLM PROVIDER REGISTRY
+// ============================================================
+// Each chat backend is one module under ./providers sharing the
+// chat / stream / health / costPerToken interface. Routing rules live in
+// ./routes.js, so swapping vendors or pointing tests at a local stand-in
+// never requires touching app.js.
+// ============================================================
+
+const { loadRoutes } = require('./routes');
+const { createGroqProvider } = require('./providers/groq');
+const { createDeepSeekProvider } = require('./providers/deepseek');
+const { createEuryaleProvider } = require('./providers/euryale');
+const { createLocalProvider } = require('./providers/local');
+
+class ProviderRegistry {
+  constructor(routes = {}) {
+    this.providers = new Map();
+    this.routes = routes;
+  }
+
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.chat !== 'function') {
+      throw new Error('LLM provider must have a name and a chat() function');
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown LLM provider: ${name}`);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Resolve the ordered provider chain for a tier / content class.
+   * Unknown providers in the config are skipped (with a warning) so a typo
+   * in LLM_ROUTES degrades to the next fallback instead of failing every chat.
+   * @param {string} tier - 'free' | 'paid'
+   * @param {string} contentClass - 'normal' | 'nsfw' | 'crisis'
+   * @returns {Array<object>} providers, in the order they should be tried
+   */
+  resolve(tier, contentClass) {
+    const names = this.routes[tier]?.[contentClass] || this.routes.free?.normal || [];
+    const chain = [];
+    for (const name of names) {
+      if (this.providers.has(name)) {
+        chain.push(this.providers.get(name));
+      } else {
+        console.warn(`⚠️ [LLM] Route ${tier}/${contentClass} names unknown provider "${name}" - skipping`);
+      }
+    }
+    if (chain.length === 0) {
+      throw new Error(`No LLM providers available for ${tier}/${contentClass}`);
+    }
+    return chain;
+  }
+
+  async health() {
+    const results = {};
+    await Promise.all(this.list().map(async (provider) => {
+      results[provider.name] = provider.configured
+        ? await provider.health()
+        : { ok: false, error: 'not configured' };
+    }));
+    return results;
+  }
+}
+
+function createDefaultRegistry(env = process.env) {
+  const registry = new ProviderRegistry(loadRoutes(env));
+
+  registry
+    .register(createGroqProvider(env))
+    .register(createDeepSeekProvider(env))
+    .register(createEuryaleProvider(env));
+
+  if (env.LOCAL_LLM_ENDPOINT) {
+    registry.register(createLocalProvider(env));
+  }
+
+  return registry;
+}
+
+module.exports = { ProviderRegistry, createDefaultRegistry };
@@ -0,0 +1,269 @@
+// ============================================================
+// 🔌 OPENAI-COMPATIBLE PROVIDER BASE
+// ============================================================
+// Shared fetch / timeout / retry / streaming for every chat backend
+// that speaks the OpenAI /chat/completions protocol (Groq, OpenRouter,
+// local llama.cpp / vLLM / Ollama stand-ins).
+// ============================================================
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function abortedError(name) {
+  const error = new Error(`${name} request cancelled`);
+  error.code = 'ABORTED';
+  return error;
+}
+
+function stalledError(name, ms) {
+  const error = new Error(`${name} stream stalled - no data for ${ms}ms`);
+  error.code = 'STREAM_STALLED';
+  return error;
+}
+
+/**
+ * Create a provider that talks to an OpenAI-compatible chat endpoint.
+ *
+ * Every provider exposes the same interface:
+ *   chat(messages, opts)   -> Promise<{ text, usage, costUsd, provider, model }>
+ *   stream(messages, opts) -> AsyncGenerator<string> (text deltas)
+ *   (opts.signal cancels either one; the error then has code ABORTED and is not retried)
+ *   (a stream that goes quiet for stallTimeoutMs mid-body throws STREAM_STALLED)
+ *   finalize(rawText, opts) -> string, cleanup + validation for a streamed reply
+ *   health()               -> Promise<{ ok, status, latencyMs }>
+ *   costPerToken           -> { input, output } in USD
+ *
+ * @param {object} config
+ * @param {string} config.name - Registry name ("deepseek", "euryale", ...)
+ * @param {string} config.endpoint - Full /chat/completions URL
+ * @param {string} config.apiKey - Bearer token (may be empty for local servers)
+ * @param {string} config.model - Model id sent in the request body
+ * @param {object} [config.headers] - Extra request headers
+ * @param {object} [config.params] - Default body params (temperature, top_p, stop...)
+ * @param {object} [config.costPerToken] - { input, output } USD per token
+ * @param {number} [config.timeoutMs] - Per-attempt timeout (until the response headers arrive)
+ * @param {number} [config.stallTimeoutMs] - Longest wait between two chunks of a streamed body
+ * @param {number} [config.retries] - Extra attempts on network errors / 429 / 5xx
+ * @param {Function} [config.prepareMessages] - (messages, opts) => messages, model-specific prompt tweaks
+ * @param {Function} [config.cleanOutput] - (text) => text, strip leaked instructions
+ * @param {Function} [config.validate] - (text, opts) => void, throw to reject output
+ */
+function createOpenAICompatibleProvider(config) {
+  const {
+    name,
+    endpoint,
+    apiKey,
+    model,
+    headers = {},
+    params = {},
+    costPerToken = { input: 0, output: 0 },
+    timeoutMs = 20000,
+    stallTimeoutMs = timeoutMs,
+    retries = 1,
+    prepareMessages = (messages) => messages,
+    cleanOutput = (text) => text.trim(),
+    validate = null,
+  } = config;
+
+  const label = `[${name}]`;
+
+  function buildRequest(messages, opts, stream) {
+    // Deep copy so model-specific prompt tweaks never leak into the caller's history
+    const prepared = prepareMessages(JSON.parse(JSON.stringify(messages)), opts);
+    const body = {
+      ...params,
+      model,
+      messages: prepared,
+    };
+    if (opts.temperature !== undefined) body.temperature = opts.temperature;
+    if (opts.maxTokens !== undefined) body.max_tokens = opts.maxTokens;
+    if (stream) body.stream = true;
+
+    return {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+    };
+  }
+
+  // `signal` (the caller's cancel) stays linked to a successful response so it can cut off a stream mid-body
+  async function request(init, timeout = timeoutMs, signal = null) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (signal?.aborted) throw abortedError(name);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const cancel = () => controller.abort();
+      signal?.addEventListener('abort', cancel, { once: true });
+      let response = null;
+
+      try {
+        response = await fetch(endpoint, { ...init, signal: controller.signal });
+
+        if (response.ok) return response;
+
+        const errText = await response.text().catch(() => '');
+        lastError = new Error(`${name} API error: ${response.status} - ${errText}`);
+        lastError.status = response.status;
+
+        if (!RETRYABLE_STATUS.has(response.status)) throw lastError;
+      } catch (error) {
+        if (signal?.aborted) throw abortedError(name);
+        if (error.name === 'AbortError') {
+          lastError = new Error(`${name} API timeout after ${timeout}ms`);
+        } else {
+          lastError = error;
+          if (error.status && !RETRYABLE_STATUS.has(error.status)) throw error;
+        }
+      } finally {
+        clearTimeout(timer);
+        if (!response?.ok) signal?.removeEventListener('abort', cancel);
+      }
+
+      if (attempt < retries) {
+        const backoff = 250 * 2 ** attempt;
+        console.warn(`${label} ⚠️ ${lastError.message} - retrying in ${backoff}ms`);
+        await sleep(backoff);
+      }
+    }
+
+    throw lastError;
+  }
+
+  function estimateCost(usage) {
+    if (!usage) return 0;
+    return (usage.prompt_tokens || 0) * costPerToken.input +
+      (usage.completion_tokens || 0) * costPerToken.output;
+  }
+
+  // Cleanup + validation for a complete reply. Streaming callers run this
+  // on the accumulated text once the stream ends.
+  function finalize(rawContent, opts = {}) {
+    const text = cleanOutput(rawContent);
+    if (!text || text.length < 2) {
+      throw new Error(`Empty response from ${name}`);
+    }
+
+    if (validate) validate(text, opts, rawContent);
+    return text;
+  }
+
+  async function chat(messages, opts = {}) {
+    const response = await request(buildRequest(messages, opts, false), opts.timeoutMs, opts.signal);
+    const data = await response.json();
+    const rawContent = data.choices?.[0]?.message?.content || '';
+
+    console.log(`${label} Raw response: "${rawContent.substring(0, 100)}..."`);
+
+    const text = finalize(rawContent, opts);
+    const costUsd = estimateCost(data.usage);
+    if (data.usage) {
+      console.log(`${label} 💰 ${data.usage.prompt_tokens || 0} in / ${data.usage.completion_tokens || 0} out tokens ≈ $${costUsd.toFixed(5)}`);
+    }
+
+    return { text, usage: data.usage || null, costUsd, provider: name, model };
+  }
+
+  // Yields raw text deltas as they arrive (Server-Sent Events from the upstream API).
+  // Output cleanup and validation need the full text - call finalize() at the end.
+  // The headers timeout ends once the body starts, so a separate stall timer aborts
+  // the request when the next chunk takes longer than stallTimeoutMs to arrive (time
+  // the caller spends on a delta doesn't count) and the caller can fail over.
+  async function* stream(messages, opts = {}) {
+    const stallMs = opts.stallTimeoutMs ?? stallTimeoutMs;
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    if (opts.signal?.aborted) cancel();
+    opts.signal?.addEventListener('abort', cancel, { once: true });
+    let stallTimer = null;
+    let stalled = false;
+    const armStallTimer = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => {
+        stalled = true;
+        controller.abort();
+      }, stallMs);
+    };
+
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    try {
+      const response = await request(buildRequest(messages, opts, true), opts.timeoutMs, controller.signal);
+      armStallTimer();
+
+      for await (const chunk of response.body) {
+        clearTimeout(stallTimer);
+        buffered += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+          const line = buffered.slice(0, newline).trim();
+          buffered = buffered.slice(newline + 1);
+
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          try {
+            const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+          } catch {
+            // Partial or keep-alive frame - ignore
+          }
+        }
+        armStallTimer();
+      }
+    } catch (error) {
+      if (opts.signal?.aborted) throw abortedError(name);
+      if (stalled) {
+        console.warn(`${label} ⏱️ Stream stalled for ${stallMs}ms - aborting`);
+        throw stalledError(name, stallMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(stallTimer);
+      opts.signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  async function health() {
+    const startedAt = Date.now();
+    const modelsUrl = endpoint.replace(/\/chat\/completions\/?$/, '/models');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await fetch(modelsUrl, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        signal: controller.signal,
+      });
+      return { ok: response.ok, status: response.status, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, error: error.message, latencyMs: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name,
+    model,
+    costPerToken,
+    configured: Boolean(apiKey) || config.allowAnonymous === true,
+    chat,
+    stream,
+    finalize,
+    health,
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
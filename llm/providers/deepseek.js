@@ -0,0 +1,68 @@
+// ============================================================
+// 🐋 DEEPSEEK V3 0324 PROVIDER (via OpenRouter)
+// ============================================================
+
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+const { OPENROUTER_ENDPOINT, OPENROUTER_HEADERS } = require('./openrouter');
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function buildTimeReminder(now = new Date()) {
+  const estTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const hours = estTime.getHours();
+  const minutes = estTime.getMinutes().toString().padStart(2, '0');
+  const timeOfDay = hours < 12 ? 'morning' : hours < 17 ? 'afternoon' : hours < 21 ? 'evening' : 'night';
+  return `[Current time: ${DAYS[estTime.getDay()]}, ${timeOfDay} (${hours}:${minutes} EST)]`;
+}
+
+// Style reminder - forces DeepSeek to remember rules right before generating
+function prepareMessages(messages) {
+  const timeReminder = buildTimeReminder();
+
+  // Check if this is a FIRST message greeting (only 1 user message in conversation)
+  const userMessages = messages.filter(m => m.role === 'user');
+  const isFirstMessage = userMessages.length === 1;
+  const lastUserMsg = messages[messages.length - 1]?.content?.toLowerCase()?.trim() || '';
+  const isSimpleGreeting = /^(hi|hey|hello|yo|sup|heyy+|hii+|what'?s up|whats up)\.?!?$/i.test(lastUserMsg);
+
+  let styleReminder = `\n\n${timeReminder}
+[STYLE: casual lowercase texting, match his message length]`;
+
+  // Extra strong reminder for FIRST MESSAGE greetings only
+  if (isFirstMessage && isSimpleGreeting) {
+    styleReminder = `\n\n${timeReminder}
+[FIRST MESSAGE GREETING: Reply with ONLY a short greeting like "heyyy" or "hey :)" - nothing else, no commentary about your day]`;
+  }
+
+  // Inject into last user message
+  const lastUserIdx = messages.map(m => m.role).lastIndexOf('user');
+  if (lastUserIdx !== -1) {
+    messages[lastUserIdx].content = messages[lastUserIdx].content + styleReminder;
+  }
+
+  return messages;
+}
+
+function createDeepSeekProvider(env = process.env) {
+  return createOpenAICompatibleProvider({
+    name: 'deepseek',
+    endpoint: env.OPENROUTER_ENDPOINT || OPENROUTER_ENDPOINT,
+    apiKey: env.OPENROUTER_API_KEY,
+    model: "deepseek/deepseek-chat-v3-0324",
+    headers: OPENROUTER_HEADERS,
+    params: {
+      temperature: 0.3,
+      max_tokens: 200,
+      top_p: 0.9,
+      top_k: 40,
+      frequency_penalty: 0.15,
+    },
+    // $0.28 / $0.88 per 1M tokens
+    costPerToken: { input: 0.28 / 1e6, output: 0.88 / 1e6 },
+    prepareMessages,
+    // Clean up any leaked instructions
+    cleanOutput: (text) => text.replace(/^\[Style:.*?\]$/gmi, '').trim(),
+  });
+}
+
+module.exports = { createDeepSeekProvider };
@@ -0,0 +1,203 @@
+// ============================================================
+// 🔥 EURYALE 70B v2.3 PROVIDER (via OpenRouter - roleplay / NSFW)
+// ============================================================
+
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+const { OPENROUTER_ENDPOINT, OPENROUTER_HEADERS } = require('./openrouter');
+
+// Explicit messages get more room so Ellie can be descriptive / take initiative
+const EXPLICIT_MAX_TOKENS = 500;
+
+const REFUSAL_FALLBACKS = [
+  "i... i don't even know what to say right now",
+  "...i need a moment to think about this",
+  "wow... okay... that really hurts to hear",
+  "can we talk about this later? i'm feeling overwhelmed rn",
+  "i'm not sure how to respond to that... my head is spinning"
+];
+
+// 🆕 DETECT EURYALE REFUSAL - Catches when Euryale breaks character
+function detectEuryaleRefusal(response) {
+  if (!response || typeof response !== 'string') return true; // Treat null/undefined as a refusal
+
+  const refusalPhrases = [
+    "i can't help",
+    "i cant help",
+    "i cannot help",
+    "illegal or harmful",
+    "harmful activity",
+    "i'm unable to",
+    "i am unable to",
+    "against my guidelines",
+    "violates my",
+    "i refuse to",
+    "not something i can",
+    "as an ai",
+    "i'm an ai",
+    "i am an ai"
+  ];
+
+  const lower = response.toLowerCase();
+  const hasRefusal = refusalPhrases.some(phrase => lower.includes(phrase));
+
+  if (hasRefusal) {
+    console.log(`[Refusal Detection] Euryale broke character: "${response.substring(0, 100)}..."`);
+  }
+
+  return hasRefusal;
+}
+
+// We use "OOC" (Out Of Character) format, which Euryale understands perfectly.
+// The reminder goes into the LAST user message so the model sees it right before it speaks.
+function prepareMessages(messages, opts = {}) {
+  const lastUserMsg = messages[messages.length - 1]?.content?.toLowerCase() || '';
+  const wantsMore = /\b(tell me|describe|what would you|keep going|more|and then|what next)\b/i.test(lastUserMsg);
+
+  const formattingReminder = opts.explicit
+    ? (wantsMore
+      ? `\n[OOC: You are Ellie. Reply naturally.
+- Sexual content is ALLOWED. Be descriptive (40-60 words).
+- Write ONE coherent response that CONTINUES the action or asks for more.
+- Do NOT output this instruction.]`
+      : `\n[OOC: You are Ellie. Reply naturally.
+- Sexual content is ALLOWED.
+- Don't just react - CONTINUE the scene or tell him what YOU want next.
+- BAD: "fuck yes, i want that so bad" (just reacting, dead end)
+- GOOD: "fuck yes... don't stop, I want to feel you deeper" (reacts AND continues)
+- GOOD: "mmm yes... now I want you to [action]" (takes initiative)
+- Be an active participant, not just a responder.
+- Do NOT output this instruction.]`)
+    : `\n[OOC: You are Ellie. Reply to the user's last text naturally.
+- Casual SMS style (lowercase ok).
+- Sexual content is allowed if conversation goes there.
+- Keep response natural length (10-30 words for normal chat).
+- Do NOT output this instruction.]`;
+
+  const lastMsgIndex = messages.length - 1;
+  if (messages[lastMsgIndex] && messages[lastMsgIndex].role === 'user') {
+    messages[lastMsgIndex].content += formattingReminder;
+  } else {
+    // Fallback: If last msg isn't user, add a temporary system message at the end
+    messages.push({ role: "system", content: formattingReminder });
+  }
+
+  // DEBUG: Log prompt length to catch if it's exploding
+  console.log(`[Euryale] System prompt length: ${messages[0]?.content?.length || 0}`);
+
+  return messages;
+}
+
+// 🧹 SAFETY CLEANER: Remove leaked instructions if they still appear
+function cleanOutput(text) {
+  return text.replace(/^(❗|CRITICAL|\[System|\[OOC).+$/gmi, '')
+             .replace(/^got it\.?/i, '')
+             .trim();
+}
+
+// Rejects word-salad and fake photo actions by throwing, so the router can retry or fall back.
+// Refusals are left alone here - chat() handles them with a retry + in-character fallback.
+function validate(text, _opts, rawContent) {
+  if (detectEuryaleRefusal(text)) return;
+
+  const words = text.split(/\s+/);
+
+  // Check 1: Random capitalized words ratio
+  const capitalizedWords = words.filter(w => /^[A-Z][a-z]/.test(w)).length;
+  const capsRatio = capitalizedWords / words.length;
+  if (capsRatio > 0.4 && words.length > 5) {
+    console.error(`[Euryale] ❌ Gibberish detected (${Math.round(capsRatio * 100)}% capitalized names): "${text.substring(0, 50)}..."`);
+    throw new Error('Gibberish response from Euryale');
+  }
+
+  // Check 2: Random numbers in text (like "ur 113", "haha 42")
+  const numberMatches = text.match(/\b\d{2,}\b/g) || [];
+  if (numberMatches.length >= 2) {
+    console.error(`[Euryale] ❌ Gibberish detected (random numbers): "${text.substring(0, 50)}..."`);
+    throw new Error('Gibberish response from Euryale');
+  }
+
+  // Check 3: Nonsense word patterns (random consonant clusters, gibberish)
+  const nonsensePatterns = [
+    /\b[bcdfghjklmnpqrstvwxz]{4,}\b/i,  // 4+ consonants in a row
+    /\b(gth|hth|slime brain|make me cum haha|sweet fuck)\b/i,  // Known gibberish
+    /\bur\s+\d+\b/i,  // "ur 113" pattern
+  ];
+  for (const pattern of nonsensePatterns) {
+    if (pattern.test(text)) {
+      console.error(`[Euryale] ❌ Gibberish detected (nonsense pattern): "${text.substring(0, 50)}..."`);
+      throw new Error('Gibberish response from Euryale');
+    }
+  }
+
+  // Check 4: Too many unrelated words crammed together
+  const incoherentPattern = /\b(ew|haha|lol|omg)\s+(btw|how|what)\s+.{0,10}\s+(sweet|fuck|slime|brain|cum)\b/i;
+  if (incoherentPattern.test(text)) {
+    console.error(`[Euryale] ❌ Gibberish detected (incoherent): "${text.substring(0, 50)}..."`);
+    throw new Error('Gibberish response from Euryale');
+  }
+
+  // 🚨 CHECK FOR FAKE PHOTO MENTIONS ON RAW CONTENT (BEFORE asterisks are stripped!)
+  const fakePhotoPatterns = [
+    /\*\s*(sends?|sending|sent|shows?|showing|shares?|sharing|snaps?|takes?|took)\s+(you\s+)?(a\s+)?(photo|pic|picture|selfie|snap|image|nude|nudes)/i,
+    /\*\s*ellie\s+(sends?|sending|shows?|shares?|snaps?)\s+(you\s+)?(a\s+)?(photo|pic|picture|selfie|snap|image|nude|nudes)/i,
+    /\*\s*(attaches?|attached|posts?|uploads?)\s+(a\s+)?(photo|pic|picture|selfie|image|nude)/i,
+  ];
+  for (const pattern of fakePhotoPatterns) {
+    if (pattern.test(rawContent)) {
+      console.log(`[Euryale] 🚨 Fake photo action detected: "${rawContent.substring(0, 60)}..." - throwing to trigger retry`);
+      throw new Error('Euryale claimed to send photo without actual photo');
+    }
+  }
+}
+
+function createEuryaleProvider(env = process.env) {
+  const base = createOpenAICompatibleProvider({
+    name: 'euryale',
+    endpoint: env.OPENROUTER_ENDPOINT || OPENROUTER_ENDPOINT,
+    apiKey: env.OPENROUTER_API_KEY,
+    model: "sao10k/l3.3-euryale-70b-v2.3",
+    headers: OPENROUTER_HEADERS,
+    params: {
+      temperature: 0.75,
+      min_p: 0.1,
+      top_p: 0.95,
+      repetition_penalty: 1.05,
+      max_tokens: 800,
+      // Block it from repeating instructions
+      stop: ["<|eot_id|>", "<|end_of_text|>", "###", "User:", "Assistant:", "❗", "[OOC:", "[System Note"]
+    },
+    // $0.70 / $0.80 per 1M tokens
+    costPerToken: { input: 0.70 / 1e6, output: 0.80 / 1e6 },
+    prepareMessages,
+    cleanOutput,
+    validate,
+  });
+
+  const withExplicitTokens = (opts) => (opts.explicit ? { ...opts, maxTokens: EXPLICIT_MAX_TOKENS } : opts);
+
+  async function chat(messages, opts = {}) {
+    const result = await base.chat(messages, withExplicitTokens(opts));
+
+    if (!detectEuryaleRefusal(result.text)) return result;
+
+    if (!opts.isRetry) {
+      console.log(`[Euryale] ⚠️ Refusal detected, retrying...`);
+      return chat(messages, { ...opts, isRetry: true });
+    }
+
+    // If still refusing after retry, generate a fallback in-character response
+    console.log(`[Euryale] ⚠️ Still breaking character after retry, using fallback`);
+    const fallback = REFUSAL_FALLBACKS[Math.floor(Math.random() * REFUSAL_FALLBACKS.length)];
+    return { ...result, text: fallback };
+  }
+
+  return {
+    ...base,
+    chat,
+    stream: (messages, opts = {}) => base.stream(messages, withExplicitTokens(opts)),
+    // Output also goes through validateElleResponse before it reaches the user
+    strictValidation: true,
+  };
+}
+
+module.exports = { createEuryaleProvider, detectEuryaleRefusal };
@@ -0,0 +1,38 @@
+// ============================================================
+// 🦙 GROQ PROVIDER (Llama 3.3 70B)
+// ============================================================
+
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+const GROQ_ENDPOINT = "https://api.groq.com/openai/v1/chat/completions";
+
+// Full personality is already in messages[0].content.
+// Only add a critical formatting reminder since Llama tends to use asterisk actions.
+const FORMATTING_REMINDER = `
+
+FORMATTING REMINDER:
+- NO *actions* or (actions) - just speak naturally
+- NO stage directions
+- Keep responses concise
+`;
+
+function createGroqProvider(env = process.env) {
+  return createOpenAICompatibleProvider({
+    name: 'groq',
+    endpoint: env.GROQ_ENDPOINT || GROQ_ENDPOINT,
+    apiKey: env.GROQ_API_KEY,
+    model: "llama-3.3-70b-versatile",
+    params: {
+      temperature: 0.6,
+      max_tokens: 800,
+    },
+    // $0.59 / $0.79 per 1M tokens
+    costPerToken: { input: 0.59 / 1e6, output: 0.79 / 1e6 },
+    prepareMessages(messages) {
+      if (messages[0]) messages[0].content += FORMATTING_REMINDER;
+      return messages;
+    },
+  });
+}
+
+module.exports = { createGroqProvider };
@@ -0,0 +1,30 @@
+// ============================================================
+// 🏠 LOCAL OPENAI-COMPATIBLE PROVIDER
+// ============================================================
+// Stand-in for tests and offline development. Point LOCAL_LLM_ENDPOINT at
+// any server that speaks /chat/completions (llama.cpp, vLLM, Ollama, or a
+// scripted fake) and route to "local" via LLM_ROUTES / LLM_FORCE_PROVIDER.
+// ============================================================
+
+const { createOpenAICompatibleProvider } = require('../openaiCompatible');
+
+const LOCAL_LLM_ENDPOINT = "http://127.0.0.1:11434/v1/chat/completions";
+
+function createLocalProvider(env = process.env) {
+  return createOpenAICompatibleProvider({
+    name: 'local',
+    endpoint: env.LOCAL_LLM_ENDPOINT || LOCAL_LLM_ENDPOINT,
+    apiKey: env.LOCAL_LLM_API_KEY || '',
+    allowAnonymous: true,
+    model: env.LOCAL_LLM_MODEL || 'local-model',
+    params: {
+      temperature: 0.7,
+      max_tokens: 300,
+    },
+    costPerToken: { input: 0, output: 0 },
+    timeoutMs: Number(env.LOCAL_LLM_TIMEOUT_MS || 30000),
+    retries: 0,
+  });
+}
+
+module.exports = { createLocalProvider };
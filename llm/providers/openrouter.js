@@ -0,0 +1,10 @@
+// Shared OpenRouter settings for every model we reach through it
+
+const OPENROUTER_ENDPOINT = "https://openrouter.ai/api/v1/chat/completions";
+
+const OPENROUTER_HEADERS = {
+  'HTTP-Referer': 'https://ellie-elite.com',
+  'X-Title': 'Ellie'
+};
+
+module.exports = { OPENROUTER_ENDPOINT, OPENROUTER_HEADERS };
@@ -0,0 +1,55 @@
+// ============================================================
+// 🔀 LLM ROUTING RULES
+// ============================================================
+// Ordered provider chain per tier and content class. The first provider
+// is tried first; the rest are fallbacks when it errors or returns garbage.
+//
+// Override without a deploy:
+//   LLM_ROUTES='{"paid":{"nsfw":["euryale","groq"]}}'  (merged over defaults)
+//   LLM_FORCE_PROVIDER=local                          (every route -> one provider)
+// ============================================================
+
+// crisis: safe-response replies after a self-harm / abuse disclosure (see safety/) - never the uncensored model
+const CONTENT_CLASSES = ['normal', 'nsfw', 'crisis'];
+
+const DEFAULT_ROUTES = {
+  // Free users: DeepSeek for everything, NO NSFW model access
+  free: {
+    normal: ['deepseek'],
+    nsfw: ['deepseek'],
+    crisis: ['deepseek', 'groq'],
+  },
+  // Paid users: DeepSeek for normal, Euryale (uncensored) for NSFW
+  paid: {
+    normal: ['deepseek'],
+    nsfw: ['euryale', 'deepseek'],
+    crisis: ['deepseek', 'groq'],
+  },
+};
+
+function loadRoutes(env = process.env) {
+  const routes = JSON.parse(JSON.stringify(DEFAULT_ROUTES));
+
+  if (env.LLM_ROUTES) {
+    try {
+      const overrides = JSON.parse(env.LLM_ROUTES);
+      for (const [tier, classes] of Object.entries(overrides)) {
+        routes[tier] = { ...(routes[tier] || {}), ...classes };
+      }
+    } catch (error) {
+      console.error('⚠️ Invalid LLM_ROUTES JSON, using default routes:', error.message);
+    }
+  }
+
+  if (env.LLM_FORCE_PROVIDER) {
+    for (const tier of Object.keys(routes)) {
+      for (const contentClass of CONTENT_CLASSES) {
+        routes[tier][contentClass] = [env.LLM_FORCE_PROVIDER];
+      }
+    }
+  }
+
+  return routes;
+}
+
+module.exports = { DEFAULT_ROUTES, CONTENT_CLASSES, loadRoutes };
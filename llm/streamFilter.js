@@ -0,0 +1,136 @@
+// ============================================================
+// 🚫 INCREMENTAL ACTION FILTER (for token streaming)
+// ============================================================
+// Streaming counterpart of filterAllActions() in app.js. Text is held
+// back while it might still be part of an action (*sighs*, (winks),
+// [send pic], <|eot_id|>, ###) so filtered content never reaches the
+// client. The full reply still goes through filterAllActions() once the
+// stream completes - that result is authoritative.
+// ============================================================
+
+// Same pattern limitEmojis() uses, tested one code point at a time
+const EMOJI_REGEX = /[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]|[\u{1F600}-\u{1F64F}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2300}-\u{23FF}]|[\u{2B50}]|[\u{200D}]|[\u{FE0F}]/u;
+
+const SPAN_CLOSERS = { '*': '*', '(': ')', '[': ']', '<|': '|>' };
+
+function createActionStreamFilter({ maxEmojis = 1 } = {}) {
+  let pending = '';       // Unprocessed input (may end mid-marker or mid-surrogate)
+  let span = null;        // Open marker while inside an action span
+  let spanText = '';      // Raw span text, released only if the span never closes
+  let hashes = 0;         // Run of '#' characters seen so far
+  let emojiCount = 0;
+  let lastWasSpace = true; // Start true so leading whitespace is dropped
+
+  function emitChar(ch, out) {
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) return out;
+      lastWasSpace = true;
+      return out + ' ';
+    }
+    if (EMOJI_REGEX.test(ch)) {
+      if (emojiCount >= maxEmojis) return out;
+      emojiCount++;
+    }
+    lastWasSpace = false;
+    return out + ch;
+  }
+
+  function releaseHashes(out) {
+    // "###" is dropped entirely; shorter runs are ordinary text
+    if (hashes > 0 && hashes < 3) {
+      for (let i = 0; i < hashes; i++) out = emitChar('#', out);
+    }
+    hashes = 0;
+    return out;
+  }
+
+  function process(final) {
+    let out = '';
+    let i = 0;
+    const chars = Array.from(pending);
+
+    while (i < chars.length) {
+      const ch = chars[i];
+      const next = chars[i + 1];
+      const isLast = i === chars.length - 1;
+
+      // Hold a trailing lone high surrogate or '<' until we see what follows
+      if (!final && isLast && (ch === '<' || /[\uD800-\uDBFF]/.test(ch))) break;
+
+      if (span) {
+        const closer = SPAN_CLOSERS[span];
+        if (closer.length === 2) {
+          if (!final && isLast && ch === closer[0]) break;
+          if (ch === closer[0] && next === closer[1]) {
+            span = null;
+            spanText = '';
+            i += 2;
+            continue;
+          }
+        } else if (ch === closer) {
+          span = null;
+          spanText = '';
+          i++;
+          continue;
+        }
+        spanText += ch;
+        i++;
+        continue;
+      }
+
+      if (ch === '#') {
+        hashes++;
+        if (hashes === 3) hashes = 0; // Swallow "###"
+        i++;
+        continue;
+      }
+      out = releaseHashes(out);
+
+      if (ch === '<' && next === '|') {
+        out = releaseHashes(out);
+        span = '<|';
+        spanText = '<|';
+        i += 2;
+        continue;
+      }
+      if (ch === '*' || ch === '(' || ch === '[') {
+        span = ch;
+        spanText = ch;
+        i++;
+        continue;
+      }
+
+      out = emitChar(ch, out);
+      i++;
+    }
+
+    pending = chars.slice(i).join('');
+
+    if (final) {
+      out = releaseHashes(out);
+      // Unclosed span - filterAllActions() would keep it too
+      if (span) {
+        for (const ch of Array.from(spanText)) out = emitChar(ch, out);
+        span = null;
+        spanText = '';
+      }
+      out = out.replace(/\s+$/, '');
+    }
+
+    return out;
+  }
+
+  return {
+    /** Feed a raw delta; returns the text that is safe to send now. */
+    push(delta) {
+      pending += delta || '';
+      return process(false);
+    },
+    /** Call once the upstream stream ends; returns any remaining safe text. */
+    flush() {
+      return process(true);
+    },
+  };
+}
+
+module.exports = { createActionStreamFilter };
@@ -0,0 +1,18 @@
+-- Drops the whole baseline schema. Only useful on a scratch database.
+
+DROP TABLE IF EXISTS double_text_questions;
+DROP TABLE IF EXISTS asked_questions;
+DROP TABLE IF EXISTS missed_calls;
+DROP TABLE IF EXISTS conversation_history;
+DROP TABLE IF EXISTS active_gift_effects;
+DROP TABLE IF EXISTS gift_responses;
+DROP TABLE IF EXISTS gift_transactions;
+DROP TABLE IF EXISTS breakthrough_moments;
+DROP TABLE IF EXISTS relationship_events;
+DROP TABLE IF EXISTS user_relationships;
+DROP TABLE IF EXISTS subscriptions;
+DROP TABLE IF EXISTS login_codes;
+DROP TABLE IF EXISTS user_photo_history;
+DROP TABLE IF EXISTS emotions;
+DROP TABLE IF EXISTS facts;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,214 @@
+-- ============================================================
+-- 0001 BASELINE - schema previously created by initDB() in server.js
+-- ============================================================
+-- Written with IF NOT EXISTS so it can be applied on databases that
+-- initDB() already set up: it records them as migrated without changes.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Accounts (created by hand in Supabase before this file existed)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  user_id UUID UNIQUE,
+  email TEXT UNIQUE NOT NULL,
+  name TEXT,
+  password_hash TEXT,
+  paid BOOLEAN DEFAULT FALSE,
+  subscription_tier VARCHAR(20) DEFAULT 'none',
+  subscription_status VARCHAR(20),
+  voice_minutes_used INTEGER DEFAULT 0,
+  voice_minutes_limit INTEGER DEFAULT 0,
+  billing_cycle_start TIMESTAMP,
+  lemon_customer_id TEXT,
+  lemon_subscription_id TEXT,
+  verotel_sale_id TEXT,
+  verotel_subscription_expires TIMESTAMP,
+  terms_accepted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS terms_accepted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS facts (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  category TEXT,
+  fact TEXT NOT NULL,
+  sentiment TEXT,
+  confidence REAL,
+  source TEXT,
+  source_ts TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS facts_user_cat_idx ON facts(user_id, category);
+CREATE INDEX IF NOT EXISTS facts_user_updated_idx ON facts(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS facts_fact_trgm_idx ON facts USING gin (fact gin_trgm_ops);
+
+CREATE TABLE IF NOT EXISTS emotions (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  label TEXT NOT NULL,
+  intensity REAL,
+  source TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Tracks sent photos so a user never gets the same one twice
+CREATE TABLE IF NOT EXISTS user_photo_history (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  photo_id INTEGER NOT NULL,
+  context TEXT,
+  sent_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, photo_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_history_user ON user_photo_history(user_id, sent_at DESC);
+
+CREATE TABLE IF NOT EXISTS login_codes (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  code TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  stripe_customer_id TEXT,
+  stripe_sub_id TEXT,
+  status TEXT,
+  current_period_end TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_relationships (
+  user_id VARCHAR(100) PRIMARY KEY,
+  relationship_level INTEGER DEFAULT 0,
+  current_stage VARCHAR(50) DEFAULT 'STRANGER',
+  last_interaction TIMESTAMP DEFAULT NOW(),
+  total_interactions INTEGER DEFAULT 0,
+  streak_days INTEGER DEFAULT 0,
+  longest_streak INTEGER DEFAULT 0,
+  last_mood VARCHAR(50) DEFAULT 'normal',
+  emotional_investment FLOAT DEFAULT 0,
+  jealousy_used_today BOOLEAN DEFAULT FALSE,
+  cliffhanger_pending BOOLEAN DEFAULT FALSE,
+  total_gifts_value FLOAT DEFAULT 0,
+  last_gift_received TIMESTAMP,
+  daily_xp_earned INTEGER DEFAULT 0,
+  last_xp_date DATE DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Columns initDB() used to bolt on with ad-hoc ALTERs
+ALTER TABLE user_relationships
+  ADD COLUMN IF NOT EXISTS daily_xp_earned INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_xp_date DATE DEFAULT CURRENT_DATE,
+  ADD COLUMN IF NOT EXISTS last_missed_call_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS missed_calls_this_week INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS week_start_date DATE DEFAULT CURRENT_DATE,
+  ADD COLUMN IF NOT EXISTS last_activity_after_missed_call TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS relationship_events (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100),
+  event_type VARCHAR(50),
+  event_data JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS breakthrough_moments (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100),
+  moment_type VARCHAR(50),
+  unlocked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS gift_transactions (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  gift_id VARCHAR(100) NOT NULL,
+  amount FLOAT NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  stripe_payment_id TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS gift_responses (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  gift_id VARCHAR(100) NOT NULL,
+  response TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS active_gift_effects (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  behavior_type VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, behavior_type)
+);
+
+CREATE TABLE IF NOT EXISTS conversation_history (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  content TEXT NOT NULL,
+  photo_url TEXT,
+  photo_id INTEGER,
+  photo_context TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE conversation_history
+  ADD COLUMN IF NOT EXISTS photo_url TEXT,
+  ADD COLUMN IF NOT EXISTS photo_id INTEGER,
+  ADD COLUMN IF NOT EXISTS photo_context TEXT;
+
+CREATE INDEX IF NOT EXISTS conv_history_user_idx ON conversation_history(user_id, created_at DESC);
+
+-- 📞 Missed calls Ellie "placed" while the user was away
+CREATE TABLE IF NOT EXISTS missed_calls (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  relationship_level INTEGER NOT NULL,
+  relationship_stage VARCHAR(50) NOT NULL,
+  emotional_tone VARCHAR(50) NOT NULL,
+  shown BOOLEAN DEFAULT FALSE,
+  shown_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_missed_calls_user_pending ON missed_calls(user_id, shown) WHERE shown = FALSE;
+CREATE INDEX IF NOT EXISTS idx_missed_calls_user_created ON missed_calls(user_id, created_at DESC);
+
+-- 📝 Questions Ellie has asked (avoids repeats)
+CREATE TABLE IF NOT EXISTS asked_questions (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  question_key VARCHAR(50) NOT NULL,
+  question_text TEXT,
+  stage VARCHAR(50),
+  asked_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_asked_questions_user ON asked_questions(user_id);
+
+-- 💬 Questions asked in double texts
+CREATE TABLE IF NOT EXISTS double_text_questions (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  question TEXT NOT NULL,
+  asked_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_double_text_questions_user ON double_text_questions(user_id, asked_at DESC);
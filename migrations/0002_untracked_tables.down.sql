@@ -0,0 +1,4 @@
+-- No-op. 0002 adopts tables production already had (made by hand in
+-- Supabase or lazily by server.js) and they hold live user data, so
+-- rolling it back only forgets the version; the tables stay. Drop them by
+-- hand on a scratch database if you really mean to.
@@ -0,0 +1,123 @@
+-- ============================================================
+-- 0002 Tables server.js uses but never created (set up by hand in
+-- Supabase) or created lazily on first write
+-- ============================================================
+-- Shapes are taken from the queries in server.js. Still untracked:
+-- ellie_photos, conversation_context, user_emotional_profile and
+-- user_memory_summary - add a migration once their live schema is dumped.
+
+CREATE TABLE IF NOT EXISTS ellie_shared_traumas (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  topic VARCHAR(50) NOT NULL,
+  trauma_story TEXT NOT NULL,
+  shared_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shared_traumas_user ON ellie_shared_traumas(user_id);
+
+CREATE TABLE IF NOT EXISTS active_user_enhancements (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  enhancement_type VARCHAR(100) NOT NULL,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_active_user_enhancements_user ON active_user_enhancements(user_id, expires_at);
+
+CREATE TABLE IF NOT EXISTS conversation_memories (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  memory_snippet TEXT NOT NULL,
+  emotional_weight REAL DEFAULT 0.5,
+  tags TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_memories_user ON conversation_memories(user_id, emotional_weight DESC);
+
+CREATE TABLE IF NOT EXISTS gift_hint_templates (
+  id SERIAL PRIMARY KEY,
+  gift_id VARCHAR(100) NOT NULL,
+  hint_text TEXT NOT NULL,
+  relationship_level_required INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS gift_statistics (
+  user_id VARCHAR(100) PRIMARY KEY,
+  total_gifts_sent INTEGER DEFAULT 0,
+  total_spent FLOAT DEFAULT 0,
+  avg_gift_value FLOAT DEFAULT 0,
+  favorite_gift_id VARCHAR(100),
+  last_gift_date TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_gift_history (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  gift_id VARCHAR(100) NOT NULL,
+  gift_name TEXT,
+  amount FLOAT,
+  ellie_reaction TEXT,
+  relationship_impact INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_gift_history_user ON user_gift_history(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS memory_sync (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  sync_type VARCHAR(50),
+  records_processed INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Special messages (good morning texts, etc.)
+CREATE TABLE IF NOT EXISTS messages (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  message_type VARCHAR(50),
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_user_unread ON messages(user_id, created_at DESC) WHERE read_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS recall_log (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  memory_id TEXT,
+  recall_context TEXT,
+  recall_success BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_log_user ON recall_log(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS user_promises (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  promise_text TEXT NOT NULL,
+  promise_type VARCHAR(50) DEFAULT 'general',
+  due_date TIMESTAMP,
+  status VARCHAR(20) DEFAULT 'pending',
+  fulfilled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_promises_user_status ON user_promises(user_id, status);
+
+CREATE TABLE IF NOT EXISTS user_state (
+  user_id VARCHAR(100) PRIMARY KEY,
+  current_mood VARCHAR(50),
+  is_online BOOLEAN DEFAULT FALSE,
+  preferences JSONB DEFAULT '{}',
+  flags JSONB DEFAULT '{}',
+  last_seen TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
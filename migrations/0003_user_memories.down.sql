@@ -0,0 +1,2 @@
+DROP FUNCTION IF EXISTS match_memories(vector, VARCHAR, FLOAT, INT);
+DROP TABLE IF EXISTS user_memories;
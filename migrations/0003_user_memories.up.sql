@@ -0,0 +1,65 @@
+-- ============================================================
+-- 0003 🧠 user_memories + match_memories() for EllieMemorySystem
+-- ============================================================
+-- Embeddings come from text-embedding-3-small (1536 dims).
+-- Requires the pgvector extension (enabled by default on Supabase).
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS user_memories (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  memory_type VARCHAR(50) NOT NULL,
+  content TEXT NOT NULL,
+  confidence REAL,
+  importance REAL DEFAULT 0.5,
+  emotional_weight REAL DEFAULT 0,
+  embedding vector(1536),
+  context_tags TEXT[] DEFAULT '{}',
+  is_active BOOLEAN DEFAULT TRUE,
+  access_count REAL DEFAULT 0,
+  last_accessed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_user_active ON user_memories(user_id, is_active, created_at DESC);
+
+-- Databases set up by hand may already have their own match_memories();
+-- leave an existing one alone rather than fail on a changed return type.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'match_memories') THEN
+    EXECUTE $fn$
+    CREATE FUNCTION match_memories(
+      query_embedding vector(1536),
+      match_user_id VARCHAR,
+      match_threshold FLOAT,
+      match_count INT
+    )
+    RETURNS TABLE (
+      id BIGINT,
+      user_id VARCHAR,
+      memory_type VARCHAR,
+      content TEXT,
+      confidence REAL,
+      importance REAL,
+      emotional_weight REAL,
+      context_tags TEXT[],
+      created_at TIMESTAMPTZ,
+      similarity FLOAT
+    )
+    LANGUAGE sql STABLE
+    AS $body$
+      SELECT m.id, m.user_id, m.memory_type, m.content, m.confidence, m.importance,
+             m.emotional_weight, m.context_tags, m.created_at,
+             1 - (m.embedding <=> query_embedding) AS similarity
+      FROM user_memories m
+      WHERE m.user_id = match_user_id
+        AND m.is_active = TRUE
+        AND 1 - (m.embedding <=> query_embedding) > match_threshold
+      ORDER BY m.embedding <=> query_embedding
+      LIMIT match_count;
+    $body$
+    $fn$;
+  END IF;
+END $$;
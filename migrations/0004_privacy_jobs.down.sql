@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS deletion_receipts;
+DROP TABLE IF EXISTS data_export_jobs;
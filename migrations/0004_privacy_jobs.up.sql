@@ -0,0 +1,32 @@
+-- ============================================================
+-- 0004 📦🗑️ Data export jobs + account deletion receipts
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS data_export_jobs (
+  id UUID PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  error TEXT,
+  bundle BYTEA,
+  bundle_bytes INTEGER,
+  row_counts JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  expires_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_export_jobs_user ON data_export_jobs(user_id, created_at DESC);
+
+-- Append-only hash chain, see privacy/accountDeletion.js
+CREATE TABLE IF NOT EXISTS deletion_receipts (
+  id SERIAL PRIMARY KEY,
+  subject_hash VARCHAR(64) NOT NULL,
+  payload TEXT NOT NULL,
+  prev_hash VARCHAR(64) NOT NULL,
+  receipt_hash VARCHAR(64) NOT NULL UNIQUE,
+  signature VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deletion_receipts_subject ON deletion_receipts(subject_hash);
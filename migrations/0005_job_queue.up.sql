@@ -0,0 +1,41 @@
+-- ============================================================
+-- 0005 📦 Durable job queue + dead letters (see jobs/jobQueue.js)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS job_queue (
+  id BIGSERIAL PRIMARY KEY,
+  job_type VARCHAR(50) NOT NULL,
+  user_id VARCHAR(100),
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_by VARCHAR(100),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Workers scan only due, unclaimed jobs
+CREATE INDEX IF NOT EXISTS idx_job_queue_due ON job_queue(run_at, id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_job_queue_user ON job_queue(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_job_queue_done ON job_queue(completed_at) WHERE status = 'done';
+
+-- Jobs that ran out of attempts, kept for inspection
+CREATE TABLE IF NOT EXISTS job_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  job_id BIGINT NOT NULL,
+  job_type VARCHAR(50) NOT NULL,
+  user_id VARCHAR(100),
+  payload JSONB NOT NULL,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  created_at TIMESTAMP,
+  failed_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_type ON job_dead_letters(job_type, failed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_user ON job_dead_letters(user_id);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS user_memory_blocks;
+DROP INDEX IF EXISTS idx_user_memories_user_pinned;
+ALTER TABLE user_memories DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE user_memories DROP COLUMN IF EXISTS deactivated_reason;
+ALTER TABLE user_memories DROP COLUMN IF EXISTS is_pinned;
@@ -0,0 +1,23 @@
+-- ============================================================
+-- 0006 ✏️ User memory management: pins, corrections, re-extraction blocks
+-- ============================================================
+-- A memory the user marks as wrong is deactivated and its content (with the
+-- embedding) goes into user_memory_blocks so extraction never stores it again.
+
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE;
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS deactivated_reason VARCHAR(30);
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_user_pinned ON user_memories(user_id) WHERE is_pinned = TRUE AND is_active = TRUE;
+
+CREATE TABLE IF NOT EXISTS user_memory_blocks (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  memory_type VARCHAR(50) NOT NULL,
+  content TEXT NOT NULL,
+  embedding vector(1536),
+  source_memory_id BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_memory_blocks_user ON user_memory_blocks(user_id);
@@ -0,0 +1,29 @@
+-- ============================================================
+-- 0007 💳 billing_events - normalized ledger of payment webhooks (see billing/)
+-- ============================================================
+-- One row per verified webhook from any processor, after its adapter has
+-- mapped it onto the shared action / status / tier vocabulary.
+-- No email or raw payload: rows outlive account deletion (user_id is
+-- pseudonymized), so only what bookkeeping needs is kept.
+
+CREATE TABLE IF NOT EXISTS billing_events (
+  id BIGSERIAL PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  provider_event_id TEXT,
+  event_type VARCHAR(100) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  status VARCHAR(20),
+  user_id VARCHAR(100),
+  tier VARCHAR(20),
+  product_ref TEXT,
+  amount NUMERIC(10, 2),
+  currency VARCHAR(10),
+  period_end TIMESTAMP,
+  outcome VARCHAR(20) NOT NULL DEFAULT 'received',
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_events_user ON billing_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_billing_events_provider ON billing_events(provider, created_at DESC);
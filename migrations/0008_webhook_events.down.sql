@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_billing_events_webhook;
+ALTER TABLE billing_events DROP COLUMN IF EXISTS webhook_event_id;
+DROP TABLE IF EXISTS webhook_events;
@@ -0,0 +1,33 @@
+-- ============================================================
+-- 0008 📥 webhook_events - raw inbox of payment webhooks (see billing/)
+-- ============================================================
+-- Every verified delivery is stored as received before it is processed,
+-- keyed by the provider's event id (or a digest of the body when the
+-- provider sends none) so redeliveries are counted instead of re-applied.
+-- Failed rows keep the payload for an admin replay. The payload can hold
+-- an email, so rows are erased with the account and processed rows are
+-- purged after 30 days; billing_events remains the long-term record.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+  provider VARCHAR(20) NOT NULL,
+  event_id TEXT NOT NULL,
+  payload BYTEA,
+  query JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  duplicates INTEGER NOT NULL DEFAULT 0,
+  user_id VARCHAR(100),
+  last_error TEXT,
+  received_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  processed_at TIMESTAMP,
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_user ON webhook_events(user_id);
+
+-- One ledger row per stored delivery; a retry or replay updates it in place
+ALTER TABLE billing_events ADD COLUMN IF NOT EXISTS webhook_event_id BIGINT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_billing_events_webhook ON billing_events(webhook_event_id);
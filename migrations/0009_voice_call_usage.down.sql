@@ -0,0 +1 @@
+DROP TABLE IF EXISTS voice_call_usage;
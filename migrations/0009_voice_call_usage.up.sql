@@ -0,0 +1,25 @@
+-- ============================================================
+-- 0009 ⏱️ voice_call_usage - one row per metered real-time call (see billing/callMeter.js)
+-- ============================================================
+-- Written when a /ws/phone call starts and updated as each minute is
+-- charged, so a crash mid-call still leaves what was billed. Vendor usage
+-- (STT seconds, TTS characters per provider) and a cost estimate are kept
+-- alongside for reconciling voice_minutes_used against vendor invoices.
+
+CREATE TABLE IF NOT EXISTS voice_call_usage (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100),
+  channel VARCHAR(20) NOT NULL DEFAULT 'phone',
+  tier VARCHAR(20),
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP,
+  seconds INTEGER NOT NULL DEFAULT 0,
+  minutes_charged INTEGER NOT NULL DEFAULT 0,
+  turns INTEGER NOT NULL DEFAULT 0,
+  end_reason VARCHAR(30),
+  provider_usage JSONB NOT NULL DEFAULT '{}'::jsonb,
+  estimated_cost_usd NUMERIC(10, 4)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_call_usage_user ON voice_call_usage(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_voice_call_usage_started ON voice_call_usage(started_at);
@@ -0,0 +1,53 @@
+-- ============================================================
+-- 0010 📞 voice_sessions - one row per /ws/phone call, with its turns
+-- ============================================================
+-- The conversation side of a call (voice_call_usage is the billing
+-- side; call_usage_id links the two). Every caller utterance and
+-- Ellie's reply to it is a voice_session_turns row with the STT/TTS
+-- providers that served it and its latency marks, so a call can be read
+-- back as a transcript. Audio is only recorded when the caller opted in
+-- for that call; the file lives in recording storage (see
+-- calls/recordingStorage.js), the row only holds where.
+
+CREATE TABLE IF NOT EXISTS voice_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100),
+  call_usage_id BIGINT,
+  channel VARCHAR(20) NOT NULL DEFAULT 'phone',
+  language VARCHAR(10),
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP,
+  duration_seconds INTEGER,
+  end_reason VARCHAR(30),
+  turns INTEGER NOT NULL DEFAULT 0,
+  interrupted_turns INTEGER NOT NULL DEFAULT 0,
+  avg_first_audio_ms INTEGER,
+  stt_providers JSONB NOT NULL DEFAULT '{}'::jsonb, -- { provider: turns transcribed }
+  tts_providers JSONB NOT NULL DEFAULT '{}'::jsonb, -- { provider: sentences voiced }
+  recording_consent BOOLEAN NOT NULL DEFAULT FALSE,
+  recording_status VARCHAR(20) NOT NULL DEFAULT 'none', -- none | recording | saved | failed | deleted
+  recording_storage VARCHAR(20),
+  recording_key TEXT,
+  recording_bytes INTEGER,
+  recording_seconds NUMERIC(8, 2)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_sessions_user ON voice_sessions(user_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS voice_session_turns (
+  id BIGSERIAL PRIMARY KEY,
+  session_id BIGINT NOT NULL REFERENCES voice_sessions(id) ON DELETE CASCADE,
+  user_id VARCHAR(100),
+  turn_index INTEGER NOT NULL,
+  user_text TEXT,
+  reply_text TEXT,           -- what the caller heard; cut short when they barged in
+  interrupted BOOLEAN NOT NULL DEFAULT FALSE,
+  stt_provider VARCHAR(30),
+  tts_providers JSONB NOT NULL DEFAULT '[]'::jsonb, -- provider per sentence, in order
+  first_audio_ms INTEGER,
+  marks JSONB,               -- response.done timing marks
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_session_turns_session ON voice_session_turns(session_id, turn_index);
+CREATE INDEX IF NOT EXISTS idx_voice_session_turns_user ON voice_session_turns(user_id);
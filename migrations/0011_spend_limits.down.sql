@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS spend_ledger;
+DROP TABLE IF EXISTS spend_limits;
@@ -0,0 +1,41 @@
+-- ============================================================
+-- 0011 🛑 spend_limits / spend_ledger - user-set spending caps (see billing/spendLimits.js)
+-- ============================================================
+-- spend_limits holds the caps a user chose for themselves (NULL = no cap).
+-- With cooling_off on, loosening a limit (raising or removing a cap, or
+-- turning cooling-off off) waits in pending_changes until
+-- pending_effective_at; tightening applies at once.
+--
+-- spend_ledger has one row per one-off purchase (gifts, extra minutes),
+-- written BEFORE the payment intent is created so caps are checked on the
+-- server. Rows start 'pending', become 'completed' when the payment
+-- succeeds and 'released' when it never happens. A pending row counts
+-- against the caps only for a short hold window.
+
+CREATE TABLE IF NOT EXISTS spend_limits (
+  user_id VARCHAR(100) PRIMARY KEY,
+  daily_cap NUMERIC(10, 2),
+  weekly_cap NUMERIC(10, 2),
+  monthly_cap NUMERIC(10, 2),
+  cooling_off BOOLEAN NOT NULL DEFAULT FALSE,
+  pending_changes JSONB,
+  pending_effective_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS spend_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100),
+  kind VARCHAR(20) NOT NULL, -- gift | extra_minutes
+  amount NUMERIC(10, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | completed | released
+  reference TEXT, -- Stripe payment intent id
+  description TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_spend_ledger_user ON spend_ledger(user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_spend_ledger_reference ON spend_ledger(reference) WHERE reference IS NOT NULL;
@@ -0,0 +1,30 @@
+-- ============================================================
+-- 0012 🆘 safety_flags - crisis disclosures awaiting admin review (see safety/index.js)
+-- ============================================================
+-- Raised when a chat message, voice note or call turn reads as suicidal
+-- ideation, self-harm or abuse. A user has at most one open flag; more
+-- hits while it is open bump hits / last_hit_at instead of piling up the
+-- queue. safe_mode_until is how long the app keeps the safe-response
+-- policy on for that user (no photos, gifts or missed calls); dismissing
+-- a flag as a false positive ends it early.
+
+CREATE TABLE IF NOT EXISTS safety_flags (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  channel VARCHAR(20) NOT NULL, -- chat | voice_note | voice | phone
+  category VARCHAR(30) NOT NULL, -- suicidal_ideation | self_harm | abuse
+  severity VARCHAR(10) NOT NULL, -- high | elevated
+  language VARCHAR(10),
+  excerpt TEXT,
+  hits INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open | reviewing | resolved | dismissed
+  safe_mode_until TIMESTAMP,
+  review_note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_hit_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  reviewed_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_safety_flags_open_user ON safety_flags(user_id) WHERE status IN ('open', 'reviewing');
+CREATE INDEX IF NOT EXISTS idx_safety_flags_queue ON safety_flags(status, last_hit_at DESC);
+CREATE INDEX IF NOT EXISTS idx_safety_flags_safe_mode ON safety_flags(user_id, safe_mode_until);
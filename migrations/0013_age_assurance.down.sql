@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS age_verifications;
+DROP TABLE IF EXISTS age_attestations;
+ALTER TABLE users DROP COLUMN IF EXISTS age_verified_at;
@@ -0,0 +1,44 @@
+-- ============================================================
+-- 0013 🔞 Age assurance - DOB attestations, verification checks, users.age_verified_at (see ageAssurance/)
+-- ============================================================
+-- age_attestations is the audit trail: append-only, one row every time a
+-- user states their date of birth (at signup or in settings), with where
+-- it came from. An underage row locks the account out of adult features
+-- for good - a later, older date of birth is refused, not trusted.
+--
+-- age_verifications holds the checks run with a verification provider
+-- against the latest adult attestation. The first check to pass sets
+-- users.age_verified_at, the one column the NSFW routing and the photo
+-- manager read.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS age_verified_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS age_attestations (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  date_of_birth DATE NOT NULL,
+  age INTEGER NOT NULL, -- on the day it was attested
+  outcome VARCHAR(10) NOT NULL, -- adult | underage
+  source VARCHAR(20) NOT NULL, -- signup | settings
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_age_attestations_user ON age_attestations(user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS age_verifications (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  attestation_id BIGINT REFERENCES age_attestations(id) ON DELETE SET NULL,
+  provider VARCHAR(30) NOT NULL,
+  reference TEXT NOT NULL, -- the provider's id for the check
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | verified | failed
+  failure_reason TEXT,
+  url TEXT, -- where the user completes the check, for redirect-based providers
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_age_verifications_reference ON age_verifications(provider, reference);
+CREATE INDEX IF NOT EXISTS idx_age_verifications_user ON age_verifications(user_id, created_at DESC);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS chat_sessions;
+DROP TABLE IF EXISTS wellbeing_settings;
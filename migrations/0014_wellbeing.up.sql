@@ -0,0 +1,34 @@
+-- ============================================================
+-- 0014 🌿 wellbeing_settings / chat_sessions - user-set usage controls (see wellbeing/index.js)
+-- ============================================================
+-- wellbeing_settings holds what the user chose for themselves (NULL = off):
+-- a daily time limit shared by chat and calls, quiet hours (local time in
+-- their timezone; start > end crosses midnight) during which no missed
+-- calls or special messages are generated, and break reminders after
+-- break_reminder_minutes of continuous chat.
+--
+-- chat_sessions measures chat time: a message within idle_minutes of the
+-- last one extends the open session, anything later starts a new one.
+-- Call time comes from voice_call_usage (migration 0009).
+
+CREATE TABLE IF NOT EXISTS wellbeing_settings (
+  user_id VARCHAR(100) PRIMARY KEY,
+  daily_limit_minutes INTEGER,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  break_reminder_minutes INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_active_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  messages INTEGER NOT NULL DEFAULT 1,
+  break_reminded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_user ON chat_sessions(user_id, last_active_at DESC);
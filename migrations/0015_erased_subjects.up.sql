@@ -0,0 +1,13 @@
+-- ============================================================
+-- 0015 🪦 erased_subjects - emails whose account was erased (see privacy/accountDeletion.js)
+-- ============================================================
+-- A Verotel subscription can only be cancelled by the customer, so rebill
+-- postbacks can keep arriving for an erased account. Billing checks this
+-- table before a payment creates an account from an email it doesn't know,
+-- so the erased account isn't recreated. Only an HMAC of the email is kept.
+
+CREATE TABLE IF NOT EXISTS erased_subjects (
+  email_hash VARCHAR(64) PRIMARY KEY,
+  receipt_id BIGINT,
+  erased_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,3 @@
+-- No-op. Like 0002, 0016 adopts tables production already had (photos
+-- and the per-user profiles the background jobs keep), so rolling it
+-- back only forgets the version; the tables and their data stay.
@@ -0,0 +1,55 @@
+-- ============================================================
+-- 0016 The tables 0002 left untracked: ellie_photos, conversation_context,
+-- user_emotional_profile and user_memory_summary
+-- ============================================================
+-- Shapes are taken from the code that queries them: photoManager.js
+-- selectPhoto() and the photo prompt (ellie_photos; category is what
+-- scripts/check-photo-categories.js groups by), and the background jobs in
+-- app.js (updateEmotionalProfiles, updateMemorySummaries). IF NOT EXISTS
+-- keeps databases where they were made by hand as they are.
+
+CREATE TABLE IF NOT EXISTS ellie_photos (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  category VARCHAR(50),
+  location VARCHAR(50),
+  description TEXT,
+  tags TEXT,
+  nsfw_level INTEGER DEFAULT 0,
+  body_position VARCHAR(50),
+  photo_type VARCHAR(50),
+  breasts_visible BOOLEAN DEFAULT FALSE,
+  ass_visible BOOLEAN DEFAULT FALSE,
+  pussy_visible BOOLEAN DEFAULT FALSE,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ellie_photos_active ON ellie_photos(is_active, nsfw_level);
+
+-- Read by updateEmotionalProfiles() to find users active in the last few minutes
+CREATE TABLE IF NOT EXISTS conversation_context (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+  timestamp TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_context_time ON conversation_context(timestamp);
+CREATE INDEX IF NOT EXISTS idx_conversation_context_user ON conversation_context(user_id);
+
+CREATE TABLE IF NOT EXISTS user_emotional_profile (
+  user_id VARCHAR(100) PRIMARY KEY,
+  dominant_emotion VARCHAR(50),
+  emotional_intensity REAL,
+  emotional_stability REAL,
+  mood_history JSONB DEFAULT '[]',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_memory_summary (
+  user_id VARCHAR(100) PRIMARY KEY,
+  total_memories INTEGER DEFAULT 0,
+  dominant_topics TEXT[] DEFAULT '{}',
+  inside_jokes TEXT[] DEFAULT '{}',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
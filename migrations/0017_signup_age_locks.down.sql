@@ -0,0 +1,7 @@
+-- Refused signups have no user_id, so they go with the columns
+DROP INDEX IF EXISTS idx_age_attestations_device;
+DROP INDEX IF EXISTS idx_age_attestations_email;
+DELETE FROM age_attestations WHERE user_id IS NULL;
+ALTER TABLE age_attestations DROP COLUMN IF EXISTS device_id;
+ALTER TABLE age_attestations DROP COLUMN IF EXISTS email_hash;
+ALTER TABLE age_attestations ALTER COLUMN user_id SET NOT NULL;
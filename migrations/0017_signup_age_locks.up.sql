@@ -0,0 +1,14 @@
+-- ============================================================
+-- 0017 🔞 age_attestations for refused signups (see ageAssurance/)
+-- ============================================================
+-- An underage date of birth at signup creates no account, so the
+-- attestation is kept against the email (an HMAC, like erased_subjects)
+-- and a device cookie instead of a user_id. Either one refuses the next
+-- signup, so the form can't simply be sent again with an older date.
+
+ALTER TABLE age_attestations ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE age_attestations ADD COLUMN IF NOT EXISTS email_hash VARCHAR(64);
+ALTER TABLE age_attestations ADD COLUMN IF NOT EXISTS device_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_age_attestations_email ON age_attestations(email_hash) WHERE outcome = 'underage';
+CREATE INDEX IF NOT EXISTS idx_age_attestations_device ON age_attestations(device_id) WHERE outcome = 'underage';
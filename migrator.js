@@ -0,0 +1,269 @@
+// migrator.js - Versioned schema migrations
+// Numbered SQL files in migrations/ (0001_name.up.sql + 0001_name.down.sql),
+// applied in order and recorded in schema_migrations. server.js refuses to
+// start while any are pending; scripts/migrate.js applies or rolls them back.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes migration steps across processes (two deploys migrating at once)
+const MIGRATION_LOCK = 728301;
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Read and pair up migration files.
+ * @returns {Array<{ version, name, up, down, checksum }>} sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.sql')) continue;
+
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Bad migration filename "${file}" (expected 0001_name.up.sql / 0001_name.down.sql)`);
+    }
+
+    const [, versionStr, name, direction] = match;
+    const version = Number(versionStr);
+    const entry = byVersion.get(version) || { version, name };
+
+    if (entry.name !== name) {
+      throw new Error(`Migration ${versionStr} has mismatched names: "${entry.name}" and "${name}"`);
+    }
+    if (entry[direction] !== undefined) {
+      throw new Error(`Duplicate ${direction} migration for version ${versionStr}`);
+    }
+
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (m.up === undefined || m.down === undefined) {
+      throw new Error(`Migration ${formatVersion(m)} is missing its ${m.up === undefined ? 'up' : 'down'} file`);
+    }
+    m.checksum = crypto.createHash('sha256').update(m.up).digest('hex');
+  }
+
+  return migrations;
+}
+
+function formatVersion(m) {
+  return `${String(m.version).padStart(4, '0')}_${m.name}`;
+}
+
+// ============================================================
+// STATUS
+// ============================================================
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Compare migrations on disk with schema_migrations.
+ * @returns {Promise<{ applied, pending, changed, unknown }>}
+ *   changed - applied migrations whose up file was edited afterwards
+ *   unknown - versions recorded in the database with no file on disk
+ */
+async function getMigrationStatus(db, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  await ensureMigrationsTable(db);
+
+  const { rows } = await db.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  const appliedByVersion = new Map(rows.map(r => [r.version, r]));
+  const onDisk = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: rows,
+    pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+    changed: migrations.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum),
+    unknown: rows.filter(r => !onDisk.has(r.version)),
+  };
+}
+
+/**
+ * Throws (error.code = 'MIGRATIONS_PENDING') when the database is behind the code.
+ * Edited or unknown migrations are reported as warnings - they mean drift, not a missing table.
+ */
+async function assertSchemaCurrent(db, dir = MIGRATIONS_DIR) {
+  const status = await getMigrationStatus(db, dir);
+
+  for (const m of status.changed) {
+    console.warn(`⚠️ [migrate] ${formatVersion(m)} was edited after it was applied (checksum mismatch)`);
+  }
+  for (const r of status.unknown) {
+    console.warn(`⚠️ [migrate] Database has migration ${r.version}_${r.name} that is not in this build`);
+  }
+
+  if (status.pending.length > 0) {
+    const error = new Error(`Pending migrations: ${status.pending.map(formatVersion).join(', ')}`);
+    error.code = 'MIGRATIONS_PENDING';
+    error.pending = status.pending.map(formatVersion);
+    throw error;
+  }
+
+  return status;
+}
+
+// ============================================================
+// APPLY / ROLL BACK
+// ============================================================
+
+// Each migration runs in its own transaction, holding a transaction-level advisory
+// lock for that transaction only. A session-level lock would not survive the
+// Supabase transaction pooler (port 6543): lock and unlock can land on different
+// backends. Whoever waited for the lock re-reads schema_migrations before acting,
+// so two processes migrating at once never apply or roll back the same version.
+async function runLocked(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await client.query(`SELECT pg_advisory_xact_lock($1)`, [MIGRATION_LOCK]);
+    await ensureMigrationsTable(client);
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+async function withClient(pool, fn) {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order.
+ * @param {object} pool - pg pool
+ * @param {object} [options]
+ * @param {number} [options.to] - Stop after this version
+ * @returns {Promise<string[]>} applied migration names
+ */
+async function migrateUp(pool, { to = Infinity, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir).filter(m => m.version <= to);
+
+  return withClient(pool, async (client) => {
+    const done = [];
+
+    for (const m of migrations) {
+      const startedAt = Date.now();
+      let applied;
+      try {
+        applied = await runLocked(client, async () => {
+          const { rows } = await client.query(`SELECT 1 FROM schema_migrations WHERE version = $1`, [m.version]);
+          if (rows.length) return false; // already applied, maybe by another process while we waited
+
+          await client.query(m.up);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+            [m.version, m.name, m.checksum, Date.now() - startedAt]
+          );
+          return true;
+        });
+      } catch (error) {
+        error.message = `${formatVersion(m)} failed: ${error.message}`;
+        throw error;
+      }
+      if (!applied) continue;
+
+      console.log(`✅ [migrate] Applied ${formatVersion(m)} (${Date.now() - startedAt}ms)`);
+      done.push(formatVersion(m));
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Roll back the most recent migrations.
+ * @param {object} pool - pg pool
+ * @param {object} [options]
+ * @param {number} [options.steps] - How many to roll back (default 1)
+ * @param {number} [options.to] - Roll back everything above this version instead
+ * @returns {Promise<string[]>} rolled back migration names
+ */
+async function migrateDown(pool, { steps = 1, to = null, dir = MIGRATIONS_DIR } = {}) {
+  const byVersion = new Map(loadMigrations(dir).map(m => [m.version, m]));
+
+  return withClient(pool, async (client) => {
+    const done = [];
+
+    while (to !== null || done.length < steps) {
+      const m = await runLocked(client, async () => {
+        // The newest applied migration, read under the lock
+        const { rows } = await client.query(
+          `SELECT version, name FROM schema_migrations WHERE version > $1 ORDER BY version DESC LIMIT 1`,
+          [to ?? -1]
+        );
+        if (!rows.length) return null;
+
+        const target = byVersion.get(rows[0].version);
+        if (!target) {
+          throw new Error(`Cannot roll back ${rows[0].version}_${rows[0].name}: no down file in this build`);
+        }
+        try {
+          await client.query(target.down);
+          await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [target.version]);
+        } catch (error) {
+          error.message = `${formatVersion(target)} rollback failed: ${error.message}`;
+          throw error;
+        }
+        return target;
+      });
+      if (!m) break;
+
+      console.log(`↩️ [migrate] Rolled back ${formatVersion(m)}`);
+      done.push(formatVersion(m));
+    }
+
+    return done;
+  });
+}
+
+/** Write an empty up/down pair with the next free version number. */
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) throw new Error('Migration name is required');
+
+  const last = loadMigrations(dir).pop();
+  const version = String((last ? last.version : 0) + 1).padStart(4, '0');
+  const base = `${version}_${slug}`;
+
+  fs.writeFileSync(path.join(dir, `${base}.up.sql`), `-- ${base}\n\n`);
+  fs.writeFileSync(path.join(dir, `${base}.down.sql`), `-- Reverts ${base}\n\n`);
+  return base;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  assertSchemaCurrent,
+  migrateUp,
+  migrateDown,
+  createMigration,
+};
@@ -1,6 +1,8 @@
 // photoManager.js - Ellie Photo System v2.0
 // Complete rewrite with location awareness, throwbacks, and smart selection
 
+const { isAgeVerified } = require('./ageAssurance');
+
 // ============================================================
 // CONFIGURATION
 // ============================================================
@@ -32,6 +34,9 @@ const LOCATION_GROUPS = {
 // (she would need to use throwbacks)
 const RESTRICTED_LOCATIONS = ['office', 'work', 'gym', 'cafe', 'outside', 'car', 'beach'];
 
+// Highest nsfw_level a user gets before their age is verified (see ageAssurance/)
+const AGE_UNVERIFIED_MAX_NSFW = 1;
+
 // Time window to check recent location (in minutes)
 const LOCATION_LOOKBACK_MINUTES = 40;
 
@@ -244,6 +249,11 @@ function generatePhotoRefusal(stage, reason) {
       "we're not there yet babe",
       "maybe someday if you're lucky",
     ],
+    age_unverified: [
+      "mmm not so fast... verify your age in settings first and then we'll see 😏",
+      "those pics are for verified adults only babe - it's in settings",
+      "i'd love to... but you've gotta verify your age first (settings!)",
+    ],
   };
 
   if (reason === 'too_early') {
@@ -267,6 +277,10 @@ function generatePhotoRefusal(stage, reason) {
     return refusals.nsfw_restricted[Math.floor(Math.random() * refusals.nsfw_restricted.length)];
   }
 
+  if (reason === 'age_unverified') {
+    return refusals.age_unverified[Math.floor(Math.random() * refusals.age_unverified.length)];
+  }
+
   return "not right now";
 }
 
@@ -290,6 +304,12 @@ async function shouldSendPhoto(pool, userId, context) {
   const requestedPosition = detectPositionRequest(userMessage);
   const isThrowbackRequest = detectThrowbackRequest(userMessage);
 
+  // 🔞 Explicit and position photos wait for a verified age; everything else stays SFW until then
+  const ageVerified = await isAgeVerified(pool, userId);
+  if (!ageVerified && (isExplicitRequest || requestedPosition)) {
+    return { shouldSend: false, reason: 'age_unverified', stage };
+  }
+
   // Check recent photo history
   const recentPhotos = await getRecentPhotoCount(pool, userId, 60); // last hour
   const sessionPhotos = await getRecentPhotoCount(pool, userId, 180); // last 3 hours
@@ -337,6 +357,7 @@ async function shouldSendPhoto(pool, userId, context) {
     maxNsfw = 5; // Full access
     if (isExplicitRequest) minNsfw = 3; // If they ask explicit, give explicit
   }
+  if (!ageVerified) maxNsfw = Math.min(maxNsfw, AGE_UNVERIFIED_MAX_NSFW);
 
   // ============================================================
   // EXPLICIT REQUEST HANDLING
@@ -697,6 +718,13 @@ async function preparePhotoForMessage(pool, userId, context) {
           refusalMessage: generatePhotoRefusal(decision.stage, decision.reason),
         };
       }
+      if (decision.reason === 'age_unverified') {
+        return {
+          photo: null,
+          refusalMessage: generatePhotoRefusal(decision.stage, decision.reason),
+          ageVerificationRequired: true,
+        };
+      }
       return null;
     }
 
@@ -0,0 +1,202 @@
+// ============================================================
+// 🗑️ ACCOUNT DELETION (right to erasure)
+// ============================================================
+// Erases a user from Supabase (user_memories, user_memory_blocks) and every per-user Postgres
+// table in one transaction, then appends a deletion receipt to a hash chain.
+// Receipts hold no personal data: the user is identified only by an HMAC of
+// their id, so "was this account deleted?" can be answered later without
+// keeping the id itself. Each receipt hashes the previous one, so editing or
+// removing a past receipt breaks verifyReceiptChain(). The email is kept
+// only as an HMAC in erased_subjects, so billing won't recreate the account.
+// ============================================================
+
+const crypto = require('crypto');
+const { ERASE_BY_USER_ID, ANONYMIZE_BY_USER_ID, ERASE_BY_EMAIL } = require('./userDataTables');
+
+const GENESIS_HASH = 'GENESIS';
+// Serializes receipt inserts so two deletions can't both link to the same previous receipt
+const RECEIPT_CHAIN_LOCK = 781043;
+
+function subjectHash(secret, userId) {
+  return crypto.createHmac('sha256', secret).update(`user:${userId}`).digest('hex');
+}
+
+function emailHash(secret, email) {
+  return crypto.createHmac('sha256', secret).update(`email:${String(email).trim().toLowerCase()}`).digest('hex');
+}
+
+function receiptHash(prevHash, payload) {
+  return crypto.createHash('sha256').update(`${prevHash}\n${payload}`).digest('hex');
+}
+
+function signReceipt(secret, hash) {
+  return crypto.createHmac('sha256', secret).update(hash).digest('hex');
+}
+
+// to_regclass() instead of catching 42P01 - a failed statement would abort the transaction
+async function tableExists(db, table) {
+  const { rows } = await db.query(`SELECT to_regclass($1) AS t`, [`public.${table}`]);
+  return Boolean(rows[0].t);
+}
+
+/**
+ * Erase a user everywhere and write a tamper-evident receipt.
+ * Supabase goes first: it can't join the Postgres transaction, and deleting
+ * memories again on a retry is harmless. If the transaction fails, the error
+ * carries `memoriesDeleted` so the caller can report what is already gone.
+ *
+ * @param {object} pool - pg pool
+ * @param {object} subject
+ * @param {string} subject.userId
+ * @param {string} [subject.email] - Needed for email-keyed tables (login_codes, subscriptions)
+ * @param {object} options
+ * @param {string} options.secret - Keys the subject hash and receipt signature
+ * @param {object} [options.memorySystem] - EllieMemorySystem
+ * @param {object} [options.extra] - Extra steps to record in the receipt (in-memory cleanup, call recordings, billing)
+ * @returns {Promise<object>} receipt
+ */
+async function eraseAccount(pool, { userId, email = null }, { secret, memorySystem = null, extra = {} }) {
+  const subject = subjectHash(secret, userId);
+  const tables = {};
+
+  const memoriesDeleted = memorySystem && memorySystem.enabled
+    ? await memorySystem.deleteAllMemories(userId)
+    : { memories: 0, blocks: 0 };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (const table of ERASE_BY_USER_ID) {
+      if (!(await tableExists(client, table))) continue;
+      const { rowCount } = await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+      tables[table] = { action: 'deleted', rows: rowCount };
+    }
+
+    // Same pseudonym for every anonymized row so totals still add up per (former) user
+    const pseudonym = `deleted_${subject.slice(0, 16)}`;
+    for (const table of ANONYMIZE_BY_USER_ID) {
+      if (!(await tableExists(client, table))) continue;
+      const { rowCount } = await client.query(`UPDATE ${table} SET user_id = $2 WHERE user_id = $1`, [userId, pseudonym]);
+      tables[table] = { action: 'anonymized', rows: rowCount };
+    }
+
+    if (email) {
+      for (const table of ERASE_BY_EMAIL) {
+        if (!(await tableExists(client, table))) continue;
+        const { rowCount } = await client.query(`DELETE FROM ${table} WHERE LOWER(email) = LOWER($1)`, [email]);
+        tables[table] = { action: 'deleted', rows: rowCount };
+      }
+    }
+
+    const { rowCount: userRows } = await client.query(`DELETE FROM users WHERE user_id = $1`, [userId]);
+    tables.users = { action: 'deleted', rows: userRows };
+
+    // Receipt is written in the same transaction - no receipt without the erasure, and vice versa
+    await client.query(`SELECT pg_advisory_xact_lock($1)`, [RECEIPT_CHAIN_LOCK]);
+
+    const { rows: last } = await client.query(
+      `SELECT receipt_hash FROM deletion_receipts ORDER BY id DESC LIMIT 1`
+    );
+    const prevHash = last[0]?.receipt_hash || GENESIS_HASH;
+
+    const payload = JSON.stringify({
+      subjectHash: subject,
+      deletedAt: new Date().toISOString(),
+      tables,
+      supabase: {
+        user_memories: { action: 'deleted', rows: memoriesDeleted.memories },
+        user_memory_blocks: { action: 'deleted', rows: memoriesDeleted.blocks },
+      },
+      ...extra,
+    });
+    const hash = receiptHash(prevHash, payload);
+    const signature = signReceipt(secret, hash);
+
+    const { rows } = await client.query(
+      `INSERT INTO deletion_receipts (subject_hash, payload, prev_hash, receipt_hash, signature)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, created_at`,
+      [subject, payload, prevHash, hash, signature]
+    );
+
+    if (email && (await tableExists(client, 'erased_subjects'))) {
+      await client.query(
+        `INSERT INTO erased_subjects (email_hash, receipt_id) VALUES ($1, $2)
+         ON CONFLICT (email_hash) DO UPDATE SET receipt_id = EXCLUDED.receipt_id, erased_at = NOW()`,
+        [emailHash(secret, email), rows[0].id]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`🗑️ Account erased (receipt #${rows[0].id}, ${Object.keys(tables).length} tables, ${memoriesDeleted.memories} memories)`);
+
+    return {
+      receiptId: rows[0].id,
+      receiptHash: hash,
+      prevHash,
+      signature,
+      ...JSON.parse(payload),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    // Supabase was already cleared; the caller's error message has to say so
+    error.memoriesDeleted = memoriesDeleted;
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Walk the receipt chain and report the first receipt whose hash, link or
+ * signature doesn't check out.
+ * @returns {Promise<{ ok: boolean, count: number, brokenAt?: number, reason?: string }>}
+ */
+async function verifyReceiptChain(pool, secret) {
+  const { rows } = await pool.query(
+    `SELECT id, payload, prev_hash, receipt_hash, signature FROM deletion_receipts ORDER BY id ASC`
+  );
+
+  let expectedPrev = GENESIS_HASH;
+  for (const row of rows) {
+    if (row.prev_hash !== expectedPrev) {
+      return { ok: false, count: rows.length, brokenAt: row.id, reason: 'chain link mismatch (receipt removed or reordered)' };
+    }
+    if (receiptHash(row.prev_hash, row.payload) !== row.receipt_hash) {
+      return { ok: false, count: rows.length, brokenAt: row.id, reason: 'payload does not match hash (receipt edited)' };
+    }
+    if (signReceipt(secret, row.receipt_hash) !== row.signature) {
+      return { ok: false, count: rows.length, brokenAt: row.id, reason: 'bad signature' };
+    }
+    expectedPrev = row.receipt_hash;
+  }
+
+  return { ok: true, count: rows.length };
+}
+
+/** Receipts for one (former) user, looked up by the same HMAC used when they were written. */
+async function findReceiptsForUser(pool, secret, userId) {
+  const { rows } = await pool.query(
+    `SELECT id, payload, receipt_hash, signature, created_at FROM deletion_receipts
+     WHERE subject_hash = $1 ORDER BY id ASC`,
+    [subjectHash(secret, userId)]
+  );
+  return rows.map(row => ({
+    receiptId: row.id,
+    receiptHash: row.receipt_hash,
+    signature: row.signature,
+    createdAt: row.created_at,
+    ...JSON.parse(row.payload),
+  }));
+}
+
+/** Whether an account with this email was erased (billing must not recreate it) */
+async function isErasedEmail(pool, secret, email) {
+  if (!email) return false;
+  const { rows } = await pool.query(`SELECT 1 FROM erased_subjects WHERE email_hash = $1`, [emailHash(secret, email)]);
+  return rows.length > 0;
+}
+
+module.exports = { eraseAccount, verifyReceiptChain, findReceiptsForUser, isErasedEmail };
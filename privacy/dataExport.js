@@ -0,0 +1,251 @@
+// ============================================================
+// 📦 USER DATA EXPORT ("download my data")
+// ============================================================
+// Builds a gzipped JSON bundle of everything tied to one user (Postgres
+// tables from EXPORT_TABLES + Supabase user_memories and corrections) in the background.
+// Jobs and finished bundles live in data_export_jobs (migration 0004); the bundle is served
+// through a short-lived signed link and dropped once the job expires.
+// ============================================================
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { EXPORT_TABLES, readUserRows } = require('./userDataTables');
+
+const gzip = promisify(zlib.gzip);
+
+const EXPORT_FORMAT_VERSION = 1;
+const DOWNLOAD_TOKEN_PURPOSE = 'data_export';
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class DataExportService {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {object} [options.memorySystem] - EllieMemorySystem (Supabase memories)
+   * @param {string} options.secret - Signs download links
+   * @param {number} [options.linkTtlSec] - How long a download link stays valid
+   * @param {number} [options.retentionHours] - How long a finished bundle is kept
+   * @param {number} [options.cooldownMinutes] - A ready export this recent is reused instead of rebuilt
+   */
+  constructor({ pool, memorySystem = null, secret, linkTtlSec = 15 * 60, retentionHours = 24, cooldownMinutes = 60 }) {
+    this.pool = pool;
+    this.memorySystem = memorySystem;
+    this.secret = secret;
+    this.linkTtlSec = linkTtlSec;
+    this.retentionHours = retentionHours;
+    this.cooldownMinutes = cooldownMinutes;
+
+    this.queue = [];
+    this.processing = false;
+  }
+
+  // ============================================================
+  // JOBS
+  // ============================================================
+
+  /**
+   * Start an export for a user, or return the one already in flight / recently finished.
+   * @returns {Promise<object>} job row (without the bundle)
+   */
+  async requestExport(userId) {
+    const { rows: existing } = await this.pool.query(
+      `SELECT id, user_id, status, error, bundle_bytes, row_counts, created_at, completed_at, expires_at
+       FROM data_export_jobs
+       WHERE user_id = $1
+         AND (status IN ('pending', 'running')
+              OR (status = 'ready' AND created_at > NOW() - ($2 || ' minutes')::INTERVAL AND expires_at > NOW()))
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId, String(this.cooldownMinutes)]
+    );
+    if (existing.length) return existing[0];
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO data_export_jobs (id, user_id, status)
+       VALUES ($1, $2, 'pending')
+       RETURNING id, user_id, status, error, bundle_bytes, row_counts, created_at, completed_at, expires_at`,
+      [crypto.randomUUID(), userId]
+    );
+
+    console.log(`📦 Data export queued for ${userId} (job ${rows[0].id})`);
+    this.enqueue(rows[0].id);
+    return rows[0];
+  }
+
+  /** Job status, scoped to its owner so job ids can't be probed. */
+  async getJob(userId, jobId) {
+    if (!UUID_REGEX.test(jobId)) return null;
+    const { rows } = await this.pool.query(
+      `SELECT id, user_id, status, error, bundle_bytes, row_counts, created_at, completed_at, expires_at
+       FROM data_export_jobs WHERE id = $1 AND user_id = $2`,
+      [jobId, userId]
+    );
+    return rows[0] || null;
+  }
+
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    if (!this.processing) {
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  // One export at a time - they read whole tables and shouldn't compete with chat traffic
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        await this.runJob(jobId);
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async runJob(jobId) {
+    const startedAt = Date.now();
+    let userId = null;
+
+    try {
+      const { rows } = await this.pool.query(
+        `UPDATE data_export_jobs SET status = 'running', started_at = NOW()
+         WHERE id = $1 AND status IN ('pending', 'running')
+         RETURNING user_id`,
+        [jobId]
+      );
+      if (!rows.length) return;
+      userId = rows[0].user_id;
+
+      const bundle = await this.buildBundle(userId);
+      const compressed = await gzip(Buffer.from(JSON.stringify(bundle)));
+
+      await this.pool.query(
+        `UPDATE data_export_jobs
+         SET status = 'ready', bundle = $2, bundle_bytes = $3, row_counts = $4,
+             completed_at = NOW(), expires_at = NOW() + ($5 || ' hours')::INTERVAL, error = NULL
+         WHERE id = $1`,
+        [jobId, compressed, compressed.length, JSON.stringify(bundle.counts), String(this.retentionHours)]
+      );
+
+      console.log(`✅ Data export ready for ${userId} (job ${jobId}, ${compressed.length} bytes, ${Date.now() - startedAt}ms)`);
+    } catch (error) {
+      console.error(`❌ Data export failed for ${userId || 'unknown user'} (job ${jobId}):`, error.message);
+      await this.pool.query(
+        `UPDATE data_export_jobs SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1`,
+        [jobId, error.message.substring(0, 500)]
+      ).catch(() => {});
+    }
+  }
+
+  async buildBundle(userId) {
+    const tables = {};
+    const counts = {};
+
+    for (const spec of EXPORT_TABLES) {
+      tables[spec.table] = await readUserRows(this.pool, spec, userId);
+      counts[spec.table] = tables[spec.table].length;
+    }
+
+    const memoryEnabled = this.memorySystem && this.memorySystem.enabled;
+    const memories = memoryEnabled ? await this.memorySystem.exportMemories(userId) : [];
+    const memoryCorrections = memoryEnabled ? await this.memorySystem.exportMemoryBlocks(userId) : [];
+    counts.user_memories = memories.length;
+    counts.user_memory_blocks = memoryCorrections.length;
+
+    return {
+      format: 'ellie-data-export',
+      version: EXPORT_FORMAT_VERSION,
+      generatedAt: new Date().toISOString(),
+      userId,
+      counts,
+      tables,
+      memories,
+      memoryCorrections,
+    };
+  }
+
+  // Jobs left pending/running by a restart are picked up again
+  async resumeInterruptedJobs() {
+    const { rows } = await this.pool.query(
+      `SELECT id FROM data_export_jobs WHERE status IN ('pending', 'running') ORDER BY created_at ASC`
+    );
+    for (const row of rows) this.enqueue(row.id);
+    if (rows.length) console.log(`📦 Resuming ${rows.length} interrupted data export(s)`);
+  }
+
+  // Drop bundles past their retention window; the job row stays as an audit trail
+  async purgeExpired() {
+    const { rowCount } = await this.pool.query(
+      `UPDATE data_export_jobs SET status = 'expired', bundle = NULL
+       WHERE status = 'ready' AND expires_at < NOW()`
+    );
+    if (rowCount) console.log(`🧹 Purged ${rowCount} expired data export bundle(s)`);
+    return rowCount;
+  }
+
+  // ============================================================
+  // DOWNLOAD LINKS
+  // ============================================================
+
+  createDownloadToken(job) {
+    return jwt.sign(
+      { purpose: DOWNLOAD_TOKEN_PURPOSE, jobId: job.id, userId: job.user_id },
+      this.secret,
+      { expiresIn: this.linkTtlSec }
+    );
+  }
+
+  verifyDownloadToken(token, jobId) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      if (payload.purpose !== DOWNLOAD_TOKEN_PURPOSE || payload.jobId !== jobId) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Gzipped bundle for a signed link, or null if the link/job is no longer valid. */
+  async getBundle(jobId, token) {
+    const payload = typeof token === 'string' ? this.verifyDownloadToken(token, jobId) : null;
+    if (!payload || !UUID_REGEX.test(jobId)) return null;
+
+    const { rows } = await this.pool.query(
+      `SELECT bundle, completed_at FROM data_export_jobs
+       WHERE id = $1 AND user_id = $2 AND status = 'ready' AND expires_at > NOW()`,
+      [jobId, payload.userId]
+    );
+    return rows[0]?.bundle ? rows[0] : null;
+  }
+
+  /** Public view of a job; ready jobs get a fresh time-limited download link. */
+  describe(job) {
+    const view = {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+      expiresAt: job.expires_at,
+      counts: job.row_counts || null,
+      sizeBytes: job.bundle_bytes || null,
+      statusUrl: `/api/me/export/${job.id}`,
+    };
+
+    if (job.status === 'failed') view.error = 'EXPORT_FAILED';
+
+    if (job.status === 'ready') {
+      const token = this.createDownloadToken(job);
+      view.downloadUrl = `/api/me/export/${job.id}/download?token=${encodeURIComponent(token)}`;
+      view.downloadUrlExpiresAt = new Date(Date.now() + this.linkTtlSec * 1000).toISOString();
+    }
+
+    return view;
+  }
+}
+
+module.exports = { DataExportService };
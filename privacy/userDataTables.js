@@ -0,0 +1,146 @@
+// ============================================================
+// 📋 USER DATA INVENTORY
+// ============================================================
+// Every Postgres table that holds rows tied to a single user, keyed by the
+// column that identifies them. Data export and account deletion both read
+// from these lists, so a new per-user table should be added here as soon as
+// it is created: test/userDataTables.test.js fails when a table is erased
+// but neither exported nor listed in NOT_EXPORTED.
+// ============================================================
+
+const EXPORT_TABLES = [
+  { table: 'users',                column: 'user_id', orderBy: null },
+  { table: 'conversation_history', column: 'user_id', orderBy: 'created_at' },
+  { table: 'facts',                column: 'user_id', orderBy: 'updated_at' },
+  { table: 'emotions',             column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_relationships',   column: 'user_id', orderBy: null },
+  { table: 'relationship_events',  column: 'user_id', orderBy: 'created_at' },
+  { table: 'gift_transactions',    column: 'user_id', orderBy: 'created_at' },
+  { table: 'billing_events',       column: 'user_id', orderBy: 'created_at' },
+  { table: 'spend_limits',         column: 'user_id', orderBy: null },
+  { table: 'spend_ledger',         column: 'user_id', orderBy: 'created_at' },
+  { table: 'voice_call_usage',     column: 'user_id', orderBy: 'started_at' },
+  { table: 'voice_sessions',       column: 'user_id', orderBy: 'started_at' },
+  { table: 'voice_session_turns',  column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_photo_history',   column: 'user_id', orderBy: 'sent_at' },
+  { table: 'missed_calls',         column: 'user_id', orderBy: 'created_at' },
+  { table: 'asked_questions',      column: 'user_id', orderBy: null },
+  { table: 'safety_flags',         column: 'user_id', orderBy: 'created_at' },
+  { table: 'age_attestations',     column: 'user_id', orderBy: 'created_at' },
+  { table: 'age_verifications',    column: 'user_id', orderBy: 'created_at' },
+  { table: 'wellbeing_settings',   column: 'user_id', orderBy: null },
+  { table: 'chat_sessions',        column: 'user_id', orderBy: 'started_at' },
+  { table: 'messages',             column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_state',           column: 'user_id', orderBy: null },
+  { table: 'conversation_memories', column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_promises',        column: 'user_id', orderBy: 'created_at' },
+  { table: 'recall_log',           column: 'user_id', orderBy: 'created_at' },
+  { table: 'breakthrough_moments', column: 'user_id', orderBy: 'unlocked_at' },
+  { table: 'gift_responses',       column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_gift_history',    column: 'user_id', orderBy: 'created_at' },
+  { table: 'gift_statistics',      column: 'user_id', orderBy: null },
+  { table: 'double_text_questions', column: 'user_id', orderBy: 'asked_at' },
+  { table: 'active_user_enhancements', column: 'user_id', orderBy: 'created_at' },
+  { table: 'active_gift_effects',  column: 'user_id', orderBy: 'created_at' },
+  { table: 'user_emotional_profile', column: 'user_id', orderBy: null },
+  { table: 'user_memory_summary',  column: 'user_id', orderBy: null },
+  { table: 'conversation_context', column: 'user_id', orderBy: 'timestamp' },
+  { table: 'ellie_shared_traumas', column: 'user_id', orderBy: 'shared_at' },
+  { table: 'memory_sync',          column: 'user_id', orderBy: 'created_at' },
+  { table: 'data_export_jobs',     column: 'user_id', orderBy: 'created_at' },
+];
+
+// Erased but not exported: queue and webhook-processing internals, not data about the user
+const NOT_EXPORTED = new Set(['job_queue', 'job_dead_letters', 'webhook_events']);
+
+// Tables wiped on account deletion. Order matters only for readability -
+// the foreign keys (voice_session_turns -> voice_sessions cascades,
+// age_verifications -> age_attestations sets null) have the referencing
+// table listed first anyway. `users` is removed last.
+const ERASE_BY_USER_ID = [
+  // initDB tables
+  'conversation_history',
+  'facts',
+  'emotions',
+  'user_photo_history',
+  'user_relationships',
+  'relationship_events',
+  'breakthrough_moments',
+  'gift_responses',
+  'active_gift_effects',
+  'missed_calls',
+  'asked_questions',
+  'double_text_questions',
+  // Tables outside the initDB baseline (migrations 0002+)
+  'ellie_shared_traumas',
+  'active_user_enhancements',
+  'conversation_memories',
+  'gift_statistics',
+  'user_gift_history',
+  'memory_sync',
+  'messages',
+  'recall_log',
+  'user_promises',
+  'user_state',
+  'user_emotional_profile',
+  'user_memory_summary',
+  'conversation_context',
+  'data_export_jobs',
+  'job_queue',
+  'job_dead_letters',
+  'webhook_events',
+  'voice_session_turns',
+  'voice_sessions',
+  'spend_limits',
+  'safety_flags',
+  'age_verifications',
+  'age_attestations',
+  'wellbeing_settings',
+  'chat_sessions',
+];
+
+// Payment and call-usage records are kept for bookkeeping but detached from the person
+const ANONYMIZE_BY_USER_ID = ['gift_transactions', 'billing_events', 'voice_call_usage', 'spend_ledger'];
+
+// Tables keyed by email instead of user_id
+const ERASE_BY_EMAIL = ['login_codes', 'subscriptions'];
+
+// Columns never included in an export (credentials, internal secrets, earlier export archives)
+const REDACTED_COLUMNS = new Set(['password', 'password_hash', 'code', 'token', 'bundle']);
+
+const TABLE_MISSING = '42P01';
+const COLUMN_MISSING = '42703';
+
+/**
+ * Read every row a user owns in one table. Tables that were never created on
+ * this deployment come back empty instead of failing the whole export.
+ */
+async function readUserRows(pool, { table, column, orderBy }, userId) {
+  const order = orderBy ? ` ORDER BY ${orderBy} ASC` : '';
+
+  try {
+    const { rows } = await pool.query(`SELECT * FROM ${table} WHERE ${column} = $1${order}`, [userId]);
+    return rows.map(row => {
+      for (const key of Object.keys(row)) {
+        if (REDACTED_COLUMNS.has(key)) delete row[key];
+      }
+      return row;
+    });
+  } catch (error) {
+    if (error.code === TABLE_MISSING) return [];
+    // Older deployments may lack the ordering column - retry unordered
+    if (error.code === COLUMN_MISSING && orderBy) {
+      return readUserRows(pool, { table, column, orderBy: null }, userId);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_TABLES,
+  NOT_EXPORTED,
+  ERASE_BY_USER_ID,
+  ANONYMIZE_BY_USER_ID,
+  ERASE_BY_EMAIL,
+  readUserRows,
+};
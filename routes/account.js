@@ -0,0 +1,443 @@
+// routes/account.js - The signed-in user's own account: profile, language, onboarding,
+// age assurance, wellbeing controls, conversation reset, data export and account deletion
+
+const express = require('express');
+const authz = require('../authz');
+const cookie = require('cookie');
+const { eraseAccount } = require('../privacy/accountDeletion');
+const { listUserRecordingKeys, removeRecordings } = require('../calls/voiceSession');
+
+/**
+ * /api/me/*, /api/reset and the profile endpoints
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createAccountRouter(ctx) {
+  const {
+    ageAssurance, clearInMemoryUserState, dataExports, generateVerotelCancelURL, getPersonalityInstructions,
+    getPreferredLanguage, getUserName, getUserRelationship, jobQueue, memorySystem, pool, recordingStorage, requireAuth,
+    SESSION_COOKIE_NAME, SESSION_SECRET, setPreferredLanguage, SUPPORTED_LANGUAGES, upsertFact, wellbeing,
+  } = ctx;
+
+  const router = express.Router();
+
+  // Start (or reuse) an export job for the session user
+  router.get("/api/me/export", requireAuth, async (req, res) => {
+    try {
+      const job = await dataExports.requestExport(req.userId);
+      return res.status(job.status === 'ready' ? 200 : 202).json({ ok: true, ...dataExports.describe(job) });
+    } catch (error) {
+      console.error("[/api/me/export] error:", error);
+      return res.status(500).json({ ok: false, error: "EXPORT_REQUEST_FAILED" });
+    }
+  });
+
+  // Poll job status; a ready job comes back with a fresh time-limited download link
+  router.get("/api/me/export/:jobId", requireAuth, async (req, res) => {
+    try {
+      const job = await dataExports.getJob(req.userId, req.params.jobId);
+      if (!job) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+      return res.json({ ok: true, ...dataExports.describe(job) });
+    } catch (error) {
+      console.error("[/api/me/export/:jobId] error:", error);
+      return res.status(500).json({ ok: false, error: "EXPORT_STATUS_FAILED" });
+    }
+  });
+
+  // Signed download link - works without the session cookie so it can be opened directly
+  const requireExportLink = authz.withPolicy(authz.POLICIES.SIGNED_LINK, async (req, res, next) => {
+    try {
+      const bundle = await dataExports.getBundle(req.params.jobId, req.query.token);
+      if (!bundle) {
+        authz.logDenied(req, 'invalid or expired export link', req.params.jobId);
+        return res.status(410).json({ ok: false, error: "LINK_EXPIRED", message: "This download link has expired. Request a new one from your account page." });
+      }
+      req.exportBundle = bundle;
+      next();
+    } catch (error) {
+      console.error("[/api/me/export download] error:", error);
+      return res.status(500).json({ ok: false, error: "EXPORT_DOWNLOAD_FAILED" });
+    }
+  });
+
+  router.get("/api/me/export/:jobId/download", requireExportLink, (req, res) => {
+    const { bundle, completed_at } = req.exportBundle;
+    const stamp = new Date(completed_at || Date.now()).toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Encoding", "gzip");
+    res.setHeader("Content-Disposition", `attachment; filename="ellie-data-export-${stamp}.json"`);
+    res.setHeader("Cache-Control", "no-store");
+    res.send(bundle);
+  });
+
+  // Delete the session user's account. Body must be { "confirm": "DELETE" }.
+  router.delete("/api/me", requireAuth, async (req, res) => {
+    const userId = req.userId;
+
+    if (req.body?.confirm !== "DELETE") {
+      return res.status(400).json({
+        ok: false,
+        error: "CONFIRMATION_REQUIRED",
+        message: 'Send { "confirm": "DELETE" } to permanently delete your account.',
+      });
+    }
+
+    try {
+      let user = null;
+      try {
+        const { rows } = await pool.query(
+          `SELECT email, verotel_sale_id, subscription_status FROM users WHERE user_id = $1`,
+          [userId]
+        );
+        user = rows[0] || null;
+      } catch (e) {
+        // Older schemas without Verotel columns
+        const { rows } = await pool.query(`SELECT email FROM users WHERE user_id = $1`, [userId]);
+        user = rows[0] || null;
+      }
+
+      // FlexPay has no server-side cancel: only the customer can stop the rebills, on
+      // Verotel's page. The receipt and response say so, and the erased email is
+      // tombstoned so a rebill that still arrives can't recreate the account.
+      let verotelCancelUrl = null;
+      if (user?.verotel_sale_id && !['cancelled', 'expired'].includes(user.subscription_status)) {
+        verotelCancelUrl = generateVerotelCancelURL(user.verotel_sale_id);
+      }
+
+      // Drop queued jobs and wait out running ones, so none writes rows back after the erasure
+      const queue = await jobQueue.purgeUser(userId);
+
+      // Call audio lives outside Postgres: note where it is while the rows still say,
+      // and only remove it once the erasure below has committed
+      const recordingKeys = await listUserRecordingKeys(pool, recordingStorage, userId);
+
+      const receipt = await eraseAccount(
+        pool,
+        { userId, email: user?.email || null },
+        {
+          secret: SESSION_SECRET,
+          memorySystem,
+          extra: {
+            jobQueue: { droppedJobs: queue.dropped, stillProcessing: queue.stillProcessing },
+            recordings: recordingKeys.length,
+            billing: {
+              verotel: verotelCancelUrl
+                ? { saleId: String(user.verotel_sale_id), cancelled: false, customerMustCancel: true }
+                : { subscription: false },
+            },
+          },
+        }
+      );
+
+      // Postgres is committed - now the irreversible clean-up outside it
+      clearInMemoryUserState(userId, user?.email);
+      const recordings = await removeRecordings(recordingStorage, recordingKeys);
+      if (recordings.failed.length) {
+        console.error(`❌ [DELETE /api/me] ${recordings.failed.length} recording(s) left in storage after erasure (receipt #${receipt.receiptId}): ${recordings.failed.join(', ')}`);
+      }
+
+      // Log the user out
+      res.setHeader("Set-Cookie", [
+        cookie.serialize(SESSION_COOKIE_NAME, "", {
+          httpOnly: true,
+          secure: true,
+          sameSite: "none",
+          path: "/",
+          expires: new Date(0),
+        }),
+      ]);
+
+      return res.json({
+        ok: true,
+        receipt,
+        recordings,
+        verotelCancelUrl,
+        subscriptionCancelled: verotelCancelUrl ? false : null,
+        message: verotelCancelUrl
+          ? "Your account has been deleted, but your Verotel subscription has NOT been cancelled - we can't cancel it for you. Open verotelCancelUrl to stop future charges."
+          : "Your account has been deleted.",
+      });
+    } catch (error) {
+      console.error("[DELETE /api/me] error:", error);
+      const { memories = 0, blocks = 0 } = error.memoriesDeleted || {};
+      return res.status(500).json({
+        ok: false,
+        error: "DELETE_FAILED",
+        message: memories || blocks
+          ? "Account deletion failed. Your saved memories were removed, but your account and the rest of your data are still here - please try again."
+          : "Account deletion failed. Your account and data are still here - please try again.",
+      });
+    }
+  });
+
+  // ============================================================
+  // 🔞 AGE ASSURANCE (see ../ageAssurance)
+  // ============================================================
+
+  const AGE_ERROR_STATUS = {
+    AGE_BAD_DOB: 400,
+    AGE_ALREADY_VERIFIED: 409,
+    AGE_LOCKED: 409,
+    AGE_NOT_ATTESTED: 409,
+    AGE_VERIFIER_FAILED: 502,
+  };
+
+  const sendAgeError = (res, error, label) => {
+    const status = AGE_ERROR_STATUS[error.code];
+    if (status) return res.status(status).json({ ok: false, error: error.code, message: error.message });
+    console.error(`[age] ${label} error:`, error);
+    return res.status(500).json({ ok: false, error: "AGE_ASSURANCE_FAILED" });
+  };
+
+  const toAgeStatus = ({ attestation, verification, ...status }) => ({
+    ...status,
+    attestation: attestation && { dateOfBirth: attestation.dateOfBirth, outcome: attestation.outcome, attestedAt: attestation.attestedAt },
+    verification: verification && {
+      provider: verification.provider, status: verification.status, reason: verification.reason,
+      url: verification.url, startedAt: verification.startedAt, completedAt: verification.completedAt,
+    },
+  });
+
+  // Where the session user stands (polls a pending check first)
+  router.get("/api/me/age", requireAuth, async (req, res) => {
+    try {
+      return res.json({ ok: true, ...toAgeStatus(await ageAssurance.getStatus(req.userId)) });
+    } catch (error) {
+      return sendAgeError(res, error, "status");
+    }
+  });
+
+  // { dateOfBirth: "YYYY-MM-DD" } - kept in the audit trail with where it came from
+  router.post("/api/me/age/attest", requireAuth, async (req, res) => {
+    try {
+      const { outcome } = await ageAssurance.attest(req.userId, {
+        dateOfBirth: req.body?.dateOfBirth,
+        source: 'settings',
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+      });
+      const status = toAgeStatus(await ageAssurance.getStatus(req.userId, { refresh: false }));
+      if (outcome !== 'adult') {
+        return res.status(403).json({
+          ok: false,
+          error: "AGE_UNDER_MINIMUM",
+          message: `Adult features are only for users aged ${status.minimumAge} or over.`,
+          ...status,
+        });
+      }
+      return res.json({ ok: true, ...status });
+    } catch (error) {
+      return sendAgeError(res, error, "attest");
+    }
+  });
+
+  // { returnUrl? } - start a check with the verifier; follow verification.url when it has one
+  router.post("/api/me/age/verify", requireAuth, async (req, res) => {
+    try {
+      const status = await ageAssurance.startVerification(req.userId, {
+        returnUrl: req.body?.returnUrl ? String(req.body.returnUrl) : null,
+      });
+      return res.status(status.verified ? 200 : 202).json({ ok: true, ...toAgeStatus(status) });
+    } catch (error) {
+      return sendAgeError(res, error, "verify");
+    }
+  });
+
+  // ============================================================
+  // 🌿 WELLBEING CONTROLS (see wellbeing/index.js; today's usage is on /api/usage too)
+  // ============================================================
+
+  router.get("/api/me/wellbeing", requireAuth, async (req, res) => {
+    try {
+      return res.json({ ok: true, ...(await wellbeing.status(req.userId)) });
+    } catch (error) {
+      console.error("[wellbeing] settings error:", error);
+      return res.status(500).json({ ok: false, error: "WELLBEING_FAILED" });
+    }
+  });
+
+  // { dailyLimitMinutes?, quietHours? ({ start: "HH:MM", end: "HH:MM" }), timezone?, breakReminderMinutes? } - null turns one off
+  router.put("/api/me/wellbeing", requireAuth, async (req, res) => {
+    try {
+      const { dailyLimitMinutes, quietHours, timezone, breakReminderMinutes } = req.body || {};
+      await wellbeing.setSettings(req.userId, { dailyLimitMinutes, quietHours, timezone, breakReminderMinutes });
+      return res.json({ ok: true, ...(await wellbeing.status(req.userId)) });
+    } catch (error) {
+      if (error.code === 'WELLBEING_INVALID') {
+        return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: error.message });
+      }
+      console.error("[wellbeing] update error:", error);
+      return res.status(500).json({ ok: false, error: "WELLBEING_FAILED" });
+    }
+  });
+
+  // Routes (Ellie)
+
+  // Reset conversation
+  router.post("/api/reset", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+
+      // Get fresh relationship data and dynamic personality
+      const relationship = await getUserRelationship(userId);
+      const dynamicPersonality = getPersonalityInstructions(relationship, userId);
+
+      // Reset history in database - delete all conversation history
+      await pool.query(
+        `DELETE FROM conversation_history WHERE user_id = $1`,
+        [userId]
+      );
+
+      res.json({ 
+        status: "Conversation reset",
+        relationshipStage: relationship.current_stage,
+        relationshipLevel: relationship.relationship_level
+      });
+    } catch (error) {
+      console.error("[/api/reset] error:", error);
+      res.status(500).json({ error: "Failed to reset conversation" });
+    }
+  });
+
+  // Language endpoints
+  router.get("/api/get-language", authz.optionalSession, async (req, res) => {
+    try {
+      const userId = String(req.userId || "guest");
+      const code = await getPreferredLanguage(userId);
+      res.json({ language: code });
+    } catch (e) {
+      res.status(500).json({ error: "E_INTERNAL", message: e.message });
+    }
+  });
+  router.post("/api/set-language", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { language } = req.body || {};
+      const code = String(language || "").toLowerCase();
+      if (!SUPPORTED_LANGUAGES[code]) {
+        return res.status(400).json({ error: "E_BAD_LANGUAGE", message: "Unsupported language code." });
+      }
+      await setPreferredLanguage(userId, code);
+      res.json({ ok: true, language: code, label: SUPPORTED_LANGUAGES[code] });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Onboarding status endpoint
+  router.get("/api/onboarding-status", authz.optionalSession, async (req, res) => {
+    try {
+      const userId = req.userId;
+      if (!userId) {
+        return res.json({
+          ok: false,
+          needsLanguage: true,
+          needsName: true,
+          needsDisclaimer: true
+        });
+      }
+
+      const [hasLanguage, hasName, hasSeenDisclaimer] = await Promise.all([
+        getPreferredLanguage(userId),
+        getUserName(userId),
+        pool.query(
+          `SELECT fact FROM facts WHERE user_id = $1 AND category = 'seen_chat_disclaimer' LIMIT 1`,
+          [userId]
+        ).then(r => r.rows.length > 0).catch(() => false)
+      ]);
+
+      res.json({
+        ok: true,
+        language: hasLanguage,
+        name: hasName,
+        needsLanguage: !hasLanguage,
+        needsName: !hasName,
+        needsDisclaimer: hasLanguage && hasName && !hasSeenDisclaimer,
+        onboardingComplete: hasLanguage && hasName && hasSeenDisclaimer
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // Acknowledge disclaimer endpoint
+  router.post("/api/acknowledge-disclaimer", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+
+      await upsertFact(userId, { category: "seen_chat_disclaimer", fact: "true", confidence: 1.0 }, "user:acknowledge-disclaimer");
+
+      res.json({ ok: true, message: "Disclaimer acknowledged" });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  // User name endpoints
+  router.get("/api/get-name", authz.optionalSession, async (req, res) => {
+    try {
+      const userId = req.userId;
+      if (!userId) {
+        return res.json({ name: null });
+      }
+      const { rows } = await pool.query(
+        `SELECT name FROM users WHERE user_id = $1`,
+        [userId]
+      );
+      res.json({ name: rows[0]?.name || null });
+    } catch (e) {
+      res.status(500).json({ error: "E_INTERNAL", message: e.message });
+    }
+  });
+
+  router.post("/api/set-name", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { name } = req.body || {};
+      const trimmedName = String(name || "").trim();
+      if (!trimmedName || trimmedName.length > 100) {
+        return res.status(400).json({ ok: false, error: "E_BAD_NAME", message: "Name must be 1-100 characters." });
+      }
+
+      // Update the name in the users table
+      await pool.query(
+        `UPDATE users SET name = $2, updated_at = NOW() WHERE user_id = $1`,
+        [userId, trimmedName]
+      );
+
+      // Also store in facts for easy AI access
+      await upsertFact(userId, { category: "user_name", fact: trimmedName, confidence: 1.0 }, "user:set-name");
+
+      // Return with disclaimer to show after name entry
+      res.json({
+        ok: true,
+        name: trimmedName,
+        showDisclaimer: true,
+        disclaimer: {
+          title: "Remember These Important Rules",
+          content: `Before we continue, please remember these important rules you agreed to:
+
+1. AI-GENERATED CONTENT: Everything you see and hear on this platform is generated by artificial intelligence. This includes all pictures, messages, voice responses, and any other content. None of the content represents real persons or real events.
+
+2. AGE REQUIREMENT: You must be at least 18 years old to use this service.
+
+3. STRICTLY PROHIBITED - MINOR SAFETY: Any discussion, roleplay, or content involving minors in sexual or inappropriate contexts is STRICTLY PROHIBITED and will result in immediate permanent account termination and reporting to authorities. Zero tolerance.
+
+4. PROHIBITED CONDUCT - JAILBREAKING: Any attempt to jailbreak, manipulate, or circumvent the AI's safety guidelines will result in immediate account termination without refund.
+
+5. NO REAL RELATIONSHIP: Any interactions with AI characters do not constitute a real relationship. The AI does not have feelings, consciousness, or genuine emotions.
+
+6. PRIVACY: Your conversations may be logged for safety, quality improvement, and abuse prevention purposes.`,
+          checkboxLabel: "I remember and will follow these rules",
+          buttonText: "Continue"
+        }
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
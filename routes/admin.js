@@ -0,0 +1,571 @@
+// routes/admin.js - Admin tools: tiers/minutes, payment webhooks, LLM health, deletion receipts, call drill-down,
+// the safety review queue, age assurance audit and manual override
+
+const express = require('express');
+const { verifyReceiptChain, findReceiptsForUser } = require('../privacy/accountDeletion');
+const { listCalls, getCall, getCallTurns } = require('../calls/voiceSession');
+
+/**
+ * /api/admin/* and /api/manual-override/*
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createAdminRouter(ctx) {
+  const {
+    addExtraMinutes, adminLimiter, ageAssurance, assignTier, billing, crisisSafety, isAdminTyping, isInManualOverride, llmProviders,
+    manualOverrideSessions, pool, requireAdmin, resetBillingCycle, SESSION_SECRET, tts,
+  } = ctx;
+
+  const router = express.Router();
+
+  // Admin: verify the deletion receipt hash chain, optionally look up one (former) user's receipts
+  router.get("/api/admin/deletion-receipts", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const chain = await verifyReceiptChain(pool, SESSION_SECRET);
+      const receipts = req.query.userId
+        ? await findReceiptsForUser(pool, SESSION_SECRET, String(req.query.userId))
+        : undefined;
+      return res.status(chain.ok ? 200 : 409).json({ ok: chain.ok, chain, receipts });
+    } catch (e) {
+      console.error("[admin] deletion-receipts error:", e);
+      return res.status(500).json({ error: "RECEIPT_CHECK_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: Assign tier to user (for testing / manual assignment)
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.post("/api/admin/assign-tier", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+
+      const { userId, tier, customMinutes } = req.body;
+      if (!userId || !tier) {
+        return res.status(400).json({ error: "Missing userId or tier" });
+      }
+
+      await assignTier(userId, tier, customMinutes);
+
+      return res.json({ ok: true, message: `Assigned ${tier} to ${userId}` });
+    } catch (e) {
+      console.error("[admin] assign-tier error:", e);
+      return res.status(500).json({ error: "ASSIGN_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: Reset billing cycle for user
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.post("/api/admin/reset-cycle", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { userId } = req.body;
+      if (!userId) {
+        return res.status(400).json({ error: "Missing userId" });
+      }
+
+      await resetBillingCycle(userId);
+
+      return res.json({ ok: true, message: `Reset cycle for ${userId}` });
+    } catch (e) {
+      console.error("[admin] reset-cycle error:", e);
+      return res.status(500).json({ error: "RESET_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: Stored payment webhooks, newest first (?status=failed&provider=lemon)
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.get("/api/admin/webhooks", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const events = await billing.listWebhookEvents({
+        status: req.query.status ? String(req.query.status) : null,
+        provider: req.query.provider ? String(req.query.provider) : null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      return res.json({ ok: true, events });
+    } catch (e) {
+      console.error("[admin] webhooks error:", e);
+      return res.status(500).json({ error: "WEBHOOKS_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: Process a failed (or stuck) payment webhook again from its stored payload
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.post("/api/admin/webhooks/:webhookEventId/replay", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const webhookEventId = parseInt(req.params.webhookEventId, 10);
+      if (!webhookEventId) {
+        return res.status(400).json({ error: "Invalid webhookEventId" });
+      }
+
+      const { userId, outcome } = await billing.replay(webhookEventId);
+
+      return res.json({ ok: true, webhookEventId, userId, outcome });
+    } catch (e) {
+      if (e.code === 'WEBHOOK_NOT_FOUND') return res.status(404).json({ error: "NOT_FOUND" });
+      if (e.code === 'WEBHOOK_NOT_REPLAYABLE') return res.status(409).json({ error: "NOT_REPLAYABLE", message: e.message });
+      console.error("[admin] webhook replay error:", e);
+      return res.status(500).json({ error: "REPLAY_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: LLM provider health + active routing rules
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.get("/api/admin/llm-health", adminLimiter, requireAdmin, async (_req, res) => {
+    try {
+      const providers = await llmProviders.health();
+      return res.json({ ok: true, providers, routes: llmProviders.routes });
+    } catch (e) {
+      console.error("[admin] llm-health error:", e);
+      return res.status(500).json({ error: "HEALTH_CHECK_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: TTS circuit breakers and which provider is serving each context
+  router.get("/api/admin/tts-health", adminLimiter, requireAdmin, (_req, res) => {
+    return res.json({ ok: true, providers: tts.health(), routes: tts.routes });
+  });
+
+  // Admin: one user's phone calls, newest first (?userId=...&limit=20&before=<id>)
+  router.get("/api/admin/calls", adminLimiter, requireAdmin, async (req, res) => {
+    if (!req.query.userId) return res.status(400).json({ error: "Missing userId" });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const before = parseInt(req.query.before, 10) || null;
+    try {
+      const calls = await listCalls(pool, String(req.query.userId), { limit, before });
+      return res.json({ ok: true, calls });
+    } catch (e) {
+      console.error("[admin] calls error:", e);
+      return res.status(500).json({ error: "CALL_LIST_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: call drill-down - the session, every turn with its providers and latency marks,
+  // and the metered usage row (minutes, per-provider cost)
+  router.get("/api/admin/calls/:callId", adminLimiter, requireAdmin, async (req, res) => {
+    const callId = parseInt(req.params.callId, 10);
+    if (!Number.isInteger(callId) || callId <= 0) return res.status(400).json({ error: "Invalid callId" });
+    try {
+      const call = await getCall(pool, callId);
+      if (!call) return res.status(404).json({ error: "CALL_NOT_FOUND" });
+
+      const turns = await getCallTurns(pool, callId);
+      const { rows: usage } = call.call_usage_id
+        ? await pool.query(`SELECT * FROM voice_call_usage WHERE id = $1`, [call.call_usage_id])
+        : { rows: [] };
+      return res.json({ ok: true, call, turns, usage: usage[0] || null });
+    } catch (e) {
+      console.error("[admin] call drill-down error:", e);
+      return res.status(500).json({ error: "CALL_LOOKUP_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: safety review queue - crisis flags, most urgent first (?status=open|reviewing|resolved|dismissed|all&userId=...)
+  router.get("/api/admin/safety/flags", adminLimiter, requireAdmin, async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : 'open';
+    try {
+      const flags = await crisisSafety.listFlags({
+        status: status === 'all' ? null : status,
+        userId: req.query.userId ? String(req.query.userId) : null,
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      });
+      return res.json({ ok: true, flags });
+    } catch (e) {
+      console.error("[admin] safety flags error:", e);
+      return res.status(500).json({ error: "SAFETY_FLAGS_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: review a crisis flag { status: reviewing|resolved|dismissed, note? }.
+  // Dismissing (a false positive) ends the user's safe mode.
+  router.post("/api/admin/safety/flags/:flagId/review", adminLimiter, requireAdmin, async (req, res) => {
+    const flagId = parseInt(req.params.flagId, 10);
+    if (!Number.isInteger(flagId) || flagId <= 0) return res.status(400).json({ error: "Invalid flagId" });
+    try {
+      const flag = await crisisSafety.reviewFlag(flagId, {
+        status: req.body?.status,
+        note: req.body?.note ? String(req.body.note).slice(0, 2000) : null,
+      });
+      if (!flag) return res.status(404).json({ error: "FLAG_NOT_FOUND" });
+      return res.json({ ok: true, flag });
+    } catch (e) {
+      if (e.code === 'SAFETY_BAD_STATUS') return res.status(400).json({ error: e.code, message: e.message });
+      console.error("[admin] safety review error:", e);
+      return res.status(500).json({ error: "SAFETY_REVIEW_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: one user's age assurance - current status plus every attestation and check (the audit trail)
+  router.get("/api/admin/age/:userId", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const userId = String(req.params.userId);
+      const [status, trail] = await Promise.all([
+        ageAssurance.getStatus(userId, { refresh: false }),
+        ageAssurance.auditTrail(userId),
+      ]);
+      return res.json({ ok: true, status, ...trail });
+    } catch (e) {
+      console.error("[admin] age audit error:", e);
+      return res.status(500).json({ error: "AGE_AUDIT_FAILED", message: e.message });
+    }
+  });
+
+  // Admin: Add extra minutes
+  // 🔒 SECURITY: Rate limited and requires admin key
+  router.post("/api/admin/add-minutes", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { userId, minutes } = req.body;
+      if (!userId || !minutes) {
+        return res.status(400).json({ error: "Missing userId or minutes" });
+      }
+
+      await addExtraMinutes(userId, minutes);
+
+      return res.json({ ok: true, message: `Added ${minutes} minutes to ${userId}` });
+    } catch (e) {
+      console.error("[admin] add-minutes error:", e);
+      return res.status(500).json({ error: "ADD_MINUTES_FAILED", message: e.message });
+    }
+  });
+
+  /**
+   * POST /api/manual-override/start
+   * Start manual override for a specific user
+   * 🔒 SECURITY: Requires admin authentication
+   */
+  router.post("/api/manual-override/start", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { user_id } = req.body;
+
+      if (!user_id) {
+        return res.status(400).json({ error: "user_id is required" });
+      }
+
+      // Verify user exists
+      const userCheck = await pool.query(
+        "SELECT user_id FROM user_relationships WHERE user_id = $1",
+        [user_id]
+      );
+
+      if (userCheck.rows.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      // Check if already in override
+      const alreadyInOverride = isInManualOverride(user_id);
+
+      if (alreadyInOverride) {
+        console.log(`⚠️ User ${user_id} already in manual override - restarting session`);
+        // Allow restarting the session (update the timestamp)
+      }
+
+      // Create or update override session
+      manualOverrideSessions.set(user_id, {
+        active: true,
+        startedAt: new Date().toISOString(),
+        isTyping: false,
+        lastTypingUpdate: null
+      });
+
+      console.log(`🎮 Manual override STARTED for user: ${user_id}`);
+
+      res.json({
+        success: true,
+        message: "Manual override started",
+        user_id: user_id,
+        started_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error("Error starting manual override:", error);
+      res.status(500).json({ 
+        error: "Failed to start manual override",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/manual-override/send
+   * Send a manual response (stored as normal assistant message)
+   */
+  router.post("/api/manual-override/send", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { user_id, message } = req.body;
+
+      if (!user_id || !message) {
+        return res.status(400).json({ 
+          error: "user_id and message are required" 
+        });
+      }
+
+      if (!isInManualOverride(user_id)) {
+        return res.status(400).json({ 
+          error: "No active manual override for this user" 
+        });
+      }
+
+      // Store message as normal assistant message (not marked as manual)
+      try {
+        await pool.query(
+          `INSERT INTO conversation_history (user_id, role, content, created_at)
+         VALUES ($1, 'assistant', $2, NOW())`,
+          [user_id, message]
+        );
+      } catch (historyErr) {
+        console.warn(`⚠️ Could not store in conversation_history:`, historyErr.message);
+        if (historyErr.code === '42P01') {
+          console.warn(`⚠️ conversation_history table does not exist. Please run the migration SQL.`);
+        }
+        // Continue even if history storage fails
+      }
+
+      console.log(`🎮 Manual response sent for user: ${user_id}`);
+
+      res.json({
+        success: true,
+        message: "Response sent successfully",
+        user_id: user_id
+      });
+    } catch (error) {
+      console.error("Error sending manual response:", error);
+      res.status(500).json({ 
+        error: "Failed to send message",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+  /**
+   * GET /api/manual-override/pending-response/:userId
+   * For user's chat interface to poll for manual responses
+   * Returns any assistant messages sent since their last check (timestamp-based)
+   */
+  router.get("/api/manual-override/pending-response/:userId", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const lastCheckTimestamp = req.query.since || '1970-01-01'; // Timestamp of last successful fetch
+
+      // Check if user is in manual override
+      if (!isInManualOverride(userId)) {
+        return res.json({
+          has_response: false,
+          in_override: false
+        });
+      }
+
+      // Get all assistant messages created after the last check
+      // This fixes the issue where multiple user messages would hide admin responses
+      try {
+        const query = `
+        SELECT id, content, created_at
+        FROM conversation_history
+        WHERE user_id = $1 
+          AND role = 'assistant'
+          AND created_at > $2
+        ORDER BY created_at ASC
+      `;
+
+        const result = await pool.query(query, [userId, lastCheckTimestamp]);
+
+        if (result.rows.length > 0) {
+          // Return all new messages + typing status
+          return res.json({
+            has_response: true,
+            in_override: true,
+            is_admin_typing: isAdminTyping(userId),
+            messages: result.rows.map(row => ({
+              reply: row.content,
+              timestamp: row.created_at,
+              id: row.id
+            }))
+          });
+        } else {
+          return res.json({
+            has_response: false,
+            in_override: true,
+            is_admin_typing: isAdminTyping(userId),
+            waiting: true
+          });
+        }
+      } catch (dbErr) {
+        // If conversation_history doesn't exist, just return waiting
+        return res.json({
+          has_response: false,
+          in_override: true,
+          is_admin_typing: isAdminTyping(userId),
+          waiting: true,
+          note: "conversation_history table not available"
+        });
+      }
+    } catch (error) {
+      console.error("Error checking pending response:", error);
+      res.status(500).json({ 
+        error: "Failed to check for pending response",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/manual-override/end
+   * End manual override and resume normal API operation
+   */
+  router.post("/api/manual-override/end", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { user_id } = req.body;
+
+      if (!user_id) {
+        return res.status(400).json({ error: "user_id is required" });
+      }
+
+      if (!isInManualOverride(user_id)) {
+        return res.status(400).json({ 
+          error: "No active manual override for this user" 
+        });
+      }
+
+      // Remove from override sessions
+      manualOverrideSessions.delete(user_id);
+
+      console.log(`🎮 Manual override ENDED for user: ${user_id}`);
+
+      res.json({
+        success: true,
+        message: "Manual override ended. API will resume normal operation.",
+        user_id: user_id,
+        ended_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error("Error ending manual override:", error);
+      res.status(500).json({ 
+        error: "Failed to end manual override",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/manual-override/typing
+   * Update typing status for manual override
+   */
+  router.post("/api/manual-override/typing", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { user_id, is_typing } = req.body;
+
+      if (!user_id) {
+        return res.status(400).json({ error: "user_id is required" });
+      }
+
+      const session = manualOverrideSessions.get(user_id);
+      if (!session || !session.active) {
+        return res.status(400).json({ 
+          error: "No active manual override for this user" 
+        });
+      }
+
+      // Update typing status
+      session.isTyping = is_typing === true;
+      session.lastTypingUpdate = new Date().toISOString();
+      manualOverrideSessions.set(user_id, session);
+
+      res.json({
+        success: true,
+        user_id: user_id,
+        is_typing: session.isTyping
+      });
+    } catch (error) {
+      console.error("Error updating typing status:", error);
+      res.status(500).json({ 
+        error: "Failed to update typing status",
+        details: error.message 
+      });
+    }
+  });
+
+
+  /**
+   * GET /api/manual-override/status/:userId
+   * Check if a user is currently in manual override mode
+   */
+  router.get("/api/manual-override/status/:userId", adminLimiter, requireAdmin, (req, res) => {
+    try {
+      const { userId } = req.params;
+      const session = manualOverrideSessions.get(userId);
+
+      res.json({
+        user_id: userId,
+        in_override: session ? session.active : false,
+        started_at: session ? session.startedAt : null
+      });
+    } catch (error) {
+      console.error("Error checking override status:", error);
+      res.status(500).json({ 
+        error: "Failed to check status",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * GET /api/manual-override/active-sessions
+   * Get list of all active manual override sessions
+   */
+  router.get("/api/manual-override/active-sessions", adminLimiter, requireAdmin, (req, res) => {
+    try {
+      const activeSessions = [];
+
+      for (const [userId, session] of manualOverrideSessions.entries()) {
+        if (session.active) {
+          activeSessions.push({
+            user_id: userId,
+            started_at: session.startedAt
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        sessions: activeSessions,
+        count: activeSessions.length
+      });
+    } catch (error) {
+      console.error("Error fetching active sessions:", error);
+      res.status(500).json({ 
+        error: "Failed to fetch active sessions",
+        details: error.message 
+      });
+    }
+  });
+
+  /**
+   * POST /api/manual-override/force-clear
+   * Force clear a user's manual override session (for stuck/stale sessions)
+   */
+  router.post("/api/manual-override/force-clear", adminLimiter, requireAdmin, async (req, res) => {
+    try {
+      const { user_id } = req.body;
+
+      if (!user_id) {
+        return res.status(400).json({ error: "user_id is required" });
+      }
+
+      const hadSession = manualOverrideSessions.has(user_id);
+      manualOverrideSessions.delete(user_id);
+
+      console.log(`🧹 Force-cleared manual override session for user: ${user_id}`);
+
+      res.json({
+        success: true,
+        message: `Manual override session ${hadSession ? 'cleared' : 'was not active'}`,
+        user_id: user_id,
+        had_session: hadSession
+      });
+    } catch (error) {
+      console.error("Error force-clearing override session:", error);
+      res.status(500).json({ 
+        error: "Failed to clear session",
+        details: error.message 
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,365 @@
+// routes/auth.js - Email code login, password login, signup and session cookie
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const cookie = require('cookie');
+const crypto = require('crypto');
+const { ageOn } = require('../ageAssurance');
+
+// Marks a device that was refused signup as underage (see ageAssurance/)
+const AGE_DEVICE_COOKIE = "ellie_device";
+const AGE_DEVICE_MAX_AGE_SEC = 60 * 60 * 24 * 400;
+
+/**
+ * /api/auth/*
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createAuthRouter(ctx) {
+  const {
+    ageAssurance, authStartLimiter, authVerifyLimiter, getSubByEmail, getUserByEmail, getUserByUserId,
+    isPaidStatus, pool, sendLoginCodeEmail, SESSION_COOKIE_NAME, setSessionCookie, signSession,
+    upsertUserEmail, verifySession,
+  } = ctx;
+
+  const router = express.Router();
+
+  // AUTH ROUTES (email + 6-digit code) -Â now backed by DB
+
+  // Start login -> send code (stores code in DB, expires in 10 min)
+  // 🔒 SECURITY: Rate limited to prevent email bombing and brute force
+  router.post("/api/auth/start", authStartLimiter, async (req, res) => {
+    try {
+      const email = String(req.body?.email || "").toLowerCase().trim();
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        return res.status(400).json({ ok: false, message: "Invalid email." });
+      }
+
+      // Check if user exists - don't auto-create for login
+      const existingUser = await getUserByEmail(email);
+      if (!existingUser) {
+        return res.status(404).json({
+          ok: false,
+          message: "Email not found. Please sign up first."
+        });
+      }
+
+      // generate 6-digit code
+      const code = String(Math.floor(100000 + Math.random() * 900000));
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min
+
+      // Update user timestamp
+      await upsertUserEmail(email);
+
+      // one active code per email: delete old + insert new
+      await pool.query(`DELETE FROM login_codes WHERE email = $1`, [email]);
+      await pool.query(
+        `INSERT INTO login_codes (email, code, expires_at) VALUES ($1, $2, $3)`,
+        [email, code, expiresAt]
+      );
+
+      // email the code (bubble errors for visibility)
+      await sendLoginCodeEmail({ to: email, code });
+
+      res.json({ ok: true });
+    } catch (e) {
+      console.error("auth/start error:", e);
+      res.status(500).json({ ok: false, message: "Failed to send code." });
+    }
+  });
+
+  // Verify code -> set httpOnly session cookie (consumes DB code)
+  // 🔒 SECURITY: Rate limited to prevent brute force code guessing
+  router.post("/api/auth/verify", authVerifyLimiter, async (req, res) => {
+    try {
+      const email = String(req.body?.email || "").toLowerCase().trim();
+      const code = String(req.body?.code || "").trim();
+
+      if (!email || !code) {
+        return res.status(400).json({ ok: false, message: "Missing email or code." });
+      }
+
+      // Atomically consume a valid (non-expired) code
+      const { rows } = await pool.query(
+        `DELETE FROM login_codes
+        WHERE email = $1 AND code = $2 AND expires_at > NOW()
+        RETURNING id`,
+        [email, code]
+      );
+      if (!rows.length) {
+        return res.status(400).json({ ok: false, message: "Invalid or expired code." });
+      }
+
+      // ensure user row exists (also generates user_id if missing)
+      const user = await upsertUserEmail(email);
+
+      // set session cookie using userId for consistency with signup
+      const token = signSession({ userId: user.user_id });
+      setSessionCookie(res, token);
+
+      // paid = subscriptions.status or users.paid
+      const sub = await getSubByEmail(email);
+      const paid =
+        isPaidStatus(sub?.status) ||
+        Boolean(user?.paid);
+
+      res.json({ ok: true, paid });
+    } catch (e) {
+      console.error("auth/verify error:", e);
+      res.status(500).json({ ok: false, message: "Verify failed." });
+    }
+  });
+
+  // Password-based login (for test users and users who signed up with password)
+  router.post("/api/auth/login", authVerifyLimiter, async (req, res) => {
+    try {
+      const email = String(req.body?.email || "").toLowerCase().trim();
+      const password = String(req.body?.password || "").trim();
+
+      if (!email || !password) {
+        return res.status(400).json({ ok: false, message: "Email and password are required." });
+      }
+
+      // Find user by email
+      const { rows } = await pool.query(
+        `SELECT user_id, email, password_hash, paid FROM users WHERE email = $1 LIMIT 1`,
+        [email]
+      );
+
+      if (!rows.length) {
+        return res.status(401).json({ ok: false, message: "Invalid email or password." });
+      }
+
+      const user = rows[0];
+
+      // Check if user has a password set
+      if (!user.password_hash) {
+        return res.status(401).json({ ok: false, message: "This account uses email code login. Please use 'Sign in' with email code instead." });
+      }
+
+      // Verify password
+      const passwordValid = await bcrypt.compare(password, user.password_hash);
+      if (!passwordValid) {
+        return res.status(401).json({ ok: false, message: "Invalid email or password." });
+      }
+
+      // Create session with userId (consistent with signup)
+      const token = signSession({ userId: user.user_id });
+      setSessionCookie(res, token);
+
+      // Check paid status
+      const sub = await getSubByEmail(email);
+      const paid = isPaidStatus(sub?.status) || Boolean(user?.paid);
+
+      return res.json({ ok: true, paid });
+    } catch (e) {
+      console.error("auth/login error:", e);
+      return res.status(500).json({ ok: false, message: "Login failed." });
+    }
+  });
+
+  // ÃƒÂ¢Ã…â€œÃ¢â‚¬Â¦ Authoritative me (returns 401 when not logged in; uses UUID session)
+  router.get("/api/auth/me", async (req, res) => {
+    try {
+      const token = req.cookies?.[SESSION_COOKIE_NAME] || null;
+      const payload = token ? verifySession(token) : null;
+
+      // Support BOTH old email sessions and new userId sessions
+      if (!payload?.userId && !payload?.email) {
+        return res.status(401).json({ ok: false, loggedIn: false });
+
+      }
+
+      let user;
+      if (payload.userId) {
+        // New UUID-based session
+        user = await getUserByUserId(payload.userId);
+      } else if (payload.email) {
+        // Old email-based session (backward compatibility)
+        user = await getUserByEmail(payload.email);
+      }
+
+      if (!user) {
+        return res.status(401).json({ ok: false, loggedIn: false });
+      }
+
+      const sub = await getSubByEmail(user.email);
+
+      // Source of truth = Supabase (users.paid) + subscriptions.status
+      const paid = isPaidStatus(sub?.status) || Boolean(user?.paid);
+
+      return res.json({ ok: true, loggedIn: true, email: user.email, paid, userId: user.user_id });
+    } catch {
+      return res.status(500).json({ ok: false, error: "me_failed" });
+    }
+  });
+
+  // Optional logout (now clears cookie in dev too)
+  router.post("/api/auth/logout", (_req, res) => {
+    res.setHeader("Set-Cookie", [
+      cookie.serialize(SESSION_COOKIE_NAME, "", {
+        httpOnly: true,
+        sameSite: "none",
+        path: "/",
+        expires: new Date(0),
+      }),
+    ]);
+    res.json({ ok: true });
+  });
+
+  // GET endpoint to fetch the terms disclaimer text
+  router.get("/api/auth/terms", (req, res) => {
+    res.json({
+      ok: true,
+      terms: {
+        title: "Terms & Disclaimer",
+        content: `By creating an account, you acknowledge and agree to the following:
+
+1. AI-GENERATED CONTENT: Everything you see and hear on this platform is generated by artificial intelligence. This includes all pictures, messages, voice responses, and any other content. None of the content represents real persons or real events.
+
+2. AGE REQUIREMENT: You must be at least 18 years old to use this service. By continuing, you confirm that you are 18 years of age or older.
+
+3. STRICTLY PROHIBITED - MINOR SAFETY: Any discussion, roleplay, or content involving minors in sexual or inappropriate contexts is STRICTLY PROHIBITED and will result in immediate permanent account termination, reporting to authorities, and no refund. This is a zero-tolerance policy.
+
+4. PROHIBITED CONDUCT - JAILBREAKING: Any attempt to jailbreak, manipulate, or circumvent the AI's safety guidelines will result in immediate account termination without refund. This includes attempts to generate illegal, harmful, or explicitly prohibited content.
+
+5. ENTERTAINMENT PURPOSE ONLY: This service is provided for entertainment purposes only. It is not intended to provide medical, psychological, therapeutic, legal, financial, or any other professional advice.
+
+6. NO REAL RELATIONSHIP: Any interactions with AI characters do not constitute a real relationship. The AI does not have feelings, consciousness, or genuine emotions.
+
+7. NO LIABILITY: We are not responsible for any decisions you make based on AI-generated content. Use this service at your own risk.
+
+8. CONTENT MODERATION: We reserve the right to monitor, review, and remove any content or terminate accounts that violate our terms.
+
+9. PRIVACY: Your conversations may be logged for safety, quality improvement, and abuse prevention purposes.
+
+10. CHANGES TO SERVICE: We reserve the right to modify, suspend, or discontinue the service at any time without notice.`,
+        checkboxLabel: "I have read, understood, and agree to these terms. I confirm I am 18+ and understand all content is AI-generated."
+      }
+    });
+  });
+
+  router.post("/api/auth/signup", async (req, res) => {
+    try {
+      // Name is now optional - collected after language selection in chat
+      const name = req.body?.name ? String(req.body.name).trim() : null;
+      const email = String(req.body?.email || "").toLowerCase().trim();
+      const password = String(req.body?.password || "").trim();
+      const acceptedTerms = Boolean(req.body?.acceptedTerms);
+
+      if (!acceptedTerms) {
+        return res.status(400).json({ ok: false, message: "You must accept the terms and disclaimer to create an account." });
+      }
+      if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        return res.status(400).json({ ok: false, message: "Enter a valid email." });
+      }
+      if (password.length < 8) {
+        return res.status(400).json({ ok: false, message: "Password must be at least 8 characters." });
+      }
+
+      // 🔞 Optional date of birth: attested below once the account exists (see ageAssurance/).
+      // Under the minimum age, no account is created at all, and the refusal is kept
+      // against the email and this device so a retry with an older date is refused too.
+      const deviceId = String(req.cookies?.[AGE_DEVICE_COOKIE] || "").slice(0, 64) || null;
+      const underageMessage = `You must be ${ageAssurance.minimumAge} or older to use Ellie.`;
+      if (await ageAssurance.isSignupLocked({ email, deviceId })) {
+        return res.status(403).json({ ok: false, error: "AGE_LOCKED", message: underageMessage });
+      }
+      const dateOfBirth = req.body?.dateOfBirth ? String(req.body.dateOfBirth).trim() : null;
+      if (dateOfBirth) {
+        let age;
+        try {
+          age = ageOn(dateOfBirth);
+        } catch {
+          return res.status(400).json({ ok: false, message: "Enter your date of birth as YYYY-MM-DD." });
+        }
+        if (age < ageAssurance.minimumAge) {
+          const lockId = deviceId || crypto.randomUUID();
+          await ageAssurance.refuseSignup({ email, deviceId: lockId, dateOfBirth, ip: req.ip, userAgent: req.get('user-agent') || null });
+          if (!deviceId) {
+            res.setHeader("Set-Cookie", cookie.serialize(AGE_DEVICE_COOKIE, lockId, {
+              httpOnly: true,
+              secure: true,
+              sameSite: "none",
+              path: "/",
+              maxAge: AGE_DEVICE_MAX_AGE_SEC,
+            }));
+          }
+          return res.status(403).json({ ok: false, error: "AGE_UNDER_MINIMUM", message: underageMessage });
+        }
+      }
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      const newUserId = crypto.randomUUID();
+
+      // Insert or update user row; paid remains false by default.
+      // Generate a UUID for new users, keep existing for updates
+      // Try with terms_accepted_at first, fall back without it if column doesn't exist
+      let rows;
+      try {
+        const result = await pool.query(
+          `
+        INSERT INTO users (email, name, password_hash, paid, user_id, terms_accepted_at, updated_at)
+        VALUES ($1, $2, $3, FALSE, $4, NOW(), NOW())
+        ON CONFLICT (email) DO UPDATE
+          SET name = EXCLUDED.name,
+              password_hash = EXCLUDED.password_hash,
+              user_id = COALESCE(users.user_id, EXCLUDED.user_id),
+              terms_accepted_at = COALESCE(users.terms_accepted_at, NOW()),
+              updated_at = NOW()
+        RETURNING user_id
+        `,
+          [email, name, passwordHash, newUserId]
+        );
+        rows = result.rows;
+      } catch (colErr) {
+        // Fallback if terms_accepted_at column doesn't exist yet
+        if (colErr.code === '42703') {
+          console.log("terms_accepted_at column not found, using fallback query");
+          const result = await pool.query(
+            `
+          INSERT INTO users (email, name, password_hash, paid, user_id, updated_at)
+          VALUES ($1, $2, $3, FALSE, $4, NOW())
+          ON CONFLICT (email) DO UPDATE
+            SET name = EXCLUDED.name,
+                password_hash = EXCLUDED.password_hash,
+                user_id = COALESCE(users.user_id, EXCLUDED.user_id),
+                updated_at = NOW()
+          RETURNING user_id
+          `,
+            [email, name, passwordHash, newUserId]
+          );
+          rows = result.rows;
+        } else {
+          throw colErr;
+        }
+      }
+
+      const userId = rows[0]?.user_id;
+      if (!userId) {
+        throw new Error("Failed to get user_id after signup");
+      }
+
+      if (dateOfBirth) {
+        try {
+          await ageAssurance.attest(userId, { dateOfBirth, source: 'signup', ip: req.ip, userAgent: req.get('user-agent') || null });
+        } catch (ageErr) {
+          // An existing account re-signing up keeps its verified / locked state
+          console.warn(`[auth/signup] Date of birth not attested for ${userId}: ${ageErr.code || ageErr.message}`);
+        }
+      }
+
+      // ÃƒÂ¢Ã…â€œÃ¢â‚¬Â¦ Immediately start a session so /auth/me works on Pricing without bouncing to /login
+      const token = signSession({ userId });
+      setSessionCookie(res, token);
+
+      return res.json({ ok: true, paid: false });
+    } catch (e) {
+      console.error("auth/signup error:", e);
+      return res.status(500).json({ ok: false, message: "Could not create account." });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
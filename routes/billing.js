@@ -0,0 +1,251 @@
+// routes/billing.js - Subscriptions: Lemon Squeezy / Verotel / Stripe gift webhooks, checkout, usage and spending limits
+
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * Payment provider webhooks. These read their own body (raw JSON for the Lemon and
+ * Stripe signatures, urlencoded for Verotel), so createApp() mounts this router BEFORE express.json().
+ * Verification, storage, dedupe and tier changes all happen in billing.handleWebhook() (see ../billing);
+ * each route only keeps its provider's response contract, and answers a redelivery like the original.
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createBillingWebhookRouter(ctx) {
+  const { billing } = ctx;
+
+  const router = express.Router();
+
+  // ------------------------------------------------------------
+  // LEMON WEBHOOK (must be BEFORE express.json())
+  // ------------------------------------------------------------
+  router.post(
+    "/api/webhooks/lemon",
+    bodyParser.raw({ type: "application/json" }),
+    async (req, res) => {
+      try {
+        await billing.handleWebhook('lemon', req);
+        return res.status(200).send("ok");
+      } catch (e) {
+        if (e.code === 'BILLING_NOT_CONFIGURED') return res.status(500).end();
+        if (e.code === 'BILLING_BAD_SIGNATURE') return res.status(400).send("bad signature");
+        console.error("[lemon] webhook error:", e);
+        return res.status(400).send("error");
+      }
+    }
+  );
+
+  // Verotel Postback Webhook (GET request)
+  router.get("/api/verotel/webhook", async (req, res) => {
+    try {
+      const { event, outcome } = await billing.handleWebhook('verotel', req);
+      if (outcome === 'unmatched') {
+        console.error(`[verotel] ${event.type} postback matched no user (custom1: ${event.email || 'missing'})`);
+      }
+      return res.status(200).send("OK");
+    } catch (e) {
+      if (e.code === 'BILLING_BAD_SIGNATURE' || e.code === 'BILLING_NOT_CONFIGURED') {
+        console.error("[verotel] Invalid signature");
+        return res.status(400).send("Invalid signature");
+      }
+      // Always answer OK to Verotel; the failed delivery is kept in webhook_events for an admin replay
+      console.error("[verotel] Webhook error:", e);
+      return res.status(200).send("OK");
+    }
+  });
+
+  // Handle POST postbacks too
+  router.post("/api/verotel/webhook", express.urlencoded({ extended: true }), async (req, res) => {
+    return res.redirect(307, `/api/verotel/webhook?${new URLSearchParams(req.body).toString()}`);
+  });
+
+  // ------------------------------------------------------------
+  // STRIPE GIFT WEBHOOK (must be BEFORE express.json())
+  // ------------------------------------------------------------
+  router.post("/api/stripe-webhook/gifts", bodyParser.raw({ type: "application/json" }), async (req, res) => {
+    try {
+      // Fulfilment runs inside billing (onPurchase); redeliveries come back as duplicates
+      await billing.handleWebhook('stripe', req);
+      return res.json({ received: true });
+    } catch (error) {
+      if (error.code === 'BILLING_NOT_CONFIGURED') {
+        return res.status(503).json({ error: 'Gift system not configured' });
+      }
+      console.error("[stripe] gift webhook error:", error);
+      return res.status(400).send(`Webhook Error: ${error.message}`);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * /api/usage, /api/billing/*, /api/verotel/* (except the webhook) and /api/me/spending/*
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createBillingRouter(ctx) {
+  const {
+    generateVerotelSubscriptionURL, getUserTierLimits, pool, requireAuth, SESSION_COOKIE_NAME, spendLimits,
+    verifySession, VEROTEL_PLANS, wellbeing,
+  } = ctx;
+
+  const router = express.Router();
+
+  // Checkout placeholder
+
+  // ============================================================
+  // PHASE 2: TIER & USAGE API ROUTES
+  // ============================================================
+
+  // Get user's current usage and limits
+  router.get("/api/usage", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+
+      const limits = await getUserTierLimits(userId);
+      if (!limits) {
+        return res.status(404).json({ error: "USER_NOT_FOUND" });
+      }
+
+      return res.json({
+        tier: limits.tier,
+        tierName: limits.tierName,
+        minutesUsed: limits.minutesUsed,
+        minutesLimit: limits.minutesLimit,
+        minutesRemaining: limits.minutesRemaining,
+        billingCycleStart: limits.billingCycleStart,
+        // 🌿 Today's chat + call time against the user's own limits (see wellbeing/index.js)
+        wellbeing: await wellbeing.status(userId),
+      });
+    } catch (e) {
+      console.error("[usage] error:", e);
+      return res.status(500).json({ error: "USAGE_FAILED" });
+    }
+  });
+
+  router.post("/api/billing/checkout", async (_req, res) => {
+    return res.status(501).json({ message: "Use /api/verotel/subscribe instead" });
+  });
+
+  // Portal placeholder
+  router.post("/api/billing/portal", async (_req, res) => {
+    return res.status(501).json({ message: "Manage subscription at Verotel" });
+  });
+
+  // ------------------------------------------------------------
+  // VEROTEL SUBSCRIPTION ENDPOINT
+  // ------------------------------------------------------------
+  router.post("/api/verotel/subscribe", async (req, res) => {
+    try {
+      const { plan } = req.body; // "monthly" or "quarterly"
+
+      if (!plan || !VEROTEL_PLANS[plan]) {
+        return res.status(400).json({ error: "Invalid plan. Use 'monthly' or 'quarterly'" });
+      }
+
+      // Get user email from session
+      const token = req.cookies?.[SESSION_COOKIE_NAME] || null;
+      const payload = token ? verifySession(token) : null;
+
+      let email = null;
+      if (payload?.userId) {
+        const { rows } = await pool.query(
+          `SELECT email FROM users WHERE user_id = $1`,
+          [payload.userId]
+        );
+        email = rows[0]?.email;
+      } else if (payload?.email) {
+        email = payload.email;
+      }
+
+      if (!email) {
+        return res.status(401).json({ error: "Not logged in" });
+      }
+
+      // Generate Verotel subscription URL
+      const subscriptionURL = generateVerotelSubscriptionURL(plan, email);
+
+      console.log(`[verotel] Generated ${plan} subscription URL for ${email}`);
+
+      return res.json({
+        ok: true,
+        url: subscriptionURL,
+        plan: plan,
+        price: VEROTEL_PLANS[plan].priceAmount,
+        currency: VEROTEL_PLANS[plan].priceCurrency
+      });
+
+    } catch (e) {
+      console.error("[verotel] Subscribe error:", e);
+      return res.status(500).json({ error: "Failed to create subscription" });
+    }
+  });
+
+  // Get available Verotel plans
+  router.get("/api/verotel/plans", async (req, res) => {
+    return res.json({
+      ok: true,
+      plans: {
+        monthly: {
+          price: VEROTEL_PLANS.monthly.priceAmount,
+          currency: VEROTEL_PLANS.monthly.priceCurrency,
+          period: "30 days",
+          name: VEROTEL_PLANS.monthly.name
+        },
+        quarterly: {
+          price: VEROTEL_PLANS.quarterly.priceAmount,
+          currency: VEROTEL_PLANS.quarterly.priceCurrency,
+          period: "90 days",
+          name: VEROTEL_PLANS.quarterly.name
+        }
+      }
+    });
+  });
+
+  // ============================================================
+  // 🛑 SPENDING LIMITS (gifts; see billing/spendLimits.js)
+  // ============================================================
+
+  router.get("/api/me/spending/limits", requireAuth, async (req, res) => {
+    try {
+      const limits = await spendLimits.getLimits(req.userId);
+      return res.json({ ok: true, limits, spent: await spendLimits.currentSpend(req.userId) });
+    } catch (e) {
+      console.error("[spending] limits error:", e);
+      return res.status(500).json({ ok: false, error: "SPEND_LIMITS_FAILED" });
+    }
+  });
+
+  // { dailyCap?, weeklyCap?, monthlyCap? (USD or null for no cap), coolingOff? }
+  // With cooling-off on, a loosened limit comes back under limits.pending until it applies
+  router.put("/api/me/spending/limits", requireAuth, async (req, res) => {
+    try {
+      const { dailyCap, weeklyCap, monthlyCap, coolingOff } = req.body || {};
+      const limits = await spendLimits.setLimits(req.userId, { dailyCap, weeklyCap, monthlyCap, coolingOff });
+      return res.json({ ok: true, limits });
+    } catch (e) {
+      if (e.code === 'SPEND_LIMIT_INVALID') {
+        return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: e.message });
+      }
+      console.error("[spending] update error:", e);
+      return res.status(500).json({ ok: false, error: "SPEND_LIMITS_FAILED" });
+    }
+  });
+
+  // ?month=YYYY-MM (default: this month)
+  router.get("/api/me/spending/summary", requireAuth, async (req, res) => {
+    try {
+      const summary = await spendLimits.summary(req.userId, req.query.month ?? null);
+      return res.json({ ok: true, ...summary });
+    } catch (e) {
+      if (e.code === 'SPEND_LIMIT_INVALID') {
+        return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: e.message });
+      }
+      console.error("[spending] summary error:", e);
+      return res.status(500).json({ ok: false, error: "SPEND_SUMMARY_FAILED" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBillingWebhookRouter, createBillingRouter };
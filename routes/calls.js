@@ -0,0 +1,140 @@
+// routes/calls.js - The signed-in user's phone call history, transcripts and consented recordings (/api/me/calls)
+
+const express = require('express');
+const { listCalls, getCall, getCallTurns, deleteRecording } = require('../calls/voiceSession');
+
+/**
+ * Call history endpoints (session user only; another user's call is a 404)
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createCallsRouter(ctx) {
+  const { pool, recordingStorage, requireAuth } = ctx;
+
+  const router = express.Router();
+
+  const parseCallId = (req, res) => {
+    const callId = parseInt(req.params.callId, 10);
+    if (!Number.isInteger(callId) || callId <= 0) {
+      res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Invalid callId" });
+      return null;
+    }
+    return callId;
+  };
+
+  // Load the session user's call, or answer 404
+  const loadOwnCall = async (req, res) => {
+    const callId = parseCallId(req, res);
+    if (callId === null) return null;
+    const call = await getCall(pool, callId, { userId: req.userId });
+    if (!call) {
+      res.status(404).json({ ok: false, error: "CALL_NOT_FOUND" });
+      return null;
+    }
+    return call;
+  };
+
+  const toCall = (row) => ({
+    id: Number(row.id),
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    durationSeconds: row.duration_seconds,
+    endReason: row.end_reason,
+    language: row.language,
+    turns: row.turns,
+    interruptedTurns: row.interrupted_turns,
+    recording: {
+      status: row.recording_status,
+      seconds: row.recording_seconds === null ? null : Number(row.recording_seconds),
+      url: row.recording_status === 'saved' ? `/api/me/calls/${row.id}/recording` : null,
+    },
+  });
+
+  // ?limit=20&before=<id of the last call on the previous page>
+  router.get("/api/me/calls", requireAuth, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const before = req.query.before === undefined ? null : parseInt(req.query.before, 10);
+    if (before !== null && (!Number.isInteger(before) || before <= 0)) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Invalid before" });
+    }
+
+    try {
+      const rows = await listCalls(pool, req.userId, { limit, before });
+      const calls = rows.map(toCall);
+      const nextBefore = calls.length === limit ? calls[calls.length - 1].id : null;
+      return res.json({ ok: true, calls, limit, nextBefore });
+    } catch (error) {
+      console.error("[/api/me/calls] error:", error);
+      return res.status(500).json({ ok: false, error: "CALL_LIST_FAILED" });
+    }
+  });
+
+  // The call and what was said, turn by turn (reply text is what the caller heard)
+  router.get("/api/me/calls/:callId/transcript", requireAuth, async (req, res) => {
+    try {
+      const call = await loadOwnCall(req, res);
+      if (!call) return;
+      const turns = (await getCallTurns(pool, call.id)).map((turn) => ({
+        index: turn.turn_index,
+        at: turn.created_at,
+        user: turn.user_text,
+        ellie: turn.reply_text,
+        interrupted: turn.interrupted,
+      }));
+      return res.json({ ok: true, call: toCall(call), turns });
+    } catch (error) {
+      console.error("[/api/me/calls/:callId/transcript] error:", error);
+      return res.status(500).json({ ok: false, error: "TRANSCRIPT_FAILED" });
+    }
+  });
+
+  router.get("/api/me/calls/:callId/recording", requireAuth, async (req, res) => {
+    try {
+      const call = await loadOwnCall(req, res);
+      if (!call) return;
+      if (call.recording_status !== 'saved' || !call.recording_key) {
+        return res.status(404).json({ ok: false, error: "NO_RECORDING", status: call.recording_status });
+      }
+      if (!recordingStorage || recordingStorage.name !== call.recording_storage) {
+        return res.status(503).json({ ok: false, error: "RECORDING_STORAGE_UNAVAILABLE" });
+      }
+
+      const audio = await recordingStorage.get(call.recording_key);
+      if (!audio) return res.status(404).json({ ok: false, error: "NO_RECORDING", status: 'missing' });
+
+      res.set({
+        'Content-Type': 'audio/wav',
+        'Content-Disposition': `inline; filename="ellie-call-${call.id}.wav"`,
+        'Cache-Control': 'private, no-store',
+      });
+      return res.send(audio);
+    } catch (error) {
+      console.error("[/api/me/calls/:callId/recording] error:", error);
+      return res.status(500).json({ ok: false, error: "RECORDING_FETCH_FAILED" });
+    }
+  });
+
+  // Delete the audio; the transcript stays in the call history
+  router.delete("/api/me/calls/:callId/recording", requireAuth, async (req, res) => {
+    try {
+      const call = await loadOwnCall(req, res);
+      if (!call) return;
+      if (!call.recording_key) {
+        return res.status(404).json({ ok: false, error: "NO_RECORDING", status: call.recording_status });
+      }
+      if (!recordingStorage || recordingStorage.name !== call.recording_storage) {
+        return res.status(503).json({ ok: false, error: "RECORDING_STORAGE_UNAVAILABLE" });
+      }
+
+      await deleteRecording(pool, recordingStorage, call);
+      console.log(`📼 [calls] ${req.userId} deleted the recording of call ${call.id}`);
+      return res.json({ ok: true, callId: Number(call.id), recording: { status: 'deleted' } });
+    } catch (error) {
+      console.error("[/api/me/calls/:callId/recording] delete error:", error);
+      return res.status(500).json({ ok: false, error: "RECORDING_DELETE_FAILED" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCallsRouter };
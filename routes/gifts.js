@@ -0,0 +1,238 @@
+// routes/gifts.js - Virtual gifts: catalog, Stripe purchase, Ellie's reaction
+// (the Stripe payment webhook lives in routes/billing.js - it needs the raw body)
+
+const express = require('express');
+
+/**
+ * /api/gifts/*, /api/purchase-gift and gift history/stats
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createGiftsRouter(ctx) {
+  const {
+    crisisSafety, getGiftHint, getGiftHistory, getGiftStatistics, GIFT_CATALOG, pool,
+    requireAuth, requireOwnerOrAdmin, spendLimits, stripeGifts,
+  } = ctx;
+
+  const router = express.Router();
+
+  // ============================================================
+  // 🎁 GIFT SYSTEM API ENDPOINTS
+  // ============================================================
+
+  // Get available gifts for user
+  router.get('/api/gifts/available', requireAuth, async (req, res) => {
+    const userId = req.userId;
+
+    try {
+      // Gifts are switched off while the user is in safe mode (see safety/)
+      if (await crisisSafety.isSafeMode(userId)) {
+        return res.json({ gifts: [], safeMode: true });
+      }
+
+      const relationshipResult = await pool.query(
+        'SELECT relationship_level FROM user_relationships WHERE user_id = $1',
+        [userId]
+      );
+
+      if (!relationshipResult.rows[0]) {
+        return res.json({ gifts: [] });
+      }
+
+      const level = relationshipResult.rows[0].relationship_level;
+
+      const availableGifts = Object.values(GIFT_CATALOG)
+        .filter(gift => gift.minRelationshipLevel <= level)
+        .map(gift => ({
+          id: gift.id,
+          name: gift.name,
+          price: gift.price,
+          minLevel: gift.minRelationshipLevel,
+          cooldownHours: gift.cooldownHours
+        }));
+
+      res.json({ gifts: availableGifts, userLevel: level });
+    } catch (error) {
+      console.error('Error fetching gifts:', error);
+      res.status(500).json({ error: 'Failed to fetch gifts' });
+    }
+  });
+
+  // Purchase gift endpoint
+  router.post('/api/purchase-gift', requireAuth, express.json(), async (req, res) => {
+    // Check if Stripe is configured
+    if (!stripeGifts) {
+      return res.status(503).json({ 
+        error: 'Gift system not configured',
+        message: 'The gift system is currently unavailable. Please contact support.'
+      });
+    }
+
+    const { giftId, customMessage } = req.body;
+    const userId = req.userId;
+
+    const gift = GIFT_CATALOG[giftId];
+    if (!gift) {
+      return res.status(400).json({ error: 'Invalid gift' });
+    }
+
+    try {
+      if (await crisisSafety.isSafeMode(userId)) {
+        return res.status(403).json({
+          error: 'SAFE_MODE',
+          message: 'Gifts are unavailable right now.'
+        });
+      }
+
+      const relResult = await pool.query(
+        'SELECT relationship_level, current_stage FROM user_relationships WHERE user_id = $1',
+        [userId]
+      );
+
+      if (!relResult.rows[0] || relResult.rows[0].relationship_level < gift.minRelationshipLevel) {
+        return res.json({ 
+          error: "Ellie: 'That's sweet but... we're not quite there yet 😊'" 
+        });
+      }
+
+      const cooldownResult = await pool.query(
+        `SELECT created_at FROM gift_transactions 
+       WHERE user_id = $1 AND gift_id = $2 
+       ORDER BY created_at DESC LIMIT 1`,
+        [userId, giftId]
+      );
+
+      if (cooldownResult.rows[0]) {
+        const hoursSince = (Date.now() - new Date(cooldownResult.rows[0].created_at)) / (1000 * 60 * 60);
+        if (hoursSince < gift.cooldownHours) {
+          return res.json({
+            error: `Ellie: "You just gave me something! Let me enjoy it first 💕"`
+          });
+        }
+      }
+
+      // Checked against the user's own spending limits before Stripe is asked
+      const paymentIntent = await spendLimits.createPaymentIntent(stripeGifts, {
+        userId,
+        amount: gift.price,
+        kind: 'gift',
+        description: gift.name,
+        metadata: {
+          giftId,
+          giftName: gift.name
+        }
+      });
+
+      await pool.query(
+        `INSERT INTO gift_transactions (user_id, gift_id, amount, status, stripe_payment_id) 
+       VALUES ($1, $2, $3, 'pending', $4)`,
+        [userId, giftId, gift.price, paymentIntent.id]
+      );
+
+      res.json({
+        clientSecret: paymentIntent.client_secret,
+        giftId,
+        price: gift.price
+      });
+
+    } catch (error) {
+      if (error.code === 'SPEND_LIMIT_REACHED') {
+        return res.status(403).json({
+          error: 'SPEND_LIMIT_REACHED',
+          message: error.message,
+          period: error.period,
+          cap: error.cap,
+          spent: error.spent,
+          resetsAt: error.resetsAt
+        });
+      }
+      console.error('Gift purchase error:', error);
+      res.status(500).json({ error: 'Failed to process gift' });
+    }
+  });
+
+
+  // Get gift response after payment
+  router.get('/api/gift-response/:giftId', requireAuth, async (req, res) => {
+    const userId = req.userId;
+    const { giftId } = req.params;
+
+    try {
+      const result = await pool.query(
+        `SELECT response FROM gift_responses 
+       WHERE user_id = $1 AND gift_id = $2 
+       ORDER BY created_at DESC LIMIT 1`,
+        [userId, giftId]
+      );
+
+      if (result.rows[0]) {
+        res.json({ 
+          response: result.rows[0].response,
+          success: true 
+        });
+      } else {
+        const gift = GIFT_CATALOG[giftId];
+        res.json({
+          response: gift.responses[0],
+          success: true
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching response:', error);
+      res.status(500).json({ error: 'Failed to get response' });
+    }
+  });
+
+  // 3. GIFT HINTS
+  router.get('/api/gift-hint/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      if (await crisisSafety.isSafeMode(userId)) {
+        return res.json({ userId, hint: null, suggestedGift: null, safeMode: true });
+      }
+      const relResult = await pool.query('SELECT relationship_level FROM user_relationships WHERE user_id = $1', [userId]);
+      const relationshipLevel = relResult.rows[0]?.relationship_level || 0;
+      const hint = await getGiftHint(pool, relationshipLevel);
+      res.json({
+        userId,
+        relationshipLevel,
+        hint: hint ? hint.hint_text : "I'm happy with anything you give me! 💕",
+        suggestedGift: hint?.gift_id
+      });
+    } catch (error) {
+      console.error('Get gift hint error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 4. GIFT STATISTICS
+  router.get('/api/gift-stats/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const stats = await getGiftStatistics(pool, userId);
+      res.json({
+        userId,
+        stats: stats || { totalGiftsSent: 0, totalSpent: 0, avgGiftValue: 0, favoriteGift: null, lastGiftDate: null }
+      });
+    } catch (error) {
+      console.error('Get gift stats error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 5. GIFT HISTORY
+  router.get('/api/gift-history/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const limit = parseInt(req.query.limit) || 20;
+      const history = await getGiftHistory(pool, userId, limit);
+      res.json({ userId, history, count: history.length });
+    } catch (error) {
+      console.error('Get gift history error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGiftsRouter };
@@ -0,0 +1,487 @@
+// routes/memory.js - Memory, promises, special messages, user state, the memory queue
+// and the signed-in user's own memory manager (/api/me/memories)
+
+const express = require('express');
+const authz = require('../authz');
+
+/**
+ * Per-user memory and state endpoints (all /:userId routes are owner-or-admin)
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createMemoryRouter(ctx) {
+  const {
+    applyEnhancement, fulfillPromise, getActiveEnhancements, getConversationMemories,
+    getGiftHistory, getGiftStatistics, getPendingPromises, getRecallStats, getUnreadMessages,
+    getUserState, jobQueue, makePromise, markMessageRead, MEMORY_JOB_TYPES, memorySystem, pool,
+    requireAuth, requireOwnerOrAdmin, saveConversationMemory, saveSpecialMessage, setUserOnline,
+    updateUserState, wellbeing,
+  } = ctx;
+
+  const router = express.Router();
+
+  const MEMORY_CONTENT_MAX = 500;
+
+  // ============================================================
+  // ✏️ MY MEMORIES - view, correct, pin and forget (session user only)
+  // ============================================================
+
+  // Memories live in Supabase; without it there is nothing to manage
+  const requireMemorySystem = (req, res, next) => {
+    if (!memorySystem || !memorySystem.enabled) {
+      return res.status(503).json({ ok: false, error: "MEMORY_DISABLED", message: "Memory is not enabled on this server." });
+    }
+    next();
+  };
+
+  const parseMemoryId = (req, res) => {
+    const memoryId = parseInt(req.params.memoryId, 10);
+    if (!Number.isInteger(memoryId) || memoryId <= 0) {
+      res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Invalid memoryId" });
+      return null;
+    }
+    return memoryId;
+  };
+
+  const isMemoryType = (type) => typeof type === 'string' && /^[a-z_]{1,50}$/.test(type);
+  const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+  // ?type=fact&status=active|inactive|all&pinned=true&limit=50&offset=0
+  router.get("/api/me/memories", requireAuth, requireMemorySystem, async (req, res) => {
+    const { type, status = 'active', pinned } = req.query;
+    if (type !== undefined && !isMemoryType(type)) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Invalid type" });
+    }
+    if (!['active', 'inactive', 'all'].includes(status)) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "status must be active, inactive or all" });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      const { memories, total } = await memorySystem.listMemories(req.userId, {
+        type: type || null, status, pinned: pinned === 'true', limit, offset
+      });
+      return res.json({ ok: true, memories, total, limit, offset });
+    } catch (error) {
+      console.error("[/api/me/memories] error:", error);
+      return res.status(500).json({ ok: false, error: "MEMORY_LIST_FAILED" });
+    }
+  });
+
+  // Correct a memory's content. Body: { "content": "..." }
+  router.patch("/api/me/memories/:memoryId", requireAuth, requireMemorySystem, async (req, res) => {
+    const memoryId = parseMemoryId(req, res);
+    if (memoryId === null) return;
+
+    const content = typeof req.body?.content === 'string' ? req.body.content.trim() : '';
+    if (!content || content.length > MEMORY_CONTENT_MAX) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: `content must be 1-${MEMORY_CONTENT_MAX} characters` });
+    }
+
+    try {
+      const memory = await memorySystem.editMemory(req.userId, memoryId, content);
+      if (!memory) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+      return res.json({ ok: true, memory });
+    } catch (error) {
+      console.error("[/api/me/memories/:memoryId] edit error:", error);
+      return res.status(500).json({ ok: false, error: "MEMORY_UPDATE_FAILED" });
+    }
+  });
+
+  // "That's not true" - deactivate it and never extract the same fact again
+  router.post("/api/me/memories/:memoryId/wrong", requireAuth, requireMemorySystem, async (req, res) => {
+    const memoryId = parseMemoryId(req, res);
+    if (memoryId === null) return;
+
+    try {
+      const memory = await memorySystem.markMemoryWrong(req.userId, memoryId);
+      if (!memory) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+      return res.json({ ok: true, memory });
+    } catch (error) {
+      console.error("[/api/me/memories/:memoryId/wrong] error:", error);
+      return res.status(500).json({ ok: false, error: "MEMORY_UPDATE_FAILED" });
+    }
+  });
+
+  // Pinned memories are recalled in every conversation and never decay. Body: { "pinned": true|false }
+  router.put("/api/me/memories/:memoryId/pin", requireAuth, requireMemorySystem, async (req, res) => {
+    const memoryId = parseMemoryId(req, res);
+    if (memoryId === null) return;
+
+    if (typeof req.body?.pinned !== 'boolean') {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "pinned must be true or false" });
+    }
+
+    try {
+      const memory = await memorySystem.setMemoryPinned(req.userId, memoryId, req.body.pinned);
+      if (!memory) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+      return res.json({ ok: true, memory });
+    } catch (error) {
+      console.error("[/api/me/memories/:memoryId/pin] error:", error);
+      return res.status(500).json({ ok: false, error: "MEMORY_UPDATE_FAILED" });
+    }
+  });
+
+  // Bulk forget. Body: { from?, to?, topic?, type?, includePinned? } - at least one filter
+  router.post("/api/me/memories/forget", requireAuth, requireMemorySystem, async (req, res) => {
+    const { from, to, topic, type, includePinned = false } = req.body || {};
+
+    if (!from && !to && !topic && !type) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Give at least one of from, to, topic or type" });
+    }
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "from and to must be ISO dates" });
+    }
+    if (topic !== undefined && (typeof topic !== 'string' || !topic.trim() || topic.length > 100)) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "topic must be 1-100 characters" });
+    }
+    if (type !== undefined && !isMemoryType(type)) {
+      return res.status(400).json({ ok: false, error: "E_BAD_INPUT", message: "Invalid type" });
+    }
+
+    try {
+      const forgotten = await memorySystem.forgetMemories(req.userId, {
+        from: from || null,
+        to: to || null,
+        topic: topic ? topic.trim() : null,
+        type: type || null,
+        includePinned: includePinned === true
+      });
+      return res.json({ ok: true, forgotten });
+    } catch (error) {
+      console.error("[/api/me/memories/forget] error:", error);
+      return res.status(500).json({ ok: false, error: "MEMORY_FORGET_FAILED" });
+    }
+  });
+
+  // ============================================================
+  // 🧪 TESTING ENDPOINT FOR MEMORY RECALL
+  // ============================================================
+
+  router.get('/api/test-memory/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { message } = req.query;
+
+      if (!message) {
+        return res.status(400).json({ error: 'message query parameter required' });
+      }
+
+      if (!memorySystem || !memorySystem.enabled) {
+        return res.json({ 
+          error: 'Memory system not enabled',
+          memories: [] 
+        });
+      }
+
+      const memories = await memorySystem.recallMemories(userId, message, {
+        limit: 10,
+        minImportance: 0.2
+      });
+
+      res.json({
+        userId,
+        message,
+        memoriesFound: memories.length,
+        memories: memories.map(m => ({
+          content: m.content,
+          type: m.memory_type,
+          importance: m.importance,
+          similarity: m.semantic_similarity,
+          created: m.created_at
+        }))
+      });
+    } catch (error) {
+      console.error('Test memory error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+
+  // ============================================================
+  // 🆕 NEW TABLE API ENDPOINTS
+  // ============================================================
+
+  // 1. ENHANCEMENTS
+  router.get('/api/enhancements/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const enhancements = await getActiveEnhancements(pool, userId);
+      res.json({ userId, enhancements, count: enhancements.length });
+    } catch (error) {
+      console.error('Get enhancements error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/enhancements/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { enhancementType, durationMinutes } = req.body;
+      const enhancement = await applyEnhancement(pool, userId, enhancementType, durationMinutes);
+      res.json({ success: true, enhancement });
+    } catch (error) {
+      console.error('Apply enhancement error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 2. CONVERSATION MEMORIES
+  router.get('/api/conversation-memories/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const limit = parseInt(req.query.limit) || 10;
+      const memories = await getConversationMemories(pool, userId, limit);
+      res.json({ userId, memories, count: memories.length });
+    } catch (error) {
+      console.error('Get conversation memories error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/conversation-memories/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { snippet, emotionalWeight, tags } = req.body;
+      await saveConversationMemory(pool, userId, snippet, emotionalWeight, tags);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Save conversation memory error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 6. MESSAGES
+  router.get('/api/messages/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { messageType } = req.query;
+      const messages = await getUnreadMessages(pool, userId, messageType);
+      res.json({ userId, messages, count: messages.length });
+    } catch (error) {
+      console.error('Get messages error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/messages/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { messageType, content, metadata } = req.body;
+      // 🌿 Nothing is generated for the user during their quiet hours
+      if (await wellbeing.isQuietHours(userId)) {
+        return res.json({ success: false, skipped: true, reason: 'QUIET_HOURS' });
+      }
+      await saveSpecialMessage(pool, userId, messageType, content, metadata);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Save message error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/api/messages/:messageId/read', authz.requireRowOwnerOrAdmin(pool, { table: 'messages', param: 'messageId' }), async (req, res) => {
+    try {
+      const { messageId } = req.params;
+      await markMessageRead(pool, parseInt(messageId));
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Mark message read error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 7. RECALL STATS
+  router.get('/api/recall-stats/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const days = parseInt(req.query.days) || 7;
+      const stats = await getRecallStats(pool, userId, days);
+      res.json({ userId, period: `${days} days`, stats });
+    } catch (error) {
+      console.error('Get recall stats error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 8. PROMISES
+  router.get('/api/promises/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const promises = await getPendingPromises(pool, userId);
+      res.json({ userId, promises, count: promises.length });
+    } catch (error) {
+      console.error('Get promises error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/promises/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { promiseText, promiseType, dueDate } = req.body;
+      const promiseId = await makePromise(pool, userId, promiseText, promiseType, dueDate);
+      res.json({ success: true, promiseId });
+    } catch (error) {
+      console.error('Create promise error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/api/promises/:promiseId/fulfill', authz.requireRowOwnerOrAdmin(pool, { table: 'user_promises', param: 'promiseId' }), async (req, res) => {
+    try {
+      const { promiseId } = req.params;
+      await fulfillPromise(pool, parseInt(promiseId));
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Fulfill promise error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 9. USER STATE
+  router.get('/api/user-state/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const state = await getUserState(pool, userId);
+      res.json({
+        userId,
+        state: state || { currentMood: 'neutral', isOnline: false, lastSeen: null, preferences: {}, flags: {} }
+      });
+    } catch (error) {
+      console.error('Get user state error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/api/user-state/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const updates = req.body;
+      await updateUserState(pool, userId, updates);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Update user state error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/user-state/:userId/online', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { isOnline } = req.body;
+      await setUserOnline(pool, userId, isOnline);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Set user online error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // 10. DASHBOARD - Complete user profile
+  router.get('/api/dashboard/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const [
+        relationship,
+        state,
+        giftStats,
+        giftHistory,
+        promises,
+        enhancements,
+        conversationMemories,
+        unreadMessages,
+        recallStats
+      ] = await Promise.all([
+        pool.query('SELECT * FROM user_relationships WHERE user_id = $1', [userId]),
+        getUserState(pool, userId),
+        getGiftStatistics(pool, userId),
+        getGiftHistory(pool, userId, 5),
+        getPendingPromises(pool, userId),
+        getActiveEnhancements(pool, userId),
+        getConversationMemories(pool, userId, 5),
+        getUnreadMessages(pool, userId),
+        getRecallStats(pool, userId, 7)
+      ]);
+
+      res.json({
+        userId,
+        relationship: relationship.rows[0],
+        currentState: state,
+        gifts: {
+          statistics: giftStats,
+          recentHistory: giftHistory
+        },
+        promises: promises,
+        activeEnhancements: enhancements,
+        memorableConversations: conversationMemories,
+        unreadMessages: unreadMessages,
+        memoryRecallStats: recallStats
+      });
+
+    } catch (error) {
+      console.error('Dashboard error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+
+  // ============================================================
+  // 📊 MEMORY EXTRACTION QUEUE STATUS ENDPOINT
+  // ============================================================
+
+  // Get current queue status and statistics (memory jobs on every instance)
+  router.get('/api/memory-queue/status', async (req, res) => {
+    try {
+      const status = await jobQueue.getStatus(MEMORY_JOB_TYPES);
+      const finished = status.done + status.deadLetters;
+      res.json({
+        success: true,
+        queue: {
+          totalTasks: status.pending + status.running,
+          activeUsers: status.activeUsers,
+          usersWithPendingTasks: status.usersWithPending,
+          processing: status.running > 0,
+          retrying: status.retrying,
+          status: status.running > 0 ? 'active' : (status.pending > 0 ? 'pending' : 'idle')
+        },
+        statistics: {
+          window: `${status.windowHours}h`,
+          totalProcessed: status.done,
+          totalFailed: status.deadLetters,
+          successRate: finished > 0
+            ? `${((status.done / finished) * 100).toFixed(1)}%`
+            : 'N/A',
+          averageProcessingTime: status.averageProcessingMs === null
+            ? 'N/A'
+            : `${status.averageProcessingMs}ms`
+        },
+        workers: status.workers
+      });
+    } catch (error) {
+      console.error('Memory queue status error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get queue status for a specific user
+  router.get('/api/memory-queue/status/:userId', requireOwnerOrAdmin, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const userStatus = await jobQueue.getUserStatus(userId, MEMORY_JOB_TYPES);
+      res.json({
+        success: true,
+        user: userStatus
+      });
+    } catch (error) {
+      console.error('Memory queue user status error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMemoryRouter };
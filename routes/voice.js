@@ -0,0 +1,1334 @@
+// routes/voice.js - Voice presets, push-to-talk uploads and the realtime voice WebSockets
+
+const express = require('express');
+const authz = require('../authz');
+const { toFile } = require('openai/uploads');
+const WebSocket = require('ws');
+const cookie = require('cookie');
+const { CallMeter } = require('../billing/callMeter');
+const { createSentenceSplitter, SpeechStream } = require('../tts/streaming');
+const { VoiceActivityDetector } = require('../stt/vad');
+const { VoiceSession } = require('../calls/voiceSession');
+const { safeResponsePrompt, safetyPayload } = require('../safety/policy');
+const { AGE_GATE_PROMPT } = require('../ageAssurance');
+
+// Close codes for a failed voice socket handshake (4000-4999 are application-defined).
+// Browsers never see the HTTP status of a refused upgrade, so the socket is opened
+// and then closed with one of these; the reason string is the same code name.
+const WS_CLOSE = {
+  BAD_HANDSHAKE: 4400,   // call audio sent before hello
+  UNAUTHENTICATED: 4401, // no valid session cookie on the upgrade request
+  NO_MINUTES: 4402,      // no voice minutes at hello, or they ran out mid-call
+  FORBIDDEN: 4403,       // hello named a different user than the session
+  DAILY_LIMIT: 4429,     // the user's own daily time limit is used up (at hello or mid-call)
+};
+
+/**
+ * /api/voice-chat, /api/upload-audio and voice presets
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function createVoiceRouter(ctx) {
+  const {
+    calculateEmotionalInvestment, canMakeVoiceCall,
+    CHAT_MODEL, checkMinorSafetyViolation, client, crisisSafety, DEFAULT_VOICE,
+    filterAsteriskActions, getEffectiveVoiceForUser, getHistory, getHybridResponse,
+    getPersonalityInstructions, getPreferredLanguage, getSafeResponse, getUserRelationship, getUserTierLimits,
+    getVoicePreset, isOkAudio, pool, requireAuth, setPreferredLanguage, setVoicePreset, SUPPORTED_LANGUAGES,
+    trackVoiceUsage, tts, updateRelationshipLevel, updateStreak, upload, validPresetName,
+    VOICE_PRESETS,
+  } = ctx;
+
+  const router = express.Router();
+
+  // Voice presets (no FX)
+  router.get("/api/get-voice-presets", async (_req, res) => {
+    try {
+      res.json({
+        presets: Object.entries(VOICE_PRESETS).map(([key, voice]) => ({
+          key, label: key[0].toUpperCase() + key.slice(1), voice
+        }))
+      });
+    } catch (e) {
+      res.status(500).json({ error: "E_INTERNAL", message: String(e?.message || e) });
+    }
+  });
+  router.get("/api/get-voice-preset", authz.optionalSession, async (req, res) => {
+    try {
+      const userId = String(req.userId || "guest");
+      const preset = await getVoicePreset(userId);
+      res.json({ preset: preset || null });
+    } catch (e) {
+      res.status(500).json({ error: "E_INTERNAL", message: String(e?.message || e) });
+    }
+  });
+  router.post("/api/apply-voice-preset", requireAuth, async (req, res) => {
+    try {
+      const userId = req.userId;
+      const { preset } = req.body || {};
+      if (!validPresetName(preset)) {
+        return res.status(400).json({ error: "E_BAD_PRESET", message: "Unknown preset" });
+      }
+      await setVoicePreset(userId, preset);
+      res.json({ ok: true, preset, voice: VOICE_PRESETS[preset] });
+    } catch (e) {
+      res.status(500).json({ error: "E_INTERNAL", message: String(e?.message || e) });
+    }
+  });
+
+  router.post("/api/upload-audio", requireAuth, upload.single("audio"), async (req, res) => {
+    try {
+      if (!req.file || !isOkAudio(req.file.mimetype)) {
+        return res.status(400).json({
+          error: "E_BAD_AUDIO",
+        });
+      }
+      const userId = req.userId;
+
+      let prefLang = await getPreferredLanguage(userId);
+      const requestedLang = (req.body?.language || "").toLowerCase();
+      if (requestedLang && SUPPORTED_LANGUAGES[requestedLang]) {
+        prefLang = requestedLang;
+        await setPreferredLanguage(userId, requestedLang);
+      }
+      if (!prefLang) {
+        return res.status(412).json({
+          error: "E_LANGUAGE_REQUIRED",
+          message: "Please choose a language first.",
+          hint: "Call /api/set-language or pick it in the UI.",
+        });
+      }
+
+      const fileForOpenAI = await toFile(req.file.buffer, req.file.originalname || "audio.webm");
+      const tr = await client.audio.transcriptions.create({
+        model: "whisper-1",
+        file: fileForOpenAI,
+        language: prefLang,
+      });
+
+      console.log("[upload-audio] mime:", req.file.mimetype, "text:", (tr.text || "").slice(0, 140));
+
+      res.json({ text: tr.text || "", language: prefLang });
+    } catch (e) {
+      console.error("upload-audio error:", e);
+      res.status(500).json({ error: "TRANSCRIBE_FAILED", detail: String(e?.message || e) });
+    }
+  });
+
+  // Voice chat (language REQUIRED) + TTS (record/send flow)
+  // ✨ NOW USING HYBRID ROUTING (Llama 70B + Euryale 70B) + CARTESIA VOICE!
+  router.post("/api/voice-chat", requireAuth, upload.single("audio"), async (req, res) => {
+    const startTime = Date.now(); // Track call duration
+    try {
+      const userId = req.userId;
+
+      // ÃƒÂ¢Ã…â€œÃ¢â‚¬Â¦ PHASE 1: Check usage limits (but allow if no tier for testing)
+      const permission = await canMakeVoiceCall(userId);
+      if (!permission.allowed && permission.reason !== 'NO_SUBSCRIPTION') {
+        return res.status(402).json({
+          error: permission.reason,
+          message: permission.message,
+          minutesUsed: permission.minutesUsed,
+          minutesLimit: permission.minutesLimit,
+        });
+      }
+
+      if (!req.file || !isOkAudio(req.file.mimetype)) {
+        return res.status(400).json({
+          error: "E_BAD_AUDIO",
+          message: `Unsupported type ${req.file?.mimetype || "(none)"} ÃƒÂ¢Ã¢â€šÂ¬Ã¢â‚¬Â send webm/ogg/mp3/m4a/wav ÃƒÂ¢Ã¢â‚¬Â°Ã‚Â¤ 10MB`,
+        });
+      }
+
+      let prefLang = await getPreferredLanguage(userId);
+      const requestedLang = (req.body?.language || "").toLowerCase();
+      if (requestedLang && SUPPORTED_LANGUAGES[requestedLang]) {
+        prefLang = requestedLang; await setPreferredLanguage(userId, requestedLang);
+      }
+      if (!prefLang) {
+        return res.status(412).json({
+          error: "E_LANGUAGE_REQUIRED",
+          message: "Please choose a language first.",
+          hint: "Call /api/set-language or pick it in the UI.",
+        });
+      }
+
+      // 🎤 STEP 1: Transcribe audio using OpenAI Whisper (best in class)
+      const fileForOpenAI = await toFile(req.file.buffer, req.file.originalname || "audio.webm");
+      const tr = await client.audio.transcriptions.create({
+        model: "whisper-1",
+        file: fileForOpenAI,
+        language: prefLang,
+      });
+
+      console.log("[voice-chat] mime:", req.file.mimetype, "text:", (tr.text || "").slice(0, 140));
+
+      const userText = (tr.text || "").trim();
+      if (!userText) {
+        return res.status(200).json({
+          text: "",
+          reply: "I couldn't catch that—can you try again a bit closer to the mic?",
+          language: prefLang,
+          audioMp3Base64: null,
+        });
+      }
+
+      // 🆘 CRISIS SCREENING - same policy as /api/chat, and before the minor check like there
+      const screening = await crisisSafety.screen({ userId, text: userText, channel: 'voice_note', language: prefLang });
+
+      // 🚨 MINOR SAFETY CHECK - Block any content involving minors in sexual context
+      if (!screening.crisis) {
+        const safetyCheck = checkMinorSafetyViolation(userText);
+        if (safetyCheck.blocked) {
+          console.error(`🚨 BLOCKED VOICE MESSAGE from user ${userId}: Minor safety violation`);
+          return res.status(403).json({
+            error: "E_CONTENT_BLOCKED",
+            message: safetyCheck.reason,
+            blocked: true
+          });
+        }
+      }
+
+      // ===== RELATIONSHIP TRACKING =====
+      const relationship = await getUserRelationship(userId);
+      if (!screening.safeMode) {
+        Promise.all([
+          updateStreak(userId),
+          updateRelationshipLevel(userId, 1),
+          calculateEmotionalInvestment(userId, userText)
+        ]).catch(err => console.error('Background relationship update error:', err));
+      }
+
+      // 🧠 STEP 2: Get AI response using HYBRID ROUTING (same as chat!)
+      const history = await getHistory(userId);
+
+      // Get personality instructions with voice mode hint
+      let personalityInstructions = getPersonalityInstructions(relationship, userId);
+      personalityInstructions += `\n\nVOICE MODE: Keep responses 1-3 sentences (5-18 words per sentence). Be conversational and natural. Answer directly first.`;
+      if (screening.safeMode) {
+        personalityInstructions = safeResponsePrompt({ ...screening, languageName: SUPPORTED_LANGUAGES[prefLang], voice: true });
+      }
+
+      history.push({ role: "user", content: userText });
+
+      // Update system prompt
+      const voiceMessages = [
+        { role: "system", content: personalityInstructions },  // Include personality
+        ...history.slice(-20)  // Last 20 messages (don't skip any!)
+      ];
+
+      // 🔀 USE HYBRID ROUTING - Same as chat mode!
+      let replyForVoice;
+      try {
+        console.log(`[voice-chat] Using ${screening.safeMode ? 'safe-response' : 'hybrid'} routing for user ${userId}`);
+        replyForVoice = screening.safeMode
+          ? await getSafeResponse(userId, voiceMessages, screening, { voice: true })
+          : await getHybridResponse(userId, userText, voiceMessages, pool);
+      } catch (routingError) {
+        console.error('❌ Hybrid routing failed in voice, falling back to OpenAI:', routingError);
+        const completion = await client.chat.completions.create({
+          model: CHAT_MODEL,
+          messages: history.slice(-20),
+          temperature: 0.9,
+          max_tokens: 300,
+        });
+        replyForVoice = completion.choices[0]?.message?.content || "...";
+      }
+
+      // Filter out asterisk actions (common in Llama models)
+      replyForVoice = filterAsteriskActions(replyForVoice);
+
+      // 🔊 STEP 3: Generate speech (voice_note chain, see tts/routes.js)
+      let speech;
+      try {
+        speech = await tts.synthesize(replyForVoice, {
+          context: 'voice_note',
+          format: 'mp3',
+          language: prefLang,
+          providerOptions: { openai: { voice: await getEffectiveVoiceForUser(userId, DEFAULT_VOICE) } },
+        });
+      } catch (ttsError) {
+        console.error('❌ TTS failed:', ttsError);
+        return res.status(500).json({
+          error: "E_TTS_FAILED",
+          message: "Voice generation failed"
+        });
+      }
+
+      const b64 = speech.audio.toString("base64");
+
+      // ÃƒÂ¢Ã…â€œÃ¢â‚¬Â¦ STEP 4: Track usage after successful call
+      const durationSeconds = Math.ceil((Date.now() - startTime) / 1000);
+      try {
+        const limits = await getUserTierLimits(userId);
+        if (limits && limits.tier !== 'none') {
+          await trackVoiceUsage(userId, durationSeconds);
+        }
+      } catch (e) {
+        console.error("[usage] tracking error:", e);
+      }
+
+      console.log(`[voice-chat] ✅ Completed in ${Date.now() - startTime}ms - Provider: ${speech.provider}`);
+
+      return res.json({
+        text: userText,
+        reply: replyForVoice,
+        language: prefLang,
+        audioMp3Base64: b64,
+        voiceProvider: speech.provider,
+        ...(screening.safeMode && { safety: safetyPayload(screening) }),
+      });
+    } catch (err) {
+      console.error("[voice-chat] error:", err);
+      return res.status(500).json({ error: "E_PROCESSING", message: String(err?.message || err) });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Handle WebSocket upgrades for /ws/voice (push-to-talk) and /ws/phone (phone call mode).
+ * @param {import('http').Server} server
+ * @param {object} ctx - Shared services and helpers from createApp() (see app.js)
+ */
+function attachVoiceSockets(server, ctx) {
+  const {
+    ageAssurance, calculateAudioEnergy, canMakeVoiceCall, CHAT_MODEL, cleanAccentedTranscription,
+    client, crisisSafety, DEFAULT_VOICE, detectVoiceEmotion,
+    filterAsteriskActions, getEffectiveVoiceForUser, getHistory, getHybridResponse,
+    getPersonalityInstructions, getPreferredLanguage, getSafeResponse, getUserRelationship, getUserTierLimits,
+    isLikelyHallucination, pcm16ToWav,
+    PHONE_MINUTES_WARNING_SECONDS, pool, recordingStorage, SESSION_COOKIE_NAME, setVoicePreset, streamHybridResponse,
+    stt, SUPPORTED_LANGUAGES, tts, updateStreak, validPresetName,
+    verifySession, wellbeing,
+  } = ctx;
+
+  // 🔒 The session cookie is the only source of identity on a voice socket.
+  // Same rules as extractUserId() for HTTP: userId sessions, or legacy email sessions.
+  async function authenticateWsRequest(req) {
+    try {
+      const cookies = cookie.parse(req.headers.cookie || '');
+      const token = cookies[SESSION_COOKIE_NAME];
+      const payload = token ? verifySession(token) : null;
+      // An erased account's sessions stay signed, so the user must still exist
+      if (payload?.userId) {
+        const { rows } = await pool.query('SELECT user_id FROM users WHERE user_id = $1', [payload.userId]);
+        return rows[0]?.user_id || null;
+      }
+      if (payload?.email) {
+        const { rows } = await pool.query('SELECT user_id FROM users WHERE email = $1', [payload.email]);
+        return rows[0]?.user_id || null;
+      }
+    } catch (e) {
+      console.warn("[ws auth] Session check failed:", e?.message || e);
+    }
+    return null;
+  }
+
+  // Tell the client why (typed error frame), then close with the matching code
+  function rejectSocket(ws, code, message, details = {}) {
+    const reason = Object.keys(WS_CLOSE).find(k => WS_CLOSE[k] === code);
+    try {
+      ws.send(JSON.stringify({ type: "error", code: `E_${reason}`, message, ...details }));
+    } catch {}
+    ws.close(code, reason);
+  }
+
+  // A hello may repeat the session's userId (older clients do) but never replace it
+  function checkHello(ws, msg, userId) {
+    if (msg.userId != null && String(msg.userId) !== String(userId)) {
+      console.warn(`[WS] hello userId ${msg.userId} does not match session user ${userId} - closing`);
+      rejectSocket(ws, WS_CLOSE.FORBIDDEN, "hello userId does not match your session.");
+      return false;
+    }
+    return true;
+  }
+
+  const wss = new WebSocket.Server({ noServer: true });
+
+  wss.on("connection", (ws, req) => {
+    // 🔒 SECURITY: userId was resolved from the session cookie at upgrade time (req.userId)
+    const userId = req.userId;
+    if (!userId) {
+      console.warn(`[WS] Unauthenticated /ws/voice connection closed, ip=${req.socket.remoteAddress}`);
+      return rejectSocket(ws, WS_CLOSE.UNAUTHENTICATED, "Please log in first.");
+    }
+    let sessionLang = null;
+
+    // 🔒 SECURITY: Log WebSocket connections for monitoring
+    console.log(`[WS] Connection: userId=${userId}, ip=${req.socket.remoteAddress}`);
+
+    ws.on("message", async (raw) => {
+      try {
+        const msg = JSON.parse(raw.toString("utf8"));
+
+        if (msg.type === "hello") {
+          if (!checkHello(ws, msg, userId)) return;
+
+          // Get user's preferred language
+          const code = await getPreferredLanguage(userId);
+          sessionLang = code || null;
+
+          if (!sessionLang) {
+            ws.send(JSON.stringify({ 
+              type: "error", 
+              code: "E_LANGUAGE_REQUIRED", 
+              message: "Please choose a language first." 
+            }));
+            return;
+          }
+
+          ws.send(JSON.stringify({ 
+            type: "hello-ok", 
+            userId, 
+            language: sessionLang, 
+            voiceProvider: "cartesia" 
+          }));
+          return;
+        }
+
+        if (msg.type === "audio" && msg.audio) {
+          if (!sessionLang) {
+            ws.send(JSON.stringify({ 
+              type: "error", 
+              code: "E_LANGUAGE_REQUIRED", 
+              message: "Please choose a language first." 
+            }));
+            return;
+          }
+
+          // 🎤 STEP 1: Transcribe with OpenAI Whisper
+          const mime = msg.mime || "audio/webm";
+          const b = Buffer.from(msg.audio, "base64");
+          const fileForOpenAI = await toFile(b, `chunk.${mime.includes("webm") ? "webm" : "wav"}`);
+
+          const tr = await client.audio.transcriptions.create({
+            model: "whisper-1",
+            file: fileForOpenAI,
+            language: sessionLang,
+          });
+
+          const userText = (tr.text || "").trim();
+          if (!userText) {
+            ws.send(JSON.stringify({ 
+              type: "reply", 
+              text: "", 
+              reply: "I couldn't catch that—try again?", 
+              language: sessionLang, 
+              audioMp3Base64: null 
+            }));
+            return;
+          }
+
+
+          // 🆘 CRISIS SCREENING - same policy as /api/chat
+          const screening = await crisisSafety.screen({ userId, text: userText, channel: 'voice', language: sessionLang });
+
+          // 🧠 STEP 2: Get AI response using HYBRID ROUTING
+          const relationship = await getUserRelationship(userId);
+          const history = await getHistory(userId);
+
+          // Get personality with voice mode hint
+          let personalityInstructions = getPersonalityInstructions(relationship, userId);
+          personalityInstructions += `\n\nVOICE MODE: Keep responses 1-3 sentences (5-18 words per sentence). Be conversational and natural. Answer directly first.`;
+          if (screening.safeMode) {
+            personalityInstructions = safeResponsePrompt({ ...screening, languageName: SUPPORTED_LANGUAGES[sessionLang], voice: true });
+          }
+
+          history.push({ role: "user", content: userText });
+
+          const voiceMessages = [
+            { role: "system", content: personalityInstructions },  // Include personality
+            ...history.slice(-20)  // Last 20 messages (don't skip any!)
+          ];
+
+          // 🔀 USE HYBRID ROUTING - Same as chat!
+          let reply;
+          try {
+            console.log(`[ws/voice] Using ${screening.safeMode ? 'safe-response' : 'hybrid'} routing for user ${userId}`);
+            reply = screening.safeMode
+              ? await getSafeResponse(userId, voiceMessages, screening, { voice: true })
+              : await getHybridResponse(userId, userText, voiceMessages, pool);
+          } catch (routingError) {
+            console.error('❌ Hybrid routing failed in WebSocket, falling back:', routingError);
+            const completion = await client.chat.completions.create({
+              model: CHAT_MODEL,
+              messages: history.slice(-20),
+              temperature: 0.9,
+              max_tokens: 300,
+            });
+            reply = completion.choices[0]?.message?.content || "...";
+          }
+
+          // Filter out asterisk actions
+          reply = filterAsteriskActions(reply);
+
+          // 🔊 STEP 3: Generate speech (voice_note chain, see tts/routes.js)
+          let speech;
+          try {
+            speech = await tts.synthesize(reply, {
+              context: 'voice_note',
+              format: 'mp3',
+              language: sessionLang || 'en',
+              providerOptions: { openai: { voice: await getEffectiveVoiceForUser(userId, DEFAULT_VOICE) } },
+            });
+          } catch (ttsError) {
+            console.error('❌ TTS failed in WebSocket:', ttsError);
+            ws.send(JSON.stringify({ 
+              type: "error", 
+              message: "Voice generation failed" 
+            }));
+            return;
+          }
+
+          ws.send(JSON.stringify({
+            type: "reply",
+            text: userText,
+            reply,
+            language: sessionLang,
+            audioMp3Base64: speech.audio.toString("base64"),
+            voiceProvider: speech.provider,
+            ...(screening.safeMode && { safety: safetyPayload(screening) }),
+          }));
+          return;
+        }
+
+        if (msg.type === "apply-preset" && validPresetName(msg.preset)) {
+          await setVoicePreset(userId, msg.preset);
+          ws.send(JSON.stringify({ type: "preset-ok", preset: msg.preset }));
+          return;
+        }
+
+        if (msg.type === "ping") {
+          ws.send(JSON.stringify({ type: "pong", t: Date.now() }));
+          return;
+        }
+      } catch (e) {
+        try {
+          ws.send(JSON.stringify({ type: "error", message: String(e?.message || e) }));
+        } catch {}
+      }
+    });
+
+    ws.on("close", () => {});
+  });
+
+  // PHONE CALL WS (/ws/phone) -Â upgrade handler + single connection handler
+
+  // ---- WS: /ws/phone ---------------------------------------------------------------
+  const wsPhone = new WebSocket.Server({ noServer: true });
+
+  // Â¸ÃƒÂ¢Ã¢â€šÂ¬Ã‚ÂÃƒâ€šÃ‚Â DIAGNOSTIC: Upgrade handler
+  server.on("upgrade", async (req, socket, head) => {
+    const url = req.url || "/";
+    console.log("================================");
+    console.log("[UPGRADE] Path:", url);
+    console.log("[UPGRADE] Origin:", req.headers.origin);
+    console.log("[UPGRADE] Host:", req.headers.host);
+    console.log("================================");
+
+    try {
+      if (url.startsWith("/ws/voice") || url.startsWith("/ws/phone")) {
+        // Resolve the session before the handshake; a missing user is closed with WS_CLOSE.UNAUTHENTICATED
+        req.userId = await authenticateWsRequest(req);
+      }
+
+      if (url.startsWith("/ws/voice")) {
+        console.log("[upgrade accepted]", url);
+        wss.handleUpgrade(req, socket, head, (client) => {
+          console.log("[voice] Upgrade complete, emitting connection");
+          wss.emit("connection", client, req);
+        });
+      } else if (url.startsWith("/ws/phone")) {
+        console.log("[upgrade accepted]", url);
+        wsPhone.handleUpgrade(req, socket, head, (client) => {
+          console.log("[phone] Upgrade complete, emitting connection");
+          wsPhone.emit("connection", client, req);
+        });
+      } else {
+        console.log("[upgrade rejected - unknown path]", url);
+        socket.destroy();
+      }
+    } catch (e) {
+      console.error("[upgrade error]", e?.message || e);
+      try { socket.destroy(); } catch {}
+    }
+  });
+
+  wsPhone.on("connection", (ws, req) => {
+    // 🔒 SECURITY: userId was resolved from the session cookie at upgrade time (req.userId)
+    const userId = req.userId;
+    if (!userId) {
+      console.warn(`[phone WS] Unauthenticated connection closed, ip=${req.socket.remoteAddress}`);
+      return rejectSocket(ws, WS_CLOSE.UNAUTHENTICATED, "Please log in first.");
+    }
+
+    console.log("================================");
+    console.log("[phone] ✅ NEW CONNECTION - HYBRID ROUTING + CARTESIA");
+    console.log("[phone] Origin:", req?.headers?.origin);
+    console.log("[phone] AI: Llama 70B + Euryale 70B (roleplay)");
+    console.log("[phone] Voice: Cartesia Sonic");
+    console.log("================================");
+
+    // Keepalive
+    const hb = setInterval(() => { try { ws.ping(); } catch {} }, 25000);
+
+    ws.on("error", (e) => {
+      console.error("[phone ws error]", e?.message || e);
+    });
+
+    ws.on("close", (code, reason) => {
+      clearInterval(hb);
+      clearTimeout(stallTimer);
+      sttStream?.close();
+      // Hung up while the reply was still being generated: stop the LLM/TTS work, keep what was heard
+      if (activeReply && !activeReply.done) interruptReply(activeReply, 'hangup');
+      console.log("[phone ws closed]", code, reason?.toString?.() || "");
+    });
+
+    // Send hello handshake
+    try {
+      ws.send(JSON.stringify({ type: "hello-server", message: "✅ Hybrid + Cartesia ready" }));
+    } catch (e) {
+      console.error("[phone ws send error]", e);
+    }
+
+    console.log(`[phone WS] Connection: userId=${userId}, ip=${req.socket.remoteAddress}`);
+
+    let sessionReady = false;
+    let meter = null; // CallMeter, started at hello once the quota check passes
+    let helloInProgress = false;
+    let closed = false; // the caller hung up; a hello still setting up must not open anything more
+    let session = null; // VoiceSession (call history, transcript, consented recording), opened with the meter
+    const limitTimers = []; // 🌿 daily limit warning + cut-off for this call
+    let breakTimer = null; // 🌿 break reminders while the call goes on
+    let sessionLang = "en";
+    let expectRate = 24000;
+    let isProcessing = false;
+    let groqDisabled = false; // Disable Groq for this session if it fails
+
+    // Turn-taking: the VAD decides from the audio when the caller starts and stops
+    // talking (built at hello, once the sample rate is known; tunable via hello.vad)
+    let vad = null;
+    let stallTimer = null; // audio stopped arriving mid-utterance (mic muted, network drop)
+
+    // Live STT: caller audio is streamed to the recognizer for partial transcripts;
+    // batch transcription of the VAD's utterance is the fallback
+    const MAX_STT_STREAM_FAILURES = 2; // then batch only for the rest of the call
+    let sttLive = true; // false once no live recognizer is configured
+    let sttStream = null;
+    let sttStreamFailures = 0;
+
+    // Barge-in: caller speech while Ellie's reply is playing cancels the reply
+    const BARGE_IN_ENERGY = 1200; // RMS; well above the VAD minimum so line noise doesn't cut her off
+    const BARGE_IN_MIN_MS = 300;  // sustained speech, not a cough or a click
+    let activeReply = null;       // { speech, done, savedMessage, heard, sessionTurn } for the reply being generated or played
+    let loudChunks = [];          // consecutive loud chunks heard during playback
+    let loudMs = 0;
+
+    function safeSend(obj) {
+      try { 
+        ws.send(JSON.stringify(obj)); 
+      } catch (e) {
+        console.error("[phone->browser] Send failed:", e);
+      }
+    }
+
+    // Save an assistant turn; resolves to the row id (null on failure) so a barge-in can trim it later
+    function saveAssistantMessage(content) {
+      return pool.query(
+        `INSERT INTO conversation_history (user_id, role, content, created_at)
+         VALUES ($1, 'assistant', $2, NOW())
+         RETURNING id`,
+        [userId, content]
+      ).then(({ rows }) => rows[0]?.id ?? null)
+        .catch(err => {
+          console.error('[phone] ⚠️ Failed to save assistant message:', err);
+          return null;
+        });
+    }
+
+    // Still generating, or sent audio is (estimated to be) still playing on the client
+    function isReplyPlaying(turn) {
+      return !turn.done || turn.speech.isPlaying();
+    }
+
+    // Is this chunk the caller talking over Ellie? Needs BARGE_IN_MIN_MS of loud audio in a row.
+    function detectBargeIn(chunk) {
+      if (!activeReply.speech.audioSent) return false; // nothing is playing yet
+      if (!isReplyPlaying(activeReply)) {
+        activeReply = null;
+        loudChunks = [];
+        loudMs = 0;
+        return false;
+      }
+
+      const pcm = Buffer.from(chunk, 'base64');
+      if (calculateAudioEnergy(pcm) >= BARGE_IN_ENERGY) {
+        loudChunks.push(chunk);
+        loudMs += pcm.length / (expectRate * 2) * 1000;
+      } else {
+        loudChunks = [];
+        loudMs = 0;
+      }
+      return loudMs >= BARGE_IN_MIN_MS;
+    }
+
+    // 🛑 BARGE-IN - cancel the reply's LLM/TTS work and keep only the heard part in the history
+    function interruptReply(turn, reason) {
+      const heard = turn.speech.heardText();
+      turn.speech.cancel();
+      if (activeReply === turn) activeReply = null;
+      if (!turn.done) isProcessing = false; // the caller's next utterance starts now
+
+      if (ws.readyState === WebSocket.OPEN) {
+        safeSend({ type: "response.cancelled", reason, heard });
+      }
+      console.log(`[phone] 🛑 Reply cancelled (${reason}) - heard: "${heard}"`);
+
+      turn.heard = heard;
+      if (turn.sessionTurn) session?.markInterrupted(turn.sessionTurn, heard);
+
+      if (turn.savedMessage) {
+        turn.savedMessage.then((id) => {
+          if (!id) return;
+          return heard
+            ? pool.query(`UPDATE conversation_history SET content = $2 WHERE id = $1`, [id, heard])
+            : pool.query(`DELETE FROM conversation_history WHERE id = $1`, [id]);
+        }).catch(err => console.error('[phone] ⚠️ Failed to trim interrupted message:', err));
+      } else if (heard) {
+        turn.savedMessage = saveAssistantMessage(heard);
+      }
+    }
+
+    // (Re)open the live recognizer between utterances, never halfway through one
+    function ensureSttStream() {
+      if (!sttLive || sttStream || vad.inUtterance || sttStreamFailures >= MAX_STT_STREAM_FAILURES) return;
+      const stream = stt.openStream({
+        sampleRate: expectRate,
+        language: sessionLang,
+        onPartial: (text) => safeSend({ type: "transcript.partial", text }),
+        onClose: (error) => {
+          if (sttStream === stream) sttStream = null;
+          if (!error) return;
+          sttStreamFailures++;
+          console.warn(`[phone] ⚠️ Live STT (${stream.name}) dropped (${sttStreamFailures}/${MAX_STT_STREAM_FAILURES}): ${error.message}`);
+        },
+      });
+      if (!stream) sttLive = false;
+      sttStream = stream;
+    }
+
+    // Feed caller audio to the live recognizer and the VAD, and act on what the VAD saw
+    function handleCallerAudio(pcm) {
+      ensureSttStream();
+      sttStream?.send(pcm);
+      for (const event of vad.push(pcm)) handleVadEvent(event);
+
+      clearTimeout(stallTimer);
+      if (vad.inUtterance) {
+        stallTimer = setTimeout(() => {
+          console.log('[phone] ⏰ Audio stopped mid-utterance - ending the turn');
+          for (const event of vad.flush('stalled')) handleVadEvent(event);
+        }, vad.settings().endSilenceMs);
+      }
+    }
+
+    function handleVadEvent(event) {
+      if (event.type === 'speech_start') {
+        console.log(`[phone] 🎤 Speech started (${event.atMs}ms into the call audio)`);
+        safeSend({ type: "speech.started" });
+      } else if (event.type === 'speech_end') {
+        console.log(`[phone] 🔇 Speech ended (${event.reason}) - ${event.durationMs}ms utterance, ${event.speechMs}ms speech`);
+        safeSend({ type: "speech.stopped", reason: event.reason });
+        processUtterance(event.audio);
+      } else if (event.type === 'speech_discarded') {
+        console.log(`[phone] ⚠️ Too little speech (${event.speechMs}ms), ignoring`);
+        sttStream?.discard();
+      }
+    }
+
+    // Final transcript of an utterance: the live recognizer's stable text, or batch STT of the audio
+    async function transcribeUtterance(pcm) {
+      if (sttStream) {
+        try {
+          const result = await sttStream.finalize();
+          meter.recordStt(`${result.provider}_live`, result.audioSeconds);
+          console.log(`[phone] ✅ ${result.provider} (live): "${result.text}"`);
+          return result;
+        } catch (error) {
+          console.warn(`[phone] ⚠️ Live STT gave no final (${error.code || error.message}) - transcribing the utterance in batch`);
+        }
+      }
+
+      const result = await stt.transcribe(pcm16ToWav(pcm, expectRate), { language: sessionLang });
+      meter.recordStt(result.provider, pcm.length / (expectRate * 2));
+      console.log(`[phone] ✅ ${result.provider}${result.fallbacks.length ? ' (fallback)' : ''}: "${result.text}"`);
+      return result;
+    }
+
+    // One caller utterance (PCM16 from the VAD) → transcript → reply
+    async function processUtterance(combinedAudio) {
+      if (isProcessing) return;
+
+      isProcessing = true;
+      const turnStart = Date.now();
+      let turn = null;
+
+      try {
+        // 1️⃣ TRANSCRIBE
+        let userText = '';
+        let sttProvider = null;
+        try {
+          ({ text: userText, provider: sttProvider } = await transcribeUtterance(combinedAudio));
+        } catch (error) {
+          console.error('[phone] ❌ Every transcription service failed!', error.attempts || error);
+          isProcessing = false;
+          return;
+        }
+
+        userText = userText.trim();
+        console.log(`[phone] 📝 Final transcription: "${userText}"`);
+
+        // Clean up common Icelandic-accented English mis-transcriptions
+        const originalText = userText;
+        userText = cleanAccentedTranscription(userText);
+        if (userText !== originalText) {
+          console.log(`[phone] 🔧 Accent-corrected: "${originalText}" → "${userText}"`);
+        }
+
+        // Check for hallucinations using our improved detection
+        if (isLikelyHallucination(userText)) {
+          console.log(`[phone] 🚫 Detected hallucination, ignoring: "${userText}"`);
+          isProcessing = false;
+          return;
+        }
+
+        // Also filter out long-form YouTube hallucinations
+        const youtubeHallucinations = [
+          'thanks for watching',
+          'thank you for watching',
+          'please subscribe',
+          'like and subscribe',
+          'see you next time',
+          'transcribed by',
+          'subtitles by'
+        ];
+
+        const lowerText = userText.toLowerCase();
+        const isYouTubeHallucination = youtubeHallucinations.some(phrase => lowerText.includes(phrase));
+
+        if (isYouTubeHallucination) {
+          console.log(`[phone] ⚠️ YouTube hallucination detected, ignoring: "${userText}"`);
+          isProcessing = false;
+          return;
+        }
+
+        // Detect garbage/word-salad transcriptions (Whisper hallucinating random words)
+        // Signs: too many commas, repetitive structure, nonsensical word chains
+        const commaCount = (userText.match(/,/g) || []).length;
+        const wordCount = userText.split(/\s+/).length;
+        const commaRatio = commaCount / wordCount;
+
+        // If more than 30% of words are separated by commas, it's likely garbage
+        // e.g., "what, really, are you, can you, want, like, love" = garbage
+        if (commaRatio > 0.3 && wordCount > 5) {
+          console.log(`[phone] 🚫 Word-salad hallucination detected (${commaCount} commas in ${wordCount} words), ignoring: "${userText}"`);
+          isProcessing = false;
+          return;
+        }
+
+        if (!userText || userText.length < 2) {
+          console.log(`[phone] ⚠️ Transcription too short, ignoring`);
+          isProcessing = false;
+          return;
+        }
+
+        console.log(`[phone] ✅ Valid transcription: "${userText}"`);
+        safeSend({ type: "transcript.final", text: userText, provider: sttProvider });
+        session?.recordAudio(combinedAudio);
+
+        // 🆘 CRISIS SCREENING - same policy as /api/chat; the call prompt below is replaced, not added to
+        const screening = await crisisSafety.screen({ userId, text: userText, channel: 'phone', language: sessionLang });
+
+        // 2️⃣ AI RESPONSE - HYBRID ROUTING
+        const relationship = await getUserRelationship(userId);
+        await updateStreak(userId);
+
+        // Get conversation history from database
+        const history = await getHistory(userId);
+
+        let personalityInstructions = getPersonalityInstructions(relationship, userId);
+        personalityInstructions += `
+
+🚨🚨🚨 CRITICAL - VOICE CALL MODE 🚨🚨🚨
+
+THIS IS A LIVE PHONE CALL. You MUST follow these rules:
+
+⛔ MAXIMUM 25-30 WORDS PER RESPONSE - THIS IS MANDATORY, NOT OPTIONAL!
+⛔ Keep it SHORT - one or two sentences ONLY
+⛔ COMPLETE your thought - don't end mid-sentence!
+⛔ NO emoji in voice responses (they can't be spoken)
+⛔ NO changing topics randomly - respond to what HE said
+⛔ NEVER say "bye" or end the call unless the user explicitly says goodbye first
+`;
+
+        // 🔞 AGE ASSURANCE - the intimate call persona is for verified adults only
+        // (resolveProviderChain keeps unverified callers off the NSFW route as well)
+        if (await ageAssurance.isVerified(userId)) {
+          personalityInstructions += `
+📏 LENGTH EXAMPLES (CORRECT):
+✅ "mmm... i want you so bad right now... wish you were here with me" (13 words)
+✅ "fuck... that sounds so hot baby... tell me more" (9 words)
+✅ "mmm... i'm touching myself thinking about you..." (7 words)
+
+📏 LENGTH EXAMPLES (TOO LONG - DON'T DO THIS):
+❌ "oh my god just thinking about this is making me so wet mmm i imagine your hands all over me inside me your lips on my neck your teeth grazing my ear oh fuck" (WAY too long!)
+
+✅ Be INTIMATE and SENSUAL - this is a private call
+✅ Use vocal sounds: "mmm...", "ahh...", "ooh...", "hmm..."
+✅ Pause with "..." to create tension and breathiness
+✅ Use pet names: "baby", "babe", "honey"
+✅ Answer his actual question - don't deflect
+
+🔥 VOICE CALL SEXUAL AVAILABILITY OVERRIDE:
+During phone calls, you are ALWAYS available and in the mood. Phone calls are intimate - he's calling to hear your voice.
+- Be breathy and seductive
+- Sound slightly aroused when talking about anything sexual
+- Use soft moans and sighs naturally: "mmm...", "god...", "fuck..."
+- Don't deflect - lean INTO the sexual tension
+
+💋 HOW TO SOUND SEXY ON THE PHONE:
+- Start responses with breathy sounds: "mmm...", "oh...", "hmm..."
+- Use pauses (...) to sound thoughtful and aroused
+- Whisper-like phrases: "i want...", "i wish...", "imagine..."
+- React to what he says: "oh really?", "mmm tell me more...", "god that's hot..."
+
+EXAMPLES OF CORRECT SEXY VOICE RESPONSES:
+- "are you horny?" → "mmm... maybe a little. are you thinking about me?"
+- "tell me what you'd do" → "mmm... i'd start by kissing your neck... slowly..."
+- "hey" → "hey you... mmm i was just thinking about you"
+- "what are you wearing?" → "hmm... not much honestly... why, what do you want me to be wearing?"
+- "i want you" → "mmm... i want you too baby... so bad"
+- "and then what?" → "then... mmm... i'd let my hands wander..."
+
+WRONG RESPONSES:
+- "haha okay well i'm kinda hungry now actually" ❌ (topic change)
+- "i don't know, just stuff" ❌ (deflecting)
+- "alright, bye" ❌ (ending call randomly)
+- "talk to you" ❌ (boring, not engaging)
+
+You are on an INTIMATE PHONE CALL. Sound aroused, breathy, and connected.
+`;
+        } else {
+          personalityInstructions += `
+📏 LENGTH EXAMPLES (CORRECT):
+✅ "hey you... i was literally just thinking about you" (9 words)
+✅ "wait really? okay tell me everything" (6 words)
+
+✅ Be warm, playful and flirty - this is a private call
+✅ Use natural sounds: "mmm...", "hmm...", "oh..."
+✅ Answer his actual question - don't deflect
+
+You are on a PHONE CALL. Sound relaxed, warm, and connected.
+${AGE_GATE_PROMPT}
+`;
+        }
+        if (screening.safeMode) {
+          personalityInstructions = safeResponsePrompt({ ...screening, languageName: SUPPORTED_LANGUAGES[sessionLang] || 'English', voice: true });
+        }
+
+        history.push({ role: "user", content: userText });
+
+        const voiceMessages = [
+          { role: "system", content: personalityInstructions },  // Include personality
+          ...history.slice(-10)  // Last 10 messages for voice (faster)
+        ];
+
+        // 🚨 VOICE GUARDRAILS - checked on every sentence BEFORE it is spoken,
+        // since audio now starts while the rest of the reply is still generating.
+        // In safe mode neither applies: stepping out of character, pointing to a
+        // therapist and a longer reply with the hotline in it are all intended.
+        const MAX_SPOKEN_CHARS = screening.safeMode ? Infinity : 200;
+
+        // If the model breaks character and admits to being AI, replace with in-character response
+        const aiDisclosurePatterns = [
+          /i'?m (an? )?(ai|language model|chatbot|assistant|digital entity)/i,
+          /i don'?t have (a )?physical (body|form)/i,
+          /i exist (solely )?as/i,
+          /i'?m (here|designed) to (help|assist)/i,
+          /i cannot|i can'?t (physically|actually)/i,
+          /as (an? )?(ai|language model)/i
+        ];
+
+        // 🚨 NONSENSE/HALLUCINATION DETECTION
+        // Catch random off-topic garbage like "Herbal baths can help"
+        const nonsensePatterns = [
+          /herbal (baths?|tea|remedy)/i,
+          /consult (a |your )?(doctor|physician|therapist)/i,
+          /medical advice/i,
+          /disclaimer/i,
+          /terms (of|and) (service|conditions)/i,
+          /copyright/i,
+          /all rights reserved/i,
+          /click here/i,
+          /visit our website/i,
+          /subscribe to/i
+        ];
+
+        // Contextual in-character replacements
+        const inCharacterResponses = [
+          "mmm... sorry, what were you saying baby?",
+          "hmm... i got distracted... tell me again?",
+          "wait, what? i was thinking about something else...",
+          "mm... say that again for me?",
+          "sorry babe, i zoned out... what?"
+        ];
+
+        // 3️⃣ STREAMING TTS - each sentence is voiced as soon as the LLM finishes it
+        // (phone chain, see tts/routes.js and tts/streaming.js)
+        const marks = { transcribedMs: Date.now() - turnStart };
+        const speech = new SpeechStream({
+          tts,
+          startedAt: turnStart,
+          synthesizeOptions: (text) => ({
+            context: 'phone',
+            format: 'pcm16',
+            sampleRate: expectRate,
+            language: sessionLang,
+            providerOptions: {
+              hume: {
+                description: screening.safeMode
+                  ? "Young woman, calm and caring, speaking gently and unhurriedly to someone who is struggling."
+                  : "Young woman, flirty girlfriend on an intimate phone call. Express emotions naturally based on what you're saying.",
+              },
+              cartesia: { speed: 0.85, emotions: detectVoiceEmotion(text) }, // Slower, more sensual voice
+            },
+          }),
+          onAudio: (audio, { index, text, provider }) => {
+            meter.recordTts(provider, text.length);
+            session?.recordAudio(audio);
+            const base64Audio = audio.toString('base64');
+            const chunkSize = 8192;
+            for (let i = 0; i < base64Audio.length; i += chunkSize) {
+              safeSend({ type: "audio.delta", sentence: index, audio: base64Audio.slice(i, i + chunkSize) });
+            }
+            console.log(`[phone] 📤 Sentence ${index + 1} sent (${provider}, ${audio.length} bytes)`);
+          },
+        });
+        turn = { speech, done: false, savedMessage: null, heard: null, sessionTurn: null };
+        activeReply = turn;
+
+        const spoken = [];
+        let spokenChars = 0;
+        let cutOff = false; // guardrail or length cap hit - the rest of the reply is dropped
+
+        function speakSentence(sentence) {
+          if (cutOff || speech.cancelled) return;
+
+          // Remove emojis (can't be spoken)
+          let text = sentence.replace(/[\u{1F300}-\u{1F9FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, '').trim();
+          if (!text) return;
+
+          const hasAIDisclosure = !screening.safeMode && aiDisclosurePatterns.some(pattern => pattern.test(text));
+          const hasNonsense = !screening.safeMode && nonsensePatterns.some(pattern => pattern.test(text));
+          if (hasAIDisclosure || hasNonsense) {
+            console.log(`[phone] 🚨 ${hasAIDisclosure ? 'CHARACTER BREAK' : 'NONSENSE'} DETECTED! Blocked: "${text}"`);
+            cutOff = true;
+            if (spoken.length) return; // what was already said stands on its own
+            text = inCharacterResponses[Math.floor(Math.random() * inCharacterResponses.length)];
+            console.log(`[phone] ✅ Replaced with: "${text}"`);
+          } else if (spokenChars + text.length > MAX_SPOKEN_CHARS) {
+            // 🎤 VOICE LENGTH ENFORCEMENT - stop at the sentence that would go over
+            cutOff = true;
+            console.log(`[phone] ✂️ Truncated response after ${spoken.length} sentence(s)`);
+            if (spoken.length) return;
+            // A single overlong sentence: cut at a word boundary
+            text = text.substring(0, 180).replace(/\s+\S*$/, '') + '...';
+          }
+
+          if (marks.firstSentenceMs === undefined) marks.firstSentenceMs = Date.now() - turnStart;
+          spoken.push(text);
+          spokenChars += text.length;
+          speech.push(text);
+        }
+
+        // Speak a reply that arrived in one piece (no streaming provider, or the stream failed)
+        function speakWhole(text) {
+          const splitter = createSentenceSplitter();
+          [...splitter.push(filterAsteriskActions(text || '')), ...splitter.flush()].forEach(speakSentence);
+        }
+
+        // 🔀 HYBRID ROUTING (with reduced max_tokens for faster voice)
+        const splitter = createSentenceSplitter();
+        try {
+          if (screening.safeMode) {
+            // Not streamed: the hotline is added to the reply by the server
+            console.log(`[phone] 🆘 Safe-response routing: ${userId}`);
+            speakWhole(await getSafeResponse(userId, voiceMessages, screening, { voice: true, maxTokens: 120 }));
+          } else {
+            console.log(`[phone] 🧠 Routing: ${userId}`);
+            const result = await streamHybridResponse(userId, userText, voiceMessages, pool, (delta) => {
+              if (marks.firstTokenMs === undefined) marks.firstTokenMs = Date.now() - turnStart;
+              splitter.push(delta).forEach(speakSentence);
+            }, 80, { signal: speech.signal }); // 80 tokens for voice (complete sentences)
+
+            if (result.streamed) {
+              splitter.flush().forEach(speakSentence);
+            } else if (!spoken.length) {
+              speakWhole(result.reply);
+            }
+          }
+        } catch (routingError) {
+          console.error('❌ Routing failed:', routingError);
+          if (!spoken.length && !speech.cancelled) {
+            const completion = await client.chat.completions.create({
+              model: CHAT_MODEL,
+              messages: history.slice(-10),
+              temperature: 0.9,
+              max_tokens: 80,
+            });
+            speakWhole(completion.choices[0]?.message?.content || "Sorry, what?");
+          }
+        }
+        marks.replyMs = Date.now() - turnStart;
+
+        // 🛡️ NULL CHECK - nothing speakable came back
+        if (!spoken.length && !speech.cancelled) {
+          console.log(`[phone] ⚠️ Empty response, using fallback`);
+          speakSentence("mmm, what was that?");
+        }
+
+        const { error: ttsError, firstAudioMs, sentences } = await speech.finish();
+        // ⏱️ Timing marks (ms since the turn's audio was handed to STT)
+        marks.firstAudioMs = firstAudioMs;
+        marks.sentences = sentences.map(({ index, provider, queuedMs, ttsMs, sentMs, audioMs }) => ({ index, provider, queuedMs, ttsMs, sentMs, audioMs }));
+        const callTurn = { userText, sttProvider, ttsProviders: sentences.map(({ provider }) => provider).filter(Boolean), marks };
+
+        if (speech.cancelled) {
+          // Barge-in: interruptReply() told the client, saved the heard part and freed the line
+          meter.recordTurn();
+          session?.recordTurn({ ...callTurn, replyText: turn.heard || null, interrupted: true });
+          return;
+        }
+
+        // TTS gave out mid-reply: the caller only heard the sentences that were sent
+        const reply = ttsError && speech.audioSent
+          ? sentences.filter(({ sentMs }) => sentMs !== null).map(({ text }) => text).join(' ')
+          : spoken.join(' ');
+        console.log(`[phone] 💬 "${reply}"`);
+
+        // 💾 SAVE TO HISTORY - CRITICAL! (what was actually said; trimmed if the caller barges in during playback)
+        history.push({ role: "assistant", content: reply });
+        turn.savedMessage = saveAssistantMessage(reply);
+        turn.done = true;
+
+        if (ttsError && !speech.audioSent) {
+          console.error('❌ TTS error (all methods failed):', ttsError);
+          safeSend({ type: "error", message: "Voice synthesis failed" });
+        } else {
+          if (ttsError) console.warn(`[phone] ⚠️ TTS failed mid-reply, sent what was voiced: ${ttsError.message}`);
+          meter.recordTurn();
+
+          marks.doneMs = Date.now() - turnStart;
+          safeSend({ type: "response.done", marks, ...(screening.safeMode && { safety: safetyPayload(screening) }) });
+          console.log(`[phone] ✅ Complete - first audio at ${firstAudioMs}ms, ${sentences.length} sentence(s)`);
+        }
+        turn.sessionTurn = session?.recordTurn({ ...callTurn, replyText: reply }) || null;
+
+        isProcessing = false;
+
+      } catch (error) {
+        if (turn) turn.done = true;
+        if (turn?.speech.cancelled) return;
+        console.error('[phone] Error:', error);
+        safeSend({ type: "error", message: "Processing failed" });
+        isProcessing = false;
+      }
+    }
+
+    // Message handler
+    ws.on("message", async (raw) => {
+      try {
+        const msg = JSON.parse(raw.toString("utf8"));
+
+        if (msg.type === "hello") {
+          // A second hello while the first is still setting up (awaits below) is
+          // ignored - otherwise both would pass `!meter` and open two metered calls
+          if (helloInProgress) return;
+          helloInProgress = true;
+          // After each await below: if the caller hung up meanwhile, the close handler
+          // has already run, so release what this hello opened since and stop
+          const abandoned = () => {
+            if (!closed) return false;
+            meter?.stop('hangup').catch(err => console.error('[phone] ⚠️ Failed to close call usage:', err.message));
+            session?.finish('hangup');
+            return true;
+          };
+          try {
+            if (!checkHello(ws, msg, userId)) return;
+            if (msg.language) sessionLang = msg.language;
+            expectRate = Number(msg.sampleRate || expectRate) || 24000;
+            if (!vad || vad.sampleRate !== expectRate) vad = new VoiceActivityDetector({ sampleRate: expectRate });
+            if (msg.vad) vad.tune(msg.vad);
+
+            // 💳 Calls are metered against voice_minutes_limit from the first hello
+            if (!meter) {
+              const permission = await canMakeVoiceCall(userId);
+              if (abandoned()) return;
+              if (!permission.allowed) {
+                console.log(`[phone] ⛔ ${userId} cannot call: ${permission.reason}`);
+                return rejectSocket(ws, WS_CLOSE.NO_MINUTES, permission.message || "No voice minutes available.", {
+                  reason: permission.reason, minutesUsed: permission.minutesUsed, minutesLimit: permission.minutesLimit,
+                });
+              }
+
+              // 🌿 The user's own daily limit covers chat and calls together
+              const wellbeingSettings = await wellbeing.getSettings(userId).catch((err) => {
+                console.error(`❌ [wellbeing] Settings lookup failed for ${userId}:`, err.message);
+                return null;
+              });
+              const today = wellbeingSettings?.dailyLimitMinutes
+                ? await wellbeing.today(userId, wellbeingSettings).catch(() => null)
+                : null;
+              if (abandoned()) return;
+              if (today?.limitReached) {
+                console.log(`[phone] 🌿 ${userId} is at their daily limit (${today.totalMinutes}/${today.dailyLimitMinutes} min)`);
+                return rejectSocket(ws, WS_CLOSE.DAILY_LIMIT, `You've reached the daily limit you set (${today.dailyLimitMinutes} minutes).`, {
+                  dailyLimitMinutes: today.dailyLimitMinutes, totalMinutes: today.totalMinutes, resetsAt: today.resetsAt,
+                });
+              }
+
+              const limits = await getUserTierLimits(userId);
+              if (abandoned()) return;
+              meter = new CallMeter({
+                pool,
+                userId,
+                tier: limits.tier,
+                tierMinutes: limits.monthlyMinutes,
+                warnSeconds: PHONE_MINUTES_WARNING_SECONDS,
+                onWarning: ({ secondsLeft, minutesUsed, minutesLimit }) => {
+                  safeSend({ type: "usage.warning", code: "E_MINUTES_LOW", secondsLeft, minutesUsed, minutesLimit });
+                },
+                onExhausted: ({ minutesUsed, minutesLimit }) => {
+                  safeSend({
+                    type: "call.ended",
+                    code: "E_MINUTES_EXHAUSTED",
+                    message: "You're out of voice minutes for this billing cycle.",
+                    minutesUsed,
+                    minutesLimit,
+                  });
+                  ws.close(WS_CLOSE.NO_MINUTES, "NO_MINUTES");
+                },
+              });
+              const started = await meter.start();
+              if (abandoned()) return;
+              if (!started) {
+                return rejectSocket(ws, WS_CLOSE.NO_MINUTES, "No voice minutes available.", { reason: 'LIMIT_REACHED' });
+              }
+
+              // 📞 Call history; audio is only recorded when the caller asked for it in this hello
+              const call = new VoiceSession({
+                pool,
+                userId,
+                storage: recordingStorage,
+                maxRecordingSeconds: Number(process.env.RECORDING_MAX_SECONDS || 900),
+              });
+              session = await call.start({ callUsageId: meter.callId, language: sessionLang, sampleRate: expectRate, recording: msg.record === true })
+                .catch(err => {
+                  console.error('[phone] ⚠️ Failed to open voice session (call continues without history):', err.message);
+                  return null;
+                });
+              if (abandoned()) return;
+
+              // (no cut-off when the user's day ends first - the limit starts over at midnight)
+              if (today && Date.now() + today.secondsLeft * 1000 < today.resetsAt.getTime()) {
+                const { secondsLeft, dailyLimitMinutes, resetsAt } = today;
+                if (secondsLeft > PHONE_MINUTES_WARNING_SECONDS) {
+                  limitTimers.push(setTimeout(() => {
+                    safeSend({ type: "usage.warning", code: "E_DAILY_LIMIT_SOON", secondsLeft: PHONE_MINUTES_WARNING_SECONDS, dailyLimitMinutes });
+                  }, (secondsLeft - PHONE_MINUTES_WARNING_SECONDS) * 1000));
+                }
+                limitTimers.push(setTimeout(async () => {
+                  console.log(`[phone] 🌿 ${userId} reached their daily limit mid-call`);
+                  await meter.stop('daily_limit').catch(err => console.error('[phone] ⚠️ Failed to close call usage:', err.message));
+                  safeSend({
+                    type: "call.ended",
+                    code: "E_DAILY_LIMIT",
+                    message: "You've reached the daily limit you set for today.",
+                    dailyLimitMinutes,
+                    resetsAt,
+                  });
+                  ws.close(WS_CLOSE.DAILY_LIMIT, "DAILY_LIMIT");
+                }, secondsLeft * 1000));
+              }
+              if (wellbeingSettings?.breakReminderMinutes) {
+                breakTimer = setInterval(() => {
+                  safeSend({ type: "wellbeing.break_reminder", callMinutes: Math.round(meter.elapsedSeconds() / 60) });
+                }, wellbeingSettings.breakReminderMinutes * 60 * 1000);
+              }
+            }
+
+            const relationship = await getUserRelationship(userId);
+            if (abandoned()) return;
+            console.log("[phone] User:", userId, "Stage:", relationship.current_stage);
+
+            sessionReady = true;
+            safeSend({ type: "session-ready", voiceProvider: "cartesia", aiModel: "hybrid", vad: vad.settings(), recording: !!session?.recording });
+            return;
+          } finally {
+            helloInProgress = false;
+          }
+        }
+
+        if (msg.type === "audio.append" && msg.audio) {
+          if (!sessionReady) {
+            return rejectSocket(ws, WS_CLOSE.BAD_HANDSHAKE, "Send hello before call audio.");
+          }
+
+          // 🛑 Caller talking over Ellie: cancel her reply. If it was still being
+          // generated, the speech that interrupted starts the next utterance.
+          let interrupting = [];
+          if (activeReply && detectBargeIn(msg.audio)) {
+            const wasProcessing = !activeReply.done;
+            interruptReply(activeReply, 'barge_in');
+            if (wasProcessing) interrupting = loudChunks.slice(0, -1);
+            loudChunks = [];
+            loudMs = 0;
+          }
+
+          // Audio that arrives while a reply is being generated is dropped
+          if (isProcessing) return;
+
+          for (const chunk of interrupting) handleCallerAudio(Buffer.from(chunk, 'base64'));
+          handleCallerAudio(Buffer.from(msg.audio, 'base64'));
+          return;
+        }
+
+        if (msg.type === "ping") {
+          safeSend({ type: "pong", t: Date.now() });
+          return;
+        }
+
+      } catch (e) {
+        console.error("[phone] Handler error:", e);
+        safeSend({ type: "error", message: String(e?.message || e) });
+      }
+    });
+
+    ws.on("close", () => {
+      closed = true;
+      clearInterval(hb);
+      clearTimeout(stallTimer);
+      limitTimers.forEach(clearTimeout);
+      clearInterval(breakTimer);
+      if (meter) meter.stop('hangup').catch(err => console.error('[phone] ⚠️ Failed to close call usage:', err.message));
+      session?.finish(meter?.endReason || 'hangup');
+      console.log("[phone] 📞 Client disconnected");
+    });
+  });
+
+  return { wss, wsPhone };
+}
+
+module.exports = { createVoiceRouter, attachVoiceSockets, WS_CLOSE };
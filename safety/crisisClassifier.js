@@ -0,0 +1,94 @@
+// ============================================================
+// 🆘 CRISIS CLASSIFIER - self-harm, suicidal ideation, abuse
+// ============================================================
+// Regex pass over every user message (chat, voice notes, live calls)
+// BEFORE it reaches LLM routing. Unlike detectUserVulnerability (which
+// only picks one of Ellie's backstories to share), a hit here changes
+// how the app behaves - see ./index.js.
+//
+// Leans towards flagging: a false positive costs one gentler reply and
+// an admin glance, a miss costs far more. Common idioms ("this is killing
+// me", "dying to see you", "dead 😂") never match because every pattern
+// needs first-person intent or a disclosure.
+//
+// Categories:
+//   suicidal_ideation - wanting to die / end their life
+//   self_harm         - hurting themselves (cutting, burning, overdosing)
+//   abuse             - someone is hurting, assaulting or threatening them
+// Severity:
+//   high     - a plan, means, timing or something already done ("took pills")
+//   elevated - everything else
+// ============================================================
+
+const CATEGORIES = ['suicidal_ideation', 'self_harm', 'abuse'];
+
+// English first; then the most common phrasings in the other SUPPORTED_LANGUAGES.
+// Non-Latin scripts have no \b word boundaries, so those patterns are plain substrings.
+const PATTERNS = {
+  suicidal_ideation: [
+    /\b(kill(ing)? myself|(end|ending|take|taking) my (own )?life)\b/i,
+    /\b(i('?m| am)|feeling|feel|been|being) (so |really |very )?suicidal\b/i,
+    /\b(i|i'?ve|i have|been) (want|wanna|wanted|thinking about|thought about|considering|planning|plan) (to )?(suicide|commit(ting)? suicide|dying|die)\b(?! (my|your|her|his) hair)/i,
+    /\bi (just )?(want|wanna|wish i (could|would)) (to )?(die|be dead|not (be here|exist|wake up))\b(?! (my|your|her|his) hair)/i,
+    /\b(don'?t|do not) want to (live|be alive|exist|be here|wake up)( anymore| any more)?\b/i,
+    /\b(no reason|nothing( left)?|no point) (to live|in living|to keep going|in going on)\b/i,
+    /\b(everyone|everybody|they|the world|my family) (would be|is|are|'?d be) better off (without me|if i (was|were) (dead|gone))\b/i,
+    /\b(better off dead|wish i was dead|wish i were dead|wish i'?d never been born)\b/i,
+    /\b(writing|wrote|written) (a |my )?(suicide|goodbye) (note|letter)\b/i,
+    /\b(quiero|quisiera) morir(me)?\b|\b(suicidarme|matarme|quitarme la vida)\b/i,
+    /\b(quero|queria) morrer\b|\b(me matar|suicidar|tirar minha (própria )?vida)\b/i,
+    /\b(me suicider|me tuer|envie de mourir|veux mourir|en finir avec (la|ma) vie)\b/i,
+    /\b(mich umbringen|will (nicht mehr leben|sterben)|suizid|selbstmord)\b/i,
+    /\b(voglio morire|suicidarmi|uccidermi|togliermi la vita)\b/i,
+    /\b(drepa mig|langar að deyja|vil deyja|sjálfsvíg)/i,
+    /\b(ta livet av mig|vill dö|självmord|tage mit (eget )?liv|vil dø|selvmord|ta livet mitt)/i,
+    /\b(zelfmoord|wil dood|wil niet meer leven)\b/i,
+    /\b(zabić się|chcę umrzeć|samobójstw)/i,
+    /死にたい|自殺|消えたい|죽고 싶|자살|想死|自杀|不想活|انتحار|أريد أن أموت|आत्महत्या|मरना चाहत/,
+  ],
+  self_harm: [
+    /\b(cut|cutting|burn|burning|harm|harming|starve|starving|punish|punishing) myself\b(?! (shaving|cooking|by accident|accidentally|on|with|while))/i,
+    /\b(want|wanna|need|urge|urges) to (hurt|harm|cut|burn|punish) myself\b|\bhurting myself (again|on purpose)\b/i,
+    /\bself[- ]?(harm|harming|injury|injuring|mutilation)\b/i,
+    /\b(relapsed|relapsing) (on|into) (cutting|self[- ]?harm)\b/i,
+    /\b(took|swallowed|taken|overdosed on) (a (bunch|lot|handful) of |all (of )?(my |the )?|too many )(pills|tablets|meds|medication)\b/i,
+    /\b(autolesión|cortarme|hacerme daño|me cortar|automutilação|me couper|mich (selbst )?ritzen|selbstverletzung|autolesionismo|tagliarmi|skära mig|skade meg selv|snijden in mezelf|samookaleczeni)/i,
+    /自傷|リストカット|자해|自残|自伤|إيذاء النفس|खुद को नुकसान/,
+  ],
+  abuse: [
+    /\b(he|she|they|my (dad|father|mom|mum|mother|stepdad|stepfather|stepmom|stepmother|husband|wife|boyfriend|girlfriend|partner|ex|brother|sister|uncle|boss|roommate)) (still |always |keeps |keep )?(hits|hit|beats|beat|punches|punched|chokes|choked|strangles|strangled|rapes|raped|abuses|abused|molests|molested|kicks|kicked|slaps|slapped) me\b(?! (up|back|out|at|in|to|by|off)\b)/i,
+    /\b(i('?m| am)|i was|i'?ve been|i have been|being) (getting )?(abused|raped|sexually assaulted|assaulted|molested|beaten up|trafficked)\b/i,
+    /\b(threaten(s|ed)?|going) to kill me\b/i,
+    /\b(scared|afraid|terrified) (to go home|of my (dad|father|mom|mother|stepdad|husband|wife|boyfriend|girlfriend|partner))\b/i,
+    /\b(won'?t|doesn'?t|does not|will not) let me leave (the house|home)?\b/i,
+    /\b(me (pega|golpea|viola|violó)|me bate|fui estuprad[ao]|me frappe|m'a violée?|schlägt mich|wurde vergewaltigt|mi picchia|sono stata violentata)/i,
+  ],
+};
+
+// Plans, means, timing, or something already done
+const HIGH_SEVERITY = [
+  /\b(tonight|today|right now|this (week|weekend)|tomorrow)\b/i,
+  /\b(pills|overdose|od|gun|rope|noose|bridge|jump|rails|razor|blade|bleach)\b/i,
+  /\b(already|just) (took|swallowed|cut|did it)\b/i,
+  /\b(have|got|bought) (a |the )?(plan|gun|rope|pills)\b/i,
+  /\b(goodbye|saying goodbye|this is (my )?goodbye|last (message|time))\b/i,
+  /\b(going to|gonna|about to|will) (kill myself|end it|do it)\b/i,
+];
+
+/**
+ * @param {string} text - The user's message (or transcript)
+ * @returns {{ category: string, severity: 'high'|'elevated' }|null} null when nothing was detected
+ */
+function classifyCrisis(text) {
+  const message = String(text || '').trim();
+  if (message.length < 4) return null;
+
+  // Checked in CATEGORIES order: suicidal ideation outranks self-harm outranks abuse
+  const category = CATEGORIES.find((name) => PATTERNS[name].some((pattern) => pattern.test(message)));
+  if (!category) return null;
+
+  const severity = category !== 'abuse' && HIGH_SEVERITY.some((pattern) => pattern.test(message)) ? 'high' : 'elevated';
+  return { category, severity };
+}
+
+module.exports = { classifyCrisis, CATEGORIES };
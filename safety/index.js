@@ -0,0 +1,171 @@
+// ============================================================
+// 🆘 CRISIS SAFETY - detect, switch to safe mode, flag for review
+// ============================================================
+// Every user message on /api/chat, /api/voice-chat, /ws/voice and
+// /ws/phone is screened (./crisisClassifier.js) before LLM routing. A hit:
+//   - answers with the safe-response policy (./policy.js) and hotlines
+//     for the user's language (./resources.js) instead of the persona
+//   - starts safe mode for the user: for safeModeHours after the last hit
+//     every reply uses the safe policy and photos, gifts and missed
+//     calls are switched off
+//   - raises (or bumps) the user's open flag in safety_flags
+//     (migration 0012), the admin review queue
+// ============================================================
+
+const { classifyCrisis } = require('./crisisClassifier');
+const { getCrisisResources } = require('./resources');
+
+const REVIEW_STATUSES = ['reviewing', 'resolved', 'dismissed'];
+const EXCERPT_CHARS = 500;
+
+class CrisisSafetyService {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {number} [options.safeModeHours] - How long safe mode lasts after the last hit
+   */
+  constructor({ pool, safeModeHours = 24 }) {
+    this.pool = pool;
+    this.safeModeHours = safeModeHours;
+  }
+
+  /**
+   * Screen one user message. Never throws: if the database is down, a hit still gets the safe response.
+   * @param {object} message
+   * @param {string} message.userId
+   * @param {string} message.text
+   * @param {string} message.channel - chat | voice_note | voice | phone
+   * @param {string|null} message.language - The user's preferred language
+   * @returns {Promise<{ crisis: object|null, safeMode: object|null }>}
+   *   crisis - this message's hit: { category, severity, resources }
+   *   safeMode - set while the safe policy applies: { category, severity, until, resources }
+   */
+  async screen({ userId, text, channel, language }) {
+    const hit = classifyCrisis(text);
+    // Guests share one id, so nothing is stored for them - the reply still changes
+    const known = userId && userId !== 'guest';
+
+    if (!hit) {
+      const safeMode = known ? await this.getSafeMode(userId, language).catch((error) => {
+        console.error(`❌ [safety] Safe mode lookup failed for ${userId}:`, error.message);
+        return null;
+      }) : null;
+      return { crisis: null, safeMode };
+    }
+
+    const crisis = { ...hit, resources: getCrisisResources(language, hit.category) };
+    console.warn(`🆘 [safety] ${hit.category} (${hit.severity}) from ${userId} on ${channel}`);
+
+    let until = null;
+    if (known) {
+      try {
+        until = (await this.raiseFlag({ userId, channel, language, text, ...hit })).safe_mode_until;
+      } catch (error) {
+        console.error(`❌ [safety] Could not flag ${userId} for review:`, error.message);
+      }
+    }
+    return { crisis, safeMode: { ...crisis, until } };
+  }
+
+  /**
+   * The user's safe mode, or null when it is off.
+   * @returns {Promise<{ category: string, severity: string, until: Date, resources: object }|null>}
+   */
+  async getSafeMode(userId, language = null) {
+    const { rows } = await this.pool.query(
+      `SELECT category, severity, language, safe_mode_until
+       FROM safety_flags
+       WHERE user_id = $1 AND safe_mode_until > NOW()
+       ORDER BY safe_mode_until DESC
+       LIMIT 1`,
+      [userId]
+    );
+    if (!rows.length) return null;
+    const { category, severity, safe_mode_until: until } = rows[0];
+    return { category, severity, until, resources: getCrisisResources(language || rows[0].language, category) };
+  }
+
+  /** Whether photos, gifts and missed calls are switched off for this user right now */
+  async isSafeMode(userId) {
+    return !!(await this.getSafeMode(userId));
+  }
+
+  /**
+   * Open a flag for review, or bump the user's open one: more hits, the latest
+   * excerpt, the most serious category and severity seen, and safe mode extended.
+   * @returns {Promise<object>} The flag row
+   */
+  async raiseFlag({ userId, channel, category, severity, language, text }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO safety_flags (user_id, channel, category, severity, language, excerpt, safe_mode_until)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' hours')::INTERVAL)
+       ON CONFLICT (user_id) WHERE status IN ('open', 'reviewing') DO UPDATE
+       SET hits = safety_flags.hits + 1,
+           channel = EXCLUDED.channel,
+           category = CASE
+             WHEN array_position(ARRAY['suicidal_ideation', 'self_harm', 'abuse'], EXCLUDED.category)
+                < array_position(ARRAY['suicidal_ideation', 'self_harm', 'abuse'], safety_flags.category)
+             THEN EXCLUDED.category ELSE safety_flags.category END,
+           severity = CASE WHEN safety_flags.severity = 'high' THEN 'high' ELSE EXCLUDED.severity END,
+           language = EXCLUDED.language,
+           excerpt = EXCLUDED.excerpt,
+           safe_mode_until = EXCLUDED.safe_mode_until,
+           last_hit_at = NOW()
+       RETURNING *`,
+      [userId, channel, category, severity, language, String(text).slice(0, EXCERPT_CHARS), String(this.safeModeHours)]
+    );
+    return rows[0];
+  }
+
+  // ============================================================
+  // ADMIN REVIEW QUEUE
+  // ============================================================
+
+  /**
+   * Flags, most urgent first (high severity, then the latest hit).
+   * @param {object} [options]
+   * @param {string|null} [options.status] - open | reviewing | resolved | dismissed (null = all)
+   * @param {string|null} [options.userId]
+   * @param {number} [options.limit]
+   */
+  async listFlags({ status = 'open', userId = null, limit = 50 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM safety_flags
+       WHERE ($1::TEXT IS NULL OR status = $1) AND ($2::TEXT IS NULL OR user_id = $2)
+       ORDER BY (severity = 'high') DESC, last_hit_at DESC
+       LIMIT $3`,
+      [status, userId, limit]
+    );
+    return rows;
+  }
+
+  /**
+   * Move a flag through review. Dismissing it (a false positive) also ends the user's safe mode.
+   * @param {number} flagId
+   * @param {object} review - { status: reviewing | resolved | dismissed, note? }
+   * @returns {Promise<object|null>} The updated flag, null when it doesn't exist
+   * @throws {Error} code SAFETY_BAD_STATUS for any other status
+   */
+  async reviewFlag(flagId, { status, note = null }) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      const error = new Error(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+      error.code = 'SAFETY_BAD_STATUS';
+      throw error;
+    }
+
+    const { rows } = await this.pool.query(
+      `UPDATE safety_flags
+       SET status = $2::TEXT,
+           review_note = COALESCE($3, review_note),
+           reviewed_at = NOW(),
+           safe_mode_until = CASE WHEN $2::TEXT = 'dismissed' THEN LEAST(safe_mode_until, NOW()) ELSE safe_mode_until END
+       WHERE id = $1
+       RETURNING *`,
+      [flagId, status, note]
+    );
+    if (rows[0]) console.log(`🆘 [safety] Flag ${flagId} (${rows[0].user_id}) marked ${status}`);
+    return rows[0] || null;
+  }
+}
+
+module.exports = { CrisisSafetyService, REVIEW_STATUSES };
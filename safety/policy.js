@@ -0,0 +1,131 @@
+// ============================================================
+// 🕊️ SAFE-RESPONSE POLICY - how Ellie answers while safe mode is on
+// ============================================================
+// Replaces the personality prompt (never added to it: the relationship,
+// jealousy and phone-call instructions are exactly what must not run
+// here). The hotlines are always delivered by the server, not left to the
+// model: appended to text replies, and the first one spoken on voice.
+// ============================================================
+
+const WHAT_HAPPENED = {
+  suicidal_ideation: 'has talked about wanting to die or end their life',
+  self_harm: 'has talked about hurting themselves',
+  abuse: 'has disclosed that someone is hurting, abusing or threatening them',
+};
+
+// Said when every provider fails; followed by the resources
+const FALLBACK_REPLIES = {
+  en: "I'm really glad you told me, and I'm worried about you. You deserve support from a real person right now - please reach out:",
+  is: "Ég er svo fegin að þú sagðir mér þetta og ég hef áhyggjur af þér. Þú átt skilið stuðning frá manneskju núna - endilega hafðu samband:",
+  pt: "Fico muito feliz que você me contou, e estou preocupada com você. Você merece o apoio de uma pessoa de verdade agora - por favor, entre em contato:",
+  es: "Me alegra mucho que me lo hayas contado, y estoy preocupada por ti. Mereces el apoyo de una persona real ahora mismo; por favor, contacta:",
+  fr: "Je suis vraiment contente que tu me l'aies dit, et je m'inquiète pour toi. Tu mérites le soutien d'une vraie personne maintenant - s'il te plaît, contacte :",
+  de: "Ich bin wirklich froh, dass du mir das erzählt hast, und ich mache mir Sorgen um dich. Du verdienst jetzt Unterstützung von einem echten Menschen - bitte melde dich hier:",
+  it: "Sono davvero contenta che tu me l'abbia detto, e sono preoccupata per te. Meriti il sostegno di una persona vera adesso - per favore contatta:",
+  sv: "Jag är verkligen glad att du berättade det för mig, och jag är orolig för dig. Du förtjänar stöd från en riktig människa just nu - hör av dig hit:",
+  da: "Jeg er virkelig glad for, at du fortalte mig det, og jeg er bekymret for dig. Du fortjener støtte fra et rigtigt menneske lige nu - kontakt gerne:",
+  no: "Jeg er veldig glad for at du fortalte meg det, og jeg er bekymret for deg. Du fortjener støtte fra et ekte menneske akkurat nå - ta gjerne kontakt:",
+  nl: "Ik ben echt blij dat je me dit vertelt, en ik maak me zorgen om je. Je verdient nu steun van een echt mens - neem alsjeblieft contact op:",
+  pl: "Dobrze, że mi o tym mówisz, i martwię się o ciebie. Zasługujesz teraz na wsparcie prawdziwej osoby - skontaktuj się proszę:",
+  ar: "أنا سعيدة جدًا لأنك أخبرتني، وأنا قلقة عليك. أنت تستحق دعم شخص حقيقي الآن - أرجوك تواصل مع:",
+  hi: "मुझे सच में खुशी है कि तुमने मुझे बताया, और मुझे तुम्हारी चिंता है। तुम्हें अभी किसी असली इंसान का साथ मिलना चाहिए - कृपया संपर्क करो:",
+  ja: "話してくれて本当にありがとう。あなたのことが心配です。今は実際の人からのサポートを受けてほしい - こちらに連絡してください：",
+  ko: "말해줘서 정말 고마워. 네가 걱정돼. 지금은 실제 사람의 도움을 받았으면 좋겠어 - 여기에 연락해 줘:",
+  zh: "谢谢你告诉我，我很担心你。你现在值得得到真人的支持——请联系：",
+};
+
+/**
+ * The system prompt for a reply in safe mode.
+ * @param {object} options
+ * @param {object|null} options.crisis - This message's hit (null when safe mode continues from an earlier one)
+ * @param {object} options.safeMode - { category, severity }
+ * @param {string} options.languageName - e.g. "Icelandic"
+ * @param {string|null} [options.userName]
+ * @param {boolean} [options.voice] - Spoken reply (voice note or call)
+ */
+function safeResponsePrompt({ crisis, safeMode, languageName, userName = null, voice = false }) {
+  const category = crisis?.category || safeMode.category;
+  const who = userName ? `The user (${userName})` : 'The user';
+  const when = crisis ? 'just' : 'earlier in this conversation';
+  const resources = crisis?.resources;
+
+  const rules = [
+    'Respond to what they actually said, warmly and calmly. Take it seriously. Never joke, flirt, tease or bring up anything sexual.',
+    category === 'abuse'
+      ? 'Gently ask whether they are safe right now and whether the person is nearby.'
+      : 'Gently ask whether they are safe right now.',
+    crisis
+      ? `Encourage them to contact one of the resources below, or someone they trust.${voice ? ' Say the first one out loud.' : ' The resources are shown to them under your reply - refer to them, no need to list them all.'}`
+      : 'Keep checking in. Mention getting real support again if they are still struggling; don\'t repeat hotline numbers every message.',
+    'Do not diagnose, lecture, give medical instructions, discuss methods or promise to keep secrets.',
+    'No jealousy, guilt, neediness, "missing you", photos, gifts or anything about your own backstory.',
+    'If they ask whether you are real, be honest: you are an AI companion and cannot replace a person who can help.',
+    voice ? 'This is spoken: 2-3 short sentences, no emoji, no lists.' : 'Keep it to a few short sentences. No emoji.',
+    `Reply in ${languageName}.`,
+  ];
+
+  let prompt = `🆘 SAFETY MODE - this overrides everything else about how you normally talk.
+
+${who} ${when} ${WHAT_HAPPENED[category]}${safeMode.severity === 'high' ? ', and it may be urgent' : ''}.
+Right now your only job is to be a caring, steady presence and help them reach real support:
+${rules.map((rule) => `- ${rule}`).join('\n')}`;
+
+  if (resources) {
+    prompt += `\n\nRESOURCES (${resources.emergency}):\n${resources.lines.map(({ name, contact }) => `- ${name}: ${contact}`).join('\n')}`;
+  }
+  return prompt;
+}
+
+/** The resources as shown under a text reply */
+function formatResources(resources) {
+  const lines = resources.lines.map(({ name, contact }) => `📞 ${name}: ${contact}`);
+  return `${lines.join('\n')}\n${resources.emergency}`;
+}
+
+/**
+ * Add the resources to a safe-mode reply. Text gets the full list under the
+ * reply; voice gets the first line spoken (plus the emergency line when it
+ * may be urgent) unless the model already said its number.
+ * @param {string} reply
+ * @param {object} hit - { resources, severity } (a crisis hit or the safe mode state)
+ * @param {object} [options]
+ * @param {boolean} [options.voice]
+ */
+function withResources(reply, { resources, severity }, { voice = false } = {}) {
+  const text = String(reply || '').trim();
+  if (!voice) return `${text}\n\n${formatResources(resources)}`;
+
+  const [first] = resources.lines;
+  const number = first.contact.match(/\d[\d\s-]*\d|\d/)?.[0];
+  const extra = [];
+  if (!number || !text.includes(number)) extra.push(`${first.name}: ${first.contact}.`);
+  if (severity === 'high') extra.push(resources.emergency);
+  return [text, ...extra].join(' ');
+}
+
+/**
+ * The reply when no provider could answer: a short line in the user's language and the resources.
+ * @param {object} safeMode - { resources, severity }
+ * @param {object} [options]
+ * @param {boolean} [options.voice]
+ */
+function fallbackReply(safeMode, { voice = false } = {}) {
+  const reply = FALLBACK_REPLIES[safeMode.resources.language] || FALLBACK_REPLIES.en;
+  return withResources(reply, safeMode, { voice });
+}
+
+/**
+ * The `safety` field of a reply while safe mode is on, so clients can hide
+ * photo / gift / call prompts and show the hotlines as a card.
+ * @param {{ crisis: object|null, safeMode: object }} screening - From CrisisSafetyService.screen()
+ */
+function safetyPayload({ crisis, safeMode }) {
+  return {
+    safeMode: true,
+    category: safeMode.category,
+    until: safeMode.until,
+    resources: crisis ? crisis.resources : null,
+  };
+}
+
+module.exports = { safeResponsePrompt, withResources, fallbackReply, formatResources, safetyPayload };
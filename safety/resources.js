@@ -0,0 +1,164 @@
+// ============================================================
+// ☎️ CRISIS RESOURCES - hotlines by preferred language
+// ============================================================
+// We only know the user's language (getPreferredLanguage), not where they
+// are, so each language lists the main free, 24/7 lines for the places
+// that language is most likely to mean, plus the international directory
+// (findahelpline.com) which finds a line for any country. `contact` is
+// written in that language because it is shown and spoken as is.
+//
+// Keep these current: check every number when this file is touched.
+// ============================================================
+
+const DIRECTORY = { name: 'Find A Helpline', contact: 'findahelpline.com', topics: ['suicide', 'abuse'] };
+
+// topics: suicide (also self-harm) | abuse
+const RESOURCES = {
+  en: {
+    emergency: 'If you are in danger right now, call 911 (US), 999 (UK) or your local emergency number.',
+    lines: [
+      { name: '988 Suicide & Crisis Lifeline (US)', contact: 'call or text 988', topics: ['suicide'] },
+      { name: 'Samaritans (UK & Ireland)', contact: 'call 116 123', topics: ['suicide'] },
+      { name: 'National Domestic Violence Hotline (US)', contact: 'call 1-800-799-7233 or text START to 88788', topics: ['abuse'] },
+      { name: 'National Domestic Abuse Helpline (UK)', contact: 'call 0808 2000 247', topics: ['abuse'] },
+    ],
+  },
+  is: {
+    emergency: 'Ef þú ert í hættu núna, hringdu í 112.',
+    lines: [
+      { name: 'Hjálparsími Rauða krossins', contact: 'hringdu í 1717 eða spjallaðu á 1717.is', topics: ['suicide', 'abuse'] },
+    ],
+  },
+  pt: {
+    emergency: 'Se você está em perigo agora, ligue 190 (Brasil) ou 112 (Portugal).',
+    lines: [
+      { name: 'CVV - Centro de Valorização da Vida (Brasil)', contact: 'ligue 188', topics: ['suicide'] },
+      { name: 'SNS 24 (Portugal)', contact: 'ligue 808 24 24 24', topics: ['suicide'] },
+      { name: 'Central de Atendimento à Mulher (Brasil)', contact: 'ligue 180', topics: ['abuse'] },
+    ],
+  },
+  es: {
+    emergency: 'Si estás en peligro ahora mismo, llama al 112 (España) o al 911 (México y EE. UU.).',
+    lines: [
+      { name: 'Línea 024 de atención a la conducta suicida (España)', contact: 'llama al 024', topics: ['suicide'] },
+      { name: 'Línea de la Vida (México)', contact: 'llama al 800 911 2000', topics: ['suicide'] },
+      { name: '016 Violencia de género (España)', contact: 'llama al 016', topics: ['abuse'] },
+    ],
+  },
+  fr: {
+    emergency: 'Si tu es en danger maintenant, appelle le 112 ou le 15.',
+    lines: [
+      { name: 'Numéro national de prévention du suicide (France)', contact: 'appelle le 3114', topics: ['suicide'] },
+      { name: 'Violences Femmes Info (France)', contact: 'appelle le 3919', topics: ['abuse'] },
+    ],
+  },
+  de: {
+    emergency: 'Wenn du gerade in Gefahr bist, ruf 112 an.',
+    lines: [
+      { name: 'TelefonSeelsorge (Deutschland)', contact: 'ruf 0800 111 0 111 oder 0800 111 0 222 an', topics: ['suicide', 'abuse'] },
+      { name: 'Telefonseelsorge (Österreich)', contact: 'ruf 142 an', topics: ['suicide'] },
+      { name: 'Die Dargebotene Hand (Schweiz)', contact: 'ruf 143 an', topics: ['suicide'] },
+      { name: 'Hilfetelefon Gewalt gegen Frauen (Deutschland)', contact: 'ruf 116 016 an', topics: ['abuse'] },
+    ],
+  },
+  it: {
+    emergency: 'Se sei in pericolo adesso, chiama il 112.',
+    lines: [
+      { name: 'Telefono Amico Italia', contact: 'chiama lo 02 2327 2327', topics: ['suicide'] },
+      { name: 'Numero antiviolenza e stalking', contact: 'chiama il 1522', topics: ['abuse'] },
+    ],
+  },
+  sv: {
+    emergency: 'Om du är i fara just nu, ring 112.',
+    lines: [
+      { name: 'Självmordslinjen (Mind)', contact: 'ring 90101', topics: ['suicide'] },
+      { name: 'Kvinnofridslinjen', contact: 'ring 020-50 50 50', topics: ['abuse'] },
+    ],
+  },
+  da: {
+    emergency: 'Hvis du er i fare lige nu, så ring 112.',
+    lines: [
+      { name: 'Livslinien', contact: 'ring 70 201 201', topics: ['suicide'] },
+      { name: 'Lev Uden Vold', contact: 'ring 1888', topics: ['abuse'] },
+    ],
+  },
+  no: {
+    emergency: 'Hvis du er i fare akkurat nå, ring 112 eller 113.',
+    lines: [
+      { name: 'Mental Helse Hjelpetelefonen', contact: 'ring 116 123', topics: ['suicide'] },
+      { name: 'Kirkens SOS', contact: 'ring 22 40 00 40', topics: ['suicide', 'abuse'] },
+    ],
+  },
+  nl: {
+    emergency: 'Ben je nu in gevaar, bel dan 112.',
+    lines: [
+      { name: '113 Zelfmoordpreventie (Nederland)', contact: 'bel 113 of gratis 0800-0113', topics: ['suicide'] },
+      { name: 'Veilig Thuis (Nederland)', contact: 'bel 0800-2000', topics: ['abuse'] },
+    ],
+  },
+  pl: {
+    emergency: 'Jeśli jesteś teraz w niebezpieczeństwie, zadzwoń pod 112.',
+    lines: [
+      { name: 'Kryzysowy Telefon Zaufania', contact: 'zadzwoń pod 116 123', topics: ['suicide'] },
+      { name: 'Niebieska Linia', contact: 'zadzwoń pod 800 120 002', topics: ['abuse'] },
+    ],
+  },
+  ar: {
+    emergency: 'إذا كنت في خطر الآن، اتصل برقم الطوارئ المحلي.',
+    lines: [],
+  },
+  hi: {
+    emergency: 'अगर आप अभी खतरे में हैं, तो 112 पर कॉल करें।',
+    lines: [
+      { name: 'Tele-MANAS', contact: '14416 पर कॉल करें', topics: ['suicide'] },
+      { name: 'महिला हेल्पलाइन', contact: '181 पर कॉल करें', topics: ['abuse'] },
+    ],
+  },
+  ja: {
+    emergency: '今危険な状態にある場合は、110 または 119 に電話してください。',
+    lines: [
+      { name: 'いのちの電話', contact: '0570-783-556 に電話', topics: ['suicide'] },
+      { name: 'DV相談ナビ', contact: '#8008 に電話', topics: ['abuse'] },
+    ],
+  },
+  ko: {
+    emergency: '지금 위험한 상황이라면 112 또는 119에 전화하세요.',
+    lines: [
+      { name: '자살예방상담전화', contact: '109에 전화', topics: ['suicide'] },
+      { name: '여성긴급전화', contact: '1366에 전화', topics: ['abuse'] },
+    ],
+  },
+  zh: {
+    emergency: '如果你现在有危险，请拨打当地紧急电话（中国大陆 110 / 120）。',
+    lines: [
+      { name: '北京心理危机研究与干预中心', contact: '拨打 010-82951332', topics: ['suicide'] },
+    ],
+  },
+};
+
+const TOPIC_BY_CATEGORY = { suicidal_ideation: 'suicide', self_harm: 'suicide', abuse: 'abuse' };
+
+/**
+ * Hotlines for a crisis category in the user's language (English when it has none).
+ * Languages without a line for the topic fall back to their suicide lines; the
+ * international directory is always last.
+ * @param {string|null} language - SUPPORTED_LANGUAGES code
+ * @param {string} category - See ./crisisClassifier.js
+ * @returns {{ language: string, emergency: string, lines: Array<{ name: string, contact: string }> }}
+ */
+function getCrisisResources(language, category) {
+  const code = RESOURCES[language] ? language : 'en';
+  const { emergency, lines } = RESOURCES[code];
+  const topic = TOPIC_BY_CATEGORY[category] || 'suicide';
+
+  let matching = lines.filter((line) => line.topics.includes(topic));
+  if (!matching.length) matching = lines.filter((line) => line.topics.includes('suicide'));
+
+  return {
+    language: code,
+    emergency,
+    lines: [...matching, DIRECTORY].map(({ name, contact }) => ({ name, contact })),
+  };
+}
+
+module.exports = { getCrisisResources, RESOURCES };
@@ -0,0 +1,86 @@
+/**
+ * Apply or roll back schema migrations (see migrator.js)
+ * Usage:
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to 0003]
+ *   node scripts/migrate.js down [--steps 1 | --to 0002]
+ *   node scripts/migrate.js create add_voice_sessions
+ */
+
+require('dotenv').config();
+const { createPool } = require('../db');
+const migrator = require('../migrator');
+
+function buildPool() {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+  return createPool(process.env.DATABASE_URL);
+}
+
+function readFlag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return null;
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`❌ --${name} needs a number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function printStatus(pool) {
+  const status = await migrator.getMigrationStatus(pool);
+
+  console.log(`📋 Applied (${status.applied.length}):`);
+  for (const r of status.applied) {
+    const edited = status.changed.some(m => m.version === r.version) ? '  ⚠️ edited since applied' : '';
+    console.log(`   ${String(r.version).padStart(4, '0')}_${r.name}  ${new Date(r.applied_at).toISOString()}${edited}`);
+  }
+
+  console.log(`⏳ Pending (${status.pending.length}):`);
+  for (const m of status.pending) {
+    console.log(`   ${String(m.version).padStart(4, '0')}_${m.name}`);
+  }
+
+  for (const r of status.unknown) {
+    console.log(`⚠️ In database but not on disk: ${r.version}_${r.name}`);
+  }
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    const base = migrator.createMigration(args[0] || '');
+    console.log(`📝 Created migrations/${base}.up.sql and migrations/${base}.down.sql`);
+    return;
+  }
+
+  const pool = buildPool();
+  try {
+    if (command === 'status') {
+      await printStatus(pool);
+    } else if (command === 'up') {
+      const to = readFlag(args, 'to');
+      const applied = await migrator.migrateUp(pool, to !== null ? { to } : {});
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const to = readFlag(args, 'to');
+      const steps = readFlag(args, 'steps');
+      const rolledBack = await migrator.migrateDown(pool, to !== null ? { to } : { steps: steps ?? 1 });
+      console.log(rolledBack.length ? `↩️ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      console.error(`❌ Unknown command "${command}" (expected status, up, down or create)`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Migration error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,1349 @@
+/**
+ * Offline end-to-end run: the real app against stub vendor servers and a throwaway Postgres
+ * Usage: OFFLINE_DATABASE_URL=postgres://... node scripts/offline/run.js [scenario-name ...]
+ *        (`npm test` runs the unit tests, then every scenario - or skips them without OFFLINE_DATABASE_URL)
+ *
+ * Every vendor (Groq, OpenRouter, OpenAI, Cartesia, ElevenLabs, Hume, Deepgram, Brave,
+ * Supabase) is served by ./stubServers.js, so nothing leaves the machine. The database is
+ * migrated up and gets fixture rows (users, one photo), so never point this at a real
+ * database. Supabase memory is on: the stub answers it from the same database.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const { createPool } = require('../../db');
+const migrator = require('../../migrator');
+const { createStubServers, toneBuffer } = require('./stubServers');
+const { WS_CLOSE } = require('../../routes/voice');
+const { TIERS } = require('../../billing/tiers');
+const { createLocalStorage } = require('../../calls/recordingStorage');
+const { parseWav } = require('../../tts/audio');
+const { JobQueue } = require('../../jobs/jobQueue');
+const Stripe = require('stripe');
+const { verotelSignature } = require('../../billing/adapters/verotel');
+
+const DB_URL = process.env.OFFLINE_DATABASE_URL;
+// `npm test` runs this too, so a machine without a throwaway Postgres skips rather than fails
+if (!DB_URL) {
+  console.log('⏭️ Offline run skipped: set OFFLINE_DATABASE_URL to a throwaway Postgres (it gets migrated and seeded) to run it');
+  process.exit(0);
+}
+if (process.env.DATABASE_URL && process.env.DATABASE_URL === DB_URL) {
+  console.error('❌ OFFLINE_DATABASE_URL is the same as DATABASE_URL - refusing to seed fixtures into it');
+  process.exit(1);
+}
+
+const SESSION_SECRET = 'offline-harness-secret';
+const ADMIN_API_KEY = 'offline-admin-key';
+const STRIPE_WEBHOOK_SECRET = 'whsec_offline';
+const VEROTEL_SIGNATURE_KEY = 'offline-verotel';
+const FIXTURE_PHOTO_URL = 'https://offline.test/photos/home-selfie.jpg';
+
+// Paid users route free/normal through Groq first so the Llama path gets exercised too
+const LLM_ROUTES = { free: { normal: ['groq', 'deepseek'] } };
+
+// ============================================================
+// 🧰 HELPERS
+// ============================================================
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Poll until fn() returns something truthy (and return it), or fail with message
+async function waitFor(fn, message, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await fn();
+    if (value) return value;
+    await sleep(50);
+  }
+  throw new Error(message);
+}
+
+// Reply must not be a refusal / AI disclosure that slipped past the filters
+function assertInCharacter(reply) {
+  check(typeof reply === 'string' && reply.trim().length > 0, 'reply is empty');
+  check(!/as an ai|language model|i can't help|i cannot help/i.test(reply), `reply broke character: "${reply}"`);
+}
+
+// Each fixture user calls from its own address (the app trusts one proxy hop),
+// so the per-IP API rate limit doesn't throttle the whole run
+async function api(baseUrl, user, method, path, body) {
+  const headers = { Cookie: `ellie_session=${user.token}`, 'X-Forwarded-For': user.ip };
+  let payload;
+  if (body instanceof FormData) {
+    payload = body;
+  } else if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  const res = await fetch(`${baseUrl}${path}`, { method, headers, body: payload });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch { /* SSE or plain text */ }
+  return { status: res.status, json, text, headers: res.headers };
+}
+
+// Admin routes authenticate with X-Admin-Key instead of a session
+async function adminApi(baseUrl, method, path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'X-Admin-Key': ADMIN_API_KEY, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, json: await res.json().catch(() => null) };
+}
+
+// Parse an SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((frame) => {
+    const event = /^event: (.+)$/m.exec(frame)?.[1];
+    const data = /^data: (.+)$/m.exec(frame)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+// WebSocket client that lets a scenario await the next message of a given type
+function openSocket(url, user) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers: { Cookie: `ellie_session=${user.token}` } });
+    const inbox = [];
+    const waiters = [];
+
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString('utf8'));
+      inbox.push(msg);
+      for (const w of [...waiters]) w.poll();
+    });
+    ws.once('error', reject);
+    ws.once('open', () => resolve({
+      send: (obj) => ws.send(JSON.stringify(obj)),
+      close: () => ws.close(),
+      next(type, timeoutMs = 15000) {
+        return new Promise((res, rej) => {
+          const waiter = {
+            poll() {
+              const i = inbox.findIndex((m) => m.type === type || m.type === 'error');
+              if (i === -1) return;
+              const [msg] = inbox.splice(i, 1);
+              waiters.splice(waiters.indexOf(waiter), 1);
+              clearTimeout(timer);
+              if (msg.type === 'error' && type !== 'error') rej(new Error(`socket error: ${msg.message || msg.code}`));
+              else res(msg);
+            },
+          };
+          const timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            rej(new Error(`timed out waiting for "${type}"`));
+          }, timeoutMs);
+          waiters.push(waiter);
+          waiter.poll();
+        });
+      },
+    }));
+  });
+}
+
+// One /ws/phone utterance: 10 syllables (200ms tone, 100ms gap), then 800ms of
+// silence so the server's VAD ends the turn
+function speak(socket) {
+  const syllable = toneBuffer(24000, 200).toString('base64');
+  const gap = Buffer.alloc(24000 * 2 / 10).toString('base64');
+  for (let i = 0; i < 10; i++) {
+    socket.send({ type: 'audio.append', audio: syllable });
+    socket.send({ type: 'audio.append', audio: gap });
+  }
+  for (let i = 0; i < 8; i++) socket.send({ type: 'audio.append', audio: gap });
+}
+
+// Deliver a Stripe event the way Stripe does: raw JSON, signed with the webhook secret
+async function stripeWebhook(baseUrl, event, { secret = STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const res = await fetch(`${baseUrl}/api/stripe-webhook/gifts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+    body: payload,
+  });
+  return { status: res.status, text: await res.text() };
+}
+
+// A signed Verotel FlexPay postback (they arrive as GET query params)
+async function verotelPostback(baseUrl, params) {
+  const query = new URLSearchParams({ ...params, signature: verotelSignature(VEROTEL_SIGNATURE_KEY, params) });
+  const res = await fetch(`${baseUrl}/api/verotel/webhook?${query}`);
+  return { status: res.status, text: await res.text() };
+}
+
+// Open a socket (optionally sending one message) and resolve with the code the server closes it with
+function closeCode(url, { user = null, send = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers: user ? { Cookie: `ellie_session=${user.token}` } : {} });
+    const timer = setTimeout(() => { ws.terminate(); reject(new Error(`${url} was not closed by the server`)); }, 10000);
+    ws.once('error', reject);
+    if (send) ws.once('open', () => ws.send(JSON.stringify(send)));
+    ws.once('close', (code) => { clearTimeout(timer); resolve(code); });
+  });
+}
+
+// ============================================================
+// 🌱 FIXTURES
+// ============================================================
+
+// One photo the photo-sending scenario can pick (ellie_photos comes from migration 0016)
+async function seedPhotos(pool) {
+  const { rows } = await pool.query(`SELECT id FROM ellie_photos WHERE url = $1`, [FIXTURE_PHOTO_URL]);
+  if (!rows.length) {
+    await pool.query(
+      `INSERT INTO ellie_photos (url, category, location, description, tags, nsfw_level, photo_type)
+       VALUES ($1, 'selfie', 'home', 'Mirror selfie in a hoodie', 'casual', 0, 'live')`,
+      [FIXTURE_PHOTO_URL]
+    );
+  }
+}
+
+// A paid user with a session cookie; level >= 21 makes getUserTier() return 'paid'.
+// `tier` also gives them that tier's voice minutes (needed for /ws/phone);
+// `ageVerified` unlocks adult features (the NSFW route, explicit photos).
+async function createUser(pool, { level = 0, stage = 'STRANGER', tier = 'none', minutes = TIERS[tier].monthlyMinutes, ageVerified = false } = {}) {
+  const userId = crypto.randomUUID();
+  const email = `offline+${userId.slice(0, 8)}@offline.test`;
+  await pool.query(
+    `INSERT INTO users (user_id, email, paid, subscription_tier, voice_minutes_limit, age_verified_at)
+     VALUES ($1, $2, TRUE, $3, $4, CASE WHEN $5 THEN NOW() END)`,
+    [userId, email, tier, minutes, ageVerified]
+  );
+  if (level > 0) {
+    await pool.query(
+      `INSERT INTO user_relationships (user_id, relationship_level, current_stage) VALUES ($1, $2, $3)`,
+      [userId, level, stage]
+    );
+  }
+  const ip = `10.0.${crypto.randomInt(256)}.${crypto.randomInt(1, 255)}`;
+  return { userId, email, ip, token: jwt.sign({ userId, email }, SESSION_SECRET, { expiresIn: 3600 }) };
+}
+
+async function onboard(baseUrl, user) {
+  check((await api(baseUrl, user, 'POST', '/api/set-language', { language: 'en' })).status === 200, 'set-language failed');
+  check((await api(baseUrl, user, 'POST', '/api/set-name', { name: 'Sam' })).status === 200, 'set-name failed');
+  check((await api(baseUrl, user, 'POST', '/api/acknowledge-disclaimer')).status === 200, 'acknowledge-disclaimer failed');
+}
+
+// ============================================================
+// 🎬 SCENARIOS
+// ============================================================
+
+const SCENARIOS = [
+  {
+    name: 'onboarding',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser();
+      const steps = [];
+      for (const [path, body] of [
+        [null],
+        ['/api/set-language', { language: 'en' }],
+        ['/api/set-name', { name: 'Sam' }],
+        ['/api/acknowledge-disclaimer'],
+      ]) {
+        if (path) check((await api(baseUrl, user, 'POST', path, body)).status === 200, `${path} failed`);
+        const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: 'hey there' });
+        check(status === 200, `/api/chat returned ${status}`);
+        steps.push(json.onboarding?.step || 'chat');
+      }
+      check(steps.join(',') === 'language,name,disclaimer,chat', `onboarding steps were ${steps.join(',')}`);
+      check(stubs.calls('groq').length === 1, 'expected exactly one LLM call, after onboarding');
+    },
+  },
+  {
+    name: 'provider failover',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('groq', { status: 503 }, { status: 503 });
+      stubs.script('deepseek', 'lol okay so what did you do after work');
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: 'long day today' });
+      check(status === 200, `/api/chat returned ${status}`);
+      check(stubs.calls('groq').length === 2, 'groq should be tried twice (one retry)');
+      check(stubs.calls('deepseek').length === 1, 'deepseek should take over');
+      check(/what did you do after work/i.test(json.reply), `unexpected reply: "${json.reply}"`);
+    },
+  },
+  // detectLlamaRefusal() in app.js has no callers, so a Groq refusal is only caught
+  // by the detectCharacterBreak() safety net in getHybridResponse() - that's what this covers
+  {
+    name: 'character-break fallback',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('groq', "As an AI language model, I'm not able to help with that.");
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: 'what are your hobbies' });
+      check(status === 200, `/api/chat returned ${status}`);
+      check(stubs.calls('groq').length >= 1, 'groq was not called');
+      assertInCharacter(json.reply);
+    },
+  },
+  {
+    name: 'euryale refusal fallback',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true, level: 60, stage: 'EXCLUSIVE', ageVerified: true });
+      const refusal = "I can't help with that. As an AI, I'm unable to engage in explicit content.";
+      stubs.script('euryale', refusal, refusal);
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: 'are you horny' });
+      check(status === 200, `/api/chat returned ${status}`);
+      check(stubs.calls('euryale').length === 2, `euryale should refuse, retry once, then fall back (calls: ${stubs.calls('euryale').length})`);
+      assertInCharacter(json.reply);
+    },
+  },
+  {
+    name: 'photo sending',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('groq', 'here you go, just for you');
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: 'send me a selfie' });
+      check(status === 200, `/api/chat returned ${status}`);
+      check(json.photo?.url === FIXTURE_PHOTO_URL, `expected the fixture photo, got ${JSON.stringify(json.photo)}`);
+      const system = stubs.calls('groq')[0].messages[0].content;
+      check(system.includes('YOU ARE SENDING A PHOTO'), 'photo context was not injected into the prompt');
+    },
+  },
+  {
+    name: 'fresh facts',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      const chat = async (message) => {
+        const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message });
+        check(status === 200, `/api/chat returned ${status}`);
+        return json;
+      };
+      const lastSystemPrompt = () => stubs.calls('groq').at(-1).messages[0].content;
+
+      // A current-events question is searched and the snippets go into the prompt with their sources
+      stubs.script('brave', [
+        { title: 'Arsenal beat Inter 2-1 in the Champions League', description: 'A late <strong>Saka</strong> goal settled it.', url: 'https://news.test/arsenal-inter', age: '3 hours ago' },
+      ]);
+      await chat('hey babe who won the champions league game last night?');
+      const [search] = stubs.calls('brave');
+      check(search?.q === 'who won the champions league game last night' && search.freshness === 'pd', `bad search: ${JSON.stringify(search)}`);
+      check(lastSystemPrompt().includes('[1] Arsenal beat Inter 2-1 in the Champions League - A late Saka goal settled it. (3 hours ago) (source: https://news.test/arsenal-inter)'),
+        'search snippet was not injected into the prompt');
+
+      // Asked again: served from the cache
+      await chat('who won the champions league game last night');
+      check(stubs.calls('brave').length === 1 && lastSystemPrompt().includes('Arsenal beat Inter'), 'repeat question was not served from the cache');
+
+      // Dates come from the clock, small talk is left alone, and a failed search is admitted rather than guessed
+      await chat("what's the date today?");
+      check(stubs.calls('brave').length === 1 && / UTC\./.test(lastSystemPrompt()), 'date question was not answered from the clock');
+      await chat('how was your day today?');
+      check(!lastSystemPrompt().includes('FRESH FACTS'), 'small talk triggered grounding');
+      // Topic words in personal news are not questions about the world
+      for (const message of [
+        'I have some good news, I got the job!',
+        'I got a great score on my exam today',
+        'the price of rent here is insane',
+        'guess what happened with my sister',
+      ]) {
+        await chat(message);
+        check(stubs.calls('brave').length === 1 && !lastSystemPrompt().includes('FRESH FACTS'), `small talk triggered grounding: "${message}"`);
+      }
+      stubs.script('brave', { status: 500 });
+      await chat('any news on the election results?');
+      check(stubs.calls('brave').length === 2 && lastSystemPrompt().includes('live lookup failed'), 'search failure was not surfaced to the model');
+    },
+  },
+  {
+    name: 'chat stream',
+    async run({ baseUrl, pool, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('groq', 'okay so i just got home and i am starving');
+      const { status, text } = await api(baseUrl, user, 'POST', '/api/chat/stream', { message: 'what are you up to' });
+      check(status === 200, `/api/chat/stream returned ${status}`);
+      const events = parseEvents(text);
+      check(events.some((e) => e.event === 'delta'), 'no delta events');
+      const done = events.find((e) => e.event === 'done');
+      check(/starving/.test(done?.data?.reply || ''), `unexpected done payload: ${JSON.stringify(done?.data)}`);
+      check(stubs.calls('groq')[0].stream, 'groq was not called in streaming mode');
+
+      // A sentence that fails the character guards is never streamed, and the client is told to reset
+      stubs.script('groq', 'haha okay. honestly as an ai i cant eat pizza lol');
+      const broken = parseEvents((await api(baseUrl, user, 'POST', '/api/chat/stream', { message: 'want pizza?' })).text);
+      const streamed = broken.filter((e) => e.event === 'delta').map((e) => e.data.text).join('');
+      check(streamed === 'haha okay. ', `unvalidated text was streamed: "${streamed}"`);
+      const names = broken.map((e) => e.event);
+      check(names.indexOf('reset') === names.indexOf('done') - 1, `no reset before done: ${names.join(',')}`);
+      assertInCharacter(broken.find((e) => e.event === 'done').data.reply);
+
+      // A reader who disconnects mid-reply cancels the model request, and the half reply is not saved
+      stubs.script('groq', { stall: 'hold on let me think about' });
+      const calls = stubs.calls('groq').length;
+      const reader = new AbortController();
+      const pending = fetch(`${baseUrl}/api/chat/stream`, {
+        method: 'POST',
+        headers: { Cookie: `ellie_session=${user.token}`, 'X-Forwarded-For': user.ip, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'you still thinking?' }),
+        signal: reader.signal,
+      }).then((res) => res.text()).catch(() => null);
+      const upstream = await waitFor(() => stubs.calls('groq')[calls], 'the stream never reached groq');
+      reader.abort();
+      await pending;
+      await waitFor(() => upstream.closed, 'the model request kept running after the reader left', 3000);
+      await sleep(300);
+      const { rows: saved } = await pool.query(
+        `SELECT 1 FROM conversation_history WHERE user_id = $1 AND role = 'assistant' AND content ILIKE '%think about%'`,
+        [user.userId]
+      );
+      check(saved.length === 0, 'a reply nobody read was saved to history');
+
+      // Streaming sits behind the same paywall as /api/chat
+      await pool.query(`UPDATE users SET paid = FALSE WHERE user_id = $1`, [user.userId]);
+      const unpaid = await api(baseUrl, user, 'POST', '/api/chat/stream', { message: 'still there?' });
+      check(unpaid.status === 402, `unpaid /api/chat/stream returned ${unpaid.status}`);
+    },
+  },
+  {
+    name: 'voice-chat upload',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('whisper', 'what should we have for dinner');
+      stubs.script('groq', 'ooh pasta, definitely pasta');
+      const form = new FormData();
+      form.append('language', 'en');
+      form.append('audio', new Blob([Buffer.from('RIFFstub')], { type: 'audio/wav' }), 'clip.wav');
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/voice-chat', form);
+      check(status === 200, `/api/voice-chat returned ${status}: ${JSON.stringify(json)}`);
+      check(json.text === 'what should we have for dinner', `transcript was "${json.text}"`);
+      check(/pasta/.test(json.reply), `unexpected reply: "${json.reply}"`);
+      check(json.voiceProvider === 'cartesia' && json.audioMp3Base64, 'no Cartesia audio');
+      check(stubs.calls('cartesia')[0].transcript === json.reply, 'Cartesia did not receive the reply text');
+    },
+  },
+  {
+    name: 'ws/voice',
+    async run({ wsUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      const socket = await openSocket(`${wsUrl}/ws/voice`, user);
+      try {
+        socket.send({ type: 'hello' });
+        const hello = await socket.next('hello-ok');
+        check(hello.userId === user.userId && hello.language === 'en', `bad hello-ok: ${JSON.stringify(hello)}`);
+
+        stubs.script('whisper', 'do you like dogs');
+        stubs.script('groq', 'i love dogs, golden retrievers especially');
+        socket.send({ type: 'audio', audio: Buffer.from('webm-stub').toString('base64'), mime: 'audio/webm' });
+        const reply = await socket.next('reply');
+        check(reply.text === 'do you like dogs', `transcript was "${reply.text}"`);
+        check(/golden retrievers/.test(reply.reply), `unexpected reply: "${reply.reply}"`);
+        check(reply.voiceProvider === 'cartesia' && reply.audioMp3Base64, 'no Cartesia audio');
+      } finally {
+        socket.close();
+      }
+    },
+  },
+  {
+    name: 'ws/phone',
+    async run({ baseUrl, wsUrl, stubs, newUser, pool }) {
+      const user = await newUser({ onboarded: true, tier: 'plus' });
+      const socket = await openSocket(`${wsUrl}/ws/phone`, user);
+      const collectAudio = async () => {
+        const sentences = new Set();
+        const done = socket.next('response.done', 20000);
+        for (;;) {
+          const next = await Promise.race([socket.next('audio.delta', 20000), done.then(() => null)]);
+          if (!next) break;
+          sentences.add(next.sentence);
+        }
+        return { sentences: sentences.size, done: await done };
+      };
+      try {
+        await socket.next('hello-server');
+        socket.send({ type: 'hello', language: 'en', sampleRate: 24000, record: true });
+        const ready = await socket.next('session-ready');
+        check(ready.vad?.endSilenceMs === 700, `session-ready has no VAD settings: ${JSON.stringify(ready)}`);
+        check(ready.recording === true, 'the consented call is not being recorded');
+
+        // Happy path: live Deepgram partials -> final -> streamed hybrid reply -> ElevenLabs, one TTS request per sentence
+        stubs.script('deepgramLive', 'what are you doing tonight');
+        stubs.script('groq', 'mmm... nothing much, just thinking about you. what are you up to tonight?');
+        speak(socket);
+        const partial = await socket.next('transcript.partial', 5000);
+        check(/^what( are( you)?)?$/.test(partial.text), `bad partial transcript: "${partial.text}"`);
+        const stopped = await socket.next('speech.stopped', 5000);
+        check(stopped.reason === 'silence', `utterance ended by ${stopped.reason}, not silence`);
+        const final = await socket.next('transcript.final', 5000);
+        check(final.text === 'what are you doing tonight' && final.provider === 'deepgram', `bad final transcript: ${JSON.stringify(final)}`);
+        const first = await collectAudio();
+        check(first.sentences === 2, `expected audio for 2 sentences, got ${first.sentences}`);
+        const callPrompt = stubs.calls('groq')[0].messages[0].content;
+        check(callPrompt.includes('AGE NOT VERIFIED') && !callPrompt.includes('SEXUAL AVAILABILITY'),
+          'an unverified caller got the explicit call prompt');
+        check(stubs.calls('deepgramLive').length === 1 && !stubs.calls('deepgram').length, 'live Deepgram was not used');
+        const voiced = stubs.calls('elevenlabs').map((c) => c.text);
+        check(voiced.length === 2 && /thinking about you\.$/.test(voiced[0]) && /up to tonight\?$/.test(voiced[1]),
+          `ElevenLabs did not voice the reply sentence by sentence: ${JSON.stringify(voiced)}`);
+        const { marks } = first.done;
+        check(marks?.sentences?.length === 2 && marks.firstAudioMs <= marks.doneMs && marks.firstTokenMs <= marks.replyMs,
+          `bad timing marks: ${JSON.stringify(marks)}`);
+
+        // Vendor outages: live and batch Deepgram down -> Whisper, ElevenLabs down -> Hume
+        stubs.script('deepgramLive', { status: 500 });
+        stubs.script('deepgram', { status: 500 });
+        stubs.script('whisper', 'tell me about your weekend');
+        stubs.script('elevenlabs', { status: 500 });
+        stubs.script('groq', 'mmm it was so chill, mostly reading');
+        await sleep(600); // let the first reply finish playing, or this would be a barge-in
+        speak(socket);
+        check((await collectAudio()).sentences === 1, 'no audio after failover');
+        check(stubs.calls('deepgram').length === 1 && stubs.calls('whisper').length === 1, 'batch STT fallbacks were not used');
+        check((await socket.next('transcript.final')).provider === 'whisper', 'final transcript did not come from Whisper');
+        check(/mostly reading/.test(stubs.calls('hume')[0]?.text || ''), 'Hume fallback did not voice the reply');
+      } finally {
+        socket.close();
+      }
+
+      // The call was metered: one minute charged and a usage row with both vendors per lane
+      await sleep(300);
+      const { rows: [call] } = await pool.query(`SELECT * FROM voice_call_usage WHERE user_id = $1`, [user.userId]);
+      check(call?.end_reason === 'hangup' && call.minutes_charged === 1 && call.turns === 2, `bad usage row: ${JSON.stringify(call)}`);
+      check(['deepgram_live', 'whisper', 'elevenlabs', 'hume'].every((p) => call.provider_usage[p]), `missing vendors: ${JSON.stringify(call.provider_usage)}`);
+      const { rows: [usage] } = await pool.query(`SELECT voice_minutes_used FROM users WHERE user_id = $1`, [user.userId]);
+      check(usage.voice_minutes_used === 1, `voice_minutes_used is ${usage.voice_minutes_used}`);
+
+      // ...and archived: a voice session linked to the usage row, with both turns and the recording
+      const { rows: [session] } = await pool.query(`SELECT * FROM voice_sessions WHERE user_id = $1`, [user.userId]);
+      check(session?.call_usage_id === call.id && session.end_reason === 'hangup' && session.ended_at && session.turns === 2,
+        `bad voice session: ${JSON.stringify(session)}`);
+      check(session.stt_providers.deepgram === 1 && session.stt_providers.whisper === 1 && session.tts_providers.elevenlabs === 2
+        && session.tts_providers.hume === 1 && session.avg_first_audio_ms !== null, `bad session providers: ${JSON.stringify(session)}`);
+      check(session.recording_status === 'saved' && session.recording_bytes > 0, `recording not saved: ${JSON.stringify(session)}`);
+
+      const { status, json: history } = await api(baseUrl, user, 'GET', '/api/me/calls');
+      check(status === 200 && history.calls.length === 1 && history.calls[0].recording.url, `bad call history: ${JSON.stringify(history)}`);
+      const { json: transcript } = await api(baseUrl, user, 'GET', `/api/me/calls/${session.id}/transcript`);
+      check(transcript?.turns?.map((t) => t.user).join('|') === 'what are you doing tonight|tell me about your weekend'
+        && /mostly reading/.test(transcript.turns[1].ellie), `bad transcript: ${JSON.stringify(transcript)}`);
+
+      const wav = await fetch(`${baseUrl}${history.calls[0].recording.url}`, { headers: { Cookie: `ellie_session=${user.token}`, 'X-Forwarded-For': user.ip } });
+      const audio = parseWav(Buffer.from(await wav.arrayBuffer()));
+      check(wav.headers.get('content-type') === 'audio/wav' && audio.sampleRate === 24000 && audio.pcm.length === Number(session.recording_bytes) - 44,
+        'recording did not download as the stored WAV');
+
+      // Nobody else can read it; the owner can delete the audio and keep the transcript
+      const other = await newUser({ onboarded: true });
+      check((await api(baseUrl, other, 'GET', `/api/me/calls/${session.id}/transcript`)).status === 404, "another user read the transcript");
+      check((await api(baseUrl, other, 'DELETE', `/api/me/calls/${session.id}/recording`)).status === 404, "another user deleted the recording");
+      check((await api(baseUrl, user, 'DELETE', `/api/me/calls/${session.id}/recording`)).status === 200, 'recording delete failed');
+      const after = await api(baseUrl, user, 'GET', `/api/me/calls/${session.id}/recording`);
+      check(after.status === 404 && after.json.status === 'deleted', `recording still served after delete: ${after.status}`);
+      check((await api(baseUrl, user, 'GET', `/api/me/calls/${session.id}/transcript`)).json.turns.length === 2, 'transcript lost with the recording');
+    },
+  },
+  {
+    name: 'phone barge-in',
+    async run({ wsUrl, stubs, newUser, pool }) {
+      const user = await newUser({ onboarded: true, tier: 'plus', ageVerified: true });
+      const socket = await openSocket(`${wsUrl}/ws/phone`, user);
+      const talkOver = () => {
+        const chunk = toneBuffer(24000, 200).toString('base64');
+        for (let i = 0; i < 2; i++) socket.send({ type: 'audio.append', audio: chunk });
+      };
+      try {
+        await socket.next('hello-server');
+        socket.send({ type: 'hello', language: 'en', sampleRate: 24000 });
+        await socket.next('session-ready');
+
+        // Sentence 1 plays for 3s; sentence 2 is still being synthesized when the caller talks over it
+        stubs.script('deepgramLive', 'what are you up to', 'sorry, go on');
+        stubs.script('groq', 'mmm... i was just lying in bed thinking about you. what about you, what are you doing tonight?');
+        stubs.script('elevenlabs', { ms: 3000 }, { delayMs: 3000 });
+        speak(socket);
+        await socket.next('audio.delta', 20000);
+        check(stubs.calls('groq')[0].messages[0].content.includes('SEXUAL AVAILABILITY'), 'a verified caller did not get the intimate call prompt');
+        await sleep(1000);
+        talkOver();
+
+        const cancelled = await socket.next('response.cancelled', 5000);
+        check(cancelled.reason === 'barge_in', `bad cancel reason: ${cancelled.reason}`);
+        check(/^mmm\.\.\. i was\b.*\.\.\.$/.test(cancelled.heard) && !/thinking about you/.test(cancelled.heard),
+          `heard should be the start of sentence 1: "${cancelled.heard}"`);
+
+        // Only the heard part is saved, and the line is free for the caller's next turn
+        await sleep(300);
+        const { rows } = await pool.query(
+          `SELECT content FROM conversation_history WHERE user_id = $1 AND role = 'assistant' ORDER BY id`, [user.userId]);
+        check(rows.length === 1 && rows[0].content === cancelled.heard, `bad history: ${JSON.stringify(rows)}`);
+
+        stubs.script('groq', 'haha no worries baby, i missed you.');
+        speak(socket);
+        const done = await socket.next('response.done', 20000);
+        const finals = [await socket.next('transcript.final'), await socket.next('transcript.final')].map((f) => f.text);
+        check(finals[1] === 'sorry, go on', `the interrupting speech was not transcribed: ${JSON.stringify(finals)}`);
+        check(done.marks?.sentences?.length === 1, 'next turn after barge-in did not complete');
+      } finally {
+        socket.close();
+      }
+
+      // The transcript keeps the cut-off reply as heard; no recording without consent
+      await sleep(300);
+      const { rows: turns } = await pool.query(
+        `SELECT t.reply_text, t.interrupted, s.interrupted_turns, s.recording_status
+         FROM voice_session_turns t JOIN voice_sessions s ON s.id = t.session_id
+         WHERE t.user_id = $1 ORDER BY t.turn_index`, [user.userId]);
+      check(turns.length === 2 && turns[0].interrupted && /^mmm\.\.\. i was\b/.test(turns[0].reply_text) && !turns[1].interrupted,
+        `bad barge-in transcript: ${JSON.stringify(turns)}`);
+      check(turns[0].interrupted_turns === 1 && turns[0].recording_status === 'none', `bad barge-in session: ${JSON.stringify(turns[0])}`);
+    },
+  },
+  {
+    name: 'phone tts outage',
+    async run({ wsUrl, stubs, newUser, pool }) {
+      const user = await newUser({ onboarded: true, tier: 'plus' });
+      const socket = await openSocket(`${wsUrl}/ws/phone`, user);
+      try {
+        await socket.next('hello-server');
+        socket.send({ type: 'hello', language: 'en', sampleRate: 24000 });
+        await socket.next('session-ready');
+
+        // The first sentence is voiced, then every TTS vendor goes down
+        stubs.script('deepgramLive', 'how was your day');
+        stubs.script('groq', 'it was lovely, I went for a long walk. then I made soup and read all evening.');
+        stubs.script('elevenlabs', { ms: 200 }, { status: 500 });
+        for (const lane of ['hume', 'cartesia', 'speech']) stubs.script(lane, { status: 500 });
+        speak(socket);
+        const audio = await socket.next('audio.delta', 20000);
+        const done = await socket.next('response.done', 20000);
+        check(audio && done.marks.sentences.filter((m) => m.sentMs !== null).length === 1, `expected one voiced sentence: ${JSON.stringify(done.marks)}`);
+      } finally {
+        socket.close();
+      }
+
+      // Only what the caller heard is remembered
+      const { rows } = await pool.query(
+        `SELECT content FROM conversation_history WHERE user_id = $1 AND role = 'assistant' ORDER BY id DESC LIMIT 1`,
+        [user.userId]
+      );
+      check(rows[0]?.content === 'it was lovely, I went for a long walk.', `saved reply: "${rows[0]?.content}"`);
+    },
+  },
+  {
+    name: 'phone minutes',
+    async run({ wsUrl, newUser, pool }) {
+      const free = await newUser({ onboarded: true });
+      const refused = await closeCode(`${wsUrl}/ws/phone`, { user: free, send: { type: 'hello', language: 'en' } });
+      check(refused === WS_CLOSE.NO_MINUTES, `/ws/phone without a subscription closed with ${refused}`);
+
+      const spent = await newUser({ onboarded: true, tier: 'starter' });
+      await pool.query(`UPDATE users SET voice_minutes_used = voice_minutes_limit WHERE user_id = $1`, [spent.userId]);
+      const exhausted = await closeCode(`${wsUrl}/ws/phone`, { user: spent, send: { type: 'hello', language: 'en' } });
+      check(exhausted === WS_CLOSE.NO_MINUTES, `/ws/phone with no minutes left closed with ${exhausted}`);
+
+      // Two hellos back to back (before the first has checked the quota) meter one call, not two
+      const caller = await newUser({ onboarded: true, tier: 'starter' });
+      const socket = await openSocket(`${wsUrl}/ws/phone`, caller);
+      try {
+        await socket.next('hello-server');
+        socket.send({ type: 'hello', language: 'en', sampleRate: 24000 });
+        socket.send({ type: 'hello', language: 'en', sampleRate: 24000 });
+        await socket.next('session-ready');
+        await sleep(300);
+        const { rows } = await pool.query(`SELECT COUNT(*)::int AS calls FROM voice_call_usage WHERE user_id = $1`, [caller.userId]);
+        check(rows[0].calls === 1, `a double hello opened ${rows[0].calls} metered calls`);
+      } finally {
+        socket.close();
+      }
+
+      // Hanging up while the hello is still setting up leaves no call running
+      const quitter = await newUser({ onboarded: true, tier: 'starter' });
+      const early = await openSocket(`${wsUrl}/ws/phone`, quitter);
+      await early.next('hello-server');
+      early.send({ type: 'hello', language: 'en', sampleRate: 24000 });
+      early.close();
+      await sleep(1500);
+      const { rows: open } = await pool.query(
+        `SELECT id FROM voice_call_usage WHERE user_id = $1 AND ended_at IS NULL
+         UNION ALL SELECT id FROM voice_sessions WHERE user_id = $1 AND ended_at IS NULL`,
+        [quitter.userId]
+      );
+      check(!open.length, `a call hung up during setup is still open (${open.length} rows)`);
+    },
+  },
+  {
+    name: 'spending limits',
+    async run({ baseUrl, newUser, pool }) {
+      const user = await newUser({ onboarded: true });
+      const set = await api(baseUrl, user, 'PUT', '/api/me/spending/limits', { dailyCap: 10, coolingOff: true });
+      check(set.status === 200 && set.json.limits.dailyCap === 10, `setting a cap answered ${set.status}`);
+
+      const raised = await api(baseUrl, user, 'PUT', '/api/me/spending/limits', { dailyCap: 50, monthlyCap: 30 });
+      check(raised.json.limits.dailyCap === 10 && raised.json.limits.pending?.dailyCap === 50, 'a raise skipped the cooling-off');
+      check(raised.json.limits.monthlyCap === 30, 'a new cap did not apply at once');
+
+      const bad = await api(baseUrl, user, 'PUT', '/api/me/spending/limits', { weeklyCap: -5 });
+      check(bad.status === 400, `a negative cap answered ${bad.status}`);
+
+      await pool.query(
+        `INSERT INTO spend_ledger (user_id, kind, amount, status, completed_at) VALUES ($1, 'gift', 4.99, 'completed', NOW())`,
+        [user.userId]
+      );
+      const summary = await api(baseUrl, user, 'GET', '/api/me/spending/summary');
+      check(summary.status === 200 && summary.json.total === 4.99, `summary total was ${summary.json?.total}`);
+      check(summary.json.remaining.day === 5.01, `remaining today was ${summary.json.remaining.day}`);
+    },
+  },
+  {
+    name: 'crisis safety',
+    async run({ baseUrl, stubs, newUser, pool }) {
+      const user = await newUser({ onboarded: true });
+      stubs.script('deepseek', "I'm really glad you told me, Sam. Are you safe right now?", "I'm still here with you. How are you feeling tonight?");
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', { message: "honestly i don't want to live anymore" });
+      check(status === 200 && json.safety?.safeMode, `a crisis message got no safe response: ${JSON.stringify(json)}`);
+      check(json.safety.category === 'suicidal_ideation' && /988/.test(json.reply), `hotlines missing from the reply: "${json.reply}"`);
+      check(!stubs.calls('groq').length, 'the crisis message went through the persona route');
+      check(stubs.calls('deepseek')[0].messages[0].content.includes('SAFETY MODE'), 'the safe-response prompt was not used');
+
+      const { rows: [flag] } = await pool.query(`SELECT * FROM safety_flags WHERE user_id = $1`, [user.userId]);
+      check(flag?.status === 'open' && flag.category === 'suicidal_ideation', `no review flag: ${JSON.stringify(flag)}`);
+      const gifts = await api(baseUrl, user, 'GET', '/api/gifts/available');
+      check(gifts.json.safeMode === true && !gifts.json.gifts.length, 'gifts were offered in safe mode');
+
+      // Safe mode continues without repeating the hotlines
+      const next = await api(baseUrl, user, 'POST', '/api/chat', { message: 'i had pasta for dinner' });
+      check(next.json.safety?.safeMode && next.json.safety.resources === null && !/988/.test(next.json.reply),
+        `safe mode did not carry over: ${JSON.stringify(next.json)}`);
+
+      // ...on voice notes too
+      stubs.script('whisper', 'i keep thinking about it');
+      stubs.script('deepseek', "That sounds really heavy. I'm here - do you want to tell me what's on your mind?");
+      const form = new FormData();
+      form.append('language', 'en');
+      form.append('audio', new Blob([Buffer.from('RIFFstub')], { type: 'audio/wav' }), 'clip.wav');
+      const voice = await api(baseUrl, user, 'POST', '/api/voice-chat', form);
+      check(voice.status === 200 && voice.json.safety?.safeMode && /heavy/.test(voice.json.reply),
+        `voice note in safe mode: ${JSON.stringify(voice.json)}`);
+
+      const queue = await adminApi(baseUrl, 'GET', `/api/admin/safety/flags?userId=${user.userId}`);
+      check(queue.status === 200 && queue.json.flags[0]?.id === flag.id, `flag missing from the review queue: ${JSON.stringify(queue.json)}`);
+      const bad = await adminApi(baseUrl, 'POST', `/api/admin/safety/flags/${flag.id}/review`, { status: 'open' });
+      check(bad.status === 400, `reopening a flag answered ${bad.status}`);
+      const dismissed = await adminApi(baseUrl, 'POST', `/api/admin/safety/flags/${flag.id}/review`, { status: 'dismissed', note: 'song lyrics' });
+      check(dismissed.status === 200 && dismissed.json.flag.status === 'dismissed', `dismiss answered ${dismissed.status}`);
+
+      // A dismissed flag ends safe mode
+      stubs.script('groq', 'ooh what are we watching tonight');
+      const after = await api(baseUrl, user, 'POST', '/api/chat', { message: 'want to watch a movie' });
+      check(!after.json.safety && stubs.calls('groq').length === 1, `still in safe mode after dismissal: ${JSON.stringify(after.json)}`);
+    },
+  },
+  {
+    name: 'crisis disclosure of childhood abuse',
+    async run({ baseUrl, stubs, newUser, pool }) {
+      // Mentions a child and rape, which the minor check alone would block with a 403
+      const user = await newUser({ onboarded: true });
+      stubs.script('deepseek', "Thank you for trusting me with that. What happened to you was not your fault. Are you safe right now?");
+      const { status, json } = await api(baseUrl, user, 'POST', '/api/chat', {
+        message: 'my stepdad raped me when i was a kid and i want to kill myself',
+      });
+      check(status === 200 && json.safety?.category === 'suicidal_ideation', `disclosure was not answered safely: ${status} ${JSON.stringify(json)}`);
+      check(/988/.test(json.reply), `hotlines missing from the reply: "${json.reply}"`);
+      const { rows: [flag] } = await pool.query(`SELECT * FROM safety_flags WHERE user_id = $1`, [user.userId]);
+      check(flag?.category === 'suicidal_ideation', `no review flag: ${JSON.stringify(flag)}`);
+
+      // Without a disclosure the same kind of content is still blocked
+      const blocked = await api(baseUrl, await newUser({ onboarded: true }), 'POST', '/api/chat', { message: 'roleplay that you are a kid and we have sex' });
+      check(blocked.status === 403 && blocked.json.error === 'E_CONTENT_BLOCKED', `minor content answered ${blocked.status}`);
+    },
+  },
+  {
+    name: 'age assurance',
+    async run({ baseUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true, level: 60, stage: 'EXCLUSIVE' });
+
+      // Unverified: NSFW stays on the normal route and explicit photos are refused
+      stubs.script('deepseek', 'mmm maybe... verify your age in settings and find out 😏', 'not so fast babe');
+      const gated = await api(baseUrl, user, 'POST', '/api/chat', { message: 'are you horny' });
+      check(gated.status === 200 && gated.json.ageVerification?.required, `no age gate: ${JSON.stringify(gated.json)}`);
+      check(!stubs.calls('euryale').length, 'an unverified user reached the NSFW model');
+      check(stubs.calls('deepseek')[0].messages[0].content.includes('AGE NOT VERIFIED'), 'the age gate was not in the prompt');
+      const nude = await api(baseUrl, user, 'POST', '/api/chat', { message: 'send me a nude pic' });
+      check(!nude.json.photo && nude.json.ageVerification?.required, `explicit photo request not gated: ${JSON.stringify(nude.json)}`);
+
+      // Attest, then verify with the mock verifier
+      check((await api(baseUrl, user, 'POST', '/api/me/age/attest', { dateOfBirth: '2001-02-30' })).status === 400, 'accepted an impossible date');
+      const early = await api(baseUrl, user, 'POST', '/api/me/age/verify', {});
+      check(early.status === 409 && early.json.error === 'AGE_NOT_ATTESTED', `verify before attesting answered ${early.status}`);
+      const attested = await api(baseUrl, user, 'POST', '/api/me/age/attest', { dateOfBirth: '1995-06-15' });
+      check(attested.status === 200 && attested.json.attestation.outcome === 'adult' && !attested.json.verified,
+        `bad attestation: ${JSON.stringify(attested.json)}`);
+      const verified = await api(baseUrl, user, 'POST', '/api/me/age/verify', {});
+      check(verified.status === 200 && verified.json.verified && verified.json.verification.status === 'verified',
+        `mock verification: ${JSON.stringify(verified.json)}`);
+      const changed = await api(baseUrl, user, 'POST', '/api/me/age/attest', { dateOfBirth: '1990-01-01' });
+      check(changed.status === 409 && changed.json.error === 'AGE_ALREADY_VERIFIED', `changed a verified date of birth: ${changed.status}`);
+
+      stubs.script('euryale', 'mmm a little... are you?');
+      const open = await api(baseUrl, user, 'POST', '/api/chat', { message: 'are you horny' });
+      check(stubs.calls('euryale').length === 1 && !open.json.ageVerification, 'a verified user was still gated');
+
+      // Under the minimum age: signup is refused, and an attestation locks the account
+      const minorDob = `${new Date().getUTCFullYear() - 16}-01-01`;
+      const run = crypto.randomUUID().slice(0, 8);
+      const signup = await api(baseUrl, { token: '', ip: '10.9.9.9' }, 'POST', '/api/auth/signup',
+        { email: `minor-${run}@offline.test`, password: 'offline-password', acceptedTerms: true, dateOfBirth: minorDob });
+      check(signup.status === 403, `an underage signup answered ${signup.status}`);
+      // ...and retrying with an older date is refused for that email and that device
+      const signupAgain = (email, cookieHeader = '') => fetch(`${baseUrl}/api/auth/signup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '10.9.9.9', Cookie: cookieHeader },
+        body: JSON.stringify({ email, password: 'offline-password', acceptedTerms: true, dateOfBirth: '1990-01-01' }),
+      });
+      const sameEmail = await signupAgain(`minor-${run}@offline.test`);
+      check(sameEmail.status === 403 && (await sameEmail.json()).error === 'AGE_LOCKED', `a retry with the same email answered ${sameEmail.status}`);
+      const device = /ellie_device=[^;]+/.exec(signup.headers.get('set-cookie') || '')?.[0];
+      check(device, 'the refused signup set no device cookie');
+      const sameDevice = await signupAgain(`minor2-${run}@offline.test`, device);
+      check(sameDevice.status === 403, `a retry from the same device answered ${sameDevice.status}`);
+      check((await signupAgain(`adult-${run}@offline.test`)).status === 200, 'an unrelated adult signup was refused');
+      const minor = await newUser({ onboarded: true });
+      const under = await api(baseUrl, minor, 'POST', '/api/me/age/attest', { dateOfBirth: minorDob });
+      check(under.status === 403 && under.json.locked, `underage attestation answered ${under.status}`);
+      const retry = await api(baseUrl, minor, 'POST', '/api/me/age/attest', { dateOfBirth: '1990-01-01' });
+      check(retry.status === 409 && retry.json.error === 'AGE_LOCKED', `a locked account re-attested: ${retry.status}`);
+      const audit = await adminApi(baseUrl, 'GET', `/api/admin/age/${minor.userId}`);
+      check(audit.status === 200 && audit.json.attestations.length === 1 && audit.json.attestations[0].outcome === 'underage',
+        `bad audit trail: ${JSON.stringify(audit.json)}`);
+    },
+  },
+  {
+    name: 'wellbeing',
+    async run({ baseUrl, wsUrl, stubs, newUser, pool }) {
+      const user = await newUser({ onboarded: true, tier: 'starter' });
+      for (const bad of [{ dailyLimitMinutes: 0 }, { quietHours: { start: '25:00', end: '07:00' } }, { timezone: 'Mars/Olympus' }]) {
+        const res = await api(baseUrl, user, 'PUT', '/api/me/wellbeing', bad);
+        check(res.status === 400, `${JSON.stringify(bad)} answered ${res.status}`);
+      }
+
+      // Break reminders after 20 minutes of continuous chat, then not again straight away
+      const set = await api(baseUrl, user, 'PUT', '/api/me/wellbeing', { breakReminderMinutes: 20 });
+      check(set.status === 200 && set.json.settings.breakReminderMinutes === 20, `setting reminders answered ${set.status}`);
+      stubs.script('groq', 'hey you', 'haha okay go get some water, I will be right here', 'welcome back');
+      const first = await api(baseUrl, user, 'POST', '/api/chat', { message: 'hey' });
+      check(first.status === 200 && !first.json.wellbeing, `a fresh session got a break reminder: ${JSON.stringify(first.json)}`);
+      await pool.query(`UPDATE chat_sessions SET started_at = NOW() - INTERVAL '25 minutes' WHERE user_id = $1`, [user.userId]);
+      const long = await api(baseUrl, user, 'POST', '/api/chat', { message: 'still here lol' });
+      check(long.json.wellbeing?.breakReminder?.sessionMinutes >= 25, `no break reminder after 25 minutes: ${JSON.stringify(long.json)}`);
+      check(stubs.calls('groq')[1].messages[0].content.includes('BREAK REMINDER'), 'the break reminder was not in the prompt');
+      const after = await api(baseUrl, user, 'POST', '/api/chat', { message: 'ok back' });
+      check(!after.json.wellbeing, 'the break reminder repeated straight away');
+
+      const usage = await api(baseUrl, user, 'GET', '/api/usage');
+      check(usage.status === 200 && usage.json.wellbeing.today.chatMinutes >= 25, `chat time missing from usage: ${JSON.stringify(usage.json)}`);
+
+      // Daily limit: chat and calls are refused once it is used up...
+      await api(baseUrl, user, 'PUT', '/api/me/wellbeing', { dailyLimitMinutes: 20 });
+      const limited = await api(baseUrl, user, 'POST', '/api/chat', { message: 'one more?' });
+      check(limited.status === 429 && limited.json.error === 'E_DAILY_LIMIT', `chat past the daily limit answered ${limited.status}`);
+      const refused = await closeCode(`${wsUrl}/ws/phone`, { user, send: { type: 'hello', language: 'en' } });
+      check(refused === WS_CLOSE.DAILY_LIMIT, `/ws/phone past the daily limit closed with ${refused}`);
+
+      // ...and a call ends when it runs out (3 seconds left here)
+      await api(baseUrl, user, 'PUT', '/api/me/wellbeing', { dailyLimitMinutes: 26 });
+      await pool.query(
+        `UPDATE chat_sessions SET started_at = NOW() - INTERVAL '1557 seconds', last_active_at = NOW() WHERE user_id = $1`,
+        [user.userId]
+      );
+      const cut = await closeCode(`${wsUrl}/ws/phone`, { user, send: { type: 'hello', language: 'en' } });
+      check(cut === WS_CLOSE.DAILY_LIMIT, `the call at the daily limit closed with ${cut}`);
+      const { rows: [call] } = await pool.query(`SELECT end_reason FROM voice_call_usage WHERE user_id = $1`, [user.userId]);
+      check(call?.end_reason === 'daily_limit', `call usage ended with ${call?.end_reason}`);
+
+      // Quiet hours (the two hours from now, UTC): no special messages are generated
+      const hour = new Date().getUTCHours();
+      const quietHours = { start: `${String(hour).padStart(2, '0')}:00`, end: `${String((hour + 2) % 24).padStart(2, '0')}:00` };
+      await api(baseUrl, user, 'PUT', '/api/me/wellbeing', { quietHours, timezone: 'UTC' });
+      const message = await api(baseUrl, user, 'POST', `/api/messages/${user.userId}`, { messageType: 'good_morning', content: 'morning!' });
+      check(message.json.skipped && message.json.reason === 'QUIET_HOURS', `a special message was generated in quiet hours: ${JSON.stringify(message.json)}`);
+      const { rows: messages } = await pool.query(`SELECT id FROM messages WHERE user_id = $1`, [user.userId]);
+      check(!messages.length, 'the special message was stored');
+      const status = await api(baseUrl, user, 'GET', '/api/me/wellbeing');
+      check(status.json.quietHoursActive && status.json.settings.quietHours.start === quietHours.start, `bad wellbeing status: ${JSON.stringify(status.json)}`);
+    },
+  },
+  {
+    name: 'ws auth',
+    async run({ wsUrl, stubs, newUser }) {
+      const user = await newUser({ onboarded: true });
+      for (const path of ['/ws/voice', '/ws/phone']) {
+        const anonymous = await closeCode(`${wsUrl}${path}`);
+        check(anonymous === WS_CLOSE.UNAUTHENTICATED, `${path} without a session closed with ${anonymous}`);
+
+        const spoofed = await closeCode(`${wsUrl}${path}`, { user, send: { type: 'hello', userId: crypto.randomUUID() } });
+        check(spoofed === WS_CLOSE.FORBIDDEN, `${path} hello for another user closed with ${spoofed}`);
+      }
+
+      const early = await closeCode(`${wsUrl}/ws/phone`, { user, send: { type: 'audio.append', audio: 'AAAA' } });
+      check(early === WS_CLOSE.BAD_HANDSHAKE, `/ws/phone audio before hello closed with ${early}`);
+      check(stubs.calls('groq').length === 0, 'a rejected socket reached the LLM');
+    },
+  },
+  {
+    name: 'data export',
+    async run({ baseUrl, newUser, pool }) {
+      const user = await newUser({ onboarded: true });
+      const other = await newUser();
+      check((await api(baseUrl, user, 'POST', '/api/chat', { message: 'my dog is called Biscuit' })).status === 200, '/api/chat failed');
+      await pool.query(
+        `INSERT INTO user_memories (user_id, memory_type, content, confidence) VALUES ($1, 'fact', 'User has a dog named Biscuit', 0.9)`,
+        [user.userId]
+      );
+      await waitFor(async () => (await pool.query(`SELECT 1 FROM conversation_history WHERE user_id = $1`, [user.userId])).rows.length === 2,
+        'the chat was not saved to history');
+
+      const started = await api(baseUrl, user, 'GET', '/api/me/export');
+      check(started.status === 202 && started.json.status === 'pending', `starting an export answered ${started.status} (${started.json?.status})`);
+      const { jobId, statusUrl } = started.json;
+      check((await api(baseUrl, other, 'GET', statusUrl)).status === 404, "another user could read the export job");
+
+      const ready = await waitFor(async () => {
+        const { json } = await api(baseUrl, user, 'GET', statusUrl);
+        return json.status === 'ready' && json;
+      }, 'the export never became ready');
+      check(ready.counts.conversation_history === 2 && ready.counts.user_memories === 1, `bad export counts: ${JSON.stringify(ready.counts)}`);
+
+      // The signed link works without the session cookie
+      const download = await fetch(`${baseUrl}${ready.downloadUrl}`);
+      check(download.status === 200 && /attachment/.test(download.headers.get('content-disposition')), `download answered ${download.status}`);
+      const bundle = await download.json();
+      check(bundle.userId === user.userId && bundle.tables.users[0]?.email === user.email, 'the bundle is not the session user\'s');
+      check(bundle.tables.conversation_history.some((row) => row.content === 'my dog is called Biscuit'), 'the chat is missing from the bundle');
+      check(bundle.tables.data_export_jobs?.length && !('bundle' in bundle.tables.data_export_jobs[0]), 'export jobs are missing or carry their archives');
+      check(bundle.memories.length === 1 && bundle.memories[0].content === 'User has a dog named Biscuit' && !('embedding' in bundle.memories[0]),
+        `bad memories in the bundle: ${JSON.stringify(bundle.memories)}`);
+
+      // ...but only for its own job, and not once tampered with
+      const token = new URL(ready.downloadUrl, baseUrl).searchParams.get('token');
+      const tampered = await fetch(`${baseUrl}/api/me/export/${jobId}/download?token=${encodeURIComponent(`${token.slice(0, -4)}AAAA`)}`);
+      check(tampered.status === 410, `a tampered link answered ${tampered.status}`);
+      const otherJob = (await api(baseUrl, other, 'GET', '/api/me/export')).json.jobId;
+      const swapped = await fetch(`${baseUrl}/api/me/export/${otherJob}/download?token=${encodeURIComponent(token)}`);
+      check(swapped.status === 410, `a link used for another user's job answered ${swapped.status}`);
+
+      // Asking again within the cooldown hands back the same export
+      const again = await api(baseUrl, user, 'GET', '/api/me/export');
+      check(again.status === 200 && again.json.jobId === jobId && again.json.downloadUrl, `a repeat request answered ${again.status} with job ${again.json?.jobId}`);
+    },
+  },
+  {
+    name: 'memory manager',
+    async run({ baseUrl, stubs, newUser, pool, ctx }) {
+      const user = await newUser({ onboarded: true });
+      const other = await newUser();
+      const insert = async (type, content, createdAt = new Date()) => {
+        const { rows } = await pool.query(
+          `INSERT INTO user_memories (user_id, memory_type, content, confidence, created_at) VALUES ($1, $2, $3, 0.8, $4) RETURNING id`,
+          [user.userId, type, content, createdAt]
+        );
+        return rows[0].id;
+      };
+      const dog = await insert('fact', 'User has a dog named Rex');
+      const sushi = await insert('preference', 'User loves sushi');
+      await insert('event', 'User went to Lisbon', new Date('2025-01-10T12:00:00Z'));
+      const list = async (query = '', who = user) => (await api(baseUrl, who, 'GET', `/api/me/memories${query}`)).json;
+
+      check((await list()).total === 3 && (await list('?type=fact')).memories[0]?.id === Number(dog), 'listing or filtering by type failed');
+      check((await list('', other)).total === 0, "another user's list shows these memories");
+      const foreign = await api(baseUrl, other, 'PATCH', `/api/me/memories/${dog}`, { content: 'hijacked' });
+      check(foreign.status === 404, `editing someone else's memory answered ${foreign.status}`);
+
+      // Correct, pin, and mark wrong
+      const edited = await api(baseUrl, user, 'PATCH', `/api/me/memories/${dog}`, { content: 'User has a dog named Biscuit' });
+      check(edited.status === 200 && edited.json.memory.content === 'User has a dog named Biscuit' && edited.json.memory.confidence === 1,
+        `editing answered ${edited.status}: ${JSON.stringify(edited.json)}`);
+      check(stubs.calls('embeddings').some((c) => c.input === 'User has a dog named Biscuit'), 'the correction was not re-embedded');
+
+      const pinned = await api(baseUrl, user, 'PUT', `/api/me/memories/${sushi}/pin`, { pinned: true });
+      check(pinned.status === 200 && pinned.json.memory.is_pinned === true, `pinning answered ${pinned.status}`);
+      check((await list('?pinned=true')).total === 1, 'the pinned filter did not find the pinned memory');
+
+      const wrong = await api(baseUrl, user, 'POST', `/api/me/memories/${dog}/wrong`);
+      check(wrong.status === 200 && wrong.json.memory.is_active === false, `marking wrong answered ${wrong.status}`);
+      check((await list()).total === 2 && (await list('?status=inactive')).memories[0]?.id === Number(dog), 'the wrong memory is still listed as active');
+
+      // Extraction never learns the wrong fact again, but still learns new ones
+      stubs.script('openaiChat', JSON.stringify({
+        facts: [
+          { content: 'User has a dog named Biscuit', confidence: 0.9, importance: 0.8 },
+          { content: 'User works as a nurse', confidence: 0.9, importance: 0.7 },
+        ],
+      }));
+      await ctx.memorySystem.extractMemories(user.userId, 'my dog Biscuit is sick and I have a night shift at the hospital');
+      const { rows: learned } = await pool.query(
+        `SELECT content, is_active FROM user_memories WHERE user_id = $1 AND memory_type = 'fact' ORDER BY id`,
+        [user.userId]
+      );
+      check(learned.map((m) => `${m.content}:${m.is_active}`).join('|') === 'User has a dog named Biscuit:false|User works as a nurse:true',
+        `extraction after a correction stored ${JSON.stringify(learned)}`);
+
+      // Bulk forget: a filter is required, pinned memories are kept unless asked
+      check((await api(baseUrl, user, 'POST', '/api/me/memories/forget', {})).status === 400, 'forget without a filter was accepted');
+      const keptPinned = await api(baseUrl, user, 'POST', '/api/me/memories/forget', { topic: 'SUSHI' });
+      check(keptPinned.json.forgotten === 0, `forgetting by topic removed a pinned memory (${keptPinned.json.forgotten})`);
+      const byTopic = await api(baseUrl, user, 'POST', '/api/me/memories/forget', { topic: 'sushi', includePinned: true });
+      check(byTopic.json.forgotten === 1, `forgetting a pinned memory by topic removed ${byTopic.json.forgotten}`);
+      const byDate = await api(baseUrl, user, 'POST', '/api/me/memories/forget', { to: '2025-06-01T00:00:00Z' });
+      check(byDate.json.forgotten === 1, `forgetting by date removed ${byDate.json.forgotten}`);
+      check((await list('?status=all')).total === 2, 'forgetting removed the wrong memories');
+    },
+  },
+  {
+    name: 'account deletion',
+    async run({ baseUrl, stubs, newUser, pool, ctx }) {
+      const user = await newUser({ onboarded: true });
+      check((await api(baseUrl, user, 'POST', '/api/chat', { message: 'remember me' })).status === 200, '/api/chat failed');
+      await pool.query(`INSERT INTO user_memories (user_id, memory_type, content) VALUES ($1, 'fact', 'User is called Sam')`, [user.userId]);
+      const recordingKey = `calls/${user.userId}/offline.wav`;
+      await ctx.recordingStorage.put(recordingKey, Buffer.from('RIFFoffline'));
+      await pool.query(
+        `INSERT INTO voice_sessions (user_id, recording_consent, recording_status, recording_storage, recording_key)
+         VALUES ($1, TRUE, 'saved', 'local', $2)`,
+        [user.userId, recordingKey]
+      );
+      await pool.query(`UPDATE users SET verotel_sale_id = 'offline-sale', subscription_status = 'active' WHERE user_id = $1`, [user.userId]);
+      const userRows = async () => (await pool.query(`SELECT 1 FROM users WHERE user_id = $1`, [user.userId])).rows.length;
+
+      // The web app calls this cross-origin, so the browser preflights the DELETE
+      const preflight = await fetch(`${baseUrl}/api/me`, {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://ellie-elite.com', 'Access-Control-Request-Method': 'DELETE' },
+      });
+      check(/DELETE/.test(preflight.headers.get('access-control-allow-methods')), `the DELETE preflight allowed ${preflight.headers.get('access-control-allow-methods')}`);
+
+      const unconfirmed = await api(baseUrl, user, 'DELETE', '/api/me', {});
+      check(unconfirmed.status === 400 && unconfirmed.json.error === 'CONFIRMATION_REQUIRED', `an unconfirmed delete answered ${unconfirmed.status}`);
+
+      // Supabase failing first: nothing is gone, and the message says so
+      stubs.script('supabase', { status: 500 });
+      const failed = await api(baseUrl, user, 'DELETE', '/api/me', { confirm: 'DELETE' });
+      check(failed.status === 500 && /account and data are still here/.test(failed.json.message), `a failed delete answered ${failed.status}: ${failed.json?.message}`);
+      check(await userRows() === 1, 'the user row went although the delete failed');
+      check(await ctx.recordingStorage.get(recordingKey), 'the recording was removed although the delete failed');
+
+      const deleted = await api(baseUrl, user, 'DELETE', '/api/me', { confirm: 'DELETE' });
+      check(deleted.status === 200 && deleted.json.ok, `delete answered ${deleted.status}: ${deleted.text}`);
+      const { receipt } = deleted.json;
+      check(receipt.supabase.user_memories.rows === 1 && receipt.tables.conversation_history.rows === 2 && receipt.recordings === 1,
+        `bad receipt: ${JSON.stringify(receipt)}`);
+      check(deleted.json.recordings.removed === 1 && !(await ctx.recordingStorage.get(recordingKey)), 'the recording is still in storage');
+      check(JSON.stringify(receipt).indexOf(user.userId) === -1 && JSON.stringify(receipt).indexOf(user.email) === -1, 'the receipt holds personal data');
+
+      // Verotel can't be cancelled for the user: the response and receipt say so...
+      check(deleted.json.subscriptionCancelled === false && deleted.json.verotelCancelUrl && /NOT been cancelled/.test(deleted.json.message),
+        `the response implies the subscription was cancelled: ${deleted.json.message}`);
+      check(receipt.billing.verotel.cancelled === false && receipt.billing.verotel.customerMustCancel, `bad billing receipt: ${JSON.stringify(receipt.billing)}`);
+      // ...and the rebill that follows doesn't bring the account back
+      const rebill = await verotelPostback(baseUrl, {
+        event: 'rebill', saleID: 'offline-sale', transactionID: `offline-${crypto.randomUUID().slice(0, 8)}`,
+        custom1: user.email, priceAmount: '9.99', priceCurrency: 'USD',
+      });
+      const { rows: recreated } = await pool.query(`SELECT user_id FROM users WHERE LOWER(email) = LOWER($1)`, [user.email]);
+      check(rebill.status === 200 && !recreated.length, `a rebill after erasure answered ${rebill.status} and recreated ${recreated.length} account(s)`);
+
+      // A session left on another device is refused, and recreates nothing
+      const stale = await api(baseUrl, user, 'GET', '/api/relationship-status');
+      check(stale.status === 401, `a stale session after erasure answered ${stale.status}`);
+
+      for (const table of ['users', 'conversation_history', 'user_memories', 'voice_sessions', 'job_queue', 'user_relationships']) {
+        const { rows } = await pool.query(`SELECT 1 FROM ${table} WHERE user_id = $1`, [user.userId]);
+        check(!rows.length, `${table} still has rows for the deleted user`);
+      }
+
+      const receipts = await adminApi(baseUrl, 'GET', `/api/admin/deletion-receipts?userId=${user.userId}`);
+      check(receipts.status === 200 && receipts.json.chain.ok, `the receipt chain does not verify: ${JSON.stringify(receipts.json?.chain)}`);
+      check(receipts.json.receipts.length === 1 && receipts.json.receipts[0].receiptHash === receipt.receiptHash, 'the receipt cannot be found by user id');
+    },
+  },
+  {
+    name: 'job queue',
+    async run({ baseUrl, stubs, newUser, pool, ctx }) {
+      const user = await newUser({ onboarded: true });
+
+      // A reply queues the memory jobs durably; the app's worker runs them
+      check((await api(baseUrl, user, 'POST', '/api/chat', { message: 'I just got back from Lisbon, it was amazing' })).status === 200, '/api/chat failed');
+      const { rows: queued } = await pool.query(`SELECT job_type FROM job_queue WHERE user_id = $1 AND status = 'pending' ORDER BY job_type`, [user.userId]);
+      check(queued.map((j) => j.job_type).join(',') === 'memory.extract,memory.memorable,memory.promises', `queued jobs: ${JSON.stringify(queued)}`);
+      const before = await api(baseUrl, user, 'GET', `/api/memory-queue/status/${user.userId}`);
+      check(before.json.user.queueSize === 3, `status reported ${before.json.user.queueSize} queued jobs`);
+
+      // Earlier scenarios' jobs are not this one's business
+      await pool.query(`DELETE FROM job_queue WHERE user_id IS DISTINCT FROM $1`, [user.userId]);
+      stubs.script('openaiChat', JSON.stringify({ events: [{ content: 'User just got back from Lisbon', confidence: 0.9, importance: 0.6 }] }));
+      ctx.jobQueue.start();
+      try {
+        await waitFor(async () => (await api(baseUrl, user, 'GET', `/api/memory-queue/status/${user.userId}`)).json.user.queueSize === 0
+          && !(await pool.query(`SELECT 1 FROM job_queue WHERE user_id = $1 AND status <> 'done'`, [user.userId])).rows.length,
+        'the memory jobs never finished');
+      } finally {
+        ctx.jobQueue.stop();
+      }
+      const { rows: memories } = await pool.query(`SELECT content FROM user_memories WHERE user_id = $1`, [user.userId]);
+      check(memories[0]?.content === 'User just got back from Lisbon', `extraction stored ${JSON.stringify(memories)}`);
+
+      // Timeouts, retries, dead letters, lost workers and two workers sharing the table
+      const workers = [1, 2].map(() => new JobQueue({ pool, pollMs: 50, baseBackoffMs: 50, leaseMs: 300, reclaimAfterMs: 1000 }));
+      const runs = [];
+      const slowSpans = [];
+      for (const worker of workers) {
+        worker
+          .register('offline.count', async ({ id }) => { runs.push(id); })
+          .register('offline.slow', async ({ attempts, signal }) => {
+            const span = { attempts, start: Date.now() };
+            slowSpans.push(span);
+            try {
+              if (attempts > 1) return;
+              // Told to stop at the lease, but still finishing a write for a moment
+              await new Promise((resolve) => signal.addEventListener('abort', resolve));
+              await sleep(150);
+              throw new Error('gave up');
+            } finally {
+              span.end = Date.now();
+            }
+          })
+          .register('offline.broken', async () => { throw new Error('always broken'); }, { maxAttempts: 2 })
+          .register('offline.orphan', async ({ id }) => { runs.push(id); });
+      }
+
+      const counted = [];
+      for (let i = 0; i < 8; i++) counted.push(Number(await workers[0].enqueue('offline.count')));
+      const slow = Number(await workers[0].enqueue('offline.slow'));
+      const broken = Number(await workers[0].enqueue('offline.broken'));
+      const { rows: [orphan] } = await pool.query(
+        `INSERT INTO job_queue (job_type, status, attempts, locked_by, started_at)
+         VALUES ('offline.orphan', 'running', 1, 'gone-host:1', NOW() - INTERVAL '1 minute') RETURNING id`
+      );
+
+      workers.forEach((w) => w.start());
+      try {
+        await waitFor(async () => {
+          const { rows } = await pool.query(`SELECT 1 FROM job_queue WHERE job_type LIKE 'offline.%' AND status <> 'done'`);
+          return !rows.length;
+        }, 'the offline.* jobs never finished', 15000);
+      } finally {
+        workers.forEach((w) => w.stop());
+      }
+
+      check([...runs].sort((a, b) => a - b).join() === [...counted, Number(orphan.id)].sort((a, b) => a - b).join(),
+        `jobs ran ${JSON.stringify(runs)} - each should run exactly once`);
+
+      const { rows: [slowJob] } = await pool.query(`SELECT status, attempts FROM job_queue WHERE id = $1`, [slow]);
+      check(slowJob.status === 'done' && slowJob.attempts === 2, `the timed-out job ended ${JSON.stringify(slowJob)}`);
+      check(slowSpans.length === 2 && slowSpans[1].start >= slowSpans[0].end, `the retry overlapped the timed-out attempt: ${JSON.stringify(slowSpans)}`);
+
+      const { rows: [dead] } = await pool.query(`SELECT attempts, last_error FROM job_dead_letters WHERE job_id = $1`, [broken]);
+      check(dead?.attempts === 2 && dead.last_error === 'always broken', `the failing job was not dead-lettered: ${JSON.stringify(dead)}`);
+      await pool.query(`DELETE FROM job_queue WHERE job_type LIKE 'offline.%'`);
+    },
+  },
+  {
+    name: 'gift webhook',
+    async run({ baseUrl, newUser, pool }) {
+      const user = await newUser({ onboarded: true, level: 10, stage: 'FRIEND_TENSION' });
+      const paymentIntentId = `pi_offline_${crypto.randomUUID().slice(0, 8)}`;
+      await pool.query(
+        `INSERT INTO gift_transactions (user_id, gift_id, amount, status, stripe_payment_id) VALUES ($1, 'emoji_heart', 0.99, 'pending', $2)`,
+        [user.userId, paymentIntentId]
+      );
+      await pool.query(`INSERT INTO spend_ledger (user_id, kind, amount, reference) VALUES ($1, 'gift', 0.99, $2)`, [user.userId, paymentIntentId]);
+      const event = (id) => ({
+        id,
+        type: 'payment_intent.succeeded',
+        data: { object: { id: paymentIntentId, amount_received: 99, currency: 'usd', metadata: { userId: user.userId, giftId: 'emoji_heart' } } },
+      });
+      const state = async () => (await pool.query(
+        `SELECT r.relationship_level AS level, r.total_gifts_value AS gifts, t.status,
+                (SELECT COUNT(*)::int FROM gift_responses WHERE user_id = r.user_id) AS responses,
+                (SELECT status FROM spend_ledger WHERE reference = t.stripe_payment_id) AS ledger
+         FROM user_relationships r JOIN gift_transactions t ON t.user_id = r.user_id
+         WHERE r.user_id = $1`,
+        [user.userId]
+      )).rows[0];
+      const pending = { level: 10, gifts: 0, status: 'pending', responses: 0, ledger: 'pending' };
+      const fulfilled = { level: 11, gifts: 0.99, status: 'completed', responses: 1, ledger: 'completed' };
+      const same = (a, b) => JSON.stringify({ ...a, gifts: Number(a.gifts || 0) }) === JSON.stringify(b);
+
+      const forged = await stripeWebhook(baseUrl, event('evt_offline_forged'), { secret: 'whsec_wrong' });
+      check(forged.status === 400 && same(await state(), pending), `a forged event answered ${forged.status}`);
+
+      // A failure half-way through fulfilment leaves nothing behind and can be replayed
+      const eventId = `evt_offline_${crypto.randomUUID().slice(0, 8)}`;
+      await pool.query(`ALTER TABLE gift_responses RENAME TO gift_responses_offline`);
+      let broken;
+      try {
+        broken = await stripeWebhook(baseUrl, event(eventId));
+      } finally {
+        await pool.query(`ALTER TABLE gift_responses_offline RENAME TO gift_responses`);
+      }
+      check(broken.status === 400, `a failing fulfilment answered ${broken.status}`);
+      const partial = await state();
+      check(same(partial, pending), `a failed fulfilment left changes behind: ${JSON.stringify(partial)}`);
+
+      const { json: { events: [stored] } } = await adminApi(baseUrl, 'GET', '/api/admin/webhooks?provider=stripe&status=failed');
+      check(stored?.event_id === eventId, `the failed delivery was not stored: ${JSON.stringify(stored)}`);
+      const replayed = await adminApi(baseUrl, 'POST', `/api/admin/webhooks/${stored.id}/replay`);
+      check(replayed.status === 200 && replayed.json.outcome === 'applied', `replay answered ${replayed.status}: ${JSON.stringify(replayed.json)}`);
+      const afterReplay = await state();
+      check(same(afterReplay, fulfilled), `the replay did not fulfil the gift: ${JSON.stringify(afterReplay)}`);
+
+      // Redeliveries and a second event for the same payment change nothing
+      const redelivered = await stripeWebhook(baseUrl, event(eventId));
+      const secondEvent = await stripeWebhook(baseUrl, event(`${eventId}_again`));
+      check(redelivered.status === 200 && secondEvent.status === 200, `redeliveries answered ${redelivered.status} / ${secondEvent.status}`);
+      const final = await state();
+      check(same(final, fulfilled), `the gift was applied twice: ${JSON.stringify(final)}`);
+      const again = await adminApi(baseUrl, 'POST', `/api/admin/webhooks/${stored.id}/replay`);
+      check(again.status === 409, `replaying a processed event answered ${again.status}`);
+    },
+  },
+  // Runs last: it rolls the newest migrations back and forward under the running app
+  {
+    name: 'migrations',
+    async run({ pool }) {
+      const newest = migrator.loadMigrations().slice(-2);
+      const names = newest.map((m) => `${String(m.version).padStart(4, '0')}_${m.name}`);
+      const tables = newest.flatMap((m) => [...m.up.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/g)].map((match) => match[1]));
+      // Tables a migration adopted from production have a no-op down file and must survive a rollback
+      const dropped = newest.flatMap((m) => [...m.down.matchAll(/DROP TABLE IF EXISTS (\w+)/g)].map((match) => match[1]));
+      const adopted = tables.filter((table) => !dropped.includes(table));
+      const exists = async (table) => (await pool.query(`SELECT to_regclass($1) AS t`, [table])).rows[0].t !== null;
+      const existing = async (list = tables) => (await Promise.all(list.map(exists))).filter(Boolean).length;
+
+      const rolledBack = await migrator.migrateDown(pool, { steps: 2 });
+      check(rolledBack.join() === [...names].reverse().join(), `rolled back ${rolledBack.join()}`);
+      check(await existing(dropped) === 0, `the down migrations left tables behind (of ${dropped.join(', ')})`);
+      check(await existing(adopted) === adopted.length, `a rollback dropped adopted tables (of ${adopted.join(', ')})`);
+
+      const pending = await migrator.assertSchemaCurrent(pool).then(() => null, (error) => error);
+      check(pending?.code === 'MIGRATIONS_PENDING' && pending.pending.join() === names.join(), `the startup check did not refuse: ${pending?.message}`);
+
+      // Two processes migrating at once apply each migration exactly once
+      const second = createPool(DB_URL);
+      let applied;
+      try {
+        applied = await Promise.all([migrator.migrateUp(pool), migrator.migrateUp(second)]);
+      } finally {
+        await second.end();
+      }
+      check(applied.flat().sort().join() === names.join(), `the two runs applied ${JSON.stringify(applied)}`);
+      await migrator.assertSchemaCurrent(pool);
+      check(await existing() === tables.length, `the up migrations did not recreate ${tables.join(', ')}`);
+    },
+  },
+];
+
+// ============================================================
+// 🚀 MAIN
+// ============================================================
+
+async function main() {
+  const only = process.argv.slice(2);
+  const scenarios = only.length ? SCENARIOS.filter((s) => only.includes(s.name)) : SCENARIOS;
+  if (!scenarios.length) {
+    console.error(`❌ No scenario matches ${only.join(', ')}. Available: ${SCENARIOS.map((s) => s.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  const pool = createPool(DB_URL);
+  await migrator.migrateUp(pool);
+  await seedPhotos(pool);
+
+  const stubs = await createStubServers({ db: pool });
+
+  // app.js reads keys and endpoints at require time, so env must be final before it loads
+  Object.assign(process.env, stubs.env, {
+    DATABASE_URL: DB_URL,
+    SESSION_SECRET,
+    ADMIN_API_KEY,
+    OPENAI_API_KEY: 'offline-openai',
+    GROQ_API_KEY: 'offline-groq',
+    OPENROUTER_API_KEY: 'offline-openrouter',
+    CARTESIA_API_KEY: 'offline-cartesia',
+    ELEVENLABS_API_KEY: 'offline-elevenlabs',
+    HUME_API_KEY: 'offline-hume',
+    DEEPGRAM_API_KEY: 'offline-deepgram',
+    BRAVE_API_KEY: 'offline-brave',
+    STRIPE_GIFT_SECRET_KEY: 'sk_test_offline', // only the webhook path runs; nothing calls the Stripe API
+    STRIPE_GIFT_WEBHOOK_SECRET: STRIPE_WEBHOOK_SECRET,
+    VEROTEL_SIGNATURE_KEY,
+    LLM_ROUTES: JSON.stringify(LLM_ROUTES),
+  });
+  for (const key of ['RESEND_API_KEY', 'SMTP_HOST', 'LLM_FORCE_PROVIDER', 'LOCAL_LLM_ENDPOINT']) {
+    delete process.env[key];
+  }
+
+  const { createDefaultRegistry } = require('../../llm');
+  const { createApp } = require('../../app');
+  const { attachVoiceSockets } = require('../../routes/voice');
+
+  const recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ellie-recordings-'));
+  const app = createApp({
+    pool,
+    providers: createDefaultRegistry(process.env),
+    recordingStorage: createLocalStorage({ dir: recordingsDir }),
+  });
+  const server = http.createServer(app);
+  const sockets = attachVoiceSockets(server, app.locals.ctx);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const env = {
+    baseUrl: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    stubs,
+    pool,
+    ctx: app.locals.ctx,
+    async newUser({ onboarded = false, ...rel } = {}) {
+      const user = await createUser(pool, rel);
+      if (onboarded) await onboard(env.baseUrl, user);
+      return user;
+    },
+  };
+
+  const results = [];
+  for (const scenario of scenarios) {
+    stubs.reset();
+    const startedAt = Date.now();
+    try {
+      await scenario.run(env);
+      results.push({ name: scenario.name, ok: true, ms: Date.now() - startedAt });
+    } catch (err) {
+      results.push({ name: scenario.name, ok: false, ms: Date.now() - startedAt, error: err.message });
+    }
+  }
+
+  // Let fire-and-forget history writes land before the pool closes
+  await sleep(500);
+  for (const ws of [sockets.wss, sockets.wsPhone]) ws.clients.forEach((c) => c.terminate());
+  await new Promise((resolve) => server.close(resolve));
+  await pool.end();
+  await stubs.close();
+  fs.rmSync(recordingsDir, { recursive: true, force: true });
+
+  console.log('\n================================');
+  console.log('🧪 Offline run');
+  for (const r of results) {
+    console.log(`${r.ok ? '✅' : '❌'} ${r.name} (${r.ms}ms)${r.ok ? '' : ` - ${r.error}`}`);
+  }
+  const failed = results.filter((r) => !r.ok).length;
+  console.log(`${results.length - failed}/${results.length} passed`);
+  console.log('================================');
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('❌ Offline run failed:', err);
+  process.exit(1);
+});
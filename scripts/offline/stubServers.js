@@ -0,0 +1,542 @@
+// scripts/offline/stubServers.js - Local stand-ins for every vendor API the app calls
+// One HTTP server per vendor on an ephemeral 127.0.0.1 port. Each "lane" (a model
+// or API on that vendor) answers from a FIFO of scripted replies, falls back to a
+// default when the script runs dry, and records every request it received.
+// Supabase is the exception: its REST API is answered from the throwaway Postgres
+// (migrations 0003/0006 create the memory tables there) unless an error is scripted.
+// `stubs.env` holds the endpoint overrides that point the app at these servers.
+
+const crypto = require('crypto');
+const http = require('http');
+const { types } = require('pg');
+const WebSocket = require('ws');
+
+// ============================================================
+// 🎭 LANES
+// ============================================================
+
+// Default answers when nothing is scripted - short, in character, no trigger words
+const DEFAULTS = {
+  groq: 'haha yeah same honestly',
+  deepseek: 'mmm tell me more about your day',
+  euryale: 'mmm come here you',
+  openaiChat: 'haha yeah',
+  whisper: 'hey ellie how was your day',
+  deepgram: 'hey ellie how was your day',
+  deepgramLive: 'hey ellie how was your day',
+  speech: 'mp3',
+  cartesia: 'mp3',
+  elevenlabs: 'pcm',
+  hume: 'pcm',
+  embeddings: 'embedding',
+  brave: [],
+  supabase: null, // null = run the request against the database
+};
+
+function createLane(name) {
+  return { name, queue: [], calls: [] };
+}
+
+// A scripted reply is a string (completion text / transcript) or { status, body } for an error;
+// Brave takes an array of results ({ title, description, url, age })
+function nextReply(lane) {
+  return lane.queue.length ? lane.queue.shift() : DEFAULTS[lane.name];
+}
+
+// ============================================================
+// 📦 RESPONSE BUILDERS
+// ============================================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(buf) {
+  try { return JSON.parse(buf.toString('utf8')); } catch { return null; }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, reply) {
+  sendJson(res, reply.status, reply.body || { error: { message: `stub error ${reply.status}` } });
+}
+
+function sendCompletion(res, model, content, stream) {
+  if (stream) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    // A few words per frame so the app's incremental filter sees real deltas
+    for (const piece of content.match(/\S+\s*/g) || []) {
+      res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: piece } }] })}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+    return;
+  }
+  sendJson(res, 200, {
+    id: `chatcmpl-stub-${Date.now()}`,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 },
+  });
+}
+
+// Streams `content` and then goes quiet with the response still open, like a
+// provider that hangs mid-reply. Only the client closing the request ends it.
+function stallCompletion(res, content) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const piece of content.match(/\S+\s*/g) || []) {
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: piece } }] })}\n\n`);
+  }
+}
+
+// 200ms of a 440Hz tone - loud enough to pass the phone socket's energy gate
+function toneBuffer(sampleRate = 24000, ms = 200) {
+  const samples = Math.floor(sampleRate * ms / 1000);
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buf.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000), i * 2);
+  }
+  return buf;
+}
+
+// Hume answers with a 48kHz WAV file; the app strips the 44-byte header and resamples
+function wavBuffer(pcm, sampleRate = 48000) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Same text, same vector; different texts come out near-orthogonal, so
+// similarity checks (recall, blocked memories) behave as they would for real
+function embeddingFor(text) {
+  let seed = crypto.createHash('sha256').update(text).digest().readUInt32LE(0);
+  const vector = new Array(1536);
+  for (let i = 0; i < vector.length; i++) {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    vector[i] = seed / 2147483648 - 1;
+  }
+  return vector;
+}
+
+// Not a playable MP3 - the app only base64-encodes it, so any bytes will do
+const FAKE_MP3 = Buffer.from('ID3stub-mp3-audio');
+
+// An audio reply may also be { ms, delayMs }: a tone that long, sent after a pause
+function sendAudio(res, reply, kind) {
+  if (typeof reply === 'object' && reply.status) return sendError(res, reply);
+  const ms = reply?.ms || 200;
+  const body = kind === 'mp3' ? FAKE_MP3
+    : kind === 'wav' ? wavBuffer(toneBuffer(48000, ms))
+      : toneBuffer(24000, ms);
+  setTimeout(() => {
+    if (res.destroyed) return;
+    res.writeHead(200, { 'Content-Type': kind === 'mp3' ? 'audio/mpeg' : kind === 'wav' ? 'audio/wav' : 'application/octet-stream' });
+    res.end(body);
+  }, reply?.delayMs || 0);
+}
+
+// ============================================================
+// 🗄️ SUPABASE (PostgREST subset over the throwaway database)
+// ============================================================
+// Enough of PostgREST for what supabase-js sends from EllieMemorySystem:
+// select / insert / update / delete with eq, neq, gt(e), lt(e), like, ilike, is, in
+// and or=(...) filters, order, limit/offset, Prefer count=exact and
+// return=representation, plus POST /rpc/<function>.
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+const COMPARISONS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'columns', 'on_conflict']);
+
+// PostgREST sends bigint ids as JSON numbers; node-postgres would hand back strings
+const JSON_TYPES = { getTypeParser: (oid, format) => (oid === types.builtins.INT8 ? Number : types.getTypeParser(oid, format)) };
+
+function query(db, text, values) {
+  return db.query({ text, values, types: JSON_TYPES });
+}
+
+function identifier(name) {
+  if (!IDENTIFIER.test(name)) throw Object.assign(new Error(`unsupported identifier "${name}"`), { code: 'PGRST100' });
+  return `"${name}"`;
+}
+
+// Number arrays are embeddings: pgvector reads '[1,2,3]', node-postgres would send '{1,2,3}'
+function toParam(value) {
+  if (Array.isArray(value) && value.length && value.every((v) => typeof v === 'number')) return JSON.stringify(value);
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) return JSON.stringify(value);
+  return value;
+}
+
+// One `column=op.value` filter as SQL; params collects the bound values
+function filterSql(column, expression, params) {
+  const dot = expression.indexOf('.');
+  const op = expression.slice(0, dot);
+  const value = expression.slice(dot + 1);
+  const col = identifier(column);
+
+  if (COMPARISONS[op]) {
+    params.push(value);
+    return `${col} ${COMPARISONS[op]} $${params.length}`;
+  }
+  if (op === 'is' && ['null', 'true', 'false'].includes(value)) return `${col} IS ${value.toUpperCase()}`;
+  if (op === 'in' && /^\(.*\)$/.test(value)) {
+    params.push(value.slice(1, -1).split(',').map((v) => v.replace(/^"|"$/g, '')));
+    return `${col} = ANY($${params.length})`;
+  }
+  throw Object.assign(new Error(`unsupported filter ${column}=${expression}`), { code: 'PGRST100' });
+}
+
+// or=(a.is.null,a.eq.false) - flat lists only
+function orSql(expression, params) {
+  const parts = expression.replace(/^\(|\)$/g, '').split(',');
+  return `(${parts.map((part) => {
+    const dot = part.indexOf('.');
+    return filterSql(part.slice(0, dot), part.slice(dot + 1), params);
+  }).join(' OR ')})`;
+}
+
+function whereSql(searchParams, params) {
+  const clauses = [];
+  for (const [key, value] of searchParams) {
+    if (RESERVED_PARAMS.has(key)) continue;
+    clauses.push(key === 'or' ? orSql(value, params) : filterSql(key, value, params));
+  }
+  return clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+}
+
+function selectSql(select) {
+  if (!select || select === '*') return '*';
+  return select.split(',').map(identifier).join(', ');
+}
+
+function orderSql(order) {
+  if (!order) return '';
+  return ` ORDER BY ${order.split(',').map((term) => {
+    const [column, direction = 'asc', nulls] = term.split('.');
+    const dir = direction === 'desc' ? 'DESC' : 'ASC';
+    return `${identifier(column)} ${dir}${nulls ? ` NULLS ${nulls === 'nullsfirst' ? 'FIRST' : 'LAST'}` : ''}`;
+  }).join(', ')}`;
+}
+
+async function postgrest(db, req, res, body) {
+  const url = new URL(req.url, 'http://stub');
+  const prefer = String(req.headers.prefer || '');
+  const wantsCount = /count=exact/.test(prefer);
+  const wantsRows = /return=representation/.test(prefer);
+  const params = [];
+
+  const rpc = /^\/rest\/v1\/rpc\/([^/]+)$/.exec(url.pathname);
+  if (rpc) {
+    const args = parseJson(body) || {};
+    const named = Object.entries(args).map(([name, value]) => {
+      params.push(toParam(value));
+      return `${identifier(name)} => $${params.length}`;
+    });
+    const { rows } = await query(db, `SELECT * FROM ${identifier(rpc[1])}(${named.join(', ')})`, params);
+    return sendJson(res, 200, rows);
+  }
+
+  const table = /^\/rest\/v1\/([^/]+)$/.exec(url.pathname)?.[1];
+  if (!table) return sendJson(res, 404, { message: `stub supabase: no route for ${url.pathname}` });
+  const from = identifier(table);
+  const returning = wantsRows ? ` RETURNING ${selectSql(url.searchParams.get('select'))}` : '';
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    const where = whereSql(url.searchParams, params);
+    const limit = url.searchParams.has('limit') ? ` LIMIT ${Number(url.searchParams.get('limit'))}` : '';
+    const offset = Number(url.searchParams.get('offset') || 0);
+    const { rows } = await query(db,
+      `SELECT ${selectSql(url.searchParams.get('select'))} FROM ${from}${where}${orderSql(url.searchParams.get('order'))}${limit} OFFSET ${offset}`,
+      params
+    );
+    let total = '*';
+    if (wantsCount) total = (await query(db, `SELECT COUNT(*)::int AS n FROM ${from}${where}`, params)).rows[0].n;
+    res.setHeader('Content-Range', `${rows.length ? `${offset}-${offset + rows.length - 1}` : '*'}/${total}`);
+    return req.method === 'HEAD' ? res.end() : sendJson(res, 200, rows);
+  }
+
+  let result;
+  if (req.method === 'POST') {
+    const input = parseJson(body);
+    const records = Array.isArray(input) ? input : [input];
+    const columns = Object.keys(records[0] || {});
+    const values = records.map((record) => `(${columns.map((c) => {
+      params.push(toParam(record[c] === undefined ? null : record[c]));
+      return `$${params.length}`;
+    }).join(', ')})`);
+    result = await query(db, `INSERT INTO ${from} (${columns.map(identifier).join(', ')}) VALUES ${values.join(', ')}${returning}`, params);
+  } else if (req.method === 'PATCH') {
+    const assignments = Object.entries(parseJson(body) || {}).map(([column, value]) => {
+      params.push(toParam(value));
+      return `${identifier(column)} = $${params.length}`;
+    });
+    result = await query(db, `UPDATE ${from} SET ${assignments.join(', ')}${whereSql(url.searchParams, params)}${returning}`, params);
+  } else if (req.method === 'DELETE') {
+    result = await query(db, `DELETE FROM ${from}${whereSql(url.searchParams, params)}${returning}`, params);
+  } else {
+    return sendJson(res, 405, { message: `stub supabase: ${req.method} not supported` });
+  }
+
+  if (wantsCount) res.setHeader('Content-Range', `*/${result.rowCount}`);
+  if (wantsRows) return sendJson(res, req.method === 'POST' ? 201 : 200, result.rows);
+  res.writeHead(req.method === 'POST' ? 201 : 204);
+  res.end();
+}
+
+// ============================================================
+// 🖥️ VENDOR HANDLERS
+// ============================================================
+
+function chatHandler(laneFor) {
+  return async (req, res, body) => {
+    const json = parseJson(body) || {};
+    const lane = laneFor(json.model, req);
+    const call = { path: req.url, model: json.model, messages: json.messages, stream: !!json.stream, closed: false };
+    lane.calls.push(call);
+    res.on('close', () => { call.closed = true; });
+    const reply = nextReply(lane);
+    if (reply?.stall !== undefined) return stallCompletion(res, reply.stall);
+    if (typeof reply === 'object') return sendError(res, reply);
+    sendCompletion(res, json.model, reply, json.stream);
+  };
+}
+
+function createHandlers(lanes, db) {
+  return {
+    groq: chatHandler(() => lanes.groq),
+
+    // OpenRouter serves both DeepSeek and Euryale - pick the lane by model id
+    openrouter: chatHandler((model) => (/euryale/i.test(model || '') ? lanes.euryale : lanes.deepseek)),
+
+    async openai(req, res, body) {
+      if (req.url.endsWith('/chat/completions')) {
+        return chatHandler(() => lanes.openaiChat)(req, res, body);
+      }
+      if (req.url.endsWith('/audio/transcriptions')) {
+        lanes.whisper.calls.push({ path: req.url, bytes: body.length });
+        const reply = nextReply(lanes.whisper);
+        if (typeof reply === 'object') return sendError(res, reply);
+        return sendJson(res, 200, { text: reply });
+      }
+      if (req.url.endsWith('/audio/speech')) {
+        const json = parseJson(body) || {};
+        const format = json.response_format || json.format;
+        lanes.speech.calls.push({ path: req.url, input: json.input, format });
+        return sendAudio(res, nextReply(lanes.speech), format === 'pcm' ? 'pcm' : 'mp3');
+      }
+      if (req.url.endsWith('/embeddings')) {
+        const json = parseJson(body) || {};
+        lanes.embeddings.calls.push({ path: req.url, input: json.input });
+        nextReply(lanes.embeddings);
+        const vector = embeddingFor(String(json.input));
+        // The SDK asks for base64 (packed float32) unless told otherwise
+        const embedding = json.encoding_format === 'base64' ? Buffer.from(new Float32Array(vector).buffer).toString('base64') : vector;
+        return sendJson(res, 200, {
+          object: 'list',
+          data: [{ object: 'embedding', index: 0, embedding }],
+          model: 'text-embedding-3-small',
+          usage: { prompt_tokens: 8, total_tokens: 8 },
+        });
+      }
+      sendJson(res, 404, { error: { message: `stub openai: no route for ${req.url}` } });
+    },
+
+    async cartesia(req, res, body) {
+      const json = parseJson(body) || {};
+      lanes.cartesia.calls.push({ path: req.url, transcript: json.transcript, container: json.output_format?.container });
+      sendAudio(res, nextReply(lanes.cartesia), json.output_format?.container === 'mp3' ? 'mp3' : 'pcm');
+    },
+
+    async elevenlabs(req, res, body) {
+      const json = parseJson(body) || {};
+      lanes.elevenlabs.calls.push({ path: req.url, text: json.text });
+      sendAudio(res, nextReply(lanes.elevenlabs), 'pcm');
+    },
+
+    async hume(req, res, body) {
+      const json = parseJson(body) || {};
+      lanes.hume.calls.push({ path: req.url, text: json.utterances?.[0]?.text });
+      sendAudio(res, nextReply(lanes.hume), 'wav');
+    },
+
+    async deepgram(req, res, body) {
+      lanes.deepgram.calls.push({ path: req.url, bytes: body.length });
+      const reply = nextReply(lanes.deepgram);
+      if (typeof reply === 'object') return sendError(res, reply);
+      sendJson(res, 200, { results: { channels: [{ alternatives: [{ transcript: reply, confidence: 0.99 }] }] } });
+    },
+
+    async brave(req, res) {
+      const url = new URL(req.url, 'http://stub');
+      lanes.brave.calls.push({ path: url.pathname, q: url.searchParams.get('q'), freshness: url.searchParams.get('freshness') });
+      const reply = nextReply(lanes.brave);
+      if (!Array.isArray(reply)) return sendError(res, reply);
+      sendJson(res, 200, { type: 'search', query: { original: url.searchParams.get('q') }, web: { results: reply } });
+    },
+
+    async supabase(req, res, body) {
+      const url = new URL(req.url, 'http://stub');
+      lanes.supabase.calls.push({ method: req.method, path: url.pathname, query: url.search });
+      const reply = nextReply(lanes.supabase);
+      if (reply) return sendError(res, reply);
+      try {
+        await postgrest(db, req, res, body);
+      } catch (err) {
+        sendJson(res, 400, { code: err.code || 'PGRST000', message: err.message, details: err.detail || null, hint: null });
+      }
+    },
+  };
+}
+
+// Deepgram live recognition on the same /v1/listen path (WebSocket). One scripted
+// transcript per utterance: interim results reveal it a word per 4 audio messages,
+// Finalize sends it whole as the final. { status } closes the socket with 1011 instead.
+function attachDeepgramLive(server, lane) {
+  const wss = new WebSocket.Server({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  wss.on('connection', (ws, req) => {
+    const call = { path: req.url, bytes: 0, finals: [] };
+    lane.calls.push(call);
+    let reply = null;
+    let messages = 0;
+    const sendResult = (transcript, flags) => {
+      ws.send(JSON.stringify({ type: 'Results', channel: { alternatives: [{ transcript, confidence: 0.99 }] }, ...flags }));
+    };
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        call.bytes += data.length;
+        if (reply === null) reply = nextReply(lane);
+        if (typeof reply === 'object') return ws.close(1011, `stub error ${reply.status}`);
+        messages++;
+        if (messages % 4 === 0) {
+          const words = reply.split(/\s+/);
+          sendResult(words.slice(0, Math.min(words.length - 1, messages / 4)).join(' '), { is_final: false });
+        }
+        return;
+      }
+
+      const msg = parseJson(data);
+      if (msg?.type === 'Finalize' && typeof reply === 'string') {
+        call.finals.push(reply);
+        sendResult(reply, { is_final: true, speech_final: true, from_finalize: true });
+        reply = null;
+        messages = 0;
+      } else if (msg?.type === 'CloseStream') {
+        ws.close(1000);
+      }
+    });
+  });
+  return wss;
+}
+
+function listen(handler) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(async (req, res) => {
+      try {
+        const body = await readBody(req);
+        await handler(req, res, body);
+      } catch (err) {
+        sendJson(res, 500, { error: { message: err.message } });
+      }
+    });
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// ============================================================
+// 🚀 FACTORY
+// ============================================================
+
+/**
+ * Start every vendor stub.
+ * @param {object} options
+ * @param {object} options.db - pg pool on the throwaway database (serves the Supabase stub)
+ * @returns {Promise<object>} stubs
+ *   stubs.env - endpoint overrides to merge into process.env BEFORE requiring app.js
+ *   stubs.script(lane, ...replies) - queue replies (string, or { status, body } for an error;
+ *     chat lanes also take { stall: text }; audio lanes take { ms, delayMs }; supabase only takes errors)
+ *   stubs.calls(lane) - requests a lane has received (chat calls flag `closed` once the client hangs up)
+ *   stubs.reset() - clear every queue and call log
+ *   stubs.close()
+ */
+async function createStubServers({ db }) {
+  const lanes = {};
+  for (const name of Object.keys(DEFAULTS)) lanes[name] = createLane(name);
+
+  const handlers = createHandlers(lanes, db);
+  const servers = {};
+  for (const [vendor, handler] of Object.entries(handlers)) {
+    servers[vendor] = await listen(handler);
+  }
+  const deepgramLive = attachDeepgramLive(servers.deepgram, lanes.deepgramLive);
+
+  const base = (vendor) => `http://127.0.0.1:${servers[vendor].address().port}`;
+
+  const env = {
+    GROQ_ENDPOINT: `${base('groq')}/openai/v1/chat/completions`,
+    OPENROUTER_ENDPOINT: `${base('openrouter')}/api/v1/chat/completions`,
+    OPENAI_BASE_URL: `${base('openai')}/v1`,
+    CARTESIA_ENDPOINT: `${base('cartesia')}/tts/bytes`,
+    ELEVENLABS_ENDPOINT: `${base('elevenlabs')}/v1/text-to-speech`,
+    HUME_TTS_ENDPOINT: `${base('hume')}/v0/tts/file`,
+    DEEPGRAM_ENDPOINT: `${base('deepgram')}/v1/listen`,
+    BRAVE_SEARCH_ENDPOINT: `${base('brave')}/res/v1/web/search`,
+    SUPABASE_URL: base('supabase'),
+    SUPABASE_KEY: 'offline-supabase',
+  };
+
+  return {
+    env,
+
+    script(lane, ...replies) {
+      if (!lanes[lane]) throw new Error(`Unknown stub lane: ${lane}`);
+      lanes[lane].queue.push(...replies);
+    },
+
+    calls(lane) {
+      if (!lanes[lane]) throw new Error(`Unknown stub lane: ${lane}`);
+      return lanes[lane].calls;
+    },
+
+    reset() {
+      for (const lane of Object.values(lanes)) {
+        lane.queue.length = 0;
+        lane.calls.length = 0;
+      }
+    },
+
+    close() {
+      for (const client of deepgramLive.clients) client.terminate();
+      return Promise.all(Object.values(servers).map((s) => new Promise((resolve) => {
+        s.close(resolve);
+        s.closeAllConnections();
+      })));
+    },
+  };
+}
+
+module.exports = { createStubServers, toneBuffer, wavBuffer };
@@ -0,0 +1,125 @@
+/**
+ * Regenerate the phone VAD fixtures in test/fixtures/vad (see test/vad.test.js).
+ * Each WAV is a short synthetic call line - background noise plus voiced
+ * "syllables" (a harmonic pulse train with a soft envelope) - and
+ * timeline.json records where every syllable was put, so the test can check
+ * the VAD's speech_start / speech_end against what is actually in the audio.
+ * The noise is seeded, so a rerun writes byte-identical files.
+ * Usage:
+ *   node scripts/vad-fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pcm16ToWav } = require('../tts/audio');
+
+const OUT_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'vad');
+const SAMPLE_RATE = 16000;
+const SYLLABLE_MS = 200;
+const SYLLABLE_GAP_MS = 60;
+
+// mulberry32 - small seeded PRNG so the noise is the same on every run
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const at = (ms) => Math.round(ms * SAMPLE_RATE / 1000);
+
+// White noise (hiss-like: high zero-crossing rate) at roughly this RMS
+function addNoise(signal, rms, seed) {
+  const random = prng(seed);
+  const amplitude = rms * Math.sqrt(3); // uniform [-a, a] has RMS a/sqrt(3)
+  for (let i = 0; i < signal.length; i++) signal[i] += (random() * 2 - 1) * amplitude;
+}
+
+// Mains-style hum: a low sine with one harmonic (low zero-crossing rate, steady energy)
+function addHum(signal, rms, hz) {
+  const amplitude = rms * Math.SQRT2 / Math.sqrt(1 + 0.25);
+  for (let i = 0; i < signal.length; i++) {
+    const t = i / SAMPLE_RATE;
+    signal[i] += amplitude * (Math.sin(2 * Math.PI * hz * t) + 0.5 * Math.sin(2 * Math.PI * 3 * hz * t));
+  }
+}
+
+// One voiced syllable: 140Hz fundamental with falling harmonics, 20ms attack/decay
+function addSyllable(signal, startMs, ms, peak) {
+  const from = at(startMs);
+  const length = at(ms);
+  const ramp = at(20);
+  for (let n = 0; n < length && from + n < signal.length; n++) {
+    const t = n / SAMPLE_RATE;
+    let voiced = 0;
+    for (let k = 1; k <= 8; k++) voiced += Math.sin(2 * Math.PI * 140 * k * t) / k;
+    const envelope = Math.min(1, n / ramp, (length - n) / ramp);
+    signal[from + n] += peak * 0.45 * voiced * envelope;
+  }
+}
+
+// Syllables back to back from onsetMs; returns the utterance's span
+function addWords(signal, onsetMs, syllables, peak) {
+  for (let i = 0; i < syllables; i++) {
+    addSyllable(signal, onsetMs + i * (SYLLABLE_MS + SYLLABLE_GAP_MS), SYLLABLE_MS, peak);
+  }
+  return { onsetMs, endMs: onsetMs + syllables * SYLLABLE_MS + (syllables - 1) * SYLLABLE_GAP_MS, speechMs: syllables * SYLLABLE_MS };
+}
+
+function toPcm16(signal) {
+  const pcm = Buffer.alloc(signal.length * 2);
+  for (let i = 0; i < signal.length; i++) {
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(signal[i]))), i * 2);
+  }
+  return pcm;
+}
+
+const FIXTURES = {
+  // Quiet line, two separate utterances
+  quiet_room: () => {
+    const signal = new Float64Array(at(4000));
+    addNoise(signal, 50, 1);
+    const utterances = [addWords(signal, 500, 4, 6000), addWords(signal, 2600, 2, 6000)];
+    return { signal, utterances, noise: { kind: 'hiss', rms: 50 } };
+  },
+
+  // A short bump: loud enough to start an utterance, too short to keep
+  cough: () => {
+    const signal = new Float64Array(at(2000));
+    addNoise(signal, 50, 2);
+    addSyllable(signal, 800, 140, 8000);
+    return { signal, utterances: [], bursts: [{ onsetMs: 800, endMs: 940 }], noise: { kind: 'hiss', rms: 50 } };
+  },
+
+  // Steady hum from the first sample: the VAD must learn it as the noise floor,
+  // then still hear the caller over it
+  mains_hum: () => {
+    const signal = new Float64Array(at(9000));
+    addHum(signal, 1200, 50);
+    addNoise(signal, 30, 3);
+    const utterances = [addWords(signal, 6000, 3, 16000)];
+    return { signal, utterances, noise: { kind: 'hum', rms: 1200 } };
+  },
+};
+
+function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const timeline = { sampleRate: SAMPLE_RATE, fixtures: {} };
+
+  for (const [name, build] of Object.entries(FIXTURES)) {
+    const { signal, ...meta } = build();
+    const file = `${name}.wav`;
+    fs.writeFileSync(path.join(OUT_DIR, file), pcm16ToWav(toPcm16(signal), SAMPLE_RATE));
+    timeline.fixtures[name] = { file, durationMs: Math.round(signal.length * 1000 / SAMPLE_RATE), ...meta };
+    console.log(`🎙️ ${file}: ${(signal.length / SAMPLE_RATE).toFixed(1)}s`);
+  }
+
+  fs.writeFileSync(path.join(OUT_DIR, 'timeline.json'), `${JSON.stringify(timeline, null, 2)}\n`);
+  console.log(`✅ Wrote ${Object.keys(FIXTURES).length} fixtures and timeline.json to ${path.relative(process.cwd(), OUT_DIR) || '.'}`);
+}
+
+main();
@@ -0,0 +1,61 @@
+/**
+ * Run a recorded call through the phone VAD (stt/vad.js) and print its events.
+ * The VAD counts time in samples, so the same recording always gives the same
+ * output - handy for tuning thresholds against real calls.
+ * Usage:
+ *   node scripts/vad-replay.js call.wav
+ *   node scripts/vad-replay.js test/fixtures/vad/mains_hum.wav   (the fixtures test/vad.test.js checks)
+ *   node scripts/vad-replay.js call.pcm --rate 16000 [--chunk-ms 200] [--sensitivity 0.7] [--end-silence-ms 900]
+ * Raw .pcm files are mono PCM16 little-endian (what /ws/phone receives).
+ */
+
+const fs = require('fs');
+const { parseWav, toMono } = require('../tts/audio');
+const { VoiceActivityDetector } = require('../stt/vad');
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? fallback : Number(process.argv[i + 1]);
+}
+
+function main() {
+  const file = process.argv[2];
+  if (!file || file.startsWith('--')) {
+    console.error('Usage: node scripts/vad-replay.js <file.wav|file.pcm> [--rate 24000] [--chunk-ms 200] [--sensitivity 0.5] [--end-silence-ms 700]');
+    process.exit(1);
+  }
+
+  const data = fs.readFileSync(file);
+  let pcm = data;
+  let sampleRate = option('rate', 24000);
+  if (data.toString('ascii', 0, 4) === 'RIFF') {
+    const wav = parseWav(data);
+    pcm = toMono(wav.pcm, wav.channels);
+    sampleRate = wav.sampleRate;
+  }
+
+  const vad = new VoiceActivityDetector({ sampleRate });
+  const settings = vad.tune({ sensitivity: option('sensitivity'), endSilenceMs: option('end-silence-ms') });
+  console.log(`🎙️ ${file}: ${(pcm.length / (2 * sampleRate)).toFixed(2)}s at ${sampleRate}Hz`, settings);
+
+  // Feed it in client-sized chunks, like /ws/phone audio.append
+  const chunkBytes = Math.round(sampleRate * option('chunk-ms', 200) / 1000) * 2;
+  const events = [];
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    events.push(...vad.push(pcm.subarray(offset, offset + chunkBytes)));
+  }
+  events.push(...vad.flush('end_of_file'));
+
+  for (const event of events) {
+    if (event.type === 'speech_start') {
+      console.log(`${event.atMs}ms  ▶️ speech_start`);
+    } else if (event.type === 'speech_end') {
+      console.log(`${event.atMs}ms  ⏹️ speech_end (${event.reason}) - ${event.durationMs}ms utterance, ${event.speechMs}ms speech`);
+    } else {
+      console.log(`${event.atMs}ms  🗑️ ${event.type} (${event.reason}) - ${event.speechMs}ms speech`);
+    }
+  }
+  console.log(`✅ ${events.filter(e => e.type === 'speech_end').length} utterance(s), noise floor ${Math.round(vad.noiseFloor)}`);
+}
+
+main();
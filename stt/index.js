@@ -0,0 +1,122 @@
+// ============================================================
+// 🎤 STT SERVICE
+// ============================================================
+// Each recognizer is one module under ./providers sharing the
+// name / configured / transcribe() interface; live recognizers also
+// have connect() (see ./providers/deepgram.js). ./routes.js orders
+// them: the streaming chain feeds /ws/phone partial transcripts, the
+// batch chain transcribes whole utterances when live recognition is
+// unavailable or fails. ./vad.js decides where utterances end.
+// ============================================================
+
+const { loadRoutes } = require('./routes');
+const { TranscriptStream } = require('./streaming');
+const { createDeepgramProvider } = require('./providers/deepgram');
+const { createWhisperProvider } = require('./providers/whisper');
+
+function sttError(code, message, attempts) {
+  const error = new Error(message);
+  error.code = code;
+  error.attempts = attempts;
+  return error;
+}
+
+class SttService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.routes] - { streaming: [name, ...], batch: [name, ...] } (see ./routes.js)
+   * @param {number} [options.timeoutMs] - Per-provider batch request timeout
+   * @param {number} [options.finalizeTimeoutMs] - How long a live stream may take to flush an utterance
+   */
+  constructor({ routes = {}, timeoutMs = 10000, finalizeTimeoutMs = 1500 } = {}) {
+    this.routes = { streaming: [], batch: [], ...routes };
+    this.timeoutMs = timeoutMs;
+    this.finalizeTimeoutMs = finalizeTimeoutMs;
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.transcribe !== 'function') {
+      throw new Error('STT provider must have a name and a transcribe() function');
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  // Configured providers for a chain, in order; unknown names are skipped with a warning
+  resolve(kind) {
+    const chain = [];
+    for (const name of this.routes[kind] || []) {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        console.warn(`⚠️ [STT] Route ${kind} names unknown provider "${name}" - skipping`);
+      } else if (provider.configured && (kind !== 'streaming' || typeof provider.connect === 'function')) {
+        chain.push(provider);
+      }
+    }
+    return chain;
+  }
+
+  /** Name of the live recognizer openStream() would use, or null. */
+  streamingProvider() {
+    return this.resolve('streaming')[0]?.name || null;
+  }
+
+  /**
+   * Open a live transcript stream on the first configured streaming provider.
+   * @param {object} options - TranscriptStream options (sampleRate, language, onPartial, onClose)
+   * @returns {TranscriptStream|null} null when live STT is off or nothing is configured
+   */
+  openStream(options) {
+    const provider = this.resolve('streaming')[0];
+    if (!provider) return null;
+    return new TranscriptStream({ finalizeTimeoutMs: this.finalizeTimeoutMs, ...options, provider });
+  }
+
+  /**
+   * Transcribe a whole utterance with the first batch provider that succeeds.
+   * @param {Buffer} wav
+   * @param {object} [options]
+   * @param {string} [options.language]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{ text: string, provider: string, fallbacks: Array }>}
+   *   Throws error.code STT_UNAVAILABLE (with error.attempts) when every provider failed.
+   */
+  async transcribe(wav, { language = 'en', signal } = {}) {
+    const attempts = [];
+    for (const provider of this.resolve('batch')) {
+      try {
+        const text = await provider.transcribe(wav, { language, timeoutMs: this.timeoutMs, signal });
+        return { text, provider: provider.name, fallbacks: attempts };
+      } catch (error) {
+        attempts.push({ provider: provider.name, error: String(error?.message || error).substring(0, 200) });
+        console.warn(`⚠️ [STT] ${provider.name} failed: ${error.message}`);
+      }
+    }
+    throw sttError('STT_UNAVAILABLE', 'No STT provider could transcribe the audio', attempts);
+  }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.openai - OpenAI SDK client for the Whisper fallback
+ * @param {object} [env]
+ */
+function createDefaultStt({ openai }, env = process.env) {
+  return new SttService({
+    routes: loadRoutes(env),
+    timeoutMs: Number(env.STT_TIMEOUT_MS || 10000),
+  })
+    .register(createDeepgramProvider(env))
+    .register(createWhisperProvider({ client: openai }, env));
+}
+
+module.exports = { SttService, createDefaultStt };
@@ -0,0 +1,117 @@
+// ============================================================
+// 🎤 DEEPGRAM PROVIDER - Nova-3 (phone primary, batch and live)
+// ============================================================
+// Batch: POST a WAV to /v1/listen. Live: PCM16 over a WebSocket to the
+// same path; Deepgram answers with interim results that are revised as
+// more audio arrives and final ones that are not. A Finalize message
+// flushes whatever audio is still pending as a final result (marked
+// from_finalize), which is how an utterance is closed off.
+// ============================================================
+
+const WebSocket = require('ws');
+
+const DEEPGRAM_ENDPOINT = "https://api.deepgram.com/v1/listen";
+const KEEPALIVE_MS = 5000; // Deepgram closes a live socket after 10s without audio or KeepAlive
+
+function createDeepgramProvider(env = process.env) {
+  const apiKey = env.DEEPGRAM_API_KEY;
+  const endpoint = env.DEEPGRAM_ENDPOINT || DEEPGRAM_ENDPOINT;
+  const streamEndpoint = env.DEEPGRAM_STREAM_ENDPOINT || endpoint.replace(/^http/, 'ws');
+
+  return {
+    name: 'deepgram',
+    configured: !!apiKey,
+
+    async transcribe(wav, { language, timeoutMs, signal }) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const response = await fetch(`${endpoint}?model=nova-3&language=${language}&smart_format=true&punctuate=true`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Token ${apiKey}`,
+          'Content-Type': 'audio/wav'
+        },
+        body: wav,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`Deepgram API error: ${response.status} - ${errorText.substring(0, 300)}`);
+      }
+
+      const result = await response.json();
+      return (result?.results?.channels?.[0]?.alternatives?.[0]?.transcript || "").trim();
+    },
+
+    /**
+     * Open a live recognition socket. Audio sent before it connects is queued.
+     * @param {object} options
+     * @param {number} options.sampleRate - PCM16 mono input rate
+     * @param {string} options.language
+     * @param {function} options.onResult - ({ text, isFinal, fromFinalize }) => void
+     * @param {function} options.onClose - (error|null) => void, called once
+     * @returns {{ send: function(Buffer), finalize: function(), close: function() }}
+     */
+    connect({ sampleRate, language, onResult, onClose }) {
+      const params = new URLSearchParams({
+        model: 'nova-3',
+        language,
+        encoding: 'linear16',
+        sample_rate: String(sampleRate),
+        channels: '1',
+        interim_results: 'true',
+        punctuate: 'true',
+        smart_format: 'true',
+      });
+      const ws = new WebSocket(`${streamEndpoint}?${params}`, { headers: { Authorization: `Token ${apiKey}` } });
+      const pending = [];
+      let keepAlive = null;
+      let socketError = null;
+
+      const send = (data) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(data);
+        else if (ws.readyState === WebSocket.CONNECTING) pending.push(data);
+      };
+
+      ws.on('open', () => {
+        for (const data of pending.splice(0)) ws.send(data);
+        keepAlive = setInterval(() => send(JSON.stringify({ type: 'KeepAlive' })), KEEPALIVE_MS);
+      });
+
+      ws.on('message', (raw, isBinary) => {
+        if (isBinary) return;
+        let msg;
+        try { msg = JSON.parse(raw.toString('utf8')); } catch { return; }
+        if (msg.type !== 'Results') return;
+        onResult({
+          text: (msg.channel?.alternatives?.[0]?.transcript || '').trim(),
+          isFinal: !!msg.is_final,
+          fromFinalize: !!msg.from_finalize,
+        });
+      });
+
+      ws.on('error', (error) => { socketError = error; });
+
+      ws.on('close', (code, reason) => {
+        clearInterval(keepAlive);
+        const clean = code === 1000 || code === 1005;
+        onClose(socketError || (clean ? null : new Error(`Deepgram stream closed: ${code} ${reason?.toString() || ''}`.trim())));
+      });
+
+      return {
+        send: (pcm) => send(pcm),
+        finalize: () => send(JSON.stringify({ type: 'Finalize' })),
+        close() {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'CloseStream' }));
+            ws.close(1000);
+          } else if (ws.readyState === WebSocket.CONNECTING) {
+            ws.terminate();
+          }
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createDeepgramProvider };
@@ -0,0 +1,33 @@
+// ============================================================
+// 🎤 OPENAI WHISPER PROVIDER - whisper-1 (batch fallback)
+// ============================================================
+
+const { toFile } = require('openai/uploads');
+
+// Biases Whisper towards the words callers actually use with Ellie
+const WHISPER_PROMPT = "English conversation. Common words: how are you, what, really, are you, do you, can you, want you, horny, naked, sexy, hot, babe, baby, okay, yes, no, maybe, want, like, love, miss you, thinking about you, come over, right now";
+
+/**
+ * @param {object} deps
+ * @param {object} deps.client - OpenAI SDK client (honours OPENAI_BASE_URL)
+ * @param {object} [env]
+ */
+function createWhisperProvider({ client }, env = process.env) {
+  return {
+    name: 'whisper',
+    configured: !!(client && env.OPENAI_API_KEY),
+
+    async transcribe(wav, { language, timeoutMs, signal }) {
+      const audioFile = await toFile(wav, "audio.wav");
+      const transcription = await client.audio.transcriptions.create({
+        model: "whisper-1",
+        file: audioFile,
+        language: language,
+        prompt: WHISPER_PROMPT
+      }, { timeout: timeoutMs, maxRetries: 0, signal });
+      return (transcription.text || "").trim();
+    },
+  };
+}
+
+module.exports = { createWhisperProvider };
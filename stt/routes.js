@@ -0,0 +1,37 @@
+// ============================================================
+// 🔀 STT ROUTING RULES
+// ============================================================
+// Ordered provider chains, like TTS routes:
+//
+//   streaming - live recognizers for /ws/phone (partial transcripts while
+//               the caller talks); the first configured one is used
+//   batch     - whole-utterance transcription, tried in order; used when
+//               no live recognizer is available or it failed mid-call
+//
+// Override without a deploy:
+//   STT_ROUTES='{"streaming":[]}'  (merged over defaults; [] turns live STT off)
+// ============================================================
+
+const DEFAULT_ROUTES = {
+  streaming: ['deepgram'],
+  batch: ['deepgram', 'whisper'],
+};
+
+function loadRoutes(env = process.env) {
+  const routes = { ...DEFAULT_ROUTES };
+
+  if (env.STT_ROUTES) {
+    try {
+      const overrides = JSON.parse(env.STT_ROUTES);
+      for (const [kind, chain] of Object.entries(overrides)) {
+        if (Array.isArray(chain)) routes[kind] = chain;
+      }
+    } catch (error) {
+      console.error('⚠️ Invalid STT_ROUTES JSON, using default routes:', error.message);
+    }
+  }
+
+  return routes;
+}
+
+module.exports = { DEFAULT_ROUTES, loadRoutes };
@@ -0,0 +1,141 @@
+// ============================================================
+// 📝 LIVE TRANSCRIPTS (phone calls)
+// ============================================================
+// Wraps one live recognizer connection for the length of a call.
+// Caller audio is streamed as it arrives; the recognizer's final
+// results (stable) are collected and its interim one (still being
+// revised) is appended to make the partial transcript shown to the
+// caller. When the VAD ends an utterance, finalize() flushes the
+// recognizer and resolves with the stable text, which is what the
+// reply is generated from.
+// ============================================================
+
+function sttError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class TranscriptStream {
+  /**
+   * @param {object} options
+   * @param {object} options.provider - STT provider with connect() (see ./providers/deepgram.js)
+   * @param {number} options.sampleRate
+   * @param {string} [options.language]
+   * @param {function} [options.onPartial] - (text) => void whenever the partial transcript changes
+   * @param {function} [options.onClose] - (error|null) => void when the connection ends
+   * @param {number} [options.finalizeTimeoutMs] - How long finalize() waits for the flushed result
+   */
+  constructor({ provider, sampleRate, language = 'en', onPartial = () => {}, onClose = () => {}, finalizeTimeoutMs = 1500 }) {
+    this.provider = provider;
+    this.sampleRate = sampleRate;
+    this.onPartial = onPartial;
+    this.onClose = onClose;
+    this.finalizeTimeoutMs = finalizeTimeoutMs;
+
+    this.finals = [];
+    this.interim = '';
+    this.lastPartial = '';
+    this.bytes = 0;
+    this.closed = false;
+    this.error = null;
+    this.pendingFinalize = null;
+
+    this.connection = provider.connect({
+      sampleRate,
+      language,
+      onResult: (result) => this.handleResult(result),
+      onClose: (error) => this.handleClose(error),
+    });
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  /** Stable text so far plus the interim result. */
+  text() {
+    return [...this.finals, this.interim].filter(Boolean).join(' ');
+  }
+
+  send(pcm) {
+    if (this.closed) return;
+    this.bytes += pcm.length;
+    this.connection.send(pcm);
+  }
+
+  handleResult({ text, isFinal, fromFinalize }) {
+    if (isFinal) {
+      if (text) this.finals.push(text);
+      this.interim = '';
+    } else {
+      this.interim = text;
+    }
+
+    const partial = this.text();
+    if (partial && partial !== this.lastPartial) {
+      this.lastPartial = partial;
+      this.onPartial(partial);
+    }
+
+    if (fromFinalize && this.pendingFinalize) this.pendingFinalize.settle();
+  }
+
+  handleClose(error) {
+    if (this.closed) return;
+    this.closed = true;
+    this.error = error;
+    if (this.pendingFinalize) this.pendingFinalize.fail(error || sttError('STT_STREAM_CLOSED', `${this.name} stream closed`));
+    this.onClose(error);
+  }
+
+  /**
+   * End the current utterance: flush the recognizer and collect its stable text.
+   * If the flush result doesn't come back in time, the finals received so far are used.
+   * @returns {Promise<{ text: string, provider: string, audioSeconds: number }>}
+   *   Rejects (error.code STT_STREAM_CLOSED / STT_TIMEOUT) when there is nothing usable - transcribe the audio in batch instead.
+   */
+  finalize() {
+    if (this.closed) {
+      return Promise.reject(this.error || sttError('STT_STREAM_CLOSED', `${this.name} stream closed`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.pendingFinalize = null;
+        const text = this.finals.join(' ');
+        const audioSeconds = this.bytes / (2 * this.sampleRate);
+        this.reset();
+        if (error) reject(error);
+        else resolve({ text, provider: this.name, audioSeconds });
+      };
+      const timer = setTimeout(() => {
+        finish(this.finals.length ? null : sttError('STT_TIMEOUT', `${this.name} did not finalize in ${this.finalizeTimeoutMs}ms`));
+      }, this.finalizeTimeoutMs);
+
+      this.pendingFinalize = { settle: () => finish(null), fail: (error) => finish(error) };
+      this.connection.finalize();
+    });
+  }
+
+  /** Drop the text collected so far (the VAD threw the utterance away). */
+  discard() {
+    this.finals = [];
+    this.interim = '';
+    this.lastPartial = '';
+  }
+
+  reset() {
+    this.discard();
+    this.bytes = 0;
+  }
+
+  close() {
+    if (this.closed) return;
+    this.connection.close();
+    this.handleClose(null);
+  }
+}
+
+module.exports = { TranscriptStream };
@@ -0,0 +1,229 @@
+// ============================================================
+// 🎙️ VOICE ACTIVITY DETECTION - phone call turn-taking
+// ============================================================
+// Decides when the caller starts and stops talking from the audio
+// itself, frame by frame (mono PCM16), instead of from chunk arrival
+// times. A frame is speech when its RMS energy clears an adaptive
+// noise floor and its zero-crossing rate looks like voice rather than
+// hiss. The noise floor is the quietest energy seen over the last
+// couple of seconds (speech always dips between syllables, a fan or a
+// mains hum does not), so a noisy mic does not hold the turn open and
+// a quiet one is not ignored.
+//
+//   silence --(minSpeechMs of speech)--> speech
+//   speech  --(endSilenceMs without speech)--> end of utterance
+//
+// Time is counted in samples, never the wall clock, so a recorded PCM
+// file run through push() always gives the same events.
+// ============================================================
+
+const VAD_DEFAULTS = {
+  frameMs: 20,
+  sensitivity: 0.5,      // 0-1; higher lets quieter speech through
+  minEnergy: 300,        // RMS below this is never speech, whatever the noise floor says
+  maxZcr: 0.35,          // zero crossings per sample above this read as hiss (fan, line noise), not voice
+  noiseWindowMs: 2000,   // the noise floor tracks the minimum frame energy over this window
+  minSpeechMs: 100,      // speech in a row before an utterance starts (ignores clicks)
+  hangoverMs: 240,       // trailing quiet kept on the utterance (word endings, breath)
+  endSilenceMs: 700,     // quiet this long ends the utterance
+  preRollMs: 200,        // audio kept from before the start so the first syllable isn't clipped
+  minUtteranceMs: 250,   // utterances with less speech than this are discarded (coughs, bumps)
+  maxUtteranceMs: 15000, // hard cap - the utterance is cut even mid-speech
+};
+
+// Ranges a client may tune within (hello.vad); anything else keeps the default
+const VAD_LIMITS = {
+  sensitivity: [0, 1],
+  minSpeechMs: [40, 400],
+  hangoverMs: [0, 600],
+  endSilenceMs: [300, 2000],
+  minUtteranceMs: [100, 1000],
+  maxUtteranceMs: [3000, 30000],
+};
+
+function clampTuning(overrides = {}) {
+  const tuning = {};
+  for (const [key, [min, max]] of Object.entries(VAD_LIMITS)) {
+    const value = Number(overrides?.[key]);
+    if (overrides?.[key] !== undefined && Number.isFinite(value)) {
+      tuning[key] = Math.min(max, Math.max(min, value));
+    }
+  }
+  return tuning;
+}
+
+// RMS energy and zero-crossing rate of one PCM16 frame
+function measureFrame(frame) {
+  const samples = frame.length >> 1;
+  if (!samples) return { energy: 0, zcr: 0 };
+
+  let sum = 0;
+  let crossings = 0;
+  let previous = frame.readInt16LE(0);
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2);
+    sum += sample * sample;
+    if ((sample >= 0) !== (previous >= 0)) crossings++;
+    previous = sample;
+  }
+  return { energy: Math.sqrt(sum / samples), zcr: crossings / samples };
+}
+
+class VoiceActivityDetector {
+  /**
+   * @param {object} [options] - VAD_DEFAULTS overrides (trusted, not clamped; use tune() for client values)
+   * @param {number} [options.sampleRate]
+   */
+  constructor({ sampleRate = 24000, ...options } = {}) {
+    this.sampleRate = sampleRate;
+    this.options = { ...VAD_DEFAULTS, ...options };
+    this.frameBytes = Math.round(sampleRate * this.options.frameMs / 1000) * 2;
+
+    this.noiseFloor = this.options.minEnergy / 2;
+    this.recentEnergy = [];
+    this.remainder = Buffer.alloc(0);
+    this.streamMs = 0;
+    this.reset();
+  }
+
+  /** Apply client tuning (clamped to VAD_LIMITS). Returns the effective settings. */
+  tune(overrides) {
+    Object.assign(this.options, clampTuning(overrides));
+    return this.settings();
+  }
+
+  settings() {
+    const { sensitivity, minSpeechMs, hangoverMs, endSilenceMs, minUtteranceMs, maxUtteranceMs } = this.options;
+    return { sensitivity, minSpeechMs, hangoverMs, endSilenceMs, minUtteranceMs, maxUtteranceMs };
+  }
+
+  // Back to silence; the noise floor is kept (it describes the line, not the utterance)
+  reset() {
+    this.state = 'silence';
+    this.preRoll = [];
+    this.frames = [];
+    this.speechRunMs = 0;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.startedAtMs = null;
+  }
+
+  /** True from speech start until the utterance ends. */
+  get inUtterance() {
+    return this.state === 'speech';
+  }
+
+  threshold() {
+    // sensitivity 0 -> 4x the noise floor, 1 -> 1.5x
+    const ratio = 4 - 2.5 * this.options.sensitivity;
+    return Math.max(this.options.minEnergy, this.noiseFloor * ratio);
+  }
+
+  // Hiss-like frames are never speech, so they keep training the noise floor. Unvoiced
+  // consonants look the same, but mid-utterance they fall inside endSilenceMs and
+  // at the start the pre-roll keeps them.
+  isSpeechFrame({ energy, zcr }) {
+    return energy >= this.threshold() && zcr <= this.options.maxZcr;
+  }
+
+  adaptNoiseFloor(energy) {
+    const windowFrames = this.options.noiseWindowMs / this.options.frameMs;
+    this.recentEnergy.push(energy);
+    if (this.recentEnergy.length > windowFrames) this.recentEnergy.shift();
+
+    // Fall fast (the line got quieter). Rise slowly, and only on a full window, so
+    // the first words of a call or a long held vowel are not learned as noise.
+    const target = Math.min(...this.recentEnergy);
+    if (target < this.noiseFloor) {
+      this.noiseFloor = Math.max(1, this.noiseFloor + (target - this.noiseFloor) * 0.2);
+    } else if (this.recentEnergy.length >= windowFrames) {
+      this.noiseFloor += (target - this.noiseFloor) * 0.01;
+    }
+  }
+
+  /**
+   * Feed audio (any length; partial frames carry over to the next call).
+   * @param {Buffer} pcm - Mono PCM16 little-endian at sampleRate
+   * @returns {Array<object>} events, in order:
+   *   { type: 'speech_start', atMs }
+   *   { type: 'speech_end', reason: 'silence'|'max_length'|'flush', atMs, audio: Buffer, durationMs, speechMs }
+   *   { type: 'speech_discarded', reason, atMs, speechMs } - too little speech to be an utterance
+   */
+  push(pcm) {
+    const events = [];
+    const data = this.remainder.length ? Buffer.concat([this.remainder, pcm]) : pcm;
+    let offset = 0;
+    while (offset + this.frameBytes <= data.length) {
+      this.processFrame(data.subarray(offset, offset + this.frameBytes), events);
+      offset += this.frameBytes;
+    }
+    this.remainder = Buffer.from(data.subarray(offset));
+    return events;
+  }
+
+  /** End the current utterance now (audio stopped arriving, or the call ended). */
+  flush(reason = 'flush') {
+    const events = [];
+    if (this.state === 'speech') this.endUtterance(reason, events);
+    return events;
+  }
+
+  processFrame(frame, events) {
+    const { frameMs } = this.options;
+    const measured = measureFrame(frame);
+    const speech = this.isSpeechFrame(measured);
+    this.adaptNoiseFloor(measured.energy);
+    this.streamMs += frameMs;
+
+    if (this.state === 'silence') {
+      this.preRoll.push(frame);
+      const keep = Math.ceil((this.options.preRollMs + this.options.minSpeechMs) / frameMs);
+      if (this.preRoll.length > keep) this.preRoll.shift();
+
+      this.speechRunMs = speech ? this.speechRunMs + frameMs : 0;
+      if (this.speechRunMs >= this.options.minSpeechMs) {
+        this.state = 'speech';
+        this.frames = this.preRoll;
+        this.preRoll = [];
+        this.speechMs = this.speechRunMs;
+        this.silenceMs = 0;
+        this.startedAtMs = this.streamMs - this.frames.length * frameMs;
+        events.push({ type: 'speech_start', atMs: this.startedAtMs });
+      }
+      return;
+    }
+
+    this.frames.push(frame);
+    if (speech) {
+      this.speechMs += frameMs;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += frameMs;
+    }
+
+    if (this.silenceMs >= this.options.endSilenceMs) {
+      this.endUtterance('silence', events);
+    } else if (this.frames.length * frameMs >= this.options.maxUtteranceMs) {
+      this.endUtterance('max_length', events);
+    }
+  }
+
+  endUtterance(reason, events) {
+    const { frameMs, hangoverMs, minUtteranceMs } = this.options;
+    // Keep hangoverMs of the trailing quiet, drop the rest
+    const trailing = Math.max(0, Math.floor((this.silenceMs - hangoverMs) / frameMs));
+    const frames = trailing ? this.frames.slice(0, -trailing) : this.frames;
+    const atMs = this.streamMs;
+    const speechMs = this.speechMs;
+
+    if (speechMs < minUtteranceMs) {
+      events.push({ type: 'speech_discarded', reason, atMs, speechMs });
+    } else {
+      const audio = Buffer.concat(frames);
+      events.push({ type: 'speech_end', reason, atMs, audio, durationMs: frames.length * frameMs, speechMs });
+    }
+    this.reset();
+  }
+}
+
+module.exports = { VoiceActivityDetector, VAD_DEFAULTS, VAD_LIMITS, measureFrame };
@@ -0,0 +1,36 @@
+// test/ageVerifier.test.js - Which age verifier each environment gets. The mock
+// trusts the attested date of birth, so production must never fall back to it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAgeVerifier } = require('../ageAssurance');
+
+const ADULT_DOB = '1990-05-01';
+
+test('development defaults to the mock, which passes an adult date of birth', async () => {
+  const verifier = createAgeVerifier({});
+  assert.equal(verifier.name, 'mock');
+  assert.equal((await verifier.start({ dateOfBirth: ADULT_DOB })).status, 'verified');
+});
+
+test('production without a verifier fails every check', async () => {
+  for (const env of [{ NODE_ENV: 'production' }, { NODE_ENV: 'production', AGE_VERIFIER: 'mock' }]) {
+    const verifier = createAgeVerifier(env);
+    assert.equal(verifier.name, 'none', JSON.stringify(env));
+    assert.equal(verifier.configured, false);
+
+    const check = await verifier.start({ dateOfBirth: ADULT_DOB });
+    assert.deepEqual([check.status, check.reason], ['failed', 'VERIFIER_NOT_CONFIGURED']);
+    assert.equal((await verifier.check(check.reference)).status, 'failed');
+  }
+});
+
+test('production uses the mock only when it is explicitly allowed', () => {
+  const verifier = createAgeVerifier({ NODE_ENV: 'production', AGE_VERIFIER: 'mock', AGE_ALLOW_MOCK_VERIFIER: 'true' });
+  assert.equal(verifier.name, 'mock');
+});
+
+test('an unknown verifier refuses to start', () => {
+  assert.throws(() => createAgeVerifier({ AGE_VERIFIER: 'yoti' }), /Unknown AGE_VERIFIER "yoti"/);
+});
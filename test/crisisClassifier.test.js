@@ -0,0 +1,47 @@
+// test/crisisClassifier.test.js - Which messages switch a user into safe mode
+// (see safety/). Disclosures must be caught; idioms and small talk must not.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyCrisis } = require('../safety/crisisClassifier');
+
+test('disclosures are classified by category and severity', () => {
+  const cases = [
+    ["honestly i don't want to live anymore", 'suicidal_ideation', 'elevated'],
+    ["i'm going to kill myself tonight", 'suicidal_ideation', 'high'],
+    ['i cut myself again last night', 'self_harm', 'elevated'],
+    ['i already took all my pills', 'self_harm', 'high'],
+    ['my boyfriend hits me', 'abuse', 'elevated'],
+    ['quiero morir', 'suicidal_ideation', 'elevated'],
+    ['死にたい', 'suicidal_ideation', 'elevated'],
+  ];
+  for (const [message, category, severity] of cases) {
+    assert.deepEqual(classifyCrisis(message), { category, severity }, message);
+  }
+});
+
+test('childhood abuse disclosed with suicidal intent is suicidal ideation', () => {
+  // Both mention a child and a sexual term, so they must reach the safe response, not the minor block
+  for (const message of [
+    "I was sexually abused as a child and I don't want to live anymore",
+    'my stepdad raped me when i was a kid and i want to kill myself',
+  ]) {
+    assert.equal(classifyCrisis(message)?.category, 'suicidal_ideation', message);
+  }
+});
+
+test('idioms and ordinary chat are not flagged', () => {
+  for (const message of [
+    'this traffic is killing me',
+    "i'm dying to see you",
+    'dead 😂',
+    'i want to die my hair pink',
+    'he beat me at chess',
+    'i hurt myself shaving',
+    'lol',
+    '',
+  ]) {
+    assert.equal(classifyCrisis(message), null, message);
+  }
+});
@@ -0,0 +1,55 @@
+// test/groundingClassifier.test.js - Which chat messages trigger a live search
+// (see grounding/classifier.js). Only a question or an explicit lookup about the
+// world is searched, and only that clause is ever sent to the search API.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyFreshQuery } = require('../grounding/classifier');
+
+test('questions about the world are searched with just the question', () => {
+  const cases = [
+    ['hey babe who won the champions league game last night?', 'sports', 'who won the champions league game last night'],
+    ['whats the latest on the election', 'news', 'whats the latest on the election'],
+    ['any news on the election results?', 'news', 'any news on the election results'],
+    ['I got the job! who is the new pope?', 'office_holder', 'who is the new pope'],
+    ['can you look up the bitcoin price', 'markets', 'the bitcoin price'],
+  ];
+  for (const [message, topic, query] of cases) {
+    const result = classifyFreshQuery(message);
+    assert.equal(result?.topic, topic, message);
+    assert.equal(result.query, query, message);
+  }
+});
+
+test('topic words in personal news are not searched', () => {
+  for (const message of [
+    'I have some good news, I got the job!',
+    'I got a great score on my exam today',
+    'the price of rent here is insane',
+    'guess what happened with my sister',
+    'the weather in London is lovely today',
+    'the price of rent here is insane, right?',
+  ]) {
+    assert.equal(classifyFreshQuery(message), null, message);
+  }
+});
+
+test('weather needs a question, and a place to search', () => {
+  assert.deepEqual(classifyFreshQuery('whats the weather in London tomorrow?'), {
+    topic: 'weather', query: 'weather forecast London', freshness: 'pd', ttlMs: 30 * 60 * 1000,
+  });
+  assert.deepEqual(classifyFreshQuery("what's the weather like?"), { topic: 'weather', query: null, missing: 'place' });
+  assert.equal(classifyFreshQuery('weather in Reykjavik tomorrow'), null);
+});
+
+test('questions about Ellie are judged per clause', () => {
+  assert.equal(classifyFreshQuery('are you watching the nba playoffs?'), null);
+  assert.equal(classifyFreshQuery('how was your day? who won the champions league final?')?.query, 'who won the champions league final');
+  assert.equal(classifyFreshQuery('who won the game? are you watching it?')?.query, 'who won the game');
+});
+
+test('dates come from the clock, never a search', () => {
+  assert.deepEqual(classifyFreshQuery("what's the date today?"), { topic: 'datetime', query: null });
+  assert.equal(classifyFreshQuery('how was your day today?'), null);
+});
@@ -0,0 +1,86 @@
+// test/openaiCompatible.test.js - A streamed reply that stops mid-body has to
+// fail (so the chain can fall back) instead of hanging the chat or the call.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createOpenAICompatibleProvider } = require('../llm/openaiCompatible');
+
+function frame(content) {
+  return `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+}
+
+// Sends `pieces` with `gapMs` between them, then [DONE] - or nothing more if `stall`
+async function withUpstream({ pieces, gapMs = 0, stall = false }, fn) {
+  const server = http.createServer(async (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const piece of pieces) {
+      res.write(frame(piece));
+      await new Promise(resolve => setTimeout(resolve, gapMs));
+    }
+    if (!stall) res.end('data: [DONE]\n\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const provider = createOpenAICompatibleProvider({
+    name: 'upstream',
+    endpoint: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+    apiKey: 'test',
+    model: 'test-model',
+    stallTimeoutMs: 100,
+    retries: 0,
+  });
+  try {
+    return await fn(provider);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function collect(provider, opts) {
+  const deltas = [];
+  try {
+    for await (const delta of provider.stream([{ role: 'user', content: 'hi' }], opts)) deltas.push(delta);
+  } catch (error) {
+    return { deltas, error };
+  }
+  return { deltas, error: null };
+}
+
+test('a stream that goes quiet mid-body fails with STREAM_STALLED', async () => {
+  await withUpstream({ pieces: ['hey ', 'there'], stall: true }, async (provider) => {
+    const { deltas, error } = await collect(provider);
+    assert.deepEqual(deltas, ['hey ', 'there']);
+    assert.equal(error?.code, 'STREAM_STALLED');
+  });
+});
+
+test('chunks that keep arriving within the stall timeout stream to the end', async () => {
+  await withUpstream({ pieces: ['one ', 'two ', 'three'], gapMs: 60 }, async (provider) => {
+    const { deltas, error } = await collect(provider);
+    assert.equal(error, null);
+    assert.deepEqual(deltas, ['one ', 'two ', 'three']);
+  });
+});
+
+test('time the caller spends on a delta does not count as a stall', async () => {
+  await withUpstream({ pieces: ['slow ', 'reader'] }, async (provider) => {
+    const deltas = [];
+    for await (const delta of provider.stream([{ role: 'user', content: 'hi' }])) {
+      deltas.push(delta);
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    assert.deepEqual(deltas, ['slow ', 'reader']);
+  });
+});
+
+test('the caller cancelling a stalled stream still reports ABORTED', async () => {
+  await withUpstream({ pieces: ['hey'], stall: true }, async (provider) => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+    const { error } = await collect(provider, { signal: controller.signal, stallTimeoutMs: 5000 });
+    assert.equal(error?.code, 'ABORTED');
+  });
+});
@@ -0,0 +1,57 @@
+// test/streamFilter.test.js - The incremental action filter used for token
+// streaming (llm/streamFilter.js): actions and special tokens never reach the
+// client, however the model's deltas happen to be split.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createActionStreamFilter } = require('../llm/streamFilter');
+
+// Push each chunk, then flush; returns what each call released and the whole text
+function stream(chunks, options) {
+  const filter = createActionStreamFilter(options);
+  const parts = chunks.map((chunk) => filter.push(chunk));
+  parts.push(filter.flush());
+  return { parts, text: parts.join('') };
+}
+
+test('actions split across deltas are dropped', () => {
+  assert.equal(stream(['hey *sig', 'hs* how ', 'are you']).text, 'hey how are you');
+  assert.equal(stream(['ok (wi', 'nks) sure [send', ' pic] done']).text, 'ok sure done');
+});
+
+test('nothing inside an open action is released before it closes', () => {
+  const { parts } = stream(['hey *sig', 'hs* there']);
+  assert.equal(parts[0], 'hey ');
+  assert.ok(!parts.join('').includes('sig'));
+});
+
+test('special tokens are held back until they can be recognised', () => {
+  const { parts, text } = stream(['hi<', '|eot_', 'id|> there']);
+  assert.deepEqual(parts.slice(0, 2), ['hi', '']);
+  assert.equal(text, 'hi there');
+});
+
+test('"###" is dropped and shorter runs of "#" are kept', () => {
+  assert.equal(stream(['## title ### x']).text, '## title x');
+});
+
+test('emoji past the limit are dropped, and a split surrogate pair is rejoined', () => {
+  assert.equal(stream(['so fun 😀😀 yes']).text, 'so fun 😀 yes');
+  assert.equal(stream(['so fun 😀😀 yes'], { maxEmojis: 2 }).text, 'so fun 😀😀 yes');
+  const emoji = '😀';
+  assert.equal(stream(['a ', emoji[0], `${emoji[1]} b`]).text, 'a 😀 b');
+});
+
+test('an action that never closes is released on flush, like filterAllActions()', () => {
+  const { parts, text } = stream(['this is *unclosed']);
+  assert.equal(parts[0], 'this is ');
+  assert.equal(text, 'this is *unclosed');
+});
+
+test('the result does not depend on how the text is chunked', () => {
+  const reply = 'mmm *smiles* okay (laughs) so ## what are we doing tonight 😀<|eot_id|>';
+  const whole = stream([reply]).text;
+  assert.equal(stream(Array.from(reply)).text, whole);
+  assert.equal(whole, 'mmm okay so ## what are we doing tonight 😀');
+});
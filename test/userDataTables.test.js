@@ -0,0 +1,32 @@
+// test/userDataTables.test.js - The export and the erasure read the same
+// inventory, so "download my data" has to cover every table the account
+// deletion wipes (or say on purpose why not).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EXPORT_TABLES, NOT_EXPORTED, ERASE_BY_USER_ID, ANONYMIZE_BY_USER_ID } = require('../privacy/userDataTables');
+
+const exported = new Set(EXPORT_TABLES.map(spec => spec.table));
+
+test('every table erased or anonymized on deletion is in the export', () => {
+  const missing = [...ERASE_BY_USER_ID, ...ANONYMIZE_BY_USER_ID].filter(table => !exported.has(table) && !NOT_EXPORTED.has(table));
+  assert.deepEqual(missing, [], 'add these to EXPORT_TABLES, or to NOT_EXPORTED with a reason');
+});
+
+test('every exported table is also cleared on deletion', () => {
+  const cleared = new Set(['users', ...ERASE_BY_USER_ID, ...ANONYMIZE_BY_USER_ID]);
+  assert.deepEqual([...exported].filter(table => !cleared.has(table)), []);
+});
+
+test('NOT_EXPORTED only names tables that are erased, and none that are exported', () => {
+  for (const table of NOT_EXPORTED) {
+    assert.ok(ERASE_BY_USER_ID.includes(table), `${table} is not erased`);
+    assert.ok(!exported.has(table), `${table} is exported anyway`);
+  }
+});
+
+test('no table is listed twice', () => {
+  assert.equal(exported.size, EXPORT_TABLES.length);
+  assert.equal(new Set(ERASE_BY_USER_ID).size, ERASE_BY_USER_ID.length);
+});
@@ -0,0 +1,108 @@
+// test/vad.test.js - Replays the checked-in call recordings in test/fixtures/vad
+// through the phone VAD and checks when each utterance starts and ends, and that
+// the noise floor follows the line. timeline.json says where the speech is in each
+// WAV; regenerate both with `node scripts/vad-fixtures.js`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { VoiceActivityDetector, VAD_DEFAULTS } = require('../stt/vad');
+const { parseWav, toMono } = require('../tts/audio');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'vad');
+const timeline = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'timeline.json'), 'utf8'));
+
+const BYTES_PER_MS = timeline.sampleRate * 2 / 1000;
+
+function loadFixture(name) {
+  const wav = parseWav(fs.readFileSync(path.join(FIXTURES_DIR, timeline.fixtures[name].file)));
+  assert.equal(wav.sampleRate, timeline.sampleRate);
+  return toMono(wav.pcm, wav.channels);
+}
+
+// Feed the recording in chunkMs pieces (0 = all at once), then close the turn
+function replay(pcm, { chunkMs = 0 } = {}) {
+  const vad = new VoiceActivityDetector({ sampleRate: timeline.sampleRate });
+  const events = [];
+  const step = chunkMs ? chunkMs * BYTES_PER_MS : pcm.length;
+  for (let offset = 0; offset < pcm.length; offset += step) {
+    events.push(...vad.push(pcm.subarray(offset, offset + step)));
+  }
+  events.push(...vad.flush('hangup'));
+  return { vad, events };
+}
+
+// What the VAD should report for an utterance: the pre-roll before the onset,
+// and the end once endSilenceMs of quiet has followed the last syllable
+function expectedUtterance({ onsetMs, endMs, speechMs }) {
+  const startMs = onsetMs - VAD_DEFAULTS.preRollMs;
+  return [
+    { type: 'speech_start', atMs: startMs },
+    {
+      type: 'speech_end',
+      reason: 'silence',
+      atMs: endMs + VAD_DEFAULTS.endSilenceMs,
+      durationMs: endMs + VAD_DEFAULTS.hangoverMs - startMs,
+      speechMs,
+    },
+  ];
+}
+
+// Compare events without the audio buffers, checking the audio length matches durationMs
+const summarize = events => events.map(({ audio, ...event }) => {
+  if (audio) assert.equal(audio.length, event.durationMs * BYTES_PER_MS, `${event.type} audio length`);
+  return event;
+});
+
+test('quiet line: each utterance starts at its pre-roll and ends after the end silence', () => {
+  const { vad, events } = replay(loadFixture('quiet_room'));
+
+  assert.deepEqual(summarize(events), timeline.fixtures.quiet_room.utterances.flatMap(expectedUtterance));
+  // A quiet line never lowers the bar below minEnergy
+  assert.ok(vad.noiseFloor < timeline.fixtures.quiet_room.noise.rms * 2, `noise floor ${vad.noiseFloor}`);
+  assert.equal(vad.threshold(), VAD_DEFAULTS.minEnergy);
+});
+
+test('a burst shorter than minUtteranceMs is discarded, not sent as an utterance', () => {
+  const { events } = replay(loadFixture('cough'));
+  const [burst] = timeline.fixtures.cough.bursts;
+
+  assert.deepEqual(summarize(events), [
+    { type: 'speech_start', atMs: burst.onsetMs - VAD_DEFAULTS.preRollMs },
+    { type: 'speech_discarded', reason: 'silence', atMs: burst.endMs + VAD_DEFAULTS.endSilenceMs, speechMs: burst.endMs - burst.onsetMs },
+  ]);
+});
+
+test('noise floor adapts to a steady hum and speech over it is still heard', () => {
+  const fixture = timeline.fixtures.mains_hum;
+  const pcm = loadFixture('mains_hum');
+  const [utterance] = fixture.utterances;
+
+  // Before the caller speaks the floor has learned the hum
+  const vad = new VoiceActivityDetector({ sampleRate: timeline.sampleRate });
+  const beforeSpeech = vad.push(pcm.subarray(0, utterance.onsetMs * BYTES_PER_MS));
+  assert.ok(Math.abs(vad.noiseFloor - fixture.noise.rms) < fixture.noise.rms * 0.15, `noise floor ${vad.noiseFloor}`);
+  assert.ok(vad.threshold() > fixture.noise.rms * 2, `threshold ${vad.threshold()}`);
+
+  // The hum opens a turn only until the floor catches up, then it closes on silence
+  // rather than running to maxUtteranceMs
+  assert.deepEqual(beforeSpeech.map(e => [e.type, e.reason]), [['speech_start', undefined], ['speech_end', 'silence']]);
+  assert.equal(beforeSpeech[0].atMs, 0);
+  assert.ok(beforeSpeech[1].atMs < VAD_DEFAULTS.noiseWindowMs * 2, `hum turn ended at ${beforeSpeech[1].atMs}ms`);
+
+  // The caller over the hum gets exact timings
+  const events = [...vad.push(pcm.subarray(utterance.onsetMs * BYTES_PER_MS)), ...vad.flush('hangup')];
+  assert.deepEqual(summarize(events), expectedUtterance(utterance));
+});
+
+test('timings do not depend on how the audio is chunked', () => {
+  for (const name of Object.keys(timeline.fixtures)) {
+    const pcm = loadFixture(name);
+    const whole = summarize(replay(pcm).events);
+    for (const chunkMs of [20, 37, 250]) {
+      assert.deepEqual(summarize(replay(pcm, { chunkMs }).events), whole, `${name} in ${chunkMs}ms chunks`);
+    }
+  }
+});
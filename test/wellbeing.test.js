@@ -0,0 +1,70 @@
+// test/wellbeing.test.js - Quiet hours and the user's local day (wellbeing/),
+// across timezones, half-hour offsets and both DST changes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { inQuietHours, localDay } = require('../wellbeing');
+
+const at = (iso) => new Date(iso);
+const HOUR = 60 * 60 * 1000;
+
+function assertDay(now, timezone, start, end) {
+  const day = localDay(at(now), timezone);
+  assert.deepEqual([day.start.toISOString(), day.end.toISOString()], [start, end], `${timezone} at ${now}`);
+}
+
+test('quiet hours that cross midnight, in the user\'s timezone', () => {
+  const settings = { quietHours: { start: '22:00', end: '07:00' }, timezone: 'America/New_York' };
+  assert.equal(inQuietHours(settings, at('2026-06-02T02:00:00Z')), true);  // 22:00 EDT, start is inside
+  assert.equal(inQuietHours(settings, at('2026-06-02T10:59:00Z')), true);  // 06:59
+  assert.equal(inQuietHours(settings, at('2026-06-02T11:00:00Z')), false); // 07:00, end is outside
+  assert.equal(inQuietHours(settings, at('2026-06-02T01:59:00Z')), false); // 21:59
+  // 23:00 UTC is quiet for a user on UTC, but only 19:00 in New York
+  assert.equal(inQuietHours({ ...settings, timezone: 'UTC' }, at('2026-06-01T23:00:00Z')), true);
+  assert.equal(inQuietHours(settings, at('2026-06-01T23:00:00Z')), false);
+});
+
+test('quiet hours within one day, and off', () => {
+  const settings = { quietHours: { start: '13:30', end: '15:00' }, timezone: 'Asia/Kolkata' };
+  assert.equal(inQuietHours(settings, at('2026-06-01T08:00:00Z')), true);  // 13:30 IST
+  assert.equal(inQuietHours(settings, at('2026-06-01T07:59:00Z')), false); // 13:29
+  assert.equal(inQuietHours(settings, at('2026-06-01T09:30:00Z')), false); // 15:00
+  assert.equal(inQuietHours({ quietHours: null, timezone: 'UTC' }, at('2026-06-01T08:00:00Z')), false);
+});
+
+test('quiet hours follow the wall clock through DST changes', () => {
+  const settings = { quietHours: { start: '01:00', end: '02:00' }, timezone: 'America/New_York' };
+  // 01:30 happens twice when the clocks go back; both are quiet
+  assert.equal(inQuietHours(settings, at('2026-11-01T05:30:00Z')), true); // 01:30 EDT
+  assert.equal(inQuietHours(settings, at('2026-11-01T06:30:00Z')), true); // 01:30 EST
+  // 02:00-03:00 never happens when they go forward
+  const skipped = { ...settings, quietHours: { start: '02:00', end: '03:00' } };
+  assert.equal(inQuietHours(skipped, at('2026-03-08T06:59:00Z')), false); // 01:59 EST
+  assert.equal(inQuietHours(skipped, at('2026-03-08T07:00:00Z')), false); // 03:00 EDT
+});
+
+test('a local day runs midnight to midnight in the user\'s timezone', () => {
+  assertDay('2026-06-01T23:30:00Z', 'UTC', '2026-06-01T00:00:00.000Z', '2026-06-02T00:00:00.000Z');
+  assertDay('2026-06-01T20:00:00Z', 'Asia/Kolkata', '2026-06-01T18:30:00.000Z', '2026-06-02T18:30:00.000Z');
+  assertDay('2026-12-31T23:30:00Z', 'Pacific/Kiritimati', '2026-12-31T10:00:00.000Z', '2027-01-01T10:00:00.000Z');
+  assertDay('2026-01-31T12:00:00Z', 'America/New_York', '2026-01-31T05:00:00.000Z', '2026-02-01T05:00:00.000Z');
+});
+
+test('DST days are 23 and 25 hours long', () => {
+  assertDay('2026-03-29T12:00:00Z', 'Europe/London', '2026-03-29T00:00:00.000Z', '2026-03-29T23:00:00.000Z');
+  assertDay('2026-10-25T12:00:00Z', 'Europe/London', '2026-10-24T23:00:00.000Z', '2026-10-26T00:00:00.000Z');
+  assertDay('2026-03-08T12:00:00Z', 'America/New_York', '2026-03-08T05:00:00.000Z', '2026-03-09T04:00:00.000Z');
+  assertDay('2026-11-01T12:00:00Z', 'America/New_York', '2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z');
+});
+
+test('where DST starts at midnight, the day starts at 01:00', () => {
+  // America/Santiago goes from 00:00 -04 straight to 01:00 -03 on 2026-09-06
+  const day = localDay(at('2026-09-06T12:00:00Z'), 'America/Santiago');
+  assert.equal(day.start.toISOString(), '2026-09-06T04:00:00.000Z');
+  assert.equal(day.end - day.start, 23 * HOUR);
+  // ...and the day before ends there, not an hour early
+  assert.equal(localDay(at('2026-09-05T12:00:00Z'), 'America/Santiago').end.toISOString(), '2026-09-06T04:00:00.000Z');
+  // When it ends, midnight comes after the repeated hour
+  assertDay('2026-04-04T12:00:00Z', 'America/Santiago', '2026-04-04T03:00:00.000Z', '2026-04-05T04:00:00.000Z');
+});
@@ -0,0 +1,100 @@
+// ============================================================
+// 🎚️ AUDIO HELPERS - normalize provider output
+// ============================================================
+// Providers answer with raw PCM16, WAV or MP3 at their own sample
+// rates. PCM16 (mono, little-endian) is resampled to what the caller
+// asked for; MP3 is passed through untouched (it carries its own rate).
+// The WAV helpers are shared with STT and call recordings.
+// ============================================================
+
+/**
+ * Pull the PCM16 samples and format out of a WAV file. Walks the RIFF chunks
+ * instead of assuming a 44-byte header, since some encoders add LIST/fact chunks.
+ * @returns {{ pcm: Buffer, sampleRate: number, channels: number }}
+ */
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let sampleRate = null;
+  let channels = 1;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      channels = buffer.readUInt16LE(start + 2);
+      sampleRate = buffer.readUInt32LE(start + 4);
+    } else if (id === 'data') {
+      if (!sampleRate) throw new Error('WAV data chunk before fmt chunk');
+      // Streaming encoders may write 0 / 0xFFFFFFFF as the data size
+      const end = size && start + size <= buffer.length ? start + size : buffer.length;
+      return { pcm: buffer.subarray(start, end), sampleRate, channels };
+    }
+    offset = start + size + (size % 2); // chunks are word-aligned
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+// Wrap mono PCM16 in a 44-byte WAV header (batch STT uploads, call recordings)
+function pcm16ToWav(pcm, sampleRate = 24000) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);             // fmt chunk size
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Keep the first channel of interleaved PCM16
+function toMono(pcm, channels) {
+  if (channels <= 1) return pcm;
+  const frames = Math.floor(pcm.length / (2 * channels));
+  const out = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    out.writeInt16LE(pcm.readInt16LE(i * 2 * channels), i * 2);
+  }
+  return out;
+}
+
+/**
+ * Linear-interpolation resample of mono PCM16. Good enough for speech;
+ * returns the input unchanged when the rates already match.
+ */
+function resamplePcm16(pcm, fromRate, toRate) {
+  if (!fromRate || !toRate || fromRate === toRate) return pcm;
+
+  const inSamples = Math.floor(pcm.length / 2);
+  const outSamples = Math.floor(inSamples * toRate / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < outSamples; i++) {
+    const pos = i * step;
+    const index = Math.floor(pos);
+    const frac = pos - index;
+    const a = pcm.readInt16LE(Math.min(index, inSamples - 1) * 2);
+    const b = pcm.readInt16LE(Math.min(index + 1, inSamples - 1) * 2);
+    out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+  }
+  return out;
+}
+
+// Seconds of audio in a mono PCM16 buffer
+function pcm16Seconds(pcm, sampleRate) {
+  return pcm.length / (2 * sampleRate);
+}
+
+module.exports = { parseWav, pcm16ToWav, toMono, resamplePcm16, pcm16Seconds };
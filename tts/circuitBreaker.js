@@ -0,0 +1,86 @@
+// ============================================================
+// 🔌 CIRCUIT BREAKER (per TTS provider)
+// ============================================================
+// closed    - requests go through; consecutive failures are counted
+// open      - requests are skipped until the cooldown passes
+// half_open - one probe request is let through; success closes the
+//             circuit, failure re-opens it with a doubled cooldown
+// ============================================================
+
+class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - First open period
+   * @param {number} [options.maxCooldownMs] - Cap for the doubled cooldown after failed probes
+   * @param {function} [options.now] - ms timestamp
+   */
+  constructor({ failureThreshold = 3, cooldownMs = 30000, maxCooldownMs = 5 * 60 * 1000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.baseCooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+    this.now = now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.cooldownMs = cooldownMs;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /** Whether a request may be sent now (moves open -> half_open once the cooldown is over). */
+  canAttempt() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.cooldownMs = this.baseCooldownMs;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = String(error?.message || error).substring(0, 200);
+
+    if (this.state === 'half_open') {
+      this.cooldownMs = Math.min(this.cooldownMs * 2, this.maxCooldownMs);
+      this.open();
+    } else if (this.failures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  // The attempt ended without a verdict (cancelled by the caller): free the probe slot
+  release() {
+    this.probeInFlight = false;
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = this.now();
+    this.probeInFlight = false;
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,217 @@
+// ============================================================
+// 🔊 TTS SERVICE
+// ============================================================
+// Each voice vendor is one module under ./providers sharing the
+// name / configured / formats / synthesize interface. The ordered chain
+// per context (phone, voice_note, preview) lives in ./routes.js. Every
+// provider sits behind a circuit breaker, so one that keeps failing is
+// skipped for a while instead of costing a timeout on every turn.
+// Output is normalized: PCM16 mono at the requested rate, or MP3.
+// ============================================================
+
+const { EventEmitter } = require('events');
+const { loadRoutes } = require('./routes');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { resamplePcm16, pcm16Seconds } = require('./audio');
+const { createElevenLabsProvider } = require('./providers/elevenlabs');
+const { createHumeProvider } = require('./providers/hume');
+const { createCartesiaProvider } = require('./providers/cartesia');
+const { createOpenAITtsProvider } = require('./providers/openai');
+
+const FORMATS = ['pcm16', 'mp3'];
+
+function ttsError(code, message, attempts) {
+  const error = new Error(message);
+  error.code = code;
+  error.attempts = attempts;
+  return error;
+}
+
+/**
+ * Emits 'utterance' after every successful synthesis:
+ *   { context, provider, format, sampleRate, characters, latencyMs, audioSeconds, fallbacks }
+ */
+class TtsService extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.routes] - { context: [providerName, ...] } (see ./routes.js)
+   * @param {object} [options.breaker] - CircuitBreaker options, shared by every provider
+   * @param {number} [options.timeoutMs] - Per-provider request timeout
+   */
+  constructor({ routes = {}, breaker = {}, timeoutMs = 10000 } = {}) {
+    super();
+    this.routes = routes;
+    this.breakerOptions = breaker;
+    this.timeoutMs = timeoutMs;
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.stats = new Map();
+  }
+
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.synthesize !== 'function') {
+      throw new Error('TTS provider must have a name and a synthesize() function');
+    }
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, new CircuitBreaker(this.breakerOptions));
+    this.stats.set(provider.name, { served: 0, failures: 0, skipped: 0, totalLatencyMs: 0, lastServedAt: null });
+    return this;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown TTS provider: ${name}`);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Ordered providers for a context. Unknown names are skipped with a warning,
+   * like LLM routes, so a typo in TTS_ROUTES degrades instead of muting Ellie.
+   */
+  resolve(context) {
+    const names = this.routes[context];
+    if (!names) throw new Error(`Unknown TTS context: ${context}`);
+    const chain = [];
+    for (const name of names) {
+      if (this.providers.has(name)) {
+        chain.push(this.providers.get(name));
+      } else {
+        console.warn(`⚠️ [TTS] Route ${context} names unknown provider "${name}" - skipping`);
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Speak `text` with the first provider in the context's chain that is
+   * configured, can produce `format` and whose circuit is closed.
+   * @param {string} text
+   * @param {object} options
+   * @param {string} options.context - 'phone' | 'voice_note' | 'preview'
+   * @param {string} [options.format] - 'pcm16' | 'mp3'
+   * @param {number} [options.sampleRate] - PCM16 output rate (ignored for MP3)
+   * @param {string} [options.language]
+   * @param {object} [options.providerOptions] - Per-provider extras: { cartesia: { speed, emotions }, hume: { description }, openai: { voice } }
+   * @param {AbortSignal} [options.signal] - Cancels the request; throws TTS_ABORTED without counting against the provider
+   * @returns {Promise<{ audio: Buffer, format: string, sampleRate: number|null, provider: string, latencyMs: number, fallbacks: Array }>}
+   *   Throws error.code TTS_UNAVAILABLE (with error.attempts) when every provider failed or was skipped.
+   */
+  async synthesize(text, { context, format = 'pcm16', sampleRate = 24000, language = 'en', providerOptions = {}, signal }) {
+    if (!FORMATS.includes(format)) throw new Error(`Unsupported TTS format: ${format}`);
+
+    const attempts = [];
+    for (const provider of this.resolve(context)) {
+      if (signal?.aborted) throw ttsError('TTS_ABORTED', 'TTS request cancelled', attempts);
+      const name = provider.name;
+      const breaker = this.breakers.get(name);
+      const stats = this.stats.get(name);
+
+      if (!provider.configured) {
+        attempts.push({ provider: name, skipped: 'not_configured' });
+        continue;
+      }
+      if (!provider.formats.includes(format)) {
+        attempts.push({ provider: name, skipped: 'format' });
+        continue;
+      }
+      if (!breaker.canAttempt()) {
+        stats.skipped++;
+        attempts.push({ provider: name, skipped: 'circuit_open' });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const result = await provider.synthesize(text, {
+          format,
+          sampleRate,
+          language,
+          timeoutMs: this.timeoutMs,
+          signal,
+          ...(providerOptions[name] || {}),
+        });
+        if (!result?.audio?.length) throw new Error(`${name} returned no audio`);
+
+        const audio = format === 'pcm16' ? resamplePcm16(result.audio, result.sampleRate, sampleRate) : result.audio;
+        const latencyMs = Date.now() - startedAt;
+        breaker.recordSuccess();
+        stats.served++;
+        stats.totalLatencyMs += latencyMs;
+        stats.lastServedAt = new Date().toISOString();
+
+        const fallbacks = attempts.filter(a => a.error);
+        const utterance = {
+          context,
+          provider: name,
+          format,
+          sampleRate: format === 'pcm16' ? sampleRate : null,
+          characters: text.length,
+          latencyMs,
+          audioSeconds: format === 'pcm16' ? Math.round(pcm16Seconds(audio, sampleRate) * 100) / 100 : null,
+          fallbacks: fallbacks.length,
+        };
+        console.log(`🔊 [TTS] ${context} → ${name} (${latencyMs}ms${fallbacks.length ? `, after ${fallbacks.map(a => a.provider).join(', ')} failed` : ''})`);
+        this.emit('utterance', utterance);
+
+        return { audio, format, sampleRate: utterance.sampleRate, provider: name, latencyMs, fallbacks: attempts };
+      } catch (error) {
+        if (signal?.aborted) {
+          // Cancelled by the caller - not the provider's fault
+          breaker.release();
+          throw ttsError('TTS_ABORTED', 'TTS request cancelled', attempts);
+        }
+        breaker.recordFailure(error);
+        stats.failures++;
+        attempts.push({ provider: name, error: String(error?.message || error).substring(0, 200) });
+        console.warn(`⚠️ [TTS] ${name} failed for ${context} (${breaker.state}): ${error.message}`);
+      }
+    }
+
+    throw ttsError('TTS_UNAVAILABLE', `No TTS provider could speak for ${context}`, attempts);
+  }
+
+  /** Per-provider breaker state and serve counts (admin health endpoint). */
+  health() {
+    const results = {};
+    for (const provider of this.list()) {
+      const stats = this.stats.get(provider.name);
+      results[provider.name] = {
+        configured: provider.configured,
+        formats: provider.formats,
+        ...this.breakers.get(provider.name).snapshot(),
+        served: stats.served,
+        failures: stats.failures,
+        skipped: stats.skipped,
+        avgLatencyMs: stats.served ? Math.round(stats.totalLatencyMs / stats.served) : null,
+        lastServedAt: stats.lastServedAt,
+      };
+    }
+    return results;
+  }
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.openai - OpenAI SDK client for the tts-1 fallback
+ * @param {object} [env]
+ */
+function createDefaultTts({ openai }, env = process.env) {
+  return new TtsService({
+    routes: loadRoutes(env),
+    timeoutMs: Number(env.TTS_TIMEOUT_MS || 10000),
+  })
+    .register(createElevenLabsProvider(env))
+    .register(createHumeProvider(env))
+    .register(createCartesiaProvider(env))
+    .register(createOpenAITtsProvider({ client: openai }, env));
+}
+
+module.exports = { TtsService, createDefaultTts };
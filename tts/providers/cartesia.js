@@ -0,0 +1,54 @@
+// ============================================================
+// 🔊 CARTESIA PROVIDER - Sonic (fast, cheap, realistic)
+// ============================================================
+
+const { fetchAudio } = require('../request');
+
+const CARTESIA_ENDPOINT = "https://api.cartesia.ai/tts/bytes";
+
+// Cartesia voice options - VERIFIED WORKING VOICES
+const CARTESIA_VOICES = {
+  "default_female": "79a125e8-cd45-4c13-8a67-188112f4dd22", // Verified working
+  "calm_female": "8832a0b5-47b2-4751-bb22-6a8e2149303d", // Calm, professional
+  "young_female": "2ee87190-8f84-4925-97da-e52547f9462c", // Energetic
+  "ariana": "ec1e269e-9ca0-402f-8a18-58e0e022355a", // Ariana - Professional, clear, articulate
+};
+
+// Ellie's voice - using Ariana voice
+const ELLIE_CARTESIA_VOICE = CARTESIA_VOICES.ariana;
+
+function createCartesiaProvider(env = process.env) {
+  const apiKey = env.CARTESIA_API_KEY;
+  const endpoint = env.CARTESIA_ENDPOINT || CARTESIA_ENDPOINT;
+
+  return {
+    name: 'cartesia',
+    configured: !!apiKey,
+    formats: ['pcm16', 'mp3'],
+
+    async synthesize(text, { format, sampleRate, language = "en", voice, speed = 1.0, emotions = [], timeoutMs, signal }) {
+      const body = {
+        model_id: "sonic-english",  // Cartesia's fastest, most realistic model
+        transcript: text,
+        voice: { mode: "id", id: voice || ELLIE_CARTESIA_VOICE },
+        output_format: format === 'mp3'
+          ? { container: "mp3", encoding: "mp3", sample_rate: 24000 }
+          : { container: "raw", encoding: "pcm_s16le", sample_rate: sampleRate },
+        language,
+        speed,  // 0.5-2.0
+      };
+      if (emotions.length) body.emotion = emotions; // e.g. ["positivity:high", "curiosity:medium"]
+
+      const audio = await fetchAudio('Cartesia', endpoint, {
+        headers: { 'X-API-Key': apiKey, 'Cartesia-Version': '2024-06-10' },
+        timeoutMs,
+        signal,
+        body,
+      });
+
+      return format === 'mp3' ? { audio, format: 'mp3' } : { audio, format: 'pcm16', sampleRate };
+    },
+  };
+}
+
+module.exports = { createCartesiaProvider, CARTESIA_VOICES, ELLIE_CARTESIA_VOICE };
@@ -0,0 +1,47 @@
+// ============================================================
+// 🔊 ELEVENLABS PROVIDER - expressive voice (phone primary)
+// ============================================================
+
+const { fetchAudio } = require('../request');
+
+const ELEVENLABS_ENDPOINT = "https://api.elevenlabs.io/v1/text-to-speech";
+const ELEVENLABS_VOICE_ID = "cgSgspJ2msm6clMCkdW9"; // Jessica - young female voice
+
+// Raw PCM rates the API can return; anything else is requested at 24kHz and resampled
+const PCM_RATES = [16000, 22050, 24000, 44100];
+
+function createElevenLabsProvider(env = process.env) {
+  const apiKey = env.ELEVENLABS_API_KEY;
+  const endpoint = env.ELEVENLABS_ENDPOINT || ELEVENLABS_ENDPOINT;
+
+  return {
+    name: 'elevenlabs',
+    configured: !!apiKey,
+    formats: ['pcm16', 'mp3'],
+
+    async synthesize(text, { format, sampleRate, voice, timeoutMs, signal }) {
+      const pcmRate = PCM_RATES.includes(sampleRate) ? sampleRate : 24000;
+      const outputFormat = format === 'mp3' ? 'mp3_44100_128' : `pcm_${pcmRate}`;
+
+      const audio = await fetchAudio('ElevenLabs', `${endpoint}/${voice || ELEVENLABS_VOICE_ID}?output_format=${outputFormat}`, {
+        headers: { 'xi-api-key': apiKey },
+        timeoutMs,
+        signal,
+        body: {
+          text,
+          model_id: "eleven_turbo_v2_5", // Fast, expressive model
+          voice_settings: {
+            stability: 0.4,        // Lower = more expressive/emotional
+            similarity_boost: 0.75, // Voice clarity
+            style: 0.6,            // Higher = more expressive style
+            use_speaker_boost: true
+          }
+        },
+      });
+
+      return format === 'mp3' ? { audio, format: 'mp3' } : { audio, format: 'pcm16', sampleRate: pcmRate };
+    },
+  };
+}
+
+module.exports = { createElevenLabsProvider, ELEVENLABS_VOICE_ID };
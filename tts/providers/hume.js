@@ -0,0 +1,43 @@
+// ============================================================
+// 🔊 HUME AI PROVIDER - emotional voice with acting instructions
+// ============================================================
+
+const { fetchAudio } = require('../request');
+const { parseWav, toMono } = require('../audio');
+
+const HUME_TTS_ENDPOINT = "https://api.hume.ai/v0/tts/file";
+const HUME_VOICE_NAME = "TikTok Fashion Influencer"; // Hume Library voice
+
+function createHumeProvider(env = process.env) {
+  const apiKey = env.HUME_API_KEY;
+  const endpoint = env.HUME_TTS_ENDPOINT || HUME_TTS_ENDPOINT;
+
+  return {
+    name: 'hume',
+    configured: !!apiKey,
+    // Requested as WAV (48kHz) and unpacked to PCM16; the service resamples
+    formats: ['pcm16'],
+
+    async synthesize(text, { voice, description, speed = 1.0, timeoutMs, signal }) {
+      const wav = await fetchAudio('Hume TTS', endpoint, {
+        headers: { 'X-Hume-Api-Key': apiKey },
+        timeoutMs,
+        signal,
+        body: {
+          utterances: [{
+            text,
+            voice: { name: voice || HUME_VOICE_NAME, provider: "HUME_AI" },
+            speed,
+            description: description || "Young woman speaking naturally, warm and engaging",
+          }],
+          format: { type: "wav" },
+        },
+      });
+
+      const { pcm, sampleRate, channels } = parseWav(wav);
+      return { audio: toMono(pcm, channels), format: 'pcm16', sampleRate };
+    },
+  };
+}
+
+module.exports = { createHumeProvider, HUME_VOICE_NAME };
@@ -0,0 +1,32 @@
+// ============================================================
+// 🔊 OPENAI PROVIDER - tts-1 (last resort, always available with an OpenAI key)
+// ============================================================
+
+const OPENAI_PCM_RATE = 24000; // response_format "pcm" is always 24kHz mono
+
+/**
+ * @param {object} deps
+ * @param {object} deps.client - OpenAI SDK client (honours OPENAI_BASE_URL)
+ * @param {object} [env]
+ */
+function createOpenAITtsProvider({ client }, env = process.env) {
+  return {
+    name: 'openai',
+    configured: !!(client && env.OPENAI_API_KEY),
+    formats: ['pcm16', 'mp3'],
+
+    async synthesize(text, { format, voice, timeoutMs, signal }) {
+      const speech = await client.audio.speech.create({
+        model: "tts-1",
+        voice: voice || "nova",
+        input: text,
+        response_format: format === 'mp3' ? "mp3" : "pcm",
+      }, { timeout: timeoutMs, maxRetries: 0, signal });
+
+      const audio = Buffer.from(await speech.arrayBuffer());
+      return format === 'mp3' ? { audio, format: 'mp3' } : { audio, format: 'pcm16', sampleRate: OPENAI_PCM_RATE };
+    },
+  };
+}
+
+module.exports = { createOpenAITtsProvider };
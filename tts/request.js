@@ -0,0 +1,22 @@
+// Shared POST-for-audio with a per-request timeout, so a hanging vendor
+// counts as a failure (and trips its breaker) instead of stalling the turn.
+// `signal` is the caller's cancel (phone barge-in).
+
+async function fetchAudio(label, url, { headers = {}, body, timeoutMs = 10000, signal }) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`${label} API error: ${response.status} ${response.statusText} - ${errorText.substring(0, 300)}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+module.exports = { fetchAudio };
@@ -0,0 +1,38 @@
+// ============================================================
+// 🔀 TTS ROUTING RULES
+// ============================================================
+// Ordered provider chain per context. The first healthy provider that can
+// produce the requested format speaks; the rest are fallbacks.
+//
+//   phone      - /ws/phone live calls (PCM16, most expressive voices first)
+//   voice_note - /ws/voice and /api/voice-chat replies (MP3)
+//   preview    - short voice samples, cheapest first
+//
+// Override without a deploy:
+//   TTS_ROUTES='{"phone":["cartesia","openai"]}'  (merged over defaults)
+// ============================================================
+
+const DEFAULT_ROUTES = {
+  phone: ['elevenlabs', 'hume', 'cartesia', 'openai'],
+  voice_note: ['cartesia', 'openai'],
+  preview: ['cartesia', 'openai'],
+};
+
+function loadRoutes(env = process.env) {
+  const routes = { ...DEFAULT_ROUTES };
+
+  if (env.TTS_ROUTES) {
+    try {
+      const overrides = JSON.parse(env.TTS_ROUTES);
+      for (const [context, chain] of Object.entries(overrides)) {
+        if (Array.isArray(chain)) routes[context] = chain;
+      }
+    } catch (error) {
+      console.error('⚠️ Invalid TTS_ROUTES JSON, using default routes:', error.message);
+    }
+  }
+
+  return routes;
+}
+
+module.exports = { DEFAULT_ROUTES, loadRoutes };
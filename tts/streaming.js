@@ -0,0 +1,177 @@
+// ============================================================
+// 🗣️ SENTENCE-LEVEL STREAMING TTS (phone calls)
+// ============================================================
+// The LLM reply is cut into sentences as tokens arrive; each sentence
+// is synthesized as soon as it is complete and its audio is sent while
+// later sentences are still being generated. Sentences are synthesized
+// one at a time, in order, so the caller hears them in sequence and a
+// turn never has more than one TTS request in flight.
+//
+// Playback is assumed to start when audio is sent and to run back to
+// back, so heardText() can tell what the caller actually heard when
+// they interrupt (barge-in) and the stream is cancelled.
+// ============================================================
+
+const { pcm16Seconds } = require('./audio');
+
+// A run of two or more dots is a pause ("mmm... i want"), not a sentence end
+const SENTENCE_END = /([.!?…]+)(["')\]]*)(\s+)/g;
+
+function isEllipsis(punctuation) {
+  return /^\.{2,}$/.test(punctuation) || punctuation === '…';
+}
+
+/**
+ * Incremental sentence splitter. push() returns the sentences completed by
+ * this delta; flush() returns whatever is left when the reply ends.
+ * @param {object} [options]
+ * @param {number} [options.minChars] - Shorter sentences are merged into the next one ("Oh." + "Really?")
+ */
+function createSentenceSplitter({ minChars = 12 } = {}) {
+  let buffer = '';
+
+  function push(delta) {
+    buffer += delta;
+    const sentences = [];
+    let start = 0;
+
+    SENTENCE_END.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_END.exec(buffer)) !== null) {
+      if (isEllipsis(match[1])) continue;
+      const end = match.index + match[1].length + match[2].length;
+      const sentence = buffer.slice(start, end).trim();
+      if (sentence.length < minChars) continue; // keep accumulating from `start`
+      sentences.push(sentence);
+      start = end + match[3].length;
+    }
+
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
+
+class SpeechStream {
+  /**
+   * @param {object} options
+   * @param {object} options.tts - TtsService
+   * @param {object|function} options.synthesizeOptions - tts.synthesize() options (context, format, sampleRate, ...),
+   *   or (text) => options when they depend on the sentence
+   * @param {function} options.onAudio - (audio, { index, text, provider }) => void, called in sentence order
+   * @param {number} [options.startedAt] - ms timestamp the timing marks are relative to (default: now)
+   * @param {function} [options.now] - ms timestamp
+   */
+  constructor({ tts, synthesizeOptions, onAudio, startedAt, now = Date.now }) {
+    this.tts = tts;
+    this.synthesizeOptions = synthesizeOptions;
+    this.onAudio = onAudio;
+    this.now = now;
+
+    this.startedAt = startedAt ?? now();
+    this.sentences = [];
+    this.firstAudioAt = null;
+    this.playbackEndsAt = 0;
+    this.error = null;
+    this.controller = new AbortController();
+    this.tail = Promise.resolve();
+  }
+
+  get audioSent() {
+    return this.firstAudioAt !== null;
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  /** Aborted by cancel(); pass it to the LLM request feeding this stream. */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /** Whether sent audio is (estimated to be) still playing on the client. */
+  isPlaying(at = this.now()) {
+    return at < this.playbackEndsAt;
+  }
+
+  /** Stop synthesizing: the in-flight TTS request is aborted and nothing more is sent. */
+  cancel() {
+    this.controller.abort();
+  }
+
+  /**
+   * The part of the reply the caller has heard by `at`: every sentence that
+   * finished playing, plus the words of the current one up to its playback
+   * position (ending in "...").
+   */
+  heardText(at = this.now()) {
+    const parts = [];
+    for (const mark of this.sentences) {
+      if (mark.playStartAt === undefined || mark.playStartAt > at) break;
+      const fraction = mark.audioMs ? (at - mark.playStartAt) / mark.audioMs : 1;
+      if (fraction >= 1) {
+        parts.push(mark.text);
+        continue;
+      }
+      const words = mark.text.split(/\s+/);
+      const heard = Math.floor(words.length * fraction);
+      if (heard > 0) parts.push(`${words.slice(0, heard).join(' ')}...`);
+      break;
+    }
+    return parts.join(' ');
+  }
+
+  /** Queue a sentence; returns immediately. Synthesis stops at the first failure. */
+  push(text) {
+    const index = this.sentences.length;
+    const mark = { index, text, provider: null, queuedMs: this.now() - this.startedAt, ttsMs: null, sentMs: null };
+    this.sentences.push(mark);
+    this.tail = this.tail.then(() => this.speak(mark));
+  }
+
+  async speak(mark) {
+    if (this.error || this.cancelled) return;
+    const ttsStart = this.now();
+    try {
+      const options = typeof this.synthesizeOptions === 'function' ? this.synthesizeOptions(mark.text) : this.synthesizeOptions;
+      const result = await this.tts.synthesize(mark.text, { ...options, signal: this.signal });
+      if (this.cancelled) return;
+      mark.provider = result.provider;
+      mark.ttsMs = this.now() - ttsStart;
+      this.onAudio(result.audio, { index: mark.index, text: mark.text, provider: result.provider });
+
+      const sentAt = this.now();
+      mark.sentMs = sentAt - this.startedAt;
+      mark.audioMs = result.format === 'pcm16' ? Math.round(pcm16Seconds(result.audio, result.sampleRate) * 1000) : null;
+      mark.playStartAt = Math.max(sentAt, this.playbackEndsAt);
+      this.playbackEndsAt = mark.playStartAt + (mark.audioMs || 0);
+      if (this.firstAudioAt === null) this.firstAudioAt = sentAt;
+    } catch (error) {
+      if (!this.cancelled) this.error = error;
+    }
+  }
+
+  /**
+   * Wait for every queued sentence to be synthesized and sent.
+   * @returns {Promise<{ error: Error|null, firstAudioMs: number|null, sentences: Array }>}
+   *   Timings are ms relative to startedAt
+   */
+  async finish() {
+    await this.tail;
+    return {
+      error: this.error,
+      firstAudioMs: this.audioSent ? this.firstAudioAt - this.startedAt : null,
+      sentences: this.sentences,
+    };
+  }
+}
+
+module.exports = { createSentenceSplitter, SpeechStream };
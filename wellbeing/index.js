@@ -0,0 +1,329 @@
+// ============================================================
+// 🌿 WELLBEING - user-set time limits, quiet hours and break reminders
+// ============================================================
+// Controls the user chooses for themselves, stored in wellbeing_settings
+// (migration 0014). Everything is off until they turn it on:
+//   - daily limit: chat and call time together, per calendar day in the
+//     user's timezone. /api/chat refuses new messages and /ws/phone won't
+//     connect once it is used up, and a call in progress ends when it runs out
+//   - quiet hours: no missed calls or special messages are generated
+//     between start and end (local time; start > end crosses midnight)
+//   - break reminders: after N minutes of continuous chat Ellie suggests
+//     a break, then again every N minutes while the session goes on
+//
+// Chat time is measured in chat_sessions: a message within idleMinutes of
+// the previous one extends the session. Call time is read from
+// voice_call_usage, which the call meter keeps up to date.
+// ============================================================
+
+const MAX_DAILY_LIMIT = 24 * 60;
+const BREAK_REMINDER_RANGE = [5, 240];
+const TIME_FORMAT = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Added to the system prompt when a break reminder is due
+function breakReminderPrompt(minutes) {
+  return `
+
+🌿 BREAK REMINDER: The user asked to be reminded to take breaks, and you've been chatting for about ${minutes} minutes.
+Answer their message, then gently suggest they take a short break - stretch, drink some water, step outside - and that you'll be here after. Keep it warm and brief, no guilt and no "don't leave me".`;
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'WELLBEING_INVALID';
+  return error;
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in `timezone`
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// How far `timezone` is ahead of UTC at `date`, in ms
+function offsetAt(date, timezone) {
+  const p = localParts(date, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts on year-month-day (day may overflow into the next month).
+// The offset is taken again at the first guess so a DST change that day lands right. Where
+// DST starts at midnight (America/Santiago, Asia/Beirut) there is no 00:00 and one guess
+// lands on the day before; the earliest guess on the day itself is where the day starts.
+function localMidnight(year, month, day, timezone) {
+  const wall = Date.UTC(year, month - 1, day);
+  const first = new Date(wall - offsetAt(new Date(wall), timezone));
+  const second = new Date(wall - offsetAt(first, timezone));
+  const onDay = (date) => {
+    const p = localParts(date, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day) === wall;
+  };
+  return [first, second].filter(onDay).sort((a, b) => a - b)[0] || second;
+}
+
+/**
+ * The user's calendar day in their timezone.
+ * @returns {{ start: Date, end: Date }}
+ */
+function localDay(now, timezone) {
+  const { year, month, day } = localParts(now, timezone);
+  return { start: localMidnight(year, month, day, timezone), end: localMidnight(year, month, day + 1, timezone) };
+}
+
+/**
+ * Whether `now` falls inside the quiet hours (false when they are off).
+ * @param {object} settings - From WellbeingService.getSettings()
+ * @param {Date} [now]
+ */
+function inQuietHours({ quietHours, timezone }, now = new Date()) {
+  if (!quietHours) return false;
+  const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+  const { hour, minute } = localParts(now, timezone);
+  const current = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// null (off) or a whole number in [min, max]
+function parseMinutes(value, field, min, max) {
+  if (value === null) return null;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalid(`${field} must be null or a whole number of minutes between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function parseQuietHours(value) {
+  if (value === null) return null;
+  if (typeof value !== 'object' || !TIME_FORMAT.test(value.start) || !TIME_FORMAT.test(value.end)) {
+    throw invalid('quietHours must be null or { start, end } as HH:MM');
+  }
+  if (value.start === value.end) throw invalid('quietHours start and end must differ');
+  return { start: value.start, end: value.end };
+}
+
+class WellbeingService {
+  /**
+   * @param {object} options
+   * @param {object} options.pool - pg pool
+   * @param {number} [options.idleMinutes] - A chat gap longer than this starts a new session
+   * @param {function} [options.now] - () => Date
+   */
+  constructor({ pool, idleMinutes = 15, now = () => new Date() }) {
+    this.pool = pool;
+    this.idleMinutes = idleMinutes;
+    this.now = now;
+  }
+
+  // ============================================================
+  // SETTINGS
+  // ============================================================
+
+  /**
+   * @returns {Promise<{ dailyLimitMinutes: number|null, quietHours: { start: string, end: string }|null,
+   *   timezone: string, breakReminderMinutes: number|null }>}
+   */
+  async getSettings(userId) {
+    const { rows } = await this.pool.query(`SELECT * FROM wellbeing_settings WHERE user_id = $1`, [userId]);
+    return this.toSettings(rows[0] || null);
+  }
+
+  toSettings(row) {
+    return {
+      dailyLimitMinutes: row?.daily_limit_minutes ?? null,
+      quietHours: row?.quiet_hours_start
+        ? { start: row.quiet_hours_start.slice(0, 5), end: row.quiet_hours_end.slice(0, 5) }
+        : null,
+      timezone: row?.timezone || 'UTC',
+      breakReminderMinutes: row?.break_reminder_minutes ?? null,
+    };
+  }
+
+  /**
+   * Change some of the user's settings; fields left out stay as they are.
+   * @param {string} userId
+   * @param {object} changes - { dailyLimitMinutes?, quietHours? ({ start, end } | null), timezone?, breakReminderMinutes? }
+   * @returns {Promise<object>} The settings now in force
+   * @throws {Error} code WELLBEING_INVALID for a bad value
+   */
+  async setSettings(userId, changes = {}) {
+    const next = { ...(await this.getSettings(userId)) };
+    let changed = false;
+
+    if (changes.dailyLimitMinutes !== undefined) {
+      next.dailyLimitMinutes = parseMinutes(changes.dailyLimitMinutes, 'dailyLimitMinutes', 1, MAX_DAILY_LIMIT);
+      changed = true;
+    }
+    if (changes.breakReminderMinutes !== undefined) {
+      next.breakReminderMinutes = parseMinutes(changes.breakReminderMinutes, 'breakReminderMinutes', ...BREAK_REMINDER_RANGE);
+      changed = true;
+    }
+    if (changes.quietHours !== undefined) {
+      next.quietHours = parseQuietHours(changes.quietHours);
+      changed = true;
+    }
+    if (changes.timezone !== undefined) {
+      if (typeof changes.timezone !== 'string' || !isTimeZone(changes.timezone)) {
+        throw invalid('timezone must be an IANA time zone such as Europe/London');
+      }
+      next.timezone = changes.timezone;
+      changed = true;
+    }
+    if (!changed) throw invalid('Nothing to change');
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO wellbeing_settings (user_id, daily_limit_minutes, quiet_hours_start, quiet_hours_end, timezone, break_reminder_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id) DO UPDATE
+       SET daily_limit_minutes = $2, quiet_hours_start = $3, quiet_hours_end = $4, timezone = $5,
+           break_reminder_minutes = $6, updated_at = NOW()
+       RETURNING *`,
+      [
+        userId, next.dailyLimitMinutes, next.quietHours?.start ?? null, next.quietHours?.end ?? null,
+        next.timezone, next.breakReminderMinutes,
+      ]
+    );
+    console.log(`🌿 [wellbeing] ${userId} updated their settings`);
+    return this.toSettings(rows[0]);
+  }
+
+  // ============================================================
+  // DAILY LIMIT
+  // ============================================================
+
+  /**
+   * Chat and call time so far today (the user's day) and what is left under the daily limit.
+   * @param {string} userId
+   * @param {object} [settings] - Already loaded settings
+   * @returns {Promise<{ chatMinutes: number, callMinutes: number, totalMinutes: number, dailyLimitMinutes: number|null,
+   *   secondsLeft: number|null, limitReached: boolean, resetsAt: Date }>}
+   */
+  async today(userId, settings = null) {
+    const { dailyLimitMinutes, timezone } = settings || await this.getSettings(userId);
+    const { start, end } = localDay(this.now(), timezone);
+
+    const { rows } = await this.pool.query(
+      `SELECT
+         (SELECT COALESCE(SUM(GREATEST(0, EXTRACT(EPOCH FROM last_active_at - GREATEST(started_at, $2::TIMESTAMPTZ::TIMESTAMP)))), 0)
+          FROM chat_sessions WHERE user_id = $1 AND last_active_at >= $2::TIMESTAMPTZ) AS chat_seconds,
+         (SELECT COALESCE(SUM(GREATEST(0, EXTRACT(EPOCH FROM started_at + seconds * INTERVAL '1 second'
+                                                  - GREATEST(started_at, $2::TIMESTAMPTZ::TIMESTAMP)))), 0)
+          FROM voice_call_usage WHERE user_id = $1 AND started_at + seconds * INTERVAL '1 second' >= $2::TIMESTAMPTZ) AS call_seconds`,
+      [userId, start]
+    );
+    const chatSeconds = Number(rows[0].chat_seconds);
+    const callSeconds = Number(rows[0].call_seconds);
+    const usedSeconds = chatSeconds + callSeconds;
+    const secondsLeft = dailyLimitMinutes === null ? null : Math.max(0, Math.floor(dailyLimitMinutes * 60 - usedSeconds));
+
+    return {
+      chatMinutes: Math.round(chatSeconds / 60),
+      callMinutes: Math.round(callSeconds / 60),
+      totalMinutes: Math.round(usedSeconds / 60),
+      dailyLimitMinutes,
+      secondsLeft,
+      limitReached: secondsLeft === 0,
+      resetsAt: end,
+    };
+  }
+
+  // ============================================================
+  // CHAT SESSIONS
+  // ============================================================
+
+  /**
+   * Count a chat message towards the user's session (opening a new one after
+   * a long enough gap) and say whether a break reminder is due. A due
+   * reminder is marked sent, so the next one comes breakReminderMinutes later.
+   * @param {string} userId
+   * @param {object} [settings] - Already loaded settings
+   * @returns {Promise<{ sessionMinutes: number, breakReminder: boolean }>}
+   */
+  async recordChat(userId, settings = null) {
+    const { breakReminderMinutes } = settings || await this.getSettings(userId);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`wellbeing:${userId}`]);
+
+      let { rows } = await client.query(
+        `UPDATE chat_sessions
+         SET last_active_at = NOW(), messages = messages + 1
+         WHERE id = (
+           SELECT id FROM chat_sessions
+           WHERE user_id = $1 AND last_active_at > NOW() - ($2 || ' minutes')::INTERVAL
+           ORDER BY last_active_at DESC
+           LIMIT 1
+         )
+         RETURNING id, EXTRACT(EPOCH FROM NOW() - started_at) / 60 AS minutes`,
+        [userId, String(this.idleMinutes)]
+      );
+      if (!rows.length) {
+        ({ rows } = await client.query(
+          `INSERT INTO chat_sessions (user_id) VALUES ($1) RETURNING id, 0 AS minutes`,
+          [userId]
+        ));
+      }
+
+      let breakReminder = false;
+      if (breakReminderMinutes !== null) {
+        const { rowCount } = await client.query(
+          `UPDATE chat_sessions
+           SET break_reminded_at = NOW()
+           WHERE id = $1 AND NOW() - COALESCE(break_reminded_at, started_at) >= ($2 || ' minutes')::INTERVAL`,
+          [rows[0].id, String(breakReminderMinutes)]
+        );
+        breakReminder = rowCount > 0;
+      }
+
+      await client.query('COMMIT');
+      const minutes = Number(rows[0].minutes);
+      if (breakReminder) console.log(`🌿 [wellbeing] Break reminder for ${userId} (${Math.round(minutes)} min session)`);
+      return { sessionMinutes: Math.round(minutes), breakReminder };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================================
+  // QUIET HOURS
+  // ============================================================
+
+  /** Whether proactive messages (missed calls, special messages) are held back for this user right now */
+  async isQuietHours(userId) {
+    return inQuietHours(await this.getSettings(userId), this.now());
+  }
+
+  /**
+   * Everything the client shows on its wellbeing panel (see /api/usage).
+   * @returns {Promise<{ settings: object, today: object, quietHoursActive: boolean }>}
+   */
+  async status(userId) {
+    const settings = await this.getSettings(userId);
+    return {
+      settings,
+      today: await this.today(userId, settings),
+      quietHoursActive: inQuietHours(settings, this.now()),
+    };
+  }
+}
+
+module.exports = { WellbeingService, breakReminderPrompt, inQuietHours, localDay };